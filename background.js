@@ -1,7 +1,184 @@
 // Background service worker
+import { DebuggerCapture } from './js/network/debugger-capture.js';
+import { captureRules } from './js/network/capture-rules.js';
+import { DebuggerTransport } from './js/network/debugger-transport.js';
+import { DebuggerIntercept } from './js/network/debugger-intercept.js';
+import { MatchReplaceRules } from './js/network/match-replace.js';
+import { MockRules, buildMockResponse } from './js/network/mock-rules.js';
+import { matchScope, normalizeScope } from './js/network/scope.js';
+
 const ports = new Set();
 const requestMap = new Map();
 
+function broadcast(message) {
+    ports.forEach(p => {
+        try {
+            p.postMessage(message);
+        } catch (e) {
+            console.error('Error sending to port:', e);
+            ports.delete(p);
+        }
+    });
+}
+
+// Full-body capture for selected tabs (optional "debugger" permission)
+const debuggerCapture = new DebuggerCapture({
+    onEntry: (entry) => broadcast({ type: 'captured_debugger_request', data: entry }),
+    onDetach: (tabId, reason) => broadcast({ type: 'debugger-capture-detached', tabId, reason }),
+    onWebSocket: (event) => broadcast({ type: 'captured_debugger_websocket', data: event })
+});
+
+// Sends with raw headers through a helper tab (optional "debugger" permission)
+const debuggerTransport = new DebuggerTransport();
+
+// Intercept sessions for inspected tabs, each owned by the panel port that started it
+const interceptPorts = new Map(); // tabId -> port
+// Match & replace and mock rules for live traffic, with the target scope of the panel's project
+const interceptRewrites = new Map(); // tabId -> { rules: MatchReplaceRules, mocks: MockRules, scope }
+
+function rewriteFor(tabId) {
+    const rewrite = interceptRewrites.get(tabId);
+    if (!rewrite) return null;
+    const port = interceptPorts.get(tabId);
+    const inScope = (url) => matchScope(url, rewrite.scope);
+    const report = (type, hits) => {
+        if (hits.length && port) port.postMessage({ type, hits, at: Date.now() });
+    };
+    return { rules: rewrite.rules, mocks: rewrite.mocks, inScope, report };
+}
+
+function setInterceptRewrite(tabId, { rules, mocks, scope }) {
+    interceptRewrites.set(tabId, {
+        rules: new MatchReplaceRules(rules),
+        mocks: new MockRules(mocks),
+        scope: normalizeScope(scope)
+    });
+}
+
+const debuggerIntercept = new DebuggerIntercept({
+    rewriteRequest: (tabId, request) => {
+        const rewrite = rewriteFor(tabId);
+        if (!rewrite) return null;
+        const result = rewrite.rules.applyToRequest(request, rewrite.inScope);
+        rewrite.report('match-replace-hits', result.hits);
+        return result.hits.length ? result.request : null;
+    },
+    rewriteResponse: (tabId, request, response) => {
+        const rewrite = rewriteFor(tabId);
+        if (!rewrite) return null;
+        const result = rewrite.rules.applyToResponse(response, request.url, rewrite.inScope);
+        rewrite.report('match-replace-hits', result.hits);
+        return result.hits.length ? result.response : null;
+    },
+    mockRequest: (tabId, request) => {
+        const rewrite = rewriteFor(tabId);
+        const rule = rewrite && rewrite.mocks.match(request);
+        if (!rule) return null;
+        rewrite.report('mock-hits', [rule.id]);
+        return buildMockResponse(rule);
+    },
+    onPaused: (item) => {
+        const port = interceptPorts.get(item.tabId);
+        if (port) port.postMessage({ type: 'intercept-paused', item });
+    },
+    onDetach: (tabId, reason) => {
+        const port = interceptPorts.get(tabId);
+        interceptPorts.delete(tabId);
+        interceptRewrites.delete(tabId);
+        if (port) port.postMessage({ type: 'intercept-detached', tabId, reason });
+    }
+});
+
+async function handleInterceptMessage(port, msg) {
+    try {
+        if (msg.type === 'intercept-start') {
+            interceptPorts.set(msg.tabId, port);
+            setInterceptRewrite(msg.tabId, msg);
+            await debuggerIntercept.attach(msg.tabId, msg.options);
+        } else if (msg.type === 'intercept-options') {
+            await debuggerIntercept.setOptions(msg.tabId, msg.options);
+        } else if (msg.type === 'intercept-rules') {
+            setInterceptRewrite(msg.tabId, msg);
+        } else if (msg.type === 'intercept-stop') {
+            interceptPorts.delete(msg.tabId);
+            interceptRewrites.delete(msg.tabId);
+            await debuggerIntercept.detach(msg.tabId);
+        } else if (msg.type === 'intercept-continue') {
+            await debuggerIntercept.continueRequest(msg.tabId, msg.requestId, msg.overrides, msg.options);
+        } else if (msg.type === 'intercept-drop') {
+            await debuggerIntercept.dropRequest(msg.tabId, msg.requestId);
+        }
+    } catch (error) {
+        console.error('Background: Intercept error', error);
+        if (msg.type === 'intercept-start') {
+            interceptPorts.delete(msg.tabId);
+            interceptRewrites.delete(msg.tabId);
+        }
+        port.postMessage({ type: 'intercept-error', tabId: msg.tabId, requestId: msg.requestId, error: error.message });
+    }
+}
+
+chrome.runtime.onConnect.addListener((port) => {
+    if (port.name !== 'rep-intercept') return;
+
+    port.onMessage.addListener((msg) => handleInterceptMessage(port, msg));
+
+    // A closed panel can't release its paused requests: end its sessions
+    port.onDisconnect.addListener(() => {
+        interceptPorts.forEach((owner, tabId) => {
+            if (owner !== port) return;
+            interceptPorts.delete(tabId);
+            interceptRewrites.delete(tabId);
+            debuggerIntercept.detach(tabId);
+        });
+    });
+});
+
+// Capture rule hits for requests dropped here, reported to the panels in batches
+const pendingRuleHits = new Map();
+let ruleHitsTimer = null;
+
+function recordRuleHit(ruleId, tabId) {
+    const key = `${ruleId}|${tabId}`;
+    const hit = pendingRuleHits.get(key) || { ruleId, tabId, count: 0 };
+    hit.count++;
+    pendingRuleHits.set(key, hit);
+
+    if (!ruleHitsTimer) {
+        ruleHitsTimer = setTimeout(() => {
+            ruleHitsTimer = null;
+            broadcast({ type: 'capture-rule-hits', hits: Array.from(pendingRuleHits.values()) });
+            pendingRuleHits.clear();
+        }, 1000);
+    }
+}
+
+async function listDebuggerCaptureTabs() {
+    const tabs = await chrome.tabs.query({});
+    return tabs
+        .filter(tab => tab.url && /^https?:/i.test(tab.url))
+        .map(tab => ({
+            id: tab.id,
+            title: tab.title || tab.url,
+            url: tab.url,
+            attached: debuggerCapture.isAttached(tab.id)
+        }));
+}
+
+async function handleDebuggerCaptureMessage(port, msg) {
+    try {
+        if (msg.type === 'debugger-capture-attach') {
+            await debuggerCapture.attach(msg.tabId);
+        } else if (msg.type === 'debugger-capture-detach') {
+            await debuggerCapture.detach(msg.tabId);
+        }
+        port.postMessage({ type: 'debugger-capture-tabs', tabs: await listDebuggerCaptureTabs() });
+    } catch (error) {
+        console.error('Background: Debugger capture error', error);
+        port.postMessage({ type: 'debugger-capture-error', tabId: msg.tabId, error: error.message });
+    }
+}
+
 // Handle connections from DevTools panels
 chrome.runtime.onConnect.addListener((port) => {
     if (port.name !== "rep-panel") return;
@@ -11,6 +188,10 @@ chrome.runtime.onConnect.addListener((port) => {
     port.onDisconnect.addListener(() => {
         console.log("DevTools panel disconnected");
         ports.delete(port);
+        // Nobody is listening any more: release the tabs (and Chrome's debugging infobar)
+        if (ports.size === 0) {
+            debuggerCapture.detachAll();
+        }
     });
 
     // Listen for messages from panel (e.g. to toggle capture, local model requests)
@@ -19,6 +200,10 @@ chrome.runtime.onConnect.addListener((port) => {
         if (msg.type === 'ping') {
             console.log('Background: Responding to ping');
             port.postMessage({ type: 'pong' });
+        } else if (msg.type === 'capture-rules') {
+            captureRules.setRules(msg.rules);
+        } else if (msg.type === 'debugger-capture-tabs' || msg.type === 'debugger-capture-attach' || msg.type === 'debugger-capture-detach') {
+            handleDebuggerCaptureMessage(port, msg);
         } else if (msg.type === 'local-model-request' || msg.type === 'local-model-chat') {
             // Handle local model request via port
             const requestId = msg.requestId || `local-${Date.now()}-${Math.random()}`;
@@ -190,6 +375,21 @@ chrome.runtime.onConnect.addListener((port) => {
 
 // Handle local model API requests (bypass CORS)
 chrome.runtime.onMessage.addListener((request, sender, sendResponse) => {
+    if (request.type === 'debugger-send') {
+        debuggerTransport.send(request.request)
+            .then(result => sendResponse({ result }))
+            .catch(error => {
+                console.error('Background: Debugger transport error', error);
+                sendResponse({ error: error.message });
+            });
+        return true;
+    }
+
+    if (request.type === 'debugger-cancel') {
+        debuggerTransport.cancel(request.sendId);
+        return false;
+    }
+
     if (request.type === 'local-model-request') {
         const requestId = request.requestId || `local-${Date.now()}-${Math.random()}`;
         
@@ -320,6 +520,15 @@ function parseRequestBody(requestBody) {
 function handleBeforeRequest(details) {
     if (ports.size === 0) return;
     if (details.url.startsWith('chrome-extension://')) return;
+    // Requests sent by the debugger transport are replays, not captures
+    if (debuggerTransport.isHelperTab(details.tabId)) return;
+
+    // The MIME type is not known yet; rules that need it are applied by the panel
+    const decision = captureRules.evaluate({ url: details.url, method: details.method, resourceType: details.type });
+    if (!decision.capture) {
+        recordRuleHit(decision.rule.id, details.tabId);
+        return;
+    }
 
     requestMap.set(details.requestId, {
         requestId: details.requestId,
@@ -345,25 +554,18 @@ function handleCompleted(details) {
     if (ports.size === 0) return;
     const req = requestMap.get(details.requestId);
     if (req) {
+        requestMap.delete(details.requestId);
+        // Tabs captured through the debugger are reported with full bodies instead
+        if (debuggerCapture.isAttached(details.tabId)) return;
+
         req.statusCode = details.statusCode;
         req.statusLine = details.statusLine;
         req.responseHeaders = details.responseHeaders;
 
-        const message = {
+        broadcast({
             type: 'captured_request',
             data: req
-        };
-
-        ports.forEach(p => {
-            try {
-                p.postMessage(message);
-            } catch (e) {
-                console.error('Error sending to port:', e);
-                ports.delete(p);
-            }
         });
-
-        requestMap.delete(details.requestId);
     }
 }
 
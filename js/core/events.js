@@ -85,11 +85,16 @@ export const EVENT_NAMES = {
     REQUEST_FILTERED: 'request:filtered',
     REQUEST_RENDERED: 'request:rendered',
     REQUEST_STAR_UPDATED: 'request:star-updated',
+    REQUEST_RENAMED: 'request:renamed',
+    REQUEST_METADATA_CHANGED: 'request:metadata-changed',
+    REQUEST_SENT: 'request:sent',
     REQUEST_ACTION_STAR: 'request:action:star',
     REQUEST_ACTION_GROUP_STAR: 'request:action:group-star',
     REQUEST_ACTION_DELETE_GROUP: 'request:action:delete-group',
     REQUEST_ACTION_TIMELINE: 'request:action:timeline',
     REQUEST_ACTION_COLOR: 'request:action:color',
+    REQUEST_ACTION_SEND_TO_TAB: 'request:action:send-to-tab',
+    REQUEST_ACTION_EDIT_NOTES: 'request:action:edit-notes',
     
     // UI events
     UI_RESIZE: 'ui:resize',
@@ -106,11 +111,20 @@ export const EVENT_NAMES = {
     UI_UPDATE_REGEX_TOGGLE: 'ui:update-regex-toggle',
     UI_UPDATE_DIFF_TOGGLE_VISIBILITY: 'ui:update-diff-toggle-visibility',
     UI_CLEAR_ALL: 'ui:clear-all',
+    UI_EDITOR_LEAVING: 'ui:editor-leaving', // Before the editor shows another working copy
+    UI_FIND_IN_PANE: 'ui:find-in-pane', // Highlight text in the request or response pane
+    REPEATER_TABS_CHANGED: 'repeater-tabs:changed',
     
     // Network events
     NETWORK_REQUEST_CAPTURED: 'network:request-captured',
     NETWORK_RESPONSE_RECEIVED: 'network:response-received',
     NETWORK_ERROR: 'network:error',
+    WEBSOCKET_FRAME: 'websocket:frame',
+    CAPTURE_RULES_CHANGED: 'capture-rules:changed',
+    SCOPE_CHANGED: 'scope:changed',
+    MATCH_REPLACE_CHANGED: 'match-replace:changed',
+    MOCK_RULES_CHANGED: 'mock-rules:changed',
+    COOKIE_JARS_CHANGED: 'cookie-jars:changed',
     
     // State events
     STATE_REQUESTS_CLEARED: 'state:requests-cleared',
@@ -124,5 +138,9 @@ export const EVENT_NAMES = {
     // Export/Import events
     REQUESTS_EXPORTED: 'requests:exported',
     REQUESTS_IMPORTED: 'requests:imported',
+
+    // Workspace persistence events
+    WORKSPACE_RESTORED: 'workspace:restored',
+    PROJECT_SWITCHED: 'project:switched',
 };
 
@@ -5,6 +5,7 @@
 import { state } from './index.js';
 import { events, EVENT_NAMES } from '../events.js';
 import { getHostname } from '../utils/network.js';
+import { normalizeTags, normalizeFinding, normalizeNotes } from '../utils/metadata.js';
 
 /**
  * Action creators for state mutations
@@ -14,44 +15,63 @@ import { getHostname } from '../utils/network.js';
  * 3. State mutations are centralized
  */
 
+/**
+ * Generate a stable id for a request (survives reordering and persistence)
+ * @returns {string}
+ */
+export function createRequestId() {
+    return `req_${Date.now().toString(36)}_${Math.random().toString(36).substr(2, 9)}`;
+}
+
+// Duplicate-check signature by request object
+const signatureCache = new WeakMap();
+
+// Count a request in state.requestSignatures (duplicates stay when the check is off)
+function trackSignature(request) {
+    if (!request || !request.request) return;
+    const signature = requestActions.getSignature(request);
+    state.requestSignatures.set(signature, (state.requestSignatures.get(signature) || 0) + 1);
+}
+
+function untrackSignature(request) {
+    if (!request || !request.request) return;
+    const signature = requestActions.getSignature(request);
+    const count = state.requestSignatures.get(signature) || 0;
+    if (count > 1) state.requestSignatures.set(signature, count - 1);
+    else state.requestSignatures.delete(signature);
+}
+
 // Request Actions
 export const requestActions = {
     /**
      * Check if a request is a duplicate of an existing request
      * @param {Object} newRequest - New request to check
-     * @param {Array} existingRequests - Array of existing requests
      * @returns {boolean} True if duplicate found
      */
-    isDuplicate(newRequest, existingRequests) {
+    isDuplicate(newRequest) {
         if (!newRequest || !newRequest.request) return false;
-        
-        const newReq = newRequest.request;
-        const newMethod = (newReq.method || 'GET').toUpperCase().trim();
-        const newUrl = (newReq.url || '').trim();
-        const newBody = (newReq.postData && newReq.postData.text) ? String(newReq.postData.text).trim() : '';
-        const newHeaders = this.normalizeHeaders(newReq.headers);
-        const newPageUrl = (newRequest.pageUrl || '').trim();
-        const newSignature = `${newMethod}|${newUrl}|${newHeaders}|${newBody}|${newPageUrl}`;
-        
-        // Check against existing requests
-        for (const existing of existingRequests) {
-            if (!existing || !existing.request) continue;
-            
-            const existingReq = existing.request;
-            const existingMethod = (existingReq.method || 'GET').toUpperCase().trim();
-            const existingUrl = (existingReq.url || '').trim();
-            const existingBody = (existingReq.postData && existingReq.postData.text) ? String(existingReq.postData.text).trim() : '';
-            const existingHeaders = this.normalizeHeaders(existingReq.headers);
-            const existingPageUrl = (existing.pageUrl || '').trim();
-            const existingSignature = `${existingMethod}|${existingUrl}|${existingHeaders}|${existingBody}|${existingPageUrl}`;
-            
-            // Compare signatures
-            if (newSignature === existingSignature) {
-                return true;
-            }
-        }
-        
-        return false;
+        return state.requestSignatures.has(this.getSignature(newRequest));
+    },
+    
+    /**
+     * Duplicate-check signature of a request (method, URL, headers, body, page).
+     * Cached: captured requests don't change, and deleting one needs its signature again.
+     * @param {Object} request - Request with a request property
+     * @returns {string}
+     */
+    getSignature(request) {
+        let signature = signatureCache.get(request);
+        if (signature !== undefined) return signature;
+        
+        const req = request.request;
+        const method = (req.method || 'GET').toUpperCase().trim();
+        const url = (req.url || '').trim();
+        const body = (req.postData && req.postData.text) ? String(req.postData.text).trim() : '';
+        const headers = this.normalizeHeaders(req.headers);
+        const pageUrl = (request.pageUrl || '').trim();
+        signature = `${method}|${url}|${headers}|${body}|${pageUrl}`;
+        signatureCache.set(request, signature);
+        return signature;
     },
     
     /**
@@ -144,6 +164,8 @@ export const requestActions = {
             const selectedRequestRef = state.selectedRequest;
             
             state.requests = uniqueRequests;
+            state.requestSignatures.clear();
+            uniqueRequests.forEach(trackSignature);
             
             // Clear selection if selected request was removed
             if (selectedRequestRef && !uniqueRequests.includes(selectedRequestRef)) {
@@ -178,24 +200,39 @@ export const requestActions = {
     /**
      * Add a new request to state
      * @param {Object} request - Request object to add
+     * @param {Object} [options]
+     * @param {boolean} [options.restore=false] - Keep starred/color (used when rehydrating saved requests)
      * @returns {number|null} Index of the added request, or null if duplicate was skipped
      */
-    add(request) {
+    add(request, { restore = false } = {}) {
         // Initialize defaults
-        request.starred = false;
-        request.color = null;
+        if (!restore) {
+            request.starred = false;
+            request.color = null;
+        } else {
+            request.starred = !!request.starred;
+            request.color = request.color || null;
+        }
         if (typeof request.name !== 'string') {
             request.name = null;
         }
+        // Notes, tags and finding survive imports (HAR, Burp) like the name does
+        request.notes = normalizeNotes(request.notes);
+        request.tags = normalizeTags(request.tags);
+        request.finding = normalizeFinding(request.finding);
+        if (!request.id) {
+            request.id = createRequestId();
+        }
         
         // Check for duplicates if enabled (default: true)
         const removeDuplicatesEnabled = localStorage.getItem('rep_remove_duplicates') !== 'false';
-        if (removeDuplicatesEnabled && this.isDuplicate(request, state.requests)) {
+        if (removeDuplicatesEnabled && this.isDuplicate(request)) {
             // Skip adding duplicate
             return null;
         }
         
         state.requests.push(request);
+        trackSignature(request);
         const index = state.requests.length - 1;
         
         // Emit event automatically
@@ -221,11 +258,14 @@ export const requestActions = {
      */
     clearAll() {
         state.requests = [];
+        state.requestSignatures.clear();
         state.selectedRequest = null;
         state.requestHistory = [];
         state.historyIndex = -1;
         state.regularRequestBaseline = null;
         state.currentResponse = null;
+        state.currentResponseBody = null;
+        state.requestBinaryBody = null;
         state.timelineFilterTimestamp = null;
         state.timelineFilterRequestIndex = null;
         state.attackSurfaceCategories = {};
@@ -316,6 +356,25 @@ export const requestActions = {
         }
     },
     
+    /**
+     * Set the notes, tags and finding flag of a request
+     * @param {number} index - Index of the request
+     * @param {Object} metadata
+     * @param {string|null} metadata.notes - Markdown
+     * @param {Array<string>|string} metadata.tags
+     * @param {string|null} metadata.finding - Severity, null to clear the flag
+     */
+    setMetadata(index, { notes, tags, finding }) {
+        const request = state.requests[index];
+        if (!request) return;
+        request.notes = normalizeNotes(notes);
+        request.tags = normalizeTags(tags);
+        request.finding = normalizeFinding(finding);
+
+        // Emit event
+        events.emit(EVENT_NAMES.REQUEST_METADATA_CHANGED, { index, request });
+    },
+    
     /**
      * Delete a request
      * @param {number} index - Index of the request to delete
@@ -324,6 +383,7 @@ export const requestActions = {
         if (index >= 0 && index < state.requests.length) {
             const request = state.requests[index];
             state.requests.splice(index, 1);
+            untrackSignature(request);
             
             // If deleted request was selected, clear selection
             if (state.selectedRequest === request) {
@@ -365,6 +425,7 @@ export const requestActions = {
         
         // Remove requests in reverse order to maintain correct indices
         requestsToRemove.reverse().forEach(index => {
+            untrackSignature(state.requests[index]);
             state.requests.splice(index, 1);
         });
         
@@ -496,6 +557,18 @@ export const filterActions = {
         events.emit(EVENT_NAMES.UI_UPDATE_REQUEST_LIST);
     },
     
+    /**
+     * Set tag filter
+     * @param {string} tag - Tag to filter by, or 'all'
+     */
+    setTagFilter(tag) {
+        state.currentTagFilter = tag;
+        
+        // Emit events
+        events.emit(EVENT_NAMES.STATE_FILTER_CHANGED, { tag });
+        events.emit(EVENT_NAMES.UI_UPDATE_REQUEST_LIST);
+    },
+    
     /**
      * Set color filter
      * @param {string} color - Color to filter by, or 'all'
@@ -611,6 +684,9 @@ export const timelineActions = {
     }
 };
 
+// Sends kept per working copy (oldest dropped first)
+const MAX_SEND_HISTORY = 50;
+
 // History Actions
 export const historyActions = {
     /**
@@ -640,6 +716,23 @@ export const historyActions = {
         events.emit(EVENT_NAMES.UI_UPDATE_HISTORY_BUTTONS);
     },
     
+    /**
+     * Record a send of the working copy with what it returned
+     * @param {Object} record - { rawText, useHttps, status, statusText, response, bodyBase64, size, duration, error }
+     * @returns {Object} The stored record, numbered from 1 per working copy
+     */
+    recordSend(record) {
+        const last = state.sendHistory[state.sendHistory.length - 1];
+        const stored = { ...record, number: last ? last.number + 1 : 1, sentAt: record.sentAt || Date.now() };
+        state.sendHistory.push(stored);
+        if (state.sendHistory.length > MAX_SEND_HISTORY) {
+            state.sendHistory.splice(0, state.sendHistory.length - MAX_SEND_HISTORY);
+        }
+
+        events.emit(EVENT_NAMES.HISTORY_UPDATED);
+        return stored;
+    },
+
     /**
      * Navigate history backward
      */
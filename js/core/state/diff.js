@@ -1,6 +1,7 @@
 // Diff State Management
 export const diffState = {
     regularRequestBaseline: null,
-    currentResponse: null
+    currentResponse: null,
+    currentResponseBody: null // Uint8Array: body of currentResponse as received (null when only the text is known)
 };
 
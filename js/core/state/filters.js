@@ -4,6 +4,7 @@ export const filterState = {
     selectedMethods: new Set(), // Set of selected HTTP methods (e.g., ['GET', 'POST'])
     starFilterActive: false, // Whether star filter is active
     currentColorFilter: 'all', // all, red, green, blue, etc.
+    currentTagFilter: 'all', // all, or one user-defined tag
     currentSearchTerm: '',
     useRegex: false
 };
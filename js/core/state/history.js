@@ -1,6 +1,8 @@
 // Request History State Management
 export const historyState = {
     requestHistory: [],
-    historyIndex: -1
+    historyIndex: -1,
+    // Sends of the working copy in the editor, with what each returned
+    sendHistory: []
 };
 
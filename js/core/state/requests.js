@@ -1,6 +1,10 @@
 // Request State Management
 export const requestState = {
     requests: [],
-    selectedRequest: null
+    // Duplicate-check signature -> number of requests in `requests` with it
+    requestSignatures: new Map(),
+    selectedRequest: null,
+    // Body edited in the hex view ({ bytes, text }); sent while the editor body is still `text`
+    requestBinaryBody: null
 };
 
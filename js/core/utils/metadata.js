@@ -0,0 +1,47 @@
+// Request metadata utilities - Notes, tags and finding flags on captured requests
+
+// Finding severities, lowest first
+export const FINDING_SEVERITIES = ['info', 'low', 'medium', 'high', 'critical'];
+
+const MAX_TAG_LENGTH = 40;
+
+/**
+ * Clean a list of tags: lowercase, spaces as dashes, no duplicates
+ * @param {Array<string>|string} tags - Array, or comma-separated text as typed
+ * @returns {Array<string>}
+ */
+export function normalizeTags(tags) {
+    const list = typeof tags === 'string' ? tags.split(',') : (Array.isArray(tags) ? tags : []);
+    const normalized = list
+        .map(tag => String(tag ?? '').trim().toLowerCase().replace(/\s+/g, '-').slice(0, MAX_TAG_LENGTH))
+        .filter(Boolean);
+    return Array.from(new Set(normalized));
+}
+
+/**
+ * @param {*} severity
+ * @returns {string|null} One of FINDING_SEVERITIES, null when the request is not flagged
+ */
+export function normalizeFinding(severity) {
+    const value = typeof severity === 'string' ? severity.trim().toLowerCase() : '';
+    return FINDING_SEVERITIES.includes(value) ? value : null;
+}
+
+/**
+ * @param {*} notes
+ * @returns {string|null} Markdown notes, null when empty
+ */
+export function normalizeNotes(notes) {
+    return typeof notes === 'string' && notes.trim() ? notes : null;
+}
+
+/**
+ * Every tag used by a set of requests, sorted
+ * @param {Array<Object>} requests
+ * @returns {Array<string>}
+ */
+export function collectTags(requests) {
+    const tags = new Set();
+    requests.forEach(request => (request && request.tags || []).forEach(tag => tags.add(tag)));
+    return Array.from(tags).sort();
+}
@@ -0,0 +1,471 @@
+// Query utilities - Structured filter queries for the request list
+// A query is a list of terms, ANDed unless joined by OR, grouped with parentheses
+// and negated with a leading "-" or NOT:
+//   status:4xx host:*.api.example.com size>10kb (method:POST OR method:PUT) -host:google-analytics.com
+// Terms without a field match the URL, method, host, headers, body and name, like the plain search.
+import { getHostname } from './network.js';
+import { FINDING_SEVERITIES } from './metadata.js';
+import { globToRegExp } from '../../network/capture-rules.js';
+
+const SIZE_UNITS = { b: 1, k: 1024, kb: 1024, m: 1024 * 1024, mb: 1024 * 1024, g: 1024 * 1024 * 1024, gb: 1024 * 1024 * 1024 };
+const TIME_UNITS = { ms: 1, s: 1000 };
+const HAS_VALUES = ['body', 'notes', 'tags', 'finding'];
+
+/**
+ * Fields a term can filter on. kind decides which operators and values are valid.
+ */
+export const QUERY_FIELDS = {
+    status: { kind: 'status', description: 'Response status: 404, 4xx, >=500', examples: ['2xx', '3xx', '4xx', '5xx', '>=400'] },
+    method: { kind: 'text', description: 'Request method' },
+    host: { kind: 'host', description: 'Host and its subdomains; * is a wildcard' },
+    url: { kind: 'text', description: 'Anywhere in the URL; * is a wildcard' },
+    path: { kind: 'text', description: 'Path and query string; * is a wildcard' },
+    mime: { kind: 'text', description: 'Response content type' },
+    size: { kind: 'size', description: 'Response body size: >10kb, <1mb', examples: ['>1kb', '>10kb', '>1mb', '<1kb'] },
+    time: { kind: 'time', description: 'Total time: >500ms, >2s', examples: ['>200ms', '>500ms', '>1s', '>5s'] },
+    has: { kind: 'has', description: 'A request header (cookie, authorization…), or body, notes, tags, finding' },
+    header: { kind: 'text', description: 'A request header line, e.g. header:authorization or header:"x-api-key: 1"' },
+    body: { kind: 'text', description: 'Request body' },
+    response: { kind: 'text', description: 'Response body' },
+    tag: { kind: 'tag', description: 'One of your tags' },
+    finding: { kind: 'finding', description: 'Finding severity: high, >=medium', examples: FINDING_SEVERITIES }
+};
+
+export const QUERY_KEYWORDS = ['AND', 'OR', 'NOT'];
+
+class QueryError extends Error {
+    constructor(message, start, end) {
+        super(message);
+        this.start = start;
+        this.end = end;
+    }
+}
+
+// Fields read from captured requests, built once: captured requests don't change
+// (names, tags and findings are read live)
+const requestFields = new WeakMap();
+
+function findHeader(headers, name) {
+    const header = (headers || []).find(h => h.name.toLowerCase() === name);
+    return header ? header.value : '';
+}
+
+/**
+ * Searchable fields of a captured request
+ * @param {Object} request - Entry from state.requests
+ * @returns {Object}
+ */
+export function getRequestFields(request) {
+    let fields = requestFields.get(request);
+    if (fields) return fields;
+
+    const url = request.request.url;
+    let path = url;
+    try {
+        const parsed = new URL(url);
+        path = parsed.pathname + parsed.search;
+    } catch (e) {
+        // Keep the raw URL
+    }
+
+    let headers = '';
+    const headerNames = new Set();
+    (request.request.headers || []).forEach(header => {
+        headers += `${header.name}: ${header.value} `;
+        headerNames.add(header.name.toLowerCase());
+    });
+    const body = (request.request.postData && request.request.postData.text) || '';
+
+    const response = request.response || {};
+    const content = response.content || {};
+    const status = Number(response.status ?? request.responseStatus);
+    let size = null;
+    if (content.size > 0) size = content.size;
+    else if (response.bodySize >= 0) size = response.bodySize;
+    else if (typeof request.responseBody === 'string') size = request.responseBody.length;
+
+    fields = {
+        url,
+        urlLower: url.toLowerCase(),
+        path: path.toLowerCase(),
+        method: request.request.method.toUpperCase(),
+        host: getHostname(url).toLowerCase(),
+        headers,
+        headersLower: headers.toLowerCase(),
+        headerNames,
+        body,
+        bodyLower: body.toLowerCase(),
+        mime: (content.mimeType || findHeader(response.headers || request.responseHeaders, 'content-type')).toLowerCase(),
+        status: status > 0 ? status : null,
+        size,
+        time: typeof request.time === 'number' && request.time >= 0 ? request.time : null,
+        responseLower: null // Lowered on first use, response bodies can be large
+    };
+    requestFields.set(request, fields);
+    return fields;
+}
+
+function responseText(request, fields) {
+    if (fields.responseLower === null) {
+        fields.responseLower = typeof request.responseBody === 'string' ? request.responseBody.toLowerCase() : '';
+    }
+    return fields.responseLower;
+}
+
+// Values are compared lowercase; a * makes the value a wildcard over the whole field
+function textMatcher(value) {
+    const needle = value.toLowerCase();
+    if (needle.includes('*')) {
+        const regex = globToRegExp(needle);
+        return text => regex.test(text);
+    }
+    return text => text.includes(needle);
+}
+
+function compare(op, actual, expected) {
+    if (actual === null) return false;
+    switch (op) {
+        case '>': return actual > expected;
+        case '>=': return actual >= expected;
+        case '<': return actual < expected;
+        case '<=': return actual <= expected;
+        default: return actual === expected;
+    }
+}
+
+function parseAmount(value, units, defaultUnit) {
+    const match = /^(\d+(?:\.\d+)?)([a-z]*)$/i.exec(value);
+    if (!match) return null;
+    const unit = (match[2] || defaultUnit).toLowerCase();
+    return units[unit] ? parseFloat(match[1]) * units[unit] : null;
+}
+
+/**
+ * Build the test of a field term
+ * @returns {Function} (request, fields) => boolean
+ * @throws {QueryError} When the value is not valid for the field
+ */
+function compileTerm(field, op, value) {
+    const { kind } = QUERY_FIELDS[field];
+    const comparison = op !== ':';
+    if (comparison && !['status', 'size', 'time', 'finding'].includes(kind)) {
+        throw new QueryError(`${field} does not support ${op}, use ${field}:value`);
+    }
+
+    switch (kind) {
+        case 'status': {
+            if (!comparison && /^[1-5][0-9x]{2}$/i.test(value)) {
+                const pattern = new RegExp(`^${value.toLowerCase().replace(/x/g, '\\d')}$`);
+                return (request, fields) => fields.status !== null && pattern.test(String(fields.status));
+            }
+            if (!/^\d{3}$/.test(value)) throw new QueryError(`Invalid status "${value}", use e.g. 404, 4xx or >=500`);
+            const status = parseInt(value, 10);
+            return (request, fields) => compare(op, fields.status, status);
+        }
+        case 'size': {
+            const bytes = parseAmount(value, SIZE_UNITS, 'b');
+            if (bytes === null) throw new QueryError(`Invalid size "${value}", use e.g. 500b, 10kb or 1.5mb`);
+            return (request, fields) => compare(op, fields.size, bytes);
+        }
+        case 'time': {
+            const ms = parseAmount(value, TIME_UNITS, 'ms');
+            if (ms === null) throw new QueryError(`Invalid time "${value}", use e.g. 500ms or 2s`);
+            return (request, fields) => compare(op, fields.time, ms);
+        }
+        case 'finding': {
+            const rank = FINDING_SEVERITIES.indexOf(value.toLowerCase());
+            if (rank === -1) throw new QueryError(`Invalid severity "${value}", use one of ${FINDING_SEVERITIES.join(', ')}`);
+            return (request) => compare(op, request.finding ? FINDING_SEVERITIES.indexOf(request.finding) : null, rank);
+        }
+        case 'host': {
+            const host = value.toLowerCase();
+            if (host.includes('*')) {
+                const regex = globToRegExp(host);
+                return (request, fields) => regex.test(fields.host);
+            }
+            return (request, fields) => fields.host === host || fields.host.endsWith(`.${host}`);
+        }
+        case 'has': {
+            const name = value.toLowerCase();
+            if (name === 'body') return (request, fields) => fields.body !== '';
+            if (name === 'notes') return (request) => Boolean(request.notes);
+            if (name === 'tags') return (request) => Boolean(request.tags && request.tags.length);
+            if (name === 'finding') return (request) => Boolean(request.finding);
+            return (request, fields) => fields.headerNames.has(name);
+        }
+        case 'tag': {
+            const matches = textMatcher(value);
+            const tag = value.toLowerCase();
+            return value.includes('*')
+                ? (request) => (request.tags || []).some(matches)
+                : (request) => (request.tags || []).includes(tag);
+        }
+        default: {
+            const matches = textMatcher(value);
+            switch (field) {
+                case 'method': {
+                    const method = value.toUpperCase();
+                    return (request, fields) => fields.method === method;
+                }
+                case 'url': return (request, fields) => matches(fields.urlLower);
+                case 'path': return (request, fields) => matches(fields.path);
+                case 'mime': return (request, fields) => matches(fields.mime);
+                case 'header': return (request, fields) => matches(fields.headersLower);
+                case 'body': return (request, fields) => matches(fields.bodyLower);
+                default: return (request, fields) => matches(responseText(request, fields));
+            }
+        }
+    }
+}
+
+function textTerm(value) {
+    const needle = value.toLowerCase();
+    const method = value.toUpperCase();
+    return (request, fields) => {
+        const name = typeof request.name === 'string' ? request.name.toLowerCase() : '';
+        return fields.urlLower.includes(needle) ||
+            fields.method.includes(method) ||
+            fields.host.includes(needle) ||
+            fields.headersLower.includes(needle) ||
+            fields.bodyLower.includes(needle) ||
+            name.includes(needle);
+    };
+}
+
+function unquote(raw) {
+    return raw.replace(/"((?:[^"\\]|\\.)*)"/g, (match, inner) => inner.replace(/\\(.)/g, '$1'));
+}
+
+/**
+ * Split a query into parentheses, operators and terms
+ * @returns {Array<Object>} { type: '(' | ')' | 'and' | 'or' | 'not' | 'term', start, end, ... }
+ */
+function tokenize(text) {
+    const tokens = [];
+    let i = 0;
+    while (i < text.length) {
+        const char = text[i];
+        if (/\s/.test(char)) {
+            i++;
+            continue;
+        }
+        if (char === '(' || char === ')') {
+            tokens.push({ type: char, start: i, end: i + 1 });
+            i++;
+            continue;
+        }
+        if (char === '-' && i + 1 < text.length && !/[\s)]/.test(text[i + 1])) {
+            tokens.push({ type: 'not', start: i, end: i + 1 });
+            i++;
+            continue;
+        }
+
+        // A word runs to the next space or parenthesis outside quotes
+        const start = i;
+        while (i < text.length && !/[\s()]/.test(text[i])) {
+            if (text[i] === '"') {
+                const quoteStart = i;
+                i++;
+                while (i < text.length && text[i] !== '"') i += text[i] === '\\' ? 2 : 1;
+                if (i >= text.length) throw new QueryError('Missing closing quote', quoteStart, text.length);
+            }
+            i++;
+        }
+        tokens.push(wordToken(text.slice(start, i), start, i));
+    }
+    return tokens;
+}
+
+function wordToken(raw, start, end) {
+    const keyword = raw.toUpperCase();
+    if (keyword === 'AND' || keyword === 'OR' || keyword === 'NOT') {
+        return { type: keyword.toLowerCase(), start, end };
+    }
+
+    const match = /^([a-z][\w-]*)(:?(?:>=|<=|>|<)|:|=)(.*)$/i.exec(raw);
+    // "https://..." is a URL to search for, not a field
+    if (!match || (match[2] === ':' && match[3].startsWith('//'))) {
+        const value = unquote(raw);
+        if (value === '') throw new QueryError('Empty search term', start, end);
+        return { type: 'term', field: null, op: ':', value, test: textTerm(value), start, end };
+    }
+
+    const field = match[1].toLowerCase();
+    if (!QUERY_FIELDS[field]) {
+        throw new QueryError(`Unknown field "${match[1]}" (quote the text to search for it)`, start, start + match[1].length);
+    }
+    const op = match[2] === '=' ? ':' : match[2].replace(':', '') || ':';
+    const value = unquote(match[3]);
+    if (value === '') throw new QueryError(`${field}${match[2]} needs a value`, start, end);
+    try {
+        return { type: 'term', field, op, value, test: compileTerm(field, op, value), start, end };
+    } catch (error) {
+        if (error instanceof QueryError) {
+            error.start = start;
+            error.end = end;
+        }
+        throw error;
+    }
+}
+
+// query := or; or := and (OR and)*; and := unary (AND? unary)*; unary := NOT unary | ( or ) | term
+class Parser {
+    constructor(tokens, length) {
+        this.tokens = tokens;
+        this.length = length;
+        this.position = 0;
+    }
+
+    peek() {
+        return this.tokens[this.position];
+    }
+
+    parseOr() {
+        const nodes = [this.parseAnd()];
+        while (this.peek() && this.peek().type === 'or') {
+            this.position++;
+            nodes.push(this.parseAnd());
+        }
+        return nodes.length === 1 ? nodes[0] : { type: 'or', nodes };
+    }
+
+    parseAnd() {
+        const nodes = [this.parseUnary()];
+        for (let token = this.peek(); token && token.type !== 'or' && token.type !== ')'; token = this.peek()) {
+            if (token.type === 'and') this.position++;
+            nodes.push(this.parseUnary());
+        }
+        return nodes.length === 1 ? nodes[0] : { type: 'and', nodes };
+    }
+
+    parseUnary() {
+        const token = this.peek();
+        if (!token) {
+            const previous = this.tokens[this.position - 1];
+            throw new QueryError(`Expected a filter after ${previous.type.toUpperCase()}`, previous.start, this.length);
+        }
+        this.position++;
+        switch (token.type) {
+            case 'not':
+                return { type: 'not', node: this.parseUnary() };
+            case '(': {
+                const node = this.parseOr();
+                const close = this.peek();
+                if (!close || close.type !== ')') throw new QueryError('Missing closing parenthesis', token.start, this.length);
+                this.position++;
+                return node;
+            }
+            case 'term':
+                return token;
+            default:
+                throw new QueryError(`Unexpected ${token.type === ')' ? '")"' : token.type.toUpperCase()}`, token.start, token.end);
+        }
+    }
+}
+
+/**
+ * Parse a filter query
+ * @param {string} text
+ * @returns {{ast: Object|null, error: {message: string, start: number, end: number}|null}}
+ *   ast is null for an empty query (everything matches) or an invalid one
+ */
+export function parseQuery(text) {
+    try {
+        const tokens = tokenize(text || '');
+        if (tokens.length === 0) return { ast: null, error: null };
+        const parser = new Parser(tokens, text.length);
+        const ast = parser.parseOr();
+        const extra = parser.peek();
+        if (extra) throw new QueryError('Unexpected ")"', extra.start, extra.end);
+        return { ast, error: null };
+    } catch (error) {
+        if (!(error instanceof QueryError)) throw error;
+        return { ast: null, error: { message: error.message, start: error.start, end: error.end } };
+    }
+}
+
+/**
+ * Test a request against a parsed query
+ * @param {Object|null} ast - From parseQuery; null matches everything
+ * @param {Object} request - Entry from state.requests
+ * @returns {boolean}
+ */
+export function matchesQuery(ast, request) {
+    if (!ast) return true;
+    switch (ast.type) {
+        case 'and': return ast.nodes.every(node => matchesQuery(node, request));
+        case 'or': return ast.nodes.some(node => matchesQuery(node, request));
+        case 'not': return !matchesQuery(ast.node, request);
+        default: return ast.test(request, getRequestFields(request));
+    }
+}
+
+function countValues(requests, read) {
+    const counts = new Map();
+    requests.forEach(request => {
+        [].concat(read(request, getRequestFields(request))).forEach(value => {
+            if (value !== null && value !== undefined && value !== '') counts.set(value, (counts.get(value) || 0) + 1);
+        });
+    });
+    return Array.from(counts.entries()).sort((a, b) => b[1] - a[1]).map(([value]) => String(value));
+}
+
+// Values worth suggesting for a field, most common first
+function fieldValues(field, requests) {
+    switch (field) {
+        case 'status': return [...QUERY_FIELDS.status.examples, ...countValues(requests, (r, f) => f.status)];
+        case 'method': return countValues(requests, (r, f) => f.method);
+        case 'host': return countValues(requests, (r, f) => f.host);
+        case 'mime': return countValues(requests, (r, f) => f.mime.split(';')[0].trim());
+        case 'has': return [...HAS_VALUES, ...countValues(requests, (r, f) => Array.from(f.headerNames))];
+        case 'header': return countValues(requests, (r, f) => Array.from(f.headerNames));
+        case 'tag': return countValues(requests, r => r.tags || []);
+        default: return QUERY_FIELDS[field].examples || [];
+    }
+}
+
+function quoteValue(value) {
+    return /[\s()"]/.test(value) ? `"${value.replace(/["\\]/g, '\\$&')}"` : value;
+}
+
+/**
+ * Autocomplete the word at the cursor
+ * @param {string} text
+ * @param {number} cursor
+ * @param {Array<Object>} requests - Captured requests to take values from
+ * @param {number} [limit=12]
+ * @returns {{start: number, end: number, items: Array<{label: string, insert: string, detail: string}>}}
+ *   Replacing text.slice(start, end) with an item's insert applies it
+ */
+export function suggestQuery(text, cursor, requests, limit = 12) {
+    let start = cursor;
+    while (start > 0 && !/[\s()]/.test(text[start - 1])) start--;
+    let end = cursor;
+    while (end < text.length && !/[\s()]/.test(text[end])) end++;
+    if (text[start] === '-') start++;
+
+    const word = text.slice(start, cursor);
+    const match = /^([a-z][\w-]*)(:?(?:>=|<=|>|<)|:|=)(.*)$/i.exec(word);
+    let items;
+    if (match && QUERY_FIELDS[match[1].toLowerCase()]) {
+        const field = match[1].toLowerCase();
+        const prefix = `${field}${match[2]}`;
+        const partial = match[3].replace(/"/g, '').toLowerCase();
+        items = Array.from(new Set(fieldValues(field, requests)))
+            .filter(value => value.toLowerCase().includes(partial) && value.toLowerCase() !== partial)
+            .map(value => ({ label: `${prefix}${value}`, insert: `${prefix}${quoteValue(value)} `, detail: '' }));
+    } else if (!match) {
+        const partial = word.toLowerCase();
+        items = Object.entries(QUERY_FIELDS)
+            .filter(([name]) => name.startsWith(partial))
+            .map(([name, { description }]) => ({ label: `${name}:`, insert: `${name}:`, detail: description }));
+        if (partial) {
+            QUERY_KEYWORDS
+                .filter(keyword => keyword.toLowerCase().startsWith(partial) && keyword.toLowerCase() !== partial)
+                .forEach(keyword => items.push({ label: keyword, insert: `${keyword} `, detail: '' }));
+        }
+    } else {
+        items = [];
+    }
+    return { start, end, items: items.slice(0, limit) };
+}
@@ -0,0 +1,36 @@
+// Storage utilities - Project-scoped localStorage keys
+
+export const DEFAULT_PROJECT_ID = 'default';
+export const ACTIVE_PROJECT_KEY = 'rep_active_project';
+
+/**
+ * localStorage keys whose values belong to a project rather than to the browser
+ * (copied into project archives and swapped when switching projects)
+ */
+export const PROJECT_SCOPED_KEYS = [
+    'rep_auth_analyzer_sessions',
+    'rep_auth_analyzer_config',
+    'repPlusAttackSurfaceCache',
+    'rep_extractor_results',
+    'rep_target_scope',
+    'rep_cookie_jars'
+];
+
+/**
+ * Get the id of the active project
+ * @returns {string}
+ */
+export function getActiveProjectId() {
+    return localStorage.getItem(ACTIVE_PROJECT_KEY) || DEFAULT_PROJECT_ID;
+}
+
+/**
+ * Resolve a localStorage key for a project.
+ * The default project keeps the bare key so data saved before projects existed still loads.
+ * @param {string} key - Base key
+ * @param {string} [projectId] - Defaults to the active project
+ * @returns {string}
+ */
+export function projectStorageKey(key, projectId = getActiveProjectId()) {
+    return projectId === DEFAULT_PROJECT_ID ? key : `${key}::${projectId}`;
+}
@@ -2,6 +2,7 @@
 // Categorizes requests by attack surface using LLM
 
 import { streamExplanationWithSystem, getAISettings } from '../ai/index.js';
+import { projectStorageKey } from '../../core/utils/storage.js';
 
 /**
  * Build analysis prompt for LLM
@@ -231,7 +232,7 @@ Be precise and consistent. Output ONLY valid JSON.`;
  */
 export function cacheCategories(categories) {
     try {
-        localStorage.setItem('repPlusAttackSurfaceCache', JSON.stringify(categories));
+        localStorage.setItem(projectStorageKey('repPlusAttackSurfaceCache'), JSON.stringify(categories));
     } catch (error) {
         console.error('Failed to cache categories:', error);
     }
@@ -243,7 +244,7 @@ export function cacheCategories(categories) {
  */
 export function loadCachedCategories() {
     try {
-        const cached = localStorage.getItem('repPlusAttackSurfaceCache');
+        const cached = localStorage.getItem(projectStorageKey('repPlusAttackSurfaceCache'));
         return cached ? JSON.parse(cached) : {};
     } catch (error) {
         console.error('Failed to load cached categories:', error);
@@ -255,5 +256,5 @@ export function loadCachedCategories() {
  * Clear category cache
  */
 export function clearCategoryCache() {
-    localStorage.removeItem('repPlusAttackSurfaceCache');
+    localStorage.removeItem(projectStorageKey('repPlusAttackSurfaceCache'));
 }
@@ -7,7 +7,7 @@
 export class ResponseComparator {
     /**
      * Compare two responses
-     * @returns 'SAME', 'SIMILAR', or 'DIFFERENT'
+     * @returns 'SAME', 'SIMILAR', 'DIFFERENT', or 'TIMEOUT'/'ERROR' when the replay got no response
      */
     compare(originalResponse, replayedResponse) {
         console.log('[Comparator] ===== STARTING COMPARISON =====');
@@ -18,6 +18,10 @@ export class ResponseComparator {
         const statusMatch = originalResponse.status === replayedResponse.status;
 
         // Handle error responses
+        if (replayedResponse.timedOut) {
+            console.log('[Comparator] Replayed request timed out, returning TIMEOUT');
+            return 'TIMEOUT';
+        }
         if (replayedResponse.error) {
             console.log('[Comparator] Replayed response has error, returning ERROR');
             return 'ERROR';
@@ -128,12 +132,12 @@ export class ResponseComparator {
         const result = this.compare(originalResponse, replayedResponse);
 
         // Error responses are not bypasses
-        if (result === 'ERROR') {
+        if (result === 'ERROR' || result === 'TIMEOUT') {
             return {
                 bypass: false,
                 severity: 'NONE',
                 result,
-                message: 'Request failed'
+                message: result === 'TIMEOUT' ? 'Request timed out' : 'Request failed'
             };
         }
 
@@ -122,6 +122,8 @@ function getComparisonMessage(comparison) {
             return '⚠️ Responses are similar - manual review recommended';
         case 'DIFFERENT':
             return '✓ Responses are different - authorization appears to be enforced';
+        case 'TIMEOUT':
+            return '⏱ The swapped request timed out - nothing to compare';
         default:
             return '';
     }
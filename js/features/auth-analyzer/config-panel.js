@@ -11,7 +11,6 @@ export class AuthAnalyzerConfigPanel {
 
         // Realtime controls
         this.realtimeToggle = document.getElementById('auth-realtime-toggle');
-        this.realtimeScope = document.getElementById('auth-realtime-scope');
 
         this.statusText = document.getElementById('auth-config-status-text');
         this.statusDiv = document.getElementById('auth-config-status');
@@ -59,18 +58,13 @@ export class AuthAnalyzerConfigPanel {
     show() {
         if (!this.panel) return;
 
-        // Load current config
-        if (this.authAnalyzer.config.swapCookie) {
-            this.headerInput.value = this.authAnalyzer.config.swapCookie;
-        }
+        // Load current config (config may belong to a different project than last time)
+        this.headerInput.value = this.authAnalyzer.config.swapCookie || '';
 
         // Load realtime settings
         if (this.realtimeToggle) {
             this.realtimeToggle.checked = this.authAnalyzer.config.enabledRealtime !== false; // Default true
         }
-        if (this.realtimeScope && this.authAnalyzer.config.realtimeScope) {
-            this.realtimeScope.value = this.authAnalyzer.config.realtimeScope;
-        }
 
         this.updateStatus();
         this.panel.classList.add('visible');
@@ -128,12 +122,10 @@ export class AuthAnalyzerConfigPanel {
 
         // Get realtime settings
         const enabledRealtime = this.realtimeToggle ? this.realtimeToggle.checked : true;
-        const realtimeScope = this.realtimeScope ? this.realtimeScope.value.trim() : '';
 
         // Save config
         this.authAnalyzer.config.swapCookie = headerValue;
         this.authAnalyzer.config.enabledRealtime = enabledRealtime;
-        this.authAnalyzer.config.realtimeScope = realtimeScope;
 
         this.authAnalyzer.start(); // This saves the config and enables it
 
@@ -7,6 +7,8 @@ import { RequestReplayer } from './replayer.js';
 import { ResponseComparator } from './comparator.js';
 import { AuthAnalyzerStorage } from './storage.js';
 import { events, EVENT_NAMES } from '../../core/events.js';
+import { isInScope, addScopeEntry } from '../../network/scope.js';
+import { setHeader } from '../../network/raw-request.js';
 
 /**
  * Main Auth Analyzer controller
@@ -21,6 +23,7 @@ export class AuthAnalyzer {
 
         this.enabled = false;
         this.config = this.storage.loadConfig();
+        this.migrateRealtimeScope();
         this.results = []; // Array of test results
 
         // Load saved sessions
@@ -73,24 +76,11 @@ export class AuthAnalyzer {
                 return;
             }
 
-            // Check Scope
-            if (this.config.realtimeScope && this.config.realtimeScope.trim() !== '') {
-                const url = request.url || request.request?.url || '';
-                const scope = this.config.realtimeScope.trim();
-                try {
-                    // Try regex first
-                    const regex = new RegExp(scope, 'i');
-                    if (!regex.test(url)) {
-                        console.log('[Auth Analyzer] Skipped - URL does not match scope:', scope);
-                        return;
-                    }
-                } catch (e) {
-                    // Fallback to simple string includes
-                    if (!url.toLowerCase().includes(scope.toLowerCase())) {
-                        console.log('[Auth Analyzer] Skipped - URL does not match scope string:', scope);
-                        return;
-                    }
-                }
+            // Check the project's target scope
+            const url = request.url || request.request?.url || '';
+            if (!isInScope(url)) {
+                console.log('[Auth Analyzer] Skipped - URL is out of scope:', url);
+                return;
             }
         }
 
@@ -132,27 +122,25 @@ export class AuthAnalyzer {
             requestBody = null; // Don't send objects
         }
 
-        // Get headers in the correct format
-        let requestHeaders = {};
+        // Get headers as an ordered list (duplicates, casing and empty values kept)
+        let requestHeaders = [];
         const rawHeaders = request.headers || request.request?.headers;
 
         if (Array.isArray(rawHeaders)) {
             // Headers are in HAR format: [{name: "Host", value: "example.com"}, ...]
-            rawHeaders.forEach(header => {
-                if (header.name && header.value) {
-                    requestHeaders[header.name] = header.value;
-                }
-            });
-        } else if (typeof rawHeaders === 'object') {
-            // Headers are already in object format
-            requestHeaders = { ...rawHeaders };
+            requestHeaders = rawHeaders
+                .filter(header => header.name && !header.name.startsWith(':'))
+                .map(header => ({ name: header.name, value: header.value ?? '' }));
+        } else if (rawHeaders && typeof rawHeaders === 'object') {
+            // Headers are in object format
+            requestHeaders = Object.entries(rawHeaders).map(([name, value]) => ({ name, value }));
         }
 
         // Clone request with swapped cookie
         const swappedRequest = {
             url: request.url || request.request?.url,
             method: request.method || request.request?.method,
-            headers: { ...requestHeaders, 'Cookie': this.config.swapCookie },
+            headers: setHeader(requestHeaders, 'Cookie', this.config.swapCookie),
             body: requestBody
         };
 
@@ -362,6 +350,38 @@ export class AuthAnalyzer {
         this.sessionManager.fromJSON(data);
     }
 
+    /**
+     * Move the old realtime scope string into the project's target scope
+     */
+    migrateRealtimeScope() {
+        const legacy = (this.config.realtimeScope || '').trim();
+        if (!legacy) return;
+
+        let regex = legacy;
+        try {
+            new RegExp(legacy);
+        } catch (e) {
+            // Was matched as a plain substring
+            regex = legacy.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+        }
+        addScopeEntry('include', { regex });
+        delete this.config.realtimeScope;
+        this.storage.saveConfig(this.config);
+        console.log('[Auth Analyzer] Moved realtime scope into the target scope:', regex);
+    }
+
+    /**
+     * Reload config and sessions from storage (e.g. after switching projects)
+     */
+    reload() {
+        this.enabled = false;
+        this.config = this.storage.loadConfig();
+        this.migrateRealtimeScope();
+        this.loadSessions();
+        this.clearResults();
+        events.emit('AUTH_ANALYZER_STOPPED');
+    }
+
     /**
      * Clear all results
      */
@@ -421,6 +441,11 @@ export function initAuthAnalyzer() {
         });
 
         console.log('[Auth Analyzer] Event listener registered for NETWORK_RESPONSE_RECEIVED');
+
+        // Sessions and config belong to the active project
+        events.on(EVENT_NAMES.PROJECT_SWITCHED, () => {
+            authAnalyzerInstance.reload();
+        });
     }
 
     return authAnalyzerInstance;
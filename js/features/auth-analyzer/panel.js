@@ -212,7 +212,7 @@ export class AuthAnalyzerPanel {
         }
 
         // Sorting: SAME > SIMILAR > DIFFERENT, then by timestamp (newest first)
-        const severityWeight = { 'SAME': 3, 'SIMILAR': 2, 'DIFFERENT': 1, 'ERROR': 0 };
+        const severityWeight = { 'SAME': 3, 'SIMILAR': 2, 'DIFFERENT': 1, 'TIMEOUT': 0, 'ERROR': 0 };
         const sortedResults = [...this.results].sort((a, b) => {
             const weightA = severityWeight[a.comparison] || 0;
             const weightB = severityWeight[b.comparison] || 0;
@@ -246,12 +246,12 @@ export class AuthAnalyzerPanel {
             const method = req.method || req.request?.method || 'GET';
             const url = req.url || req.request?.url || '';
             const origStatus = req.response?.status || req.responseStatus || '?';
-            const swapStatus = result.swappedResponse?.status || '?';
+            const swapStatus = result.swappedResponse?.timedOut ? 'Timeout' : result.swappedResponse?.status || '?';
             const comp = result.comparison;
 
             const displayUrl = url.length > 50 ? url.substring(0, 50) + '...' : url;
 
-            const colors = { 'SAME': '#f44336', 'SIMILAR': '#ff9800', 'DIFFERENT': '#4caf50' };
+            const colors = { 'SAME': '#f44336', 'SIMILAR': '#ff9800', 'DIFFERENT': '#4caf50', 'TIMEOUT': '#fdd663' };
             const color = colors[comp] || '#999';
 
             const methodColors = { 'GET': '#4caf50', 'POST': '#2196f3', 'PUT': '#ff9800', 'DELETE': '#f44336' }[method] || '#757575';
@@ -298,6 +298,7 @@ export class AuthAnalyzerPanel {
                         <div style="margin-top: 12px; padding: 8px; background: ${color}20; border-radius: 4px; font-size: 11px;">
                             ${comp === 'SAME' ? '⚠️ <strong>Auth Bypass!</strong> Responses identical.' :
                     comp === 'SIMILAR' ? '⚠️ <strong>Review needed.</strong> Responses similar.' :
+                    comp === 'TIMEOUT' ? '⏱ <strong>Timed out.</strong> No response to the swapped request; nothing to compare.' :
                         '✓ Responses different - auth enforced.'}
                         </div>
                     </td>
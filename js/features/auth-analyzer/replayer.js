@@ -3,7 +3,9 @@
 
 import { ParameterExtractor } from './extractor.js';
 import { parseRequest } from '../../network/capture.js';
-import { sendRequest } from '../../network/request-sender.js';
+import { sendRequest, getSelectedTransport, getSendSettings } from '../../network/request-sender.js';
+import { isTimeoutError } from '../../network/send-control.js';
+import { getHeader, setHeader, removeHeader } from '../../network/raw-request.js';
 
 /**
  * Replays HTTP requests with modified sessions
@@ -20,20 +22,20 @@ export class RequestReplayer {
         // Clone the request
         const modifiedRequest = this.cloneRequest(originalRequest);
 
-        // Replace/add headers from session
+        // Replace/add headers from session (replaced headers keep their position)
         for (const [key, value] of Object.entries(session.headers)) {
-            modifiedRequest.headers[key] = value;
+            modifiedRequest.headers = setHeader(modifiedRequest.headers, key, value);
         }
 
         // Remove headers
         for (const headerName of session.headersToRemove) {
-            delete modifiedRequest.headers[headerName];
+            modifiedRequest.headers = removeHeader(modifiedRequest.headers, headerName);
         }
 
         console.log('[Replayer] Modified request headers after session apply:', {
-            hasCookie: !!modifiedRequest.headers['Cookie'],
-            cookiePreview: modifiedRequest.headers['Cookie']?.substring(0, 100),
-            allHeaders: Object.keys(modifiedRequest.headers)
+            hasCookie: getHeader(modifiedRequest.headers, 'Cookie') !== null,
+            cookiePreview: getHeader(modifiedRequest.headers, 'Cookie')?.substring(0, 100),
+            allHeaders: modifiedRequest.headers.map(h => h.name)
         });
 
         // Replace parameters
@@ -60,27 +62,16 @@ export class RequestReplayer {
             // Add Host header
             rawRequest += `Host: ${host}\n`;
 
-            // Add all headers
-            for (const [key, value] of Object.entries(modifiedRequest.headers)) {
-                // Skip null, undefined, or empty headers
-                if (value === null || value === undefined || value === '') {
+            // Add all headers, in order (duplicates and empty values included)
+            for (const { name, value } of modifiedRequest.headers) {
+                // Skip missing values and the Host header (taken from the URL above)
+                if (value === null || value === undefined || name.toLowerCase() === 'host') {
                     continue;
                 }
-                
+
                 // Convert header values to strings if they're objects
-                let headerValue = value;
-                if (typeof value === 'object' && value !== null) {
-                    headerValue = JSON.stringify(value);
-                } else {
-                    headerValue = String(value);
-                }
-                
-                // Final check - skip if converted to "null" or "undefined" or empty
-                if (headerValue === 'null' || headerValue === 'undefined' || !headerValue.trim()) {
-                    continue;
-                }
-                
-                rawRequest += `${key}: ${headerValue}\n`;
+                const headerValue = typeof value === 'object' ? JSON.stringify(value) : String(value);
+                rawRequest += `${name}: ${headerValue}\n`;
             }
 
             // Add empty line to separate headers from body
@@ -103,21 +94,24 @@ export class RequestReplayer {
 
             // Use existing parseRequest and sendRequest infrastructure
             const useHttps = modifiedRequest.url.startsWith('https://');
-            const { url, options } = parseRequest(rawRequest, useHttps);
+            const { url, options, rawHeaders, bodyText } = parseRequest(rawRequest, useHttps);
 
             console.log('[Replayer] Parsed request:', {
                 url,
                 method: options.method,
-                headers: options.headers,
-                hasCookie: !!options.headers['Cookie'],
-                cookiePreview: options.headers['Cookie']?.substring(0, 100)
+                headers: options.headers
             });
 
-            const result = await sendRequest(url, options);
+            // fetch() can't set the swapped Cookie header; the raw (debugger) transport sends it as built
+            const result = await sendRequest(url, options, {
+                transport: getSelectedTransport(), rawHeaders, bodyText, ...getSendSettings()
+            });
 
             // Convert headers from Headers object to array format
-            const responseHeaders = [];
-            if (result.headers && typeof result.headers.entries === 'function') {
+            let responseHeaders = [];
+            if (Array.isArray(result.headers)) {
+                responseHeaders = result.headers.map(h => ({ name: h.name, value: h.value }));
+            } else if (result.headers && typeof result.headers.entries === 'function') {
                 for (const [name, value] of result.headers.entries()) {
                     responseHeaders.push({ name, value });
                 }
@@ -133,26 +127,32 @@ export class RequestReplayer {
             };
         } catch (error) {
             console.error('[Auth Analyzer] Request failed:', error);
+            const timedOut = isTimeoutError(error);
             return {
                 status: 0,
-                statusText: 'Error',
+                statusText: timedOut ? 'Timeout' : 'Error',
                 headers: [],
                 body: error.message,
                 url: modifiedRequest.url,
                 method: modifiedRequest.method,
-                error: true
+                error: true,
+                timedOut
             };
         }
     }
 
     /**
      * Clone a request object
+     * Headers become an ordered [{name, value}] list (header objects are converted).
      */
     cloneRequest(request) {
+        const headers = Array.isArray(request.headers)
+            ? request.headers.map(h => ({ name: h.name, value: h.value }))
+            : Object.entries(request.headers || {}).map(([name, value]) => ({ name, value }));
         return {
             url: request.url,
             method: request.method,
-            headers: { ...request.headers },
+            headers,
             body: request.body
         };
     }
@@ -255,9 +255,10 @@ export class RequestReplayer {
      * Replace in Cookie header
      */
     replaceInCookie(headers, name, value) {
-        if (!headers.Cookie) return headers;
+        const cookieHeader = getHeader(headers, 'Cookie');
+        if (!cookieHeader) return headers;
 
-        const cookies = headers.Cookie.split('; ');
+        const cookies = cookieHeader.split('; ');
         const newCookies = cookies.map(cookie => {
             const [cookieName, cookieValue] = cookie.split('=');
             if (cookieName === name) {
@@ -266,24 +267,23 @@ export class RequestReplayer {
             return cookie;
         });
 
-        headers.Cookie = newCookies.join('; ');
-        return headers;
+        return setHeader(headers, 'Cookie', newCookies.join('; '));
     }
 
     /**
      * Remove from Cookie header
      */
     removeFromCookie(headers, name) {
-        if (!headers.Cookie) return headers;
+        const cookieHeader = getHeader(headers, 'Cookie');
+        if (!cookieHeader) return headers;
 
-        const cookies = headers.Cookie.split('; ');
+        const cookies = cookieHeader.split('; ');
         const newCookies = cookies.filter(cookie => {
             const [cookieName] = cookie.split('=');
             return cookieName !== name;
         });
 
-        headers.Cookie = newCookies.join('; ');
-        return headers;
+        return setHeader(headers, 'Cookie', newCookies.join('; '));
     }
 
     /**
@@ -376,12 +376,9 @@ export class RequestReplayer {
      * Replace in specific header (e.g., Authorization: Bearer {token})
      */
     replaceInHeader(headers, name, value) {
-        // Find header that contains the parameter name as a placeholder
-        for (const [headerName, headerValue] of Object.entries(headers)) {
-            if (headerValue.includes(`{${name}}`)) {
-                headers[headerName] = headerValue.replace(`{${name}}`, value);
-            }
-        }
-        return headers;
+        // Find headers that contain the parameter name as a placeholder
+        return headers.map(h => (typeof h.value === 'string' && h.value.includes(`{${name}}`)
+            ? { name: h.name, value: h.value.replace(`{${name}}`, value) }
+            : h));
     }
 }
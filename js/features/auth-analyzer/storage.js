@@ -1,13 +1,18 @@
 // Storage for Auth Analyzer
 // Saves and loads session configurations
 
+import { projectStorageKey } from '../../core/utils/storage.js';
+
 /**
- * Handles persistence of Auth Analyzer sessions
+ * Handles persistence of Auth Analyzer sessions (scoped to the active project)
  */
 export class AuthAnalyzerStorage {
-    constructor() {
-        this.storageKey = 'rep_auth_analyzer_sessions';
-        this.configKey = 'rep_auth_analyzer_config';
+    get storageKey() {
+        return projectStorageKey('rep_auth_analyzer_sessions');
+    }
+
+    get configKey() {
+        return projectStorageKey('rep_auth_analyzer_config');
     }
 
     /**
@@ -6,6 +6,11 @@ import { formatBytes } from '../../core/utils/format.js';
 import { highlightHTTP } from '../../core/utils/network.js';
 import { renderDiff } from '../../core/utils/misc.js';
 import { escapeHtml } from '../../core/utils/dom.js';
+import { parseRequest } from '../../network/capture.js';
+import { confirmScopeSend } from '../../network/scope.js';
+import { formatRawResponse, prettyPrintResponse } from '../../network/response-parser.js';
+import { sendRequest, getSendSettings, getCredentialMode } from '../../network/request-sender.js';
+import { isTimeoutError, isCancelError } from '../../network/send-control.js';
 
 export function setupBulkReplay() {
     const bulkReplayBtn = document.getElementById('bulk-replay-btn');
@@ -20,6 +25,9 @@ export function setupBulkReplay() {
     const bulkCloseBtn = document.getElementById('bulk-close-btn');
     const verticalResizeHandle = document.querySelector('.vertical-resize-handle');
 
+    // Aborts the request in flight when the attack is closed
+    let bulkAbort = null;
+
     // We use elements.rawRequestInput from ui.js
 
     // Helper to check for payload markers
@@ -240,6 +248,7 @@ export function setupBulkReplay() {
             bulkReplayPane.style.display = 'none';
             verticalResizeHandle.style.display = 'none';
             state.shouldStopBulk = true;
+            if (bulkAbort) bulkAbort.abort();
         });
     }
 
@@ -403,9 +412,20 @@ export function setupBulkReplay() {
             }
         }
 
+        // Warn once for every out-of-scope target the attack would hit
+        const targetUrls = attackRequests.map(({ requestContent }) => {
+            try {
+                return parseRequest(requestContent, document.getElementById('use-https').checked).url;
+            } catch (e) {
+                return null;
+            }
+        }).filter(Boolean);
+        if (!confirmScopeSend(targetUrls)) return;
+
         bulkConfigModal.style.display = 'none';
 
-        let baselineResponse = elements.rawResponseDisplay.textContent || '';
+        // Diff against the response as received, not the pretty-printed view
+        let baselineResponse = state.currentResponse || '';
         if (baselineResponse.trim()) {
             elements.diffToggle.style.display = 'flex';
         }
@@ -415,6 +435,7 @@ export function setupBulkReplay() {
         bulkResultsTable.innerHTML = '';
         state.shouldStopBulk = false;
         state.shouldPauseBulk = false;
+        bulkAbort = new AbortController();
 
         if (bulkStopBtn) {
             bulkStopBtn.dataset.state = 'running';
@@ -428,7 +449,6 @@ export function setupBulkReplay() {
 
         const bulkResults = [];
         const useHttps = document.getElementById('use-https').checked;
-        const scheme = useHttps ? 'https' : 'http';
 
         let completed = 0;
         const total = attackRequests.length;
@@ -470,6 +490,7 @@ export function setupBulkReplay() {
                     if (result.status >= 200 && result.status < 300) elements.resStatus.classList.add('status-2xx');
                     else if (result.status >= 400 && result.status < 500) elements.resStatus.classList.add('status-4xx');
                     else if (result.status >= 500) elements.resStatus.classList.add('status-5xx');
+                    else if (result.status === 'Timeout' || result.status === 'Canceled') elements.resStatus.classList.add('status-timeout');
 
                     elements.resTime.textContent = result.duration;
                     elements.resSize.textContent = formatBytes(result.size);
@@ -477,25 +498,12 @@ export function setupBulkReplay() {
                     if (result.error) {
                         elements.rawResponseDisplay.textContent = result.error;
                     } else {
-                        let rawResponse = `HTTP/1.1 ${result.status} ${result.statusText}\n`;
-                        if (result.headers) {
-                            result.headers.forEach((val, key) => {
-                                rawResponse += `${key}: ${val}\n`;
-                            });
-                        }
-                        rawResponse += '\n';
-
-                        try {
-                            const json = JSON.parse(result.responseBody);
-                            rawResponse += JSON.stringify(json, null, 2);
-                        } catch (e) {
-                            rawResponse += result.responseBody;
-                        }
+                        const rawResponse = formatRawResponse({ ...result, body: result.responseBody });
 
                         if (elements.showDiffCheckbox && elements.showDiffCheckbox.checked && baselineResponse.trim() && typeof Diff !== 'undefined') {
                             elements.rawResponseDisplay.innerHTML = renderDiff(baselineResponse, rawResponse);
                         } else {
-                            elements.rawResponseDisplay.innerHTML = highlightHTTP(rawResponse);
+                            elements.rawResponseDisplay.innerHTML = highlightHTTP(prettyPrintResponse(rawResponse));
                         }
                     }
                 }
@@ -504,85 +512,32 @@ export function setupBulkReplay() {
             const startTime = performance.now();
 
             try {
-                // We duplicate parse logic here or import it. 
-                // Since this is inside the loop and needs to be fast, and slightly different (no UI update), we can keep it or import `parseRequest` from network.js
-                // But `parseRequest` in network.js is designed for the main editor.
-                // Let's just use fetch directly as in original code for now to minimize risk.
-
-                const lines = requestContent.split('\n');
-                if (lines.length === 0) throw new Error('No content');
-
-                const requestLine = lines[0].trim();
-                const reqLineParts = requestLine.split(' ');
-                if (reqLineParts.length < 2) throw new Error('Invalid Request Line');
-
-                const method = reqLineParts[0].toUpperCase();
-                const path = reqLineParts[1];
-
-                let headers = {};
-                let bodyLines = [];
-                let isBody = false;
-                let host = '';
-
-                for (let j = 1; j < lines.length; j++) {
-                    const line = lines[j];
-                    if (!isBody) {
-                        if (line.trim() === '') {
-                            isBody = true;
-                            continue;
-                        }
-                        if (line.trim().startsWith(':')) continue;
-
-                        const colonIndex = line.indexOf(':');
-                        if (colonIndex > 0) {
-                            const key = line.substring(0, colonIndex).trim();
-                            const value = line.substring(colonIndex + 1).trim();
-                            if (key && value) {
-                                if (key.toLowerCase() === 'host') host = value;
-                                else headers[key] = value;
-                            }
-                        }
-                    } else {
-                        bodyLines.push(line);
-                    }
-                }
-
-                if (!host) throw new Error('Host header missing');
-
-                let url = path;
-                if (!path.startsWith('http')) {
-                    url = `${scheme}://${host}${path}`;
-                }
-
-                const body = bodyLines.join('\n');
-
-                const options = {
-                    method: method,
-                    headers: headers
-                };
-
-                if (method !== 'GET' && method !== 'HEAD') {
-                    options.body = body;
-                }
-
-                const response = await fetch(url, options);
+                const { url, options, bodyText, rawHeaders } = parseRequest(requestContent, useHttps);
+
+                // Same send path as the editor: cookies mode, timeout and retries
+                const result = await sendRequest(url, options, {
+                    rawHeaders,
+                    bodyText,
+                    credentials: getCredentialMode(),
+                    signal: bulkAbort.signal,
+                    ...getSendSettings()
+                });
                 const endTime = performance.now();
-                const responseBody = await response.text();
-                const responseSize = new TextEncoder().encode(responseBody).length;
+                const responseSize = result.bodyBytes ? result.bodyBytes.length : result.size;
                 const duration = `${(endTime - startTime).toFixed(0)}ms`;
 
                 bulkResults[i] = {
                     requestContent: requestContent,
-                    status: response.status,
-                    statusText: response.statusText,
-                    headers: response.headers,
-                    responseBody: responseBody,
+                    status: result.status,
+                    statusText: result.statusText,
+                    headers: result.headers,
+                    responseBody: result.body,
                     size: responseSize,
                     duration: duration,
                     error: null
                 };
 
-                row.querySelector('.status-cell').textContent = `${response.status} ${response.statusText}`;
+                row.querySelector('.status-cell').textContent = `${result.status} ${result.statusText}`;
                 row.querySelector('.size-cell').textContent = formatBytes(responseSize);
                 row.querySelector('.time-cell').textContent = duration;
 
@@ -590,9 +545,12 @@ export function setupBulkReplay() {
                 const endTime = performance.now();
                 console.error(error);
 
+                // Timeouts and cancels got no response at all; they aren't failures of the payload
+                const status = isTimeoutError(error) ? 'Timeout' : isCancelError(error) ? 'Canceled' : 'Error';
+
                 bulkResults[i] = {
                     requestContent: requestContent,
-                    status: 'Error',
+                    status,
                     statusText: '',
                     headers: null,
                     responseBody: '',
@@ -601,7 +559,7 @@ export function setupBulkReplay() {
                     error: error.message
                 };
 
-                row.querySelector('.status-cell').textContent = 'Error';
+                row.querySelector('.status-cell').textContent = status;
                 row.querySelector('.status-cell').title = error.message;
             }
 
@@ -0,0 +1,139 @@
+// Capture Rules Feature - Edit the ordered include/exclude rules applied to captured traffic
+import { events, EVENT_NAMES } from '../../core/events.js';
+import { escapeHtml } from '../../core/utils/dom.js';
+import {
+    captureRules,
+    loadCaptureRules,
+    saveCaptureRules,
+    normalizeRule,
+    DEFAULT_CAPTURE_RULES
+} from '../../network/capture-rules.js';
+
+const TEXT_FIELDS = [
+    { field: 'name', placeholder: 'Name' },
+    { field: 'host', placeholder: '*.example.com' },
+    { field: 'path', placeholder: '^/api/' },
+    { field: 'mime', placeholder: 'image/*' },
+    { field: 'method', placeholder: 'GET, POST' },
+    { field: 'resourceType', placeholder: 'xhr, fetch' }
+];
+
+export function setupCaptureRules() {
+    loadCaptureRules();
+
+    const openBtn = document.getElementById('capture-rules-btn');
+    const modal = document.getElementById('capture-rules-modal');
+    if (!openBtn || !modal) return;
+
+    const tbody = modal.querySelector('#capture-rules-table tbody');
+    const addBtn = document.getElementById('capture-rules-add-btn');
+    const defaultsBtn = document.getElementById('capture-rules-defaults-btn');
+    const resetHitsBtn = document.getElementById('capture-rules-reset-hits-btn');
+    const saveBtn = document.getElementById('capture-rules-save-btn');
+
+    // Rules being edited; only applied on Save
+    let draft = [];
+
+    function render() {
+        if (draft.length === 0) {
+            tbody.innerHTML = '<tr><td colspan="10" class="capture-rules-empty">No rules: every request is captured.</td></tr>';
+            return;
+        }
+
+        tbody.innerHTML = draft.map((rule, index) => `
+            <tr data-index="${index}" class="${rule.enabled ? '' : 'disabled'}">
+                <td><input type="checkbox" data-field="enabled" ${rule.enabled ? 'checked' : ''} title="Enabled"></td>
+                <td>
+                    <select data-field="action">
+                        <option value="exclude" ${rule.action === 'exclude' ? 'selected' : ''}>Exclude</option>
+                        <option value="include" ${rule.action === 'include' ? 'selected' : ''}>Include</option>
+                    </select>
+                </td>
+                ${TEXT_FIELDS.map(({ field, placeholder }) => `
+                    <td><input type="text" data-field="${field}" placeholder="${placeholder}" spellcheck="false"></td>
+                `).join('')}
+                <td class="capture-rules-hits" data-rule-id="${escapeHtml(rule.id)}">${captureRules.hits.get(rule.id) || 0}</td>
+                <td class="capture-rules-actions">
+                    <button class="icon-btn" data-action="up" title="Move up" ${index === 0 ? 'disabled' : ''}>↑</button>
+                    <button class="icon-btn" data-action="down" title="Move down" ${index === draft.length - 1 ? 'disabled' : ''}>↓</button>
+                    <button class="icon-btn" data-action="delete" title="Delete rule">×</button>
+                </td>
+            </tr>
+        `).join('');
+
+        // Set values through the DOM so regexes with quotes survive
+        tbody.querySelectorAll('tr[data-index]').forEach(row => {
+            const rule = draft[parseInt(row.dataset.index, 10)];
+            TEXT_FIELDS.forEach(({ field }) => {
+                row.querySelector(`input[data-field="${field}"]`).value = rule[field];
+            });
+        });
+    }
+
+    function updateHits() {
+        if (modal.style.display !== 'block') return;
+        tbody.querySelectorAll('.capture-rules-hits').forEach(cell => {
+            cell.textContent = captureRules.hits.get(cell.dataset.ruleId) || 0;
+        });
+    }
+
+    captureRules.onHit = updateHits;
+
+    openBtn.addEventListener('click', () => {
+        draft = captureRules.rules.map(rule => ({ ...rule }));
+        render();
+        modal.style.display = 'block';
+    });
+
+    tbody.addEventListener('input', (e) => {
+        const row = e.target.closest('tr[data-index]');
+        const field = e.target.dataset.field;
+        if (!row || !field) return;
+        const rule = draft[parseInt(row.dataset.index, 10)];
+        rule[field] = e.target.type === 'checkbox' ? e.target.checked : e.target.value;
+        if (field === 'enabled') row.classList.toggle('disabled', !rule.enabled);
+    });
+
+    tbody.addEventListener('click', (e) => {
+        const btn = e.target.closest('button[data-action]');
+        if (!btn) return;
+        const index = parseInt(btn.closest('tr').dataset.index, 10);
+
+        if (btn.dataset.action === 'delete') {
+            draft.splice(index, 1);
+        } else {
+            const target = btn.dataset.action === 'up' ? index - 1 : index + 1;
+            [draft[index], draft[target]] = [draft[target], draft[index]];
+        }
+        render();
+    });
+
+    addBtn.addEventListener('click', () => {
+        draft.push(normalizeRule({ name: 'New rule', action: 'exclude' }));
+        render();
+        const inputs = tbody.querySelectorAll('input[data-field="host"]');
+        if (inputs.length) inputs[inputs.length - 1].focus();
+    });
+
+    defaultsBtn.addEventListener('click', () => {
+        if (!confirm('Replace the current rules with the defaults?')) return;
+        draft = DEFAULT_CAPTURE_RULES.map(rule => ({ ...rule }));
+        render();
+    });
+
+    resetHitsBtn.addEventListener('click', () => {
+        captureRules.resetHits();
+        render();
+    });
+
+    saveBtn.addEventListener('click', () => {
+        try {
+            saveCaptureRules(draft);
+        } catch (error) {
+            alert(error.message);
+            return;
+        }
+        events.emit(EVENT_NAMES.CAPTURE_RULES_CHANGED, { rules: captureRules.rules });
+        modal.style.display = 'none';
+    });
+}
@@ -0,0 +1,148 @@
+// Cookie Jars Feature - Create named jars and edit their cookies
+import { events, EVENT_NAMES } from '../../core/events.js';
+import { loadCookieJars, saveCookieJars, normalizeCookieJar } from '../../network/cookie-jar.js';
+
+const TEXT_FIELDS = [
+    { field: 'name', placeholder: 'sid' },
+    { field: 'value', placeholder: 'Value' },
+    { field: 'domain', placeholder: 'example.com' }
+];
+
+function formatExpires(expires) {
+    return expires === null ? 'Session' : new Date(expires).toLocaleString();
+}
+
+export function setupCookieJars() {
+    const openBtn = document.getElementById('cookie-jars-btn');
+    const modal = document.getElementById('cookie-jars-modal');
+    if (!openBtn || !modal) return;
+
+    const jarSelect = document.getElementById('cookie-jars-select');
+    const tbody = modal.querySelector('#cookie-jars-table tbody');
+    const newBtn = document.getElementById('cookie-jars-new-btn');
+    const clearBtn = document.getElementById('cookie-jars-clear-btn');
+    const deleteBtn = document.getElementById('cookie-jars-delete-btn');
+    const addBtn = document.getElementById('cookie-jars-add-btn');
+    const saveBtn = document.getElementById('cookie-jars-save-btn');
+
+    // Jars being edited; only applied on Save
+    let draft = [];
+    let current = 0;
+
+    function render() {
+        jarSelect.innerHTML = '';
+        jarSelect.append(...draft.map((jar, index) => new Option(`${jar.name} (${jar.cookies.length})`, String(index))));
+        jarSelect.value = String(current);
+        [jarSelect, clearBtn, deleteBtn, addBtn].forEach(el => { el.disabled = draft.length === 0; });
+
+        const jar = draft[current];
+        if (!jar) {
+            tbody.innerHTML = '<tr><td colspan="8" class="capture-rules-empty">No jars yet: create one with New Jar.</td></tr>';
+            return;
+        }
+        if (jar.cookies.length === 0) {
+            tbody.innerHTML = '<tr><td colspan="8" class="capture-rules-empty">Empty: replays sent with this jar fill it from Set-Cookie.</td></tr>';
+            return;
+        }
+
+        tbody.innerHTML = jar.cookies.map((cookie, index) => `
+            <tr data-index="${index}">
+                ${TEXT_FIELDS.map(({ field, placeholder }) => `
+                    <td><input type="text" data-field="${field}" placeholder="${placeholder}" spellcheck="false"></td>
+                `).join('')}
+                <td><input type="checkbox" data-field="subdomains" ${cookie.hostOnly ? '' : 'checked'} title="Also sent to subdomains"></td>
+                <td><input type="text" data-field="path" placeholder="/" spellcheck="false"></td>
+                <td><input type="checkbox" data-field="secure" ${cookie.secure ? 'checked' : ''} title="Only sent over HTTPS"></td>
+                <td>${formatExpires(cookie.expires)}</td>
+                <td class="capture-rules-actions">
+                    <button class="icon-btn" data-action="delete" title="Delete cookie">×</button>
+                </td>
+            </tr>
+        `).join('');
+
+        // Set values through the DOM so cookie values with quotes survive
+        tbody.querySelectorAll('tr[data-index]').forEach(row => {
+            const cookie = jar.cookies[parseInt(row.dataset.index, 10)];
+            [...TEXT_FIELDS.map(({ field }) => field), 'path'].forEach(field => {
+                row.querySelector(`input[data-field="${field}"]`).value = cookie[field];
+            });
+        });
+    }
+
+    openBtn.addEventListener('click', () => {
+        draft = loadCookieJars();
+        current = 0;
+        render();
+        modal.style.display = 'block';
+    });
+
+    jarSelect.addEventListener('change', () => {
+        current = parseInt(jarSelect.value, 10);
+        render();
+    });
+
+    tbody.addEventListener('input', (e) => {
+        const row = e.target.closest('tr[data-index]');
+        const field = e.target.dataset.field;
+        if (!row || !field) return;
+        const cookie = draft[current].cookies[parseInt(row.dataset.index, 10)];
+        if (field === 'subdomains') cookie.hostOnly = !e.target.checked;
+        else cookie[field] = e.target.type === 'checkbox' ? e.target.checked : e.target.value;
+    });
+
+    tbody.addEventListener('click', (e) => {
+        const btn = e.target.closest('button[data-action="delete"]');
+        if (!btn) return;
+        draft[current].cookies.splice(parseInt(btn.closest('tr').dataset.index, 10), 1);
+        render();
+    });
+
+    newBtn.addEventListener('click', () => {
+        const name = (prompt('Jar name:') || '').trim();
+        if (!name) return;
+        if (draft.some(jar => jar.name === name)) {
+            alert(`There is already a jar named "${name}".`);
+            return;
+        }
+        draft.push(normalizeCookieJar({ name }));
+        current = draft.length - 1;
+        render();
+    });
+
+    clearBtn.addEventListener('click', () => {
+        draft[current].cookies = [];
+        render();
+    });
+
+    deleteBtn.addEventListener('click', () => {
+        if (!confirm(`Delete the jar "${draft[current].name}" and its cookies?`)) return;
+        draft.splice(current, 1);
+        current = Math.max(0, current - 1);
+        render();
+    });
+
+    addBtn.addEventListener('click', () => {
+        draft[current].cookies.push({
+            name: '', value: '', domain: '', hostOnly: true, path: '/', secure: false, httpOnly: false, expires: null
+        });
+        render();
+        const inputs = tbody.querySelectorAll('input[data-field="name"]');
+        if (inputs.length) inputs[inputs.length - 1].focus();
+    });
+
+    saveBtn.addEventListener('click', () => {
+        try {
+            // Cookies left without a name are dropped
+            saveCookieJars(draft);
+        } catch (error) {
+            alert(error.message);
+            return;
+        }
+        modal.style.display = 'none';
+    });
+
+    // The draft belongs to the previous project's jars
+    events.on(EVENT_NAMES.PROJECT_SWITCHED, () => {
+        modal.style.display = 'none';
+    });
+}
@@ -1,5 +1,8 @@
 // Extractor UI Module
 import { escapeHtml, copyToClipboard, downloadCSV, downloadJSON } from '../../core/utils/dom.js';
+import { projectStorageKey } from '../../core/utils/storage.js';
+import { events, EVENT_NAMES } from '../../core/events.js';
+import { isInScope } from '../../network/scope.js';
 
 // Helper to escape strings for single-quoted shell contexts (curl)
 function shellEscapeSingle(str) {
@@ -504,9 +507,10 @@ export function initExtractorUI() {
                     return;
                 }
                 
-                // Filter for JavaScript files from captured requests
+                // Filter for in-scope JavaScript files from captured requests
                 const jsRequests = state.requests.filter(req => {
                     if (!req || !req.request || !req.response) return false;
+                    if (!isInScope(req.request.url)) return false;
                     const url = req.request.url.toLowerCase();
                     const mime = req.response?.content?.mimeType?.toLowerCase() || '';
                     return url.endsWith('.js') || 
@@ -518,7 +522,7 @@ export function initExtractorUI() {
                 if (jsRequests.length === 0) {
                     clearTimeout(scanTimeoutId);
                     isScanComplete = true;
-                    extractorProgressText.textContent = 'No JavaScript files found in captured requests.';
+                    extractorProgressText.textContent = 'No in-scope JavaScript files found in captured requests.';
                     startScanBtn.disabled = false;
                     const originalText = startScanBtn.getAttribute('data-original-text') || 'Start Scan';
                     startScanBtn.textContent = originalText;
@@ -808,6 +812,7 @@ export function initExtractorUI() {
                     return true;
                 });
                 currentParameterResults = deduplicatedParameters;
+                saveResults();
 
                 // Render Results
                 renderSecretResults(currentSecretResults);
@@ -1951,5 +1956,55 @@ export function initExtractorUI() {
         container.appendChild(pageInfo);
         container.appendChild(nextBtn);
     }
+
+    // Results are saved per project so they survive reloads and project switches
+    function saveResults() {
+        try {
+            localStorage.setItem(projectStorageKey('rep_extractor_results'), JSON.stringify({
+                secrets: currentSecretResults,
+                endpoints: currentEndpointResults,
+                parameters: currentParameterResults
+            }));
+        } catch (error) {
+            console.error('[Extractor] Failed to save results:', error);
+        }
+    }
+
+    function restoreResults() {
+        let saved = null;
+        try {
+            saved = JSON.parse(localStorage.getItem(projectStorageKey('rep_extractor_results')) || 'null');
+        } catch (error) {
+            console.error('[Extractor] Failed to load results:', error);
+        }
+
+        currentSecretResults = saved?.secrets || [];
+        currentEndpointResults = saved?.endpoints || [];
+        currentParameterResults = saved?.parameters || [];
+        currentResponseSearchResults = [];
+        currentSecretsPage = 1;
+        currentEndpointsPage = 1;
+        currentParametersPage = 1;
+        selectedDomain = 'all';
+
+        const hasResults = currentSecretResults.length > 0 || currentEndpointResults.length > 0 || currentParameterResults.length > 0;
+        if (!hasResults) {
+            secretsResults.innerHTML = '<div class="empty-state">No secrets found yet. Click "Scan" to start.</div>';
+            endpointsResults.innerHTML = '<div class="empty-state">No endpoints found yet. Click "Scan" to start.</div>';
+            if (parametersResults) parametersResults.innerHTML = '<div class="empty-state">No parameters found yet. Click "Scan" to start.</div>';
+            extractorSearchContainer.style.display = 'none';
+            domainFilterContainer.style.display = 'none';
+            return;
+        }
+
+        renderSecretResults(currentSecretResults);
+        renderEndpointResults(currentEndpointResults);
+        renderParameterResults(currentParameterResults, false);
+        populateDomainFilter();
+        extractorSearchContainer.style.display = 'block';
+    }
+
+    restoreResults();
+    events.on(EVENT_NAMES.PROJECT_SWITCHED, restoreResults);
 }
 
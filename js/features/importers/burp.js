@@ -0,0 +1,72 @@
+// Burp Suite Importer - "Save items" XML export (base64 or plain request/response)
+import { parseRawRequest, parseRawResponse, decodeBase64 } from './raw-http.js';
+
+/**
+ * Whether text looks like a Burp "Save items" export
+ * @param {string} text
+ * @returns {boolean}
+ */
+export function isBurpXml(text) {
+    return /^\s*(<\?xml[^>]*>\s*)?(<!DOCTYPE[^>]*(\[[\s\S]*?\])?>\s*)?<items[\s>]/i.test(text);
+}
+
+function childText(item, tag) {
+    const el = item.getElementsByTagName(tag)[0];
+    return el ? el.textContent : '';
+}
+
+function messageText(item, tag) {
+    const el = item.getElementsByTagName(tag)[0];
+    if (!el || !el.textContent) return '';
+    return el.getAttribute('base64') === 'true' ? decodeBase64(el.textContent) : el.textContent;
+}
+
+/**
+ * Parse a Burp XML export into request objects
+ * @param {string} text - XML content
+ * @returns {Array<Object>}
+ */
+export function parseBurpXml(text) {
+    const doc = new DOMParser().parseFromString(text, 'application/xml');
+    if (doc.getElementsByTagName('parsererror').length > 0) {
+        throw new Error('Invalid Burp XML: could not parse document.');
+    }
+
+    return Array.from(doc.getElementsByTagName('item')).map(item => {
+        const url = childText(item, 'url');
+        const rawRequest = messageText(item, 'request');
+        const rawResponse = messageText(item, 'response');
+
+        const parsed = rawRequest
+            ? parseRawRequest(rawRequest, new URL(url).origin)
+            : { request: { method: childText(item, 'method') || 'GET', url, httpVersion: 'HTTP/1.1', headers: [] } };
+        // The <url> element is authoritative (raw request lines may be relative)
+        parsed.request.url = url || parsed.request.url;
+
+        const time = Date.parse(childText(item, 'time'));
+        const entry = {
+            ...parsed,
+            capturedAt: isNaN(time) ? Date.now() : time
+        };
+
+        const comment = childText(item, 'comment');
+        if (comment) entry.notes = comment;
+
+        if (rawResponse) {
+            const response = parseRawResponse(rawResponse);
+            entry.response = {
+                status: response.status,
+                statusText: response.statusText,
+                httpVersion: response.httpVersion,
+                headers: response.headers,
+                content: { text: response.body }
+            };
+            entry.responseBody = response.body;
+            entry.responseStatus = response.status;
+            entry.responseStatusText = response.statusText;
+            entry.responseHeaders = response.headers;
+        }
+
+        return entry;
+    });
+}
@@ -0,0 +1,273 @@
+// cURL Importer - Parse "curl ..." command lines (bash/cmd "Copy as cURL" output)
+import { buildRequest } from './raw-http.js';
+
+/**
+ * Split a shell command line into arguments, honouring quotes and line continuations
+ * @param {string} command
+ * @returns {Array<string>}
+ */
+export function tokenizeCommand(command) {
+    const text = command
+        .replace(/\\\r?\n/g, ' ')   // bash continuation
+        .replace(/\^\r?\n/g, ' ')   // cmd continuation
+        .replace(/`\r?\n/g, ' ');   // PowerShell continuation
+
+    const args = [];
+    let current = '';
+    let inToken = false;
+    let quote = null;
+
+    for (let i = 0; i < text.length; i++) {
+        const ch = text[i];
+
+        if (quote === "'") {
+            if (ch === "'") quote = null;
+            else current += ch;
+            continue;
+        }
+
+        if (quote === '"') {
+            if (ch === '"') {
+                quote = null;
+            } else if (ch === '\\' && i + 1 < text.length && '"\\$`'.includes(text[i + 1])) {
+                current += text[++i];
+            } else {
+                current += ch;
+            }
+            continue;
+        }
+
+        if (ch === '$' && text[i + 1] === "'") {
+            // ANSI-C quoting: $'...\n...'
+            let j = i + 2;
+            while (j < text.length && text[j] !== "'") {
+                if (text[j] === '\\' && j + 1 < text.length) {
+                    const next = text[j + 1];
+                    const escapes = { n: '\n', r: '\r', t: '\t', '\\': '\\', "'": "'", '"': '"' };
+                    if (next === 'x' && /^[0-9a-fA-F]{2}$/.test(text.substr(j + 2, 2))) {
+                        current += String.fromCharCode(parseInt(text.substr(j + 2, 2), 16));
+                        j += 4;
+                        continue;
+                    }
+                    current += escapes[next] !== undefined ? escapes[next] : next;
+                    j += 2;
+                    continue;
+                }
+                current += text[j++];
+            }
+            i = j;
+            inToken = true;
+            continue;
+        }
+
+        if (ch === "'" || ch === '"') {
+            quote = ch;
+            inToken = true;
+        } else if (ch === '\\' && i + 1 < text.length) {
+            current += text[++i];
+            inToken = true;
+        } else if (/\s/.test(ch)) {
+            if (inToken) {
+                args.push(current);
+                current = '';
+                inToken = false;
+            }
+        } else {
+            current += ch;
+            inToken = true;
+        }
+    }
+
+    if (quote) {
+        throw new Error('Unterminated quote in cURL command.');
+    }
+    if (inToken) args.push(current);
+    return args;
+}
+
+// Flags that take a value but have no effect on the request we build
+const IGNORED_VALUE_FLAGS = new Set([
+    '-o', '--output', '-m', '--max-time', '--connect-timeout', '--retry', '-w', '--write-out',
+    '--proxy', '-x', '--cacert', '--cert', '--key', '-c', '--cookie-jar', '--limit-rate',
+    '--resolve', '--max-redirs', '-U', '--proxy-user'
+]);
+
+/**
+ * Whether text looks like a cURL command
+ * @param {string} text
+ * @returns {boolean}
+ */
+export function isCurlCommand(text) {
+    return /^\s*curl(\.exe)?\s/i.test(text);
+}
+
+/**
+ * Parse a cURL command into a request object
+ * @param {string} command
+ * @returns {Object} { request: { method, url, httpVersion, headers, postData } }
+ */
+export function parseCurl(command) {
+    const args = tokenizeCommand(command.trim());
+    if (!args.length || !/^curl(\.exe)?$/i.test(args[0])) {
+        throw new Error('Not a cURL command.');
+    }
+
+    let method = null;
+    let url = null;
+    let getMode = false;
+    let headOnly = false;
+    let httpVersion = 'HTTP/1.1';
+    const headers = [];
+    const data = [];
+    const form = [];
+
+    const setHeader = (name, value) => {
+        if (!headers.some(h => h.name.toLowerCase() === name.toLowerCase())) {
+            headers.push({ name, value });
+        }
+    };
+
+    for (let i = 1; i < args.length; i++) {
+        let arg = args[i];
+        let inlineValue = null;
+
+        // --flag=value
+        if (arg.startsWith('--') && arg.includes('=')) {
+            inlineValue = arg.slice(arg.indexOf('=') + 1);
+            arg = arg.slice(0, arg.indexOf('='));
+        }
+        const next = () => (inlineValue !== null ? inlineValue : args[++i]);
+
+        switch (arg) {
+            case '-X':
+            case '--request':
+                method = next();
+                break;
+            case '-H':
+            case '--header': {
+                const header = next() || '';
+                const colon = header.indexOf(':');
+                if (colon > 0) {
+                    const value = header.slice(colon + 1).trim();
+                    // "Name:" with no value removes the header in curl
+                    if (value) headers.push({ name: header.slice(0, colon).trim(), value });
+                }
+                break;
+            }
+            case '-d':
+            case '--data':
+            case '--data-ascii':
+            case '--data-binary':
+            case '--data-raw':
+                data.push(next());
+                break;
+            case '--data-urlencode': {
+                const value = next();
+                const eq = value.indexOf('=');
+                data.push(eq === -1
+                    ? encodeURIComponent(value)
+                    : `${value.slice(0, eq)}=${encodeURIComponent(value.slice(eq + 1))}`);
+                break;
+            }
+            case '--json':
+                data.push(next());
+                setHeader('Content-Type', 'application/json');
+                setHeader('Accept', 'application/json');
+                break;
+            case '-F':
+            case '--form':
+                form.push(next());
+                break;
+            case '-b':
+            case '--cookie':
+                headers.push({ name: 'Cookie', value: next() });
+                break;
+            case '-u':
+            case '--user':
+                headers.push({ name: 'Authorization', value: `Basic ${btoa(next())}` });
+                break;
+            case '-A':
+            case '--user-agent':
+                headers.push({ name: 'User-Agent', value: next() });
+                break;
+            case '-e':
+            case '--referer':
+                headers.push({ name: 'Referer', value: next() });
+                break;
+            case '--url':
+                url = next();
+                break;
+            case '-G':
+            case '--get':
+                getMode = true;
+                break;
+            case '-I':
+            case '--head':
+                headOnly = true;
+                break;
+            case '--http2':
+            case '--http2-prior-knowledge':
+                httpVersion = 'HTTP/2';
+                break;
+            case '--http1.0':
+                httpVersion = 'HTTP/1.0';
+                break;
+            default:
+                if (IGNORED_VALUE_FLAGS.has(arg)) {
+                    next();
+                } else if (!arg.startsWith('-') && !url) {
+                    url = arg;
+                }
+                // Other boolean flags (--compressed, -k, -L, -s, -v, ...) are ignored
+        }
+    }
+
+    if (!url) {
+        throw new Error('cURL command has no URL.');
+    }
+    if (!/^[a-z][a-z0-9+.-]*:\/\//i.test(url)) {
+        url = `http://${url}`;
+    }
+
+    let body = '';
+    if (getMode && data.length) {
+        const target = new URL(url);
+        target.search = [target.search.replace(/^\?/, ''), ...data].filter(Boolean).join('&');
+        url = target.toString();
+    } else if (data.length) {
+        body = data.join('&');
+        setHeader('Content-Type', 'application/x-www-form-urlencoded');
+    } else if (form.length) {
+        const boundary = '----repFormBoundary' + Math.random().toString(36).substr(2, 12);
+        body = form.map(field => {
+            const eq = field.indexOf('=');
+            const name = eq === -1 ? field : field.slice(0, eq);
+            const value = eq === -1 ? '' : field.slice(eq + 1);
+            if (value.startsWith('@')) {
+                const filename = value.slice(1).split(';')[0].split('/').pop();
+                return `--${boundary}\r\nContent-Disposition: form-data; name="${name}"; filename="${filename}"\r\n\r\n\r\n`;
+            }
+            return `--${boundary}\r\nContent-Disposition: form-data; name="${name}"\r\n\r\n${value}\r\n`;
+        }).join('') + `--${boundary}--\r\n`;
+        setHeader('Content-Type', `multipart/form-data; boundary=${boundary}`);
+    }
+
+    if (!method) {
+        method = headOnly ? 'HEAD' : (body ? 'POST' : 'GET');
+    }
+
+    return buildRequest({ method, url, headers, body, httpVersion });
+}
+
+/**
+ * Parse one or more cURL commands separated by blank lines or starting with "curl"
+ * @param {string} text
+ * @returns {Array<Object>}
+ */
+export function parseCurlCommands(text) {
+    const commands = text
+        .split(/\r?\n(?=\s*curl(?:\.exe)?\s)/i)
+        .map(c => c.trim())
+        .filter(Boolean);
+    return commands.map(parseCurl);
+}
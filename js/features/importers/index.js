@@ -0,0 +1,192 @@
+// Importers Feature - Burp XML, Postman, OpenAPI/Swagger and cURL import
+// rep+ JSON and HAR files keep going through importRequests() in ui-utils.
+import { actions } from '../../core/state.js';
+import { events, EVENT_NAMES } from '../../core/events.js';
+import { importRequests } from '../../ui/ui-utils.js';
+import { isBurpXml, parseBurpXml } from './burp.js';
+import { isPostmanCollection, parsePostmanCollection } from './postman.js';
+import { isOpenAPIDocument, parseSpecText, parseOpenAPI } from './openapi.js';
+import { isCurlCommand, parseCurlCommands } from './curl.js';
+
+function parseJSON(text) {
+    try {
+        return JSON.parse(text);
+    } catch (e) {
+        return null;
+    }
+}
+
+/**
+ * Registered importers, checked in order
+ * detect(text) returns true when the importer understands the input;
+ * parse(text) returns { requests, title }.
+ */
+export const IMPORTERS = [
+    {
+        id: 'burp',
+        label: 'Burp Suite XML',
+        detect: (text) => isBurpXml(text),
+        parse: (text) => ({ requests: parseBurpXml(text), title: 'burp' })
+    },
+    {
+        id: 'postman',
+        label: 'Postman collection',
+        detect: (text) => isPostmanCollection(parseJSON(text)),
+        parse: (text) => {
+            const collection = JSON.parse(text);
+            return { requests: parsePostmanCollection(collection), title: collection.info.name };
+        }
+    },
+    {
+        id: 'openapi',
+        label: 'OpenAPI / Swagger',
+        detect: (text) => /["']?(openapi|swagger)["']?\s*:/.test(text) && isOpenAPIDocument(parseSpecText(text)),
+        parse: (text) => {
+            const spec = parseSpecText(text);
+            return { requests: parseOpenAPI(spec), title: (spec.info && spec.info.title) || 'openapi' };
+        }
+    },
+    {
+        id: 'curl',
+        label: 'cURL',
+        detect: (text) => isCurlCommand(text),
+        parse: (text) => ({ requests: parseCurlCommands(text), title: 'curl' })
+    }
+];
+
+/**
+ * Find the importer for a piece of text
+ * @param {string} text
+ * @returns {Object|null}
+ */
+export function detectImporter(text) {
+    return IMPORTERS.find(importer => {
+        try {
+            return importer.detect(text);
+        } catch (e) {
+            return false;
+        }
+    }) || null;
+}
+
+/**
+ * Synthetic page URL so every import lands in its own page group
+ * @param {string} format - Importer id
+ * @param {string} title - Collection/spec/file title
+ * @returns {string}
+ */
+export function importPageUrl(format, title) {
+    const slug = String(title || '')
+        .toLowerCase()
+        .replace(/[^a-z0-9]+/g, '-')
+        .replace(/^-+|-+$/g, '')
+        .slice(0, 40);
+    return `rep-import://${slug && slug !== format ? `${format}-${slug}` : format}`;
+}
+
+/**
+ * Parse text with the matching importer
+ * @param {string} text
+ * @returns {{format: string, requests: Array<Object>}|null} null when no importer matches
+ */
+export function parseImport(text) {
+    const importer = detectImporter(text);
+    if (!importer) return null;
+
+    const { requests, title } = importer.parse(text);
+    const pageUrl = importPageUrl(importer.id, title);
+    const capturedAt = Date.now();
+    requests.forEach(req => {
+        req.pageUrl = pageUrl;
+        req.capturedAt = req.capturedAt || capturedAt;
+    });
+    return { format: importer.id, requests };
+}
+
+/**
+ * Import text into the request list
+ * @param {string} text
+ * @returns {{format: string, count: number}|null}
+ */
+export function importText(text) {
+    const result = parseImport(text);
+    if (!result) return null;
+
+    let count = 0;
+    result.requests.forEach(req => {
+        if (actions.request.add(req) !== null) count++;
+    });
+    events.emit(EVENT_NAMES.REQUESTS_IMPORTED, { format: result.format, count });
+    return { format: result.format, count };
+}
+
+/**
+ * Import a file: third-party formats here, rep+ JSON and HAR via importRequests
+ * @param {File} file
+ */
+export function importFile(file) {
+    const reader = new FileReader();
+    reader.onload = (e) => {
+        try {
+            const result = importText(e.target.result);
+            if (!result) {
+                importRequests(file);
+                return;
+            }
+            alert(`Imported ${result.count} requests.`);
+        } catch (error) {
+            console.error('[Importers] Import error:', error);
+            alert('Failed to import: ' + error.message);
+        }
+    };
+    reader.readAsText(file);
+}
+
+/**
+ * Initialize the import button and the Paste cURL dialog
+ */
+export function setupImporters() {
+    const importBtn = document.getElementById('import-btn');
+    const importInput = document.getElementById('import-file');
+    const pasteBtn = document.getElementById('paste-curl-btn');
+    const modal = document.getElementById('paste-curl-modal');
+    const input = document.getElementById('paste-curl-input');
+    const submitBtn = document.getElementById('paste-curl-import-btn');
+
+    if (importBtn && importInput) {
+        importBtn.addEventListener('click', () => importInput.click());
+        importInput.addEventListener('change', (e) => {
+            if (e.target.files.length > 0) {
+                importFile(e.target.files[0]);
+                e.target.value = ''; // Reset
+            }
+        });
+    }
+
+    if (pasteBtn && modal && input) {
+        pasteBtn.addEventListener('click', () => {
+            input.value = '';
+            modal.style.display = 'block';
+            input.focus();
+        });
+    }
+
+    if (submitBtn && modal && input) {
+        submitBtn.addEventListener('click', () => {
+            const text = input.value.trim();
+            if (!text) return;
+            try {
+                const result = isCurlCommand(text) ? importText(text) : null;
+                if (!result) {
+                    alert('Paste one or more commands starting with "curl".');
+                    return;
+                }
+                modal.style.display = 'none';
+                alert(`Imported ${result.count} requests.`);
+            } catch (error) {
+                console.error('[Importers] cURL import error:', error);
+                alert('Failed to import: ' + error.message);
+            }
+        });
+    }
+}
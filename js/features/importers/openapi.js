@@ -0,0 +1,265 @@
+// OpenAPI Importer - OpenAPI 3.x and Swagger 2.0 documents (JSON or YAML)
+// Each path + operation becomes a templated request: parameters without an
+// example/default keep their {name} placeholder so they are easy to spot and fill in.
+import { buildRequest } from './raw-http.js';
+
+const HTTP_METHODS = ['get', 'put', 'post', 'delete', 'options', 'head', 'patch', 'trace'];
+const MAX_SCHEMA_DEPTH = 6;
+
+/**
+ * Whether a parsed document looks like an OpenAPI/Swagger spec
+ * @param {Object} data
+ * @returns {boolean}
+ */
+export function isOpenAPIDocument(data) {
+    return !!(data && typeof data === 'object' && data.paths && (data.openapi || data.swagger));
+}
+
+/**
+ * Parse JSON or YAML spec text
+ * @param {string} text
+ * @returns {Object|null}
+ */
+export function parseSpecText(text) {
+    try {
+        return JSON.parse(text);
+    } catch (e) {
+        // Not JSON, try YAML below
+    }
+    if (typeof window !== 'undefined' && window.jsyaml) {
+        try {
+            return window.jsyaml.load(text);
+        } catch (e) {
+            return null;
+        }
+    }
+    return null;
+}
+
+/**
+ * Resolve a local "#/..." $ref
+ * @param {Object} spec
+ * @param {Object} node
+ * @returns {Object}
+ */
+function resolveRef(spec, node, seen = new Set()) {
+    if (!node || typeof node.$ref !== 'string' || !node.$ref.startsWith('#/')) return node;
+    if (seen.has(node.$ref)) return {};
+    seen.add(node.$ref);
+
+    const target = node.$ref.slice(2).split('/').reduce((obj, part) => {
+        const key = part.replace(/~1/g, '/').replace(/~0/g, '~');
+        return obj ? obj[key] : undefined;
+    }, spec);
+    return resolveRef(spec, target || {}, seen);
+}
+
+/**
+ * Build an example value from a JSON schema
+ * @param {Object} spec
+ * @param {Object} schema
+ * @param {number} depth
+ * @returns {*}
+ */
+export function exampleFromSchema(spec, schema, depth = 0) {
+    schema = resolveRef(spec, schema);
+    if (!schema || depth > MAX_SCHEMA_DEPTH) return null;
+
+    if (schema.example !== undefined) return schema.example;
+    if (schema.default !== undefined) return schema.default;
+    if (Array.isArray(schema.enum) && schema.enum.length) return schema.enum[0];
+
+    const variants = schema.allOf || schema.oneOf || schema.anyOf;
+    if (Array.isArray(variants) && variants.length) {
+        if (schema.allOf) {
+            return variants.reduce((merged, part) => {
+                const value = exampleFromSchema(spec, part, depth + 1);
+                return value && typeof value === 'object' && !Array.isArray(value) ? { ...merged, ...value } : merged;
+            }, {});
+        }
+        return exampleFromSchema(spec, variants[0], depth + 1);
+    }
+
+    const type = Array.isArray(schema.type) ? schema.type[0] : schema.type;
+    if (type === 'object' || (!type && schema.properties)) {
+        const result = {};
+        Object.entries(schema.properties || {}).forEach(([name, prop]) => {
+            result[name] = exampleFromSchema(spec, prop, depth + 1);
+        });
+        return result;
+    }
+    if (type === 'array') {
+        const item = exampleFromSchema(spec, schema.items || {}, depth + 1);
+        return item === null ? [] : [item];
+    }
+    if (type === 'integer' || type === 'number') return 0;
+    if (type === 'boolean') return false;
+    if (type === 'string') {
+        if (schema.format === 'date-time') return '1970-01-01T00:00:00Z';
+        if (schema.format === 'date') return '1970-01-01';
+        if (schema.format === 'uuid') return '00000000-0000-0000-0000-000000000000';
+        if (schema.format === 'email') return 'user@example.com';
+        return 'string';
+    }
+    return null;
+}
+
+function parameterValue(spec, param) {
+    if (param.example !== undefined) return param.example;
+    if (param.examples && typeof param.examples === 'object') {
+        const first = Object.values(param.examples)[0];
+        const resolved = resolveRef(spec, first);
+        if (resolved && resolved.value !== undefined) return resolved.value;
+    }
+    const schema = resolveRef(spec, param.schema || param);
+    if (schema.example !== undefined) return schema.example;
+    if (schema.default !== undefined) return schema.default;
+    if (Array.isArray(schema.enum) && schema.enum.length) return schema.enum[0];
+    return undefined;
+}
+
+function serverBaseUrl(spec) {
+    // OpenAPI 3
+    if (Array.isArray(spec.servers) && spec.servers.length) {
+        const server = spec.servers[0];
+        let url = server.url || '/';
+        Object.entries(server.variables || {}).forEach(([name, variable]) => {
+            url = url.replace(new RegExp(`\\{${name}\\}`, 'g'), variable.default ?? '');
+        });
+        return url;
+    }
+    // Swagger 2
+    if (spec.swagger) {
+        const scheme = (spec.schemes && spec.schemes[0]) || 'https';
+        const host = spec.host || 'localhost';
+        return `${scheme}://${host}${spec.basePath || ''}`;
+    }
+    return '/';
+}
+
+function joinUrl(base, path) {
+    let root = base.replace(/\/+$/, '');
+    if (!/^[a-z][a-z0-9+.-]*:\/\//i.test(root)) {
+        // Relative server URL ("/v1") - there is no host to send it to, use a placeholder
+        root = `https://api.example.com${root.startsWith('/') ? '' : '/'}${root}`;
+    }
+    return `${root}/${path.replace(/^\/+/, '')}`;
+}
+
+function requestBodyFor(spec, operation, parameters, consumes) {
+    // OpenAPI 3 requestBody
+    if (operation.requestBody) {
+        const body = resolveRef(spec, operation.requestBody);
+        const content = body.content || {};
+        const mimeType = Object.keys(content).find(t => t.includes('json')) || Object.keys(content)[0];
+        if (!mimeType) return null;
+
+        const media = content[mimeType] || {};
+        let example = media.example;
+        if (example === undefined && media.examples) {
+            const first = resolveRef(spec, Object.values(media.examples)[0]);
+            example = first ? first.value : undefined;
+        }
+        if (example === undefined) example = exampleFromSchema(spec, media.schema || {});
+        return { mimeType, value: example };
+    }
+
+    // Swagger 2 body / formData parameters
+    const bodyParam = parameters.find(p => p.in === 'body');
+    if (bodyParam) {
+        const mimeType = (consumes || []).find(t => t.includes('json')) || 'application/json';
+        const example = bodyParam.schema && bodyParam.schema.example !== undefined
+            ? bodyParam.schema.example
+            : exampleFromSchema(spec, bodyParam.schema || {});
+        return { mimeType, value: example };
+    }
+    const formParams = parameters.filter(p => p.in === 'formData');
+    if (formParams.length) {
+        const fields = {};
+        formParams.forEach(p => {
+            const value = parameterValue(spec, p);
+            fields[p.name] = value === undefined ? `{${p.name}}` : value;
+        });
+        return { mimeType: 'application/x-www-form-urlencoded', value: fields };
+    }
+    return null;
+}
+
+function serializeBody(mimeType, value) {
+    if (value === null || value === undefined) return '';
+    if (typeof value === 'string') return value;
+    if (mimeType.includes('x-www-form-urlencoded') && typeof value === 'object') {
+        return Object.entries(value)
+            .map(([k, v]) => `${encodeURIComponent(k)}=${encodeURIComponent(typeof v === 'object' ? JSON.stringify(v) : v)}`)
+            .join('&')
+            .replace(/%7B/g, '{').replace(/%7D/g, '}');
+    }
+    return JSON.stringify(value, null, 2);
+}
+
+/**
+ * Convert an OpenAPI/Swagger document into templated request objects
+ * @param {Object} spec - Parsed spec
+ * @returns {Array<Object>}
+ */
+export function parseOpenAPI(spec) {
+    if (!isOpenAPIDocument(spec)) {
+        throw new Error('Invalid OpenAPI document: "openapi"/"swagger" version or "paths" missing.');
+    }
+
+    const baseUrl = serverBaseUrl(spec);
+    const requests = [];
+
+    Object.entries(spec.paths).forEach(([path, rawPathItem]) => {
+        const pathItem = resolveRef(spec, rawPathItem) || {};
+        const sharedParams = (pathItem.parameters || []).map(p => resolveRef(spec, p));
+
+        HTTP_METHODS.forEach(method => {
+            const operation = pathItem[method];
+            if (!operation) return;
+
+            // Operation-level parameters override path-level ones with the same name+location
+            const operationParams = (operation.parameters || []).map(p => resolveRef(spec, p));
+            const parameters = [
+                ...sharedParams.filter(sp => !operationParams.some(op => op.name === sp.name && op.in === sp.in)),
+                ...operationParams
+            ];
+
+            let resolvedPath = path;
+            const query = [];
+            const headers = [];
+
+            parameters.forEach(param => {
+                const value = parameterValue(spec, param);
+                if (param.in === 'path' && value !== undefined) {
+                    resolvedPath = resolvedPath.replace(`{${param.name}}`, encodeURIComponent(value));
+                } else if (param.in === 'query') {
+                    query.push(`${encodeURIComponent(param.name)}=${value === undefined ? `{${param.name}}` : encodeURIComponent(value)}`);
+                } else if (param.in === 'header') {
+                    headers.push({ name: param.name, value: value === undefined ? `{${param.name}}` : String(value) });
+                } else if (param.in === 'cookie') {
+                    const cookie = `${param.name}=${value === undefined ? `{${param.name}}` : value}`;
+                    const existing = headers.find(h => h.name === 'Cookie');
+                    if (existing) existing.value += `; ${cookie}`;
+                    else headers.push({ name: 'Cookie', value: cookie });
+                }
+            });
+
+            let url = joinUrl(baseUrl, resolvedPath);
+            if (query.length) url += `?${query.join('&')}`;
+
+            const body = requestBodyFor(spec, operation, parameters, operation.consumes || spec.consumes);
+            let bodyText = '';
+            if (body) {
+                bodyText = serializeBody(body.mimeType, body.value);
+                if (bodyText) headers.push({ name: 'Content-Type', value: body.mimeType });
+            }
+
+            const entry = buildRequest({ method, url, headers, body: bodyText });
+            entry.name = operation.summary || operation.operationId || null;
+            requests.push(entry);
+        });
+    });
+
+    return requests;
+}
@@ -0,0 +1,175 @@
+// Postman Importer - Collection v2.0/v2.1 format
+import { buildRequest } from './raw-http.js';
+
+/**
+ * Whether parsed JSON looks like a Postman collection
+ * @param {Object} data
+ * @returns {boolean}
+ */
+export function isPostmanCollection(data) {
+    return !!(data && data.info && Array.isArray(data.item) &&
+        (/schema\.getpostman\.com/.test(data.info.schema || '') || data.info._postman_id));
+}
+
+/**
+ * Replace {{var}} placeholders, leaving unknown variables untouched
+ * @param {string} text
+ * @param {Object} variables
+ * @returns {string}
+ */
+function substitute(text, variables) {
+    if (typeof text !== 'string') return text;
+    return text.replace(/\{\{\s*([^{}\s]+)\s*\}\}/g, (match, name) =>
+        Object.prototype.hasOwnProperty.call(variables, name) ? String(variables[name]) : match);
+}
+
+function collectVariables(list, into = {}) {
+    (list || []).forEach(v => {
+        if (v && v.key && !v.disabled) into[v.key] = v.value ?? '';
+    });
+    return into;
+}
+
+function buildUrl(url, variables) {
+    if (!url) return '';
+    // Postman treats "raw" as the source of truth; the split fields are derived from it
+    const raw = typeof url === 'string' ? url : url.raw;
+    if (raw) {
+        const resolved = substitute(raw, variables);
+        return /^[a-z][a-z0-9+.-]*:\/\//i.test(resolved) ? resolved : `http://${resolved}`;
+    }
+
+    const protocol = url.protocol || 'https';
+    const host = Array.isArray(url.host) ? url.host.join('.') : (url.host || '');
+    const port = url.port ? `:${url.port}` : '';
+    const path = Array.isArray(url.path) ? url.path.join('/') : (url.path || '');
+    const query = (url.query || [])
+        .filter(q => q && !q.disabled && q.key !== null)
+        .map(q => (q.value === null || q.value === undefined ? q.key : `${q.key}=${q.value}`))
+        .join('&');
+
+    let result = `${protocol}://${host}${port}/${path.replace(/^\//, '')}`;
+    if (query) result += `?${query}`;
+    return substitute(result, variables);
+}
+
+function buildBody(body, headers, variables) {
+    if (!body || body.disabled) return '';
+
+    const setContentType = (value) => {
+        if (!headers.some(h => h.name.toLowerCase() === 'content-type')) {
+            headers.push({ name: 'Content-Type', value });
+        }
+    };
+
+    switch (body.mode) {
+        case 'raw': {
+            const language = body.options && body.options.raw && body.options.raw.language;
+            if (language === 'json') setContentType('application/json');
+            else if (language === 'xml') setContentType('application/xml');
+            return substitute(body.raw || '', variables);
+        }
+        case 'urlencoded':
+            setContentType('application/x-www-form-urlencoded');
+            return (body.urlencoded || [])
+                .filter(p => !p.disabled)
+                .map(p => `${encodeURIComponent(substitute(p.key, variables))}=${encodeURIComponent(substitute(p.value || '', variables))}`)
+                .join('&');
+        case 'formdata': {
+            const boundary = '----repFormBoundary' + Math.random().toString(36).substr(2, 12);
+            setContentType(`multipart/form-data; boundary=${boundary}`);
+            return (body.formdata || [])
+                .filter(p => !p.disabled)
+                .map(p => {
+                    const name = substitute(p.key, variables);
+                    if (p.type === 'file') {
+                        const filename = String(p.src || '').split('/').pop();
+                        return `--${boundary}\r\nContent-Disposition: form-data; name="${name}"; filename="${filename}"\r\n\r\n\r\n`;
+                    }
+                    return `--${boundary}\r\nContent-Disposition: form-data; name="${name}"\r\n\r\n${substitute(p.value || '', variables)}\r\n`;
+                })
+                .join('') + `--${boundary}--\r\n`;
+        }
+        case 'graphql': {
+            setContentType('application/json');
+            const graphql = body.graphql || {};
+            let graphqlVariables = graphql.variables || {};
+            if (typeof graphqlVariables === 'string') {
+                try {
+                    graphqlVariables = JSON.parse(substitute(graphqlVariables, variables) || '{}');
+                } catch (e) {
+                    graphqlVariables = {};
+                }
+            }
+            return JSON.stringify({ query: substitute(graphql.query || '', variables), variables: graphqlVariables });
+        }
+        default:
+            return '';
+    }
+}
+
+function buildAuthHeader(auth, variables) {
+    if (!auth || !auth.type) return null;
+    const params = {};
+    (auth[auth.type] || []).forEach(p => { params[p.key] = substitute(p.value, variables); });
+
+    if (auth.type === 'bearer' && params.token) {
+        return { name: 'Authorization', value: `Bearer ${params.token}` };
+    }
+    if (auth.type === 'basic') {
+        return { name: 'Authorization', value: `Basic ${btoa(`${params.username || ''}:${params.password || ''}`)}` };
+    }
+    if (auth.type === 'apikey' && params.key && (params.in || 'header') === 'header') {
+        return { name: params.key, value: params.value || '' };
+    }
+    return null;
+}
+
+/**
+ * Parse a Postman collection into request objects
+ * Folders are flattened; the folder path is kept as the request name prefix.
+ * @param {Object} collection - Parsed collection JSON
+ * @returns {Array<Object>}
+ */
+export function parsePostmanCollection(collection) {
+    if (!isPostmanCollection(collection)) {
+        throw new Error('Invalid Postman collection: "info" or "item" missing.');
+    }
+
+    const variables = collectVariables(collection.variable);
+    const requests = [];
+
+    const walk = (items, path, inheritedAuth) => {
+        (items || []).forEach(item => {
+            const auth = item.auth || inheritedAuth;
+            if (Array.isArray(item.item)) {
+                walk(item.item, [...path, item.name], auth);
+                return;
+            }
+            if (!item.request) return;
+
+            const source = typeof item.request === 'string' ? { url: item.request } : item.request;
+            const headers = (Array.isArray(source.header) ? source.header : [])
+                .filter(h => h && h.key && !h.disabled)
+                .map(h => ({ name: substitute(h.key, variables), value: substitute(h.value || '', variables) }));
+
+            const authHeader = buildAuthHeader(source.auth || auth, variables);
+            if (authHeader && !headers.some(h => h.name.toLowerCase() === authHeader.name.toLowerCase())) {
+                headers.push(authHeader);
+            }
+
+            const body = buildBody(source.body, headers, variables);
+            const entry = buildRequest({
+                method: source.method || 'GET',
+                url: buildUrl(source.url, variables),
+                headers,
+                body
+            });
+            entry.name = [...path, item.name].filter(Boolean).join(' / ');
+            requests.push(entry);
+        });
+    };
+
+    walk(collection.item, [], collection.auth);
+    return requests;
+}
@@ -0,0 +1,95 @@
+// Raw HTTP helpers shared by importers
+
+/**
+ * Build a request object in the same shape as captured DevTools entries
+ * @param {Object} parts - { method, url, headers, body, httpVersion }
+ * @returns {Object}
+ */
+export function buildRequest({ method = 'GET', url, headers = [], body = '', httpVersion = 'HTTP/1.1' }) {
+    const request = {
+        method: method.toUpperCase(),
+        url,
+        httpVersion,
+        headers
+    };
+    if (body) {
+        const contentType = headers.find(h => h.name.toLowerCase() === 'content-type');
+        request.postData = { mimeType: contentType ? contentType.value : '', text: body };
+    }
+    return { request };
+}
+
+/**
+ * Split raw HTTP text into start line, headers and body
+ * @param {string} raw
+ * @returns {{startLine: string, headers: Array<{name: string, value: string}>, body: string}}
+ */
+function splitMessage(raw) {
+    const normalized = raw.replace(/\r\n/g, '\n');
+    const separator = normalized.indexOf('\n\n');
+    const head = separator === -1 ? normalized : normalized.slice(0, separator);
+    const body = separator === -1 ? '' : normalized.slice(separator + 2);
+    const [startLine = '', ...headerLines] = head.split('\n');
+
+    const headers = [];
+    headerLines.forEach(line => {
+        const colon = line.indexOf(':');
+        if (colon > 0) {
+            headers.push({ name: line.slice(0, colon).trim(), value: line.slice(colon + 1).trim() });
+        }
+    });
+
+    return { startLine: startLine.trim(), headers, body };
+}
+
+/**
+ * Parse a raw HTTP/1.x request
+ * @param {string} raw - Raw request text
+ * @param {string} [baseUrl] - Scheme and authority to use when the request line has only a path
+ * @returns {Object} { request: { method, url, httpVersion, headers, postData } }
+ */
+export function parseRawRequest(raw, baseUrl) {
+    const { startLine, headers, body } = splitMessage(raw);
+    const [method = 'GET', target = '/', httpVersion = 'HTTP/1.1'] = startLine.split(/\s+/);
+
+    let url = target;
+    if (!/^https?:\/\//i.test(target)) {
+        const host = headers.find(h => h.name.toLowerCase() === 'host');
+        const origin = baseUrl || (host ? `https://${host.value}` : 'https://localhost');
+        url = new URL(target, origin).toString();
+    }
+
+    return buildRequest({ method, url, headers, body, httpVersion });
+}
+
+/**
+ * Parse a raw HTTP/1.x response
+ * @param {string} raw - Raw response text
+ * @returns {{status: number, statusText: string, httpVersion: string, headers: Array, body: string}}
+ */
+export function parseRawResponse(raw) {
+    const { startLine, headers, body } = splitMessage(raw);
+    const match = startLine.match(/^(HTTP\/[\d.]+)\s+(\d{3})\s*(.*)$/i);
+    return {
+        httpVersion: match ? match[1] : 'HTTP/1.1',
+        status: match ? parseInt(match[2], 10) : 0,
+        statusText: match ? match[3] : '',
+        headers,
+        body
+    };
+}
+
+/**
+ * Decode base64 to a string, keeping bytes 1:1 as Latin-1 when not valid UTF-8
+ * @param {string} base64
+ * @returns {string}
+ */
+export function decodeBase64(base64) {
+    const binary = atob(base64.replace(/\s+/g, ''));
+    const bytes = Uint8Array.from(binary, c => c.charCodeAt(0));
+    try {
+        return new TextDecoder('utf-8', { fatal: true }).decode(bytes);
+    } catch (e) {
+        return binary;
+    }
+}
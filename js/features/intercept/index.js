@@ -0,0 +1,319 @@
+// Intercept Feature - Pause the inspected tab's requests before they are sent
+// Block mode uses this when the "debugger" permission is granted: paused requests queue up
+// behind the Forward button and open in the raw editor, where they can be edited before
+// they are forwarded (optionally pausing their response too) or dropped. Paused responses
+// open in the response pane and are edited there before the page receives them.
+// The same debugger session applies the match & replace rules to live traffic and
+// serves the responses of the mock rules.
+import { state, actions } from '../../core/state.js';
+import { events, EVENT_NAMES } from '../../core/events.js';
+import { highlightHTTP } from '../../core/utils/network.js';
+import { elements } from '../../ui/main-ui.js';
+import { buildRawRequest, openDetachedRequest } from '../../ui/request-editor.js';
+import { parseRequest } from '../../network/capture.js';
+import { captureRules } from '../../network/capture-rules.js';
+import { shouldCaptureInScope, getScope } from '../../network/scope.js';
+import { matchReplace } from '../../network/match-replace.js';
+import { mockRules } from '../../network/mock-rules.js';
+import { formatRawResponse, getStatusClass, parseRawResponse } from '../../network/response-parser.js';
+import { INTERCEPT_PERMISSIONS } from '../../network/debugger-intercept.js';
+import { base64ToBytes, bytesToText, isUtf8 } from '../../network/body-bytes.js';
+
+const RESPONSES_KEY = 'rep_intercept_responses';
+
+let port = null;
+let tabId = null;
+let holding = false; // Block mode: requests are paused for the editor
+let shownItem = null; // Queued item whose request is in the editor
+let shownRaw = null; // Editor text when it was shown (unchanged text is forwarded as-is)
+let shownResponseRaw = null; // Same for a paused response in the response pane
+let lastShown = null;
+let interceptResponses = localStorage.getItem(RESPONSES_KEY) === 'true';
+
+/**
+ * @returns {boolean} Whether block mode is backed by real interception
+ */
+export function isIntercepting() {
+    return holding && port !== null;
+}
+
+function removeFromQueue(predicate) {
+    const before = state.blockedQueue.length;
+    state.blockedQueue = state.blockedQueue.filter(item => !predicate(item));
+    if (state.blockedQueue.length !== before) events.emit('block-queue:updated');
+}
+
+function sessionOptions() {
+    return {
+        hold: holding,
+        responses: holding && interceptResponses,
+        rewriteRequests: matchReplace.hasTarget('request'),
+        rewriteResponses: matchReplace.hasTarget('response'),
+        mock: mockRules.hasRules()
+    };
+}
+
+function rulesMessage() {
+    return { tabId, rules: matchReplace.rules, mocks: mockRules.rules, scope: getScope() };
+}
+
+function stopHolding() {
+    holding = false;
+    shownItem = null;
+    // The background lets everything still paused go once the panel stops holding
+    removeFromQueue(item => item.intercepted);
+}
+
+// The session ended without the panel asking: block mode can't pause requests any more
+function sessionLost() {
+    const wasHolding = holding;
+    if (port) {
+        port.disconnect();
+        port = null;
+    }
+    stopHolding();
+    if (wasHolding) actions.blocking.setBlocking(false);
+}
+
+function connect() {
+    tabId = chrome.devtools.inspectedWindow.tabId;
+    port = chrome.runtime.connect({ name: 'rep-intercept' });
+    port.onMessage.addListener(handleMessage);
+    port.onDisconnect.addListener(() => {
+        port = null;
+        sessionLost();
+    });
+    port.postMessage({ type: 'intercept-start', options: sessionOptions(), ...rulesMessage() });
+}
+
+/**
+ * Attach, update or end the debugger session to match block mode, the match & replace and the mock rules
+ */
+function syncSession() {
+    const options = sessionOptions();
+    if (!Object.values(options).some(Boolean)) {
+        if (port) {
+            port.disconnect();
+            port = null;
+        }
+        return;
+    }
+    if (port) {
+        port.postMessage({ type: 'intercept-options', tabId, options });
+        return;
+    }
+    // Live rewriting only starts once the permission was granted (Block, Match & Replace and Mock Rules ask for it)
+    chrome.permissions.contains(INTERCEPT_PERMISSIONS, (granted) => {
+        if (granted && !port) connect();
+    });
+}
+
+function setResponseEditable(editable) {
+    elements.rawResponseDisplay.contentEditable = editable ? 'true' : 'false';
+    elements.rawResponseDisplay.classList.toggle('response-editable', editable);
+}
+
+function showItem(item) {
+    lastShown = item;
+    shownItem = item;
+    shownRaw = buildRawRequest(item.request);
+    shownResponseRaw = null;
+    openDetachedRequest(shownRaw, item.request.url.startsWith('https:'));
+
+    if (item.stage === 'response' && item.response.errorReason) {
+        elements.resStatus.textContent = 'Failed (paused)';
+        elements.resStatus.className = 'status-badge status-5xx';
+        elements.rawResponseDisplay.textContent = `Request failed: ${item.response.errorReason}`;
+        setResponseEditable(false);
+    } else if (item.stage === 'response') {
+        shownResponseRaw = formatRawResponse({ ...item.response, body: bytesToText(base64ToBytes(item.response.body)) });
+        elements.resStatus.textContent = `${item.response.status} ${item.response.statusText} (paused)`;
+        elements.resStatus.className = getStatusClass(item.response.status);
+        elements.rawResponseDisplay.innerHTML = highlightHTTP(shownResponseRaw);
+        setResponseEditable(true);
+    } else {
+        elements.resStatus.textContent = 'Paused';
+        elements.resStatus.className = 'status-badge';
+        elements.rawResponseDisplay.textContent = 'Edit the request, then Forward or Drop it.';
+        setResponseEditable(false);
+    }
+    elements.resTime.textContent = '';
+    elements.resSize.textContent = '';
+    elements.rawResponseDisplay.style.display = 'block';
+}
+
+/**
+ * Whether a paused request would have been captured (everything else is let through)
+ * @param {Object} item
+ * @returns {boolean}
+ */
+function shouldHold(item) {
+    if (item.stage === 'response') return true;
+    const { url, method } = item.request;
+    return shouldCaptureInScope(url) &&
+        captureRules.evaluate({ url, method, mimeType: '', resourceType: item.resourceType }).capture;
+}
+
+function handleMessage(msg) {
+    if (msg.type === 'intercept-paused') {
+        const item = { ...msg.item, intercepted: true };
+        if (!holding || !shouldHold(item)) {
+            port.postMessage({ type: 'intercept-continue', tabId, requestId: item.requestId });
+            return;
+        }
+        actions.blocking.addToBlockedQueue(item);
+    } else if (msg.type === 'match-replace-hits') {
+        msg.hits.forEach(ruleId => matchReplace.recordHit(ruleId, msg.at));
+    } else if (msg.type === 'mock-hits') {
+        msg.hits.forEach(ruleId => mockRules.recordHit(ruleId, msg.at));
+    } else if (msg.type === 'intercept-detached') {
+        sessionLost();
+        alert('Interception stopped: the debugger was detached from the tab.');
+    } else if (msg.type === 'intercept-error') {
+        if (msg.requestId) {
+            removeFromQueue(item => item.intercepted && item.requestId === msg.requestId);
+            console.warn('[Intercept]', msg.error);
+            return;
+        }
+        sessionLost();
+        alert('Interception failed: ' + msg.error);
+    }
+}
+
+/**
+ * Start pausing the inspected tab's requests (must run in a click handler for the permission prompt)
+ * @returns {Promise<boolean>} false when the permission was declined
+ */
+export function startIntercept() {
+    return new Promise((resolve) => {
+        chrome.permissions.request(INTERCEPT_PERMISSIONS, (granted) => {
+            if (!granted) {
+                resolve(false);
+                return;
+            }
+            holding = true;
+            syncSession();
+            resolve(true);
+        });
+    });
+}
+
+/**
+ * Stop pausing requests; requests still paused continue unchanged
+ */
+export function stopIntercept() {
+    stopHolding();
+    syncSession();
+}
+
+/**
+ * Pause every response of the inspected tab as well (takes effect immediately when intercepting)
+ * @param {boolean} enabled
+ */
+export function setInterceptResponses(enabled) {
+    interceptResponses = enabled;
+    localStorage.setItem(RESPONSES_KEY, String(enabled));
+    syncSession();
+}
+
+function responseOverrides(item) {
+    if (item !== shownItem || shownResponseRaw === null) return {};
+    const rawText = elements.rawResponseDisplay.innerText;
+    if (rawText.trim() === shownResponseRaw.trim()) return {};
+    const edited = parseRawResponse(rawText);
+    // A binary body is shown as Latin-1 text; unless it was edited, the original bytes go out
+    if (!isUtf8(base64ToBytes(item.response.body)) && edited.body.trim() === parseRawResponse(shownResponseRaw).body.trim()) {
+        return { ...edited, bodyBase64: item.response.body };
+    }
+    return edited;
+}
+
+function requestOverrides(item) {
+    if (item !== shownItem) return {};
+    const rawText = elements.rawRequestInput.innerText;
+    if (rawText.trim() === shownRaw.trim()) return {};
+    // Match & replace rules were applied before the request was shown
+    const { url, method, rawHeaders, bodyText } = parseRequest(rawText, elements.useHttpsCheckbox.checked, { applyRules: false });
+    return { url, method, headers: rawHeaders, body: bodyText };
+}
+
+/**
+ * Let a paused request (or response) go
+ * The request shown in the editor is sent as edited there.
+ * @param {Object} item - Queued item
+ * @param {Object} [options] - { interceptResponse: pause the response as well }
+ * @returns {boolean} false when the edited request could not be parsed
+ */
+export function forwardIntercepted(item, { interceptResponse = false } = {}) {
+    if (!port) return true;
+
+    let overrides;
+    try {
+        overrides = item.stage === 'response' ? responseOverrides(item) : requestOverrides(item);
+    } catch (error) {
+        alert(`Cannot forward the edited ${item.stage}: ${error.message}`);
+        return false;
+    }
+    if (item === shownItem) setResponseEditable(false);
+
+    port.postMessage({
+        type: 'intercept-continue',
+        tabId,
+        requestId: item.requestId,
+        overrides,
+        options: { interceptResponse: interceptResponse && item.stage === 'request' }
+    });
+    removeFromQueue(queued => queued === item);
+    return true;
+}
+
+/**
+ * Abort a paused request; the page sees a network error
+ * @param {Object} item - Queued item
+ */
+export function dropIntercepted(item) {
+    if (port) port.postMessage({ type: 'intercept-drop', tabId, requestId: item.requestId });
+    if (item === shownItem) setResponseEditable(false);
+    removeFromQueue(queued => queued === item);
+}
+
+export function setupIntercept() {
+    const responsesBtn = document.getElementById('intercept-responses-btn');
+    if (responsesBtn) {
+        const updateResponsesBtn = () => {
+            responsesBtn.classList.toggle('active', interceptResponses);
+            responsesBtn.title = interceptResponses
+                ? 'Pausing responses while blocking (click to only pause requests)'
+                : 'Also pause responses while blocking';
+        };
+        responsesBtn.addEventListener('click', () => {
+            setInterceptResponses(!interceptResponses);
+            updateResponsesBtn();
+        });
+        updateResponsesBtn();
+    }
+
+    // Open the next paused request once the previous one is handled
+    events.on('block-queue:updated', () => {
+        const head = state.blockedQueue[0];
+        if (head && head.intercepted && head !== lastShown) showItem(head);
+    });
+
+    // Picking a request from the list takes the editor away from the paused one
+    events.on(EVENT_NAMES.UI_REQUEST_SELECTED, () => {
+        shownItem = null;
+        setResponseEditable(false);
+    });
+
+    // Keep the background's copy of the rules (and the scope they may depend on) current
+    const updateRules = () => {
+        if (port) port.postMessage({ type: 'intercept-rules', ...rulesMessage() });
+        syncSession();
+    };
+    events.on(EVENT_NAMES.MATCH_REPLACE_CHANGED, updateRules);
+    events.on(EVENT_NAMES.MOCK_RULES_CHANGED, updateRules);
+    events.on(EVENT_NAMES.SCOPE_CHANGED, updateRules);
+    events.on(EVENT_NAMES.PROJECT_SWITCHED, updateRules);
+
+    syncSession();
+}
@@ -0,0 +1,155 @@
+// Match & Replace Feature - Edit the rewrite rules applied to replays and live traffic
+import { events, EVENT_NAMES } from '../../core/events.js';
+import { escapeHtml } from '../../core/utils/dom.js';
+import {
+    matchReplace,
+    loadMatchReplaceRules,
+    saveMatchReplaceRules,
+    normalizeReplaceRule,
+    REPLACE_TARGETS
+} from '../../network/match-replace.js';
+import { INTERCEPT_PERMISSIONS } from '../../network/debugger-intercept.js';
+
+const TARGET_LABELS = {
+    'request-line': 'Request line',
+    'request-header': 'Request header',
+    'request-body': 'Request body',
+    'response-header': 'Response header',
+    'response-body': 'Response body'
+};
+
+function textInput(field, placeholder) {
+    return `<td><input type="text" data-field="${field}" placeholder="${placeholder}" spellcheck="false"></td>`;
+}
+
+function formatLastHit(ruleId) {
+    const at = matchReplace.lastHits.get(ruleId);
+    return at ? new Date(at).toLocaleTimeString() : '—';
+}
+
+export function setupMatchReplace() {
+    loadMatchReplaceRules();
+
+    const openBtn = document.getElementById('match-replace-btn');
+    const modal = document.getElementById('match-replace-modal');
+    if (!openBtn || !modal) return;
+
+    const tbody = modal.querySelector('#match-replace-table tbody');
+    const addBtn = document.getElementById('match-replace-add-btn');
+    const saveBtn = document.getElementById('match-replace-save-btn');
+
+    // Rules being edited; only applied on Save
+    let draft = [];
+
+    function render() {
+        if (draft.length === 0) {
+            tbody.innerHTML = '<tr><td colspan="9" class="capture-rules-empty">No rules: requests and responses are left as they are.</td></tr>';
+            return;
+        }
+
+        tbody.innerHTML = draft.map((rule, index) => `
+            <tr data-index="${index}" class="${rule.enabled ? '' : 'disabled'}">
+                <td><input type="checkbox" data-field="enabled" ${rule.enabled ? 'checked' : ''} title="Enabled"></td>
+                ${textInput('name', 'Name')}
+                <td>
+                    <select data-field="scope">
+                        <option value="any" ${rule.scope === 'any' ? 'selected' : ''}>Any URL</option>
+                        <option value="in-scope" ${rule.scope === 'in-scope' ? 'selected' : ''}>In scope</option>
+                    </select>
+                </td>
+                <td>
+                    <select data-field="target">
+                        ${REPLACE_TARGETS.map(target => `
+                            <option value="${target}" ${rule.target === target ? 'selected' : ''}>${TARGET_LABELS[target]}</option>
+                        `).join('')}
+                    </select>
+                </td>
+                <td><input type="checkbox" data-field="regex" ${rule.regex ? 'checked' : ''} title="Regex (use $1 or $<name> in the replacement)"></td>
+                ${textInput('match', 'X-Role: user')}
+                ${textInput('replace', 'X-Role: admin')}
+                <td class="capture-rules-hits" data-rule-id="${escapeHtml(rule.id)}">${formatLastHit(rule.id)}</td>
+                <td class="capture-rules-actions">
+                    <button class="icon-btn" data-action="up" title="Move up" ${index === 0 ? 'disabled' : ''}>↑</button>
+                    <button class="icon-btn" data-action="down" title="Move down" ${index === draft.length - 1 ? 'disabled' : ''}>↓</button>
+                    <button class="icon-btn" data-action="delete" title="Delete rule">×</button>
+                </td>
+            </tr>
+        `).join('');
+
+        // Set values through the DOM so regexes with quotes survive
+        tbody.querySelectorAll('tr[data-index]').forEach(row => {
+            const rule = draft[parseInt(row.dataset.index, 10)];
+            ['name', 'match', 'replace'].forEach(field => {
+                row.querySelector(`input[data-field="${field}"]`).value = rule[field];
+            });
+        });
+    }
+
+    function updateHits() {
+        if (modal.style.display !== 'block') return;
+        tbody.querySelectorAll('.capture-rules-hits').forEach(cell => {
+            cell.textContent = formatLastHit(cell.dataset.ruleId);
+        });
+    }
+
+    matchReplace.onHit = updateHits;
+
+    openBtn.addEventListener('click', () => {
+        draft = matchReplace.rules.map(rule => ({ ...rule }));
+        render();
+        modal.style.display = 'block';
+    });
+
+    const updateField = (e) => {
+        const row = e.target.closest('tr[data-index]');
+        const field = e.target.dataset.field;
+        if (!row || !field) return;
+        const rule = draft[parseInt(row.dataset.index, 10)];
+        rule[field] = e.target.type === 'checkbox' ? e.target.checked : e.target.value;
+        if (field === 'enabled') row.classList.toggle('disabled', !rule.enabled);
+    };
+    tbody.addEventListener('input', updateField);
+    tbody.addEventListener('change', updateField);
+
+    tbody.addEventListener('click', (e) => {
+        const btn = e.target.closest('button[data-action]');
+        if (!btn) return;
+        const index = parseInt(btn.closest('tr').dataset.index, 10);
+
+        if (btn.dataset.action === 'delete') {
+            draft.splice(index, 1);
+        } else {
+            const target = btn.dataset.action === 'up' ? index - 1 : index + 1;
+            [draft[index], draft[target]] = [draft[target], draft[index]];
+        }
+        render();
+    });
+
+    addBtn.addEventListener('click', () => {
+        draft.push(normalizeReplaceRule({ name: 'New rule' }));
+        render();
+        const inputs = tbody.querySelectorAll('input[data-field="match"]');
+        if (inputs.length) inputs[inputs.length - 1].focus();
+    });
+
+    saveBtn.addEventListener('click', () => {
+        try {
+            saveMatchReplaceRules(draft);
+        } catch (error) {
+            alert(error.message);
+            return;
+        }
+        modal.style.display = 'none';
+
+        const notify = () => events.emit(EVENT_NAMES.MATCH_REPLACE_CHANGED, { rules: matchReplace.rules });
+        if (!matchReplace.rules.some(rule => rule.enabled)) {
+            notify();
+            return;
+        }
+        // Live traffic is rewritten through the debugger; without it the rules only apply to replays
+        chrome.permissions.request(INTERCEPT_PERMISSIONS, (granted) => {
+            if (!granted) console.warn('[Match & Replace] "debugger" permission declined: rules only apply to replays');
+            notify();
+        });
+    });
+}
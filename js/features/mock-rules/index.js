@@ -0,0 +1,251 @@
+// Mock Rules Feature - Edit the responses served for matching URLs, and mock captured responses
+import { state } from '../../core/state.js';
+import { events, EVENT_NAMES } from '../../core/events.js';
+import { escapeHtml } from '../../core/utils/dom.js';
+import { formatBytes } from '../../core/utils/format.js';
+import {
+    mockRules,
+    loadMockRules,
+    saveMockRules,
+    normalizeMockRule,
+    createMockRule
+} from '../../network/mock-rules.js';
+import { formatRawResponse, parseRawResponse } from '../../network/response-parser.js';
+import { INTERCEPT_PERMISSIONS } from '../../network/debugger-intercept.js';
+
+// Rules (and their files) live in localStorage
+const MAX_FILE_SIZE = 2 * 1024 * 1024;
+
+function formatLastHit(ruleId) {
+    const at = mockRules.lastHits.get(ruleId);
+    return at ? new Date(at).toLocaleTimeString() : '—';
+}
+
+function toDraft(rule) {
+    return { ...rule, raw: formatRawResponse({ ...rule, body: rule.file ? '' : rule.body }) };
+}
+
+function fromDraft({ raw, ...rule }) {
+    let response;
+    try {
+        response = parseRawResponse(raw);
+    } catch (error) {
+        throw new Error(`Mock "${rule.name || rule.url}": ${error.message}`);
+    }
+    return { ...rule, ...response };
+}
+
+function readFile(file) {
+    return new Promise((resolve, reject) => {
+        const reader = new FileReader();
+        reader.onload = () => resolve(reader.result.substring(reader.result.indexOf(',') + 1));
+        reader.onerror = () => reject(reader.error);
+        reader.readAsDataURL(file);
+    });
+}
+
+export function setupMockRules() {
+    loadMockRules();
+
+    const openBtn = document.getElementById('mock-rules-btn');
+    const modal = document.getElementById('mock-rules-modal');
+    if (!openBtn || !modal) return;
+
+    const tbody = modal.querySelector('#mock-rules-table tbody');
+    const addBtn = document.getElementById('mock-rules-add-btn');
+    const saveBtn = document.getElementById('mock-rules-save-btn');
+    const editor = document.getElementById('mock-rule-editor');
+    const editorTitle = document.getElementById('mock-rule-editor-title');
+    const responseInput = document.getElementById('mock-rule-response');
+    const fileBtn = document.getElementById('mock-rule-file-btn');
+    const fileInput = document.getElementById('mock-rule-file-input');
+    const fileInfo = document.getElementById('mock-rule-file-info');
+    const fileClearBtn = document.getElementById('mock-rule-file-clear');
+
+    // Rules being edited (with their response as raw text); only applied on Save
+    let draft = [];
+    let selected = -1;
+
+    function renderEditor() {
+        const rule = draft[selected];
+        editor.style.display = rule ? 'block' : 'none';
+        if (!rule) return;
+
+        editorTitle.textContent = `Response for ${rule.name || rule.url || 'new rule'}`;
+        responseInput.value = rule.raw;
+        fileInfo.style.display = rule.file ? 'flex' : 'none';
+        if (rule.file) {
+            const size = Math.floor(rule.file.base64.length * 3 / 4);
+            fileInfo.querySelector('span').textContent =
+                `Body served from ${rule.file.name} (${formatBytes(size)}); any body typed below is ignored.`;
+        }
+    }
+
+    function render() {
+        if (draft.length === 0) {
+            tbody.innerHTML = '<tr><td colspan="7" class="capture-rules-empty">No mocks: every request goes to the network.</td></tr>';
+            renderEditor();
+            return;
+        }
+
+        tbody.innerHTML = draft.map((rule, index) => `
+            <tr data-index="${index}" class="${rule.enabled ? '' : 'disabled'} ${index === selected ? 'selected' : ''}">
+                <td><input type="checkbox" data-field="enabled" ${rule.enabled ? 'checked' : ''} title="Enabled"></td>
+                <td><input type="text" data-field="name" placeholder="Name" spellcheck="false"></td>
+                <td><input type="text" data-field="method" placeholder="Any" spellcheck="false"></td>
+                <td><input type="text" data-field="url" placeholder="https://api.example.com/users/*" spellcheck="false"></td>
+                <td><input type="checkbox" data-field="regex" ${rule.regex ? 'checked' : ''} title="URL is a regex"></td>
+                <td class="capture-rules-hits" data-rule-id="${escapeHtml(rule.id)}">${formatLastHit(rule.id)}</td>
+                <td class="capture-rules-actions">
+                    <button class="icon-btn" data-action="edit" title="Edit response">✎</button>
+                    <button class="icon-btn" data-action="up" title="Move up" ${index === 0 ? 'disabled' : ''}>↑</button>
+                    <button class="icon-btn" data-action="down" title="Move down" ${index === draft.length - 1 ? 'disabled' : ''}>↓</button>
+                    <button class="icon-btn" data-action="delete" title="Delete rule">×</button>
+                </td>
+            </tr>
+        `).join('');
+
+        // Set values through the DOM so regexes with quotes survive
+        tbody.querySelectorAll('tr[data-index]').forEach(row => {
+            const rule = draft[parseInt(row.dataset.index, 10)];
+            ['name', 'method', 'url'].forEach(field => {
+                row.querySelector(`input[data-field="${field}"]`).value = rule[field];
+            });
+        });
+        renderEditor();
+    }
+
+    function updateHits() {
+        if (modal.style.display !== 'block') return;
+        tbody.querySelectorAll('.capture-rules-hits').forEach(cell => {
+            cell.textContent = formatLastHit(cell.dataset.ruleId);
+        });
+    }
+
+    mockRules.onHit = updateHits;
+
+    function open(extraRule = null) {
+        draft = mockRules.rules.map(toDraft);
+        selected = -1;
+        if (extraRule) {
+            draft.push(toDraft(extraRule));
+            selected = draft.length - 1;
+        }
+        render();
+        modal.style.display = 'block';
+    }
+
+    openBtn.addEventListener('click', () => open());
+
+    const updateField = (e) => {
+        const row = e.target.closest('tr[data-index]');
+        const field = e.target.dataset.field;
+        if (!row || !field) return;
+        const rule = draft[parseInt(row.dataset.index, 10)];
+        rule[field] = e.target.type === 'checkbox' ? e.target.checked : e.target.value;
+        if (field === 'enabled') row.classList.toggle('disabled', !rule.enabled);
+    };
+    tbody.addEventListener('input', updateField);
+    tbody.addEventListener('change', updateField);
+
+    tbody.addEventListener('click', (e) => {
+        const btn = e.target.closest('button[data-action]');
+        if (!btn) return;
+        const index = parseInt(btn.closest('tr').dataset.index, 10);
+
+        if (btn.dataset.action === 'edit') {
+            selected = index;
+        } else if (btn.dataset.action === 'delete') {
+            draft.splice(index, 1);
+            if (selected === index) selected = -1;
+            else if (selected > index) selected--;
+        } else {
+            const target = btn.dataset.action === 'up' ? index - 1 : index + 1;
+            [draft[index], draft[target]] = [draft[target], draft[index]];
+            if (selected === index) selected = target;
+            else if (selected === target) selected = index;
+        }
+        render();
+    });
+
+    responseInput.addEventListener('input', () => {
+        if (draft[selected]) draft[selected].raw = responseInput.value;
+    });
+
+    fileBtn.addEventListener('click', () => {
+        if (draft[selected]) fileInput.click();
+    });
+
+    fileInput.addEventListener('change', async () => {
+        const file = fileInput.files[0];
+        fileInput.value = '';
+        const rule = draft[selected];
+        if (!file || !rule) return;
+        if (file.size > MAX_FILE_SIZE) {
+            alert(`${file.name} is larger than ${formatBytes(MAX_FILE_SIZE)}; mock rules are kept in local storage.`);
+            return;
+        }
+        try {
+            rule.file = { name: file.name, type: file.type, base64: await readFile(file) };
+        } catch (error) {
+            alert(`Could not read ${file.name}: ${error.message}`);
+            return;
+        }
+        renderEditor();
+    });
+
+    fileClearBtn.addEventListener('click', () => {
+        if (!draft[selected]) return;
+        draft[selected].file = null;
+        renderEditor();
+    });
+
+    addBtn.addEventListener('click', () => {
+        draft.push(toDraft(normalizeMockRule({ name: 'New mock' })));
+        selected = draft.length - 1;
+        render();
+        const inputs = tbody.querySelectorAll('input[data-field="url"]');
+        if (inputs.length) inputs[inputs.length - 1].focus();
+    });
+
+    saveBtn.addEventListener('click', () => {
+        try {
+            saveMockRules(draft.map(fromDraft));
+        } catch (error) {
+            alert(error.message);
+            return;
+        }
+        modal.style.display = 'none';
+
+        const notify = () => events.emit(EVENT_NAMES.MOCK_RULES_CHANGED, { rules: mockRules.rules });
+        if (!mockRules.hasRules()) {
+            notify();
+            return;
+        }
+        // Mocks are served through the debugger
+        chrome.permissions.request(INTERCEPT_PERMISSIONS, (granted) => {
+            if (!granted) alert('Mocks need the "debugger" permission to answer the inspected tab\'s requests.');
+            notify();
+        });
+    });
+
+    // Response pane: start a mock from the selected request and the response shown for it
+    const mockResponseBtn = document.getElementById('mock-response-btn');
+    if (mockResponseBtn) {
+        mockResponseBtn.addEventListener('click', () => {
+            const request = state.selectedRequest;
+            if (!request || !state.currentResponse) {
+                alert('Select a request with a response to mock it.');
+                return;
+            }
+            let response;
+            try {
+                response = parseRawResponse(state.currentResponse);
+            } catch (error) {
+                alert(`Cannot mock this response: ${error.message}`);
+                return;
+            }
+            open(createMockRule({ method: request.request.method, url: request.request.url }, response, state.currentResponseBody));
+        });
+    }
+}
@@ -0,0 +1,119 @@
+// Notes Feature - Markdown notes, tags and a finding flag per captured request
+import { state, actions } from '../../core/state.js';
+import { events, EVENT_NAMES } from '../../core/events.js';
+import { escapeHtml } from '../../core/utils/dom.js';
+import { FINDING_SEVERITIES, collectTags } from '../../core/utils/metadata.js';
+
+const SAFE_LINK = /^(https?:|mailto:|#)/i;
+
+let notesMarked = null;
+
+// escapeHtml leaves quotes alone, which attribute values need escaped
+function escapeAttribute(value) {
+    return escapeHtml(value).replace(/"/g, '&quot;');
+}
+
+// Notes may be pasted from responses: raw HTML is shown as text and only web links stay clickable
+function getNotesMarked() {
+    if (notesMarked || typeof marked === 'undefined') return notesMarked;
+    notesMarked = new marked.Marked({
+        gfm: true,
+        breaks: true,
+        renderer: {
+            html({ text }) {
+                return escapeHtml(text);
+            },
+            link({ href, title, tokens }) {
+                const text = this.parser.parseInline(tokens);
+                if (!SAFE_LINK.test(href || '')) return text;
+                const titleAttr = title ? ` title="${escapeAttribute(title)}"` : '';
+                return `<a href="${escapeAttribute(href)}"${titleAttr} target="_blank" rel="noopener noreferrer">${text}</a>`;
+            },
+            image({ text }) {
+                return escapeHtml(text || '');
+            }
+        }
+    });
+    return notesMarked;
+}
+
+/**
+ * Render request notes as HTML
+ * @param {string} markdown
+ * @returns {string} HTML (plain text in a <pre> when marked is not loaded)
+ */
+export function renderNotes(markdown) {
+    const parser = getNotesMarked();
+    if (!parser) return `<pre>${escapeHtml(markdown || '')}</pre>`;
+    return parser.parse(markdown || '');
+}
+
+export function setupNotes() {
+    const modal = document.getElementById('request-notes-modal');
+    if (!modal) return;
+
+    const target = document.getElementById('request-notes-target');
+    const findingSelect = document.getElementById('request-notes-finding');
+    const tagsInput = document.getElementById('request-notes-tags');
+    const tagList = document.getElementById('request-notes-tag-list');
+    const notesInput = document.getElementById('request-notes-input');
+    const preview = document.getElementById('request-notes-preview');
+    const previewBtn = document.getElementById('request-notes-preview-btn');
+    const saveBtn = document.getElementById('request-notes-save-btn');
+
+    findingSelect.append(new Option('None', ''), ...FINDING_SEVERITIES.map(severity =>
+        new Option(severity.charAt(0).toUpperCase() + severity.slice(1), severity)
+    ));
+
+    // Request being edited (by reference: indices shift when requests are deleted)
+    let editing = null;
+
+    function showPreview(visible) {
+        preview.style.display = visible ? 'block' : 'none';
+        notesInput.style.display = visible ? 'none' : '';
+        previewBtn.textContent = visible ? 'Edit' : 'Preview';
+        if (visible) preview.innerHTML = renderNotes(notesInput.value);
+    }
+
+    events.on(EVENT_NAMES.REQUEST_ACTION_EDIT_NOTES, ({ index }) => {
+        const request = state.requests[index];
+        if (!request) return;
+        editing = request;
+
+        target.textContent = `${request.request.method} ${request.request.url}`;
+        findingSelect.value = request.finding || '';
+        tagsInput.value = (request.tags || []).join(', ');
+        notesInput.value = request.notes || '';
+        tagList.innerHTML = '';
+        tagList.append(...collectTags(state.requests).map(tag => new Option(tag)));
+
+        // Existing notes open rendered; new ones open for typing
+        showPreview(Boolean(request.notes));
+        modal.style.display = 'block';
+        if (!request.notes) notesInput.focus();
+    });
+
+    previewBtn.addEventListener('click', () => {
+        showPreview(preview.style.display === 'none');
+    });
+
+    saveBtn.addEventListener('click', () => {
+        const index = state.requests.indexOf(editing);
+        if (index === -1) {
+            alert('This request is no longer in the list.');
+            modal.style.display = 'none';
+            return;
+        }
+        actions.request.setMetadata(index, {
+            notes: notesInput.value,
+            tags: tagsInput.value,
+            finding: findingSelect.value
+        });
+        modal.style.display = 'none';
+    });
+
+    events.on(EVENT_NAMES.PROJECT_SWITCHED, () => {
+        editing = null;
+        modal.style.display = 'none';
+    });
+}
@@ -0,0 +1,153 @@
+// Workspace Database - Thin promise wrapper around IndexedDB
+// Stores captured requests, per-request editor state and workspace metadata
+
+const DB_VERSION = 1;
+
+export const STORES = {
+    REQUESTS: 'requests',
+    EDITORS: 'editors',
+    META: 'meta'
+};
+
+/**
+ * Wrap an IDBRequest in a promise
+ * @param {IDBRequest} request
+ * @returns {Promise<*>}
+ */
+function promisify(request) {
+    return new Promise((resolve, reject) => {
+        request.onsuccess = () => resolve(request.result);
+        request.onerror = () => reject(request.error);
+    });
+}
+
+/**
+ * Handles persistence of the request workspace in IndexedDB
+ */
+export class WorkspaceDB {
+    /**
+     * @param {string} name - Database name
+     */
+    constructor(name = 'rep_workspace') {
+        this.name = name;
+        this.db = null;
+    }
+
+    /**
+     * Whether IndexedDB is available in this context
+     * @returns {boolean}
+     */
+    static isSupported() {
+        return typeof indexedDB !== 'undefined';
+    }
+
+    /**
+     * Delete a database entirely
+     * @param {string} name - Database name
+     * @returns {Promise<void>}
+     */
+    static async destroy(name) {
+        await promisify(indexedDB.deleteDatabase(name));
+    }
+
+    /**
+     * Open (and upgrade if needed) the database
+     * @returns {Promise<IDBDatabase>}
+     */
+    async open() {
+        if (this.db) return this.db;
+
+        const request = indexedDB.open(this.name, DB_VERSION);
+        request.onupgradeneeded = () => {
+            const db = request.result;
+            if (!db.objectStoreNames.contains(STORES.REQUESTS)) {
+                db.createObjectStore(STORES.REQUESTS, { keyPath: 'id' });
+            }
+            if (!db.objectStoreNames.contains(STORES.EDITORS)) {
+                db.createObjectStore(STORES.EDITORS, { keyPath: 'id' });
+            }
+            if (!db.objectStoreNames.contains(STORES.META)) {
+                db.createObjectStore(STORES.META, { keyPath: 'key' });
+            }
+        };
+
+        this.db = await promisify(request);
+        return this.db;
+    }
+
+    /**
+     * Close the database connection
+     */
+    close() {
+        if (this.db) {
+            this.db.close();
+            this.db = null;
+        }
+    }
+
+    /**
+     * Read every record from a store
+     * @param {string} storeName
+     * @returns {Promise<Array>}
+     */
+    async getAll(storeName) {
+        const db = await this.open();
+        const tx = db.transaction(storeName, 'readonly');
+        return promisify(tx.objectStore(storeName).getAll());
+    }
+
+    /**
+     * Read a metadata value
+     * @param {string} key
+     * @param {*} fallback - Returned when the key is missing
+     * @returns {Promise<*>}
+     */
+    async getMeta(key, fallback = null) {
+        const db = await this.open();
+        const tx = db.transaction(STORES.META, 'readonly');
+        const record = await promisify(tx.objectStore(STORES.META).get(key));
+        return record ? record.value : fallback;
+    }
+
+    /**
+     * Apply puts and deletes across stores in a single transaction
+     * @param {Object} changes - { [storeName]: { put?: Array, delete?: Array<string> } }
+     * @returns {Promise<void>}
+     */
+    async write(changes) {
+        const storeNames = Object.keys(changes);
+        if (storeNames.length === 0) return;
+
+        const db = await this.open();
+        const tx = db.transaction(storeNames, 'readwrite');
+
+        storeNames.forEach(storeName => {
+            const store = tx.objectStore(storeName);
+            const { put = [], delete: remove = [] } = changes[storeName];
+            put.forEach(value => store.put(value));
+            remove.forEach(key => store.delete(key));
+        });
+
+        await new Promise((resolve, reject) => {
+            tx.oncomplete = () => resolve();
+            tx.onerror = () => reject(tx.error);
+            tx.onabort = () => reject(tx.error);
+        });
+    }
+
+    /**
+     * Remove every record from all stores
+     * @returns {Promise<void>}
+     */
+    async clear() {
+        const db = await this.open();
+        const names = Object.values(STORES);
+        const tx = db.transaction(names, 'readwrite');
+        names.forEach(name => tx.objectStore(name).clear());
+
+        await new Promise((resolve, reject) => {
+            tx.oncomplete = () => resolve();
+            tx.onerror = () => reject(tx.error);
+        });
+    }
+}
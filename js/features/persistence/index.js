@@ -0,0 +1,413 @@
+// Workspace Persistence - Keeps the captured request workspace in IndexedDB
+// Requests, per-request editor state (undo/redo, history, last response), repeater
+// tabs and star/color metadata survive closing DevTools and are rehydrated on open.
+import { state, actions } from '../../core/state.js';
+import { events, EVENT_NAMES } from '../../core/events.js';
+import { saveEditorState, getEditorState, setEditorState } from '../../ui/request-editor.js';
+import { serializeRepeaterTabs, restoreRepeaterTabs } from '../../ui/repeater-tabs.js';
+import { getActiveProjectId, DEFAULT_PROJECT_ID } from '../../core/utils/storage.js';
+import { WorkspaceDB, STORES } from './db.js';
+import { toRecord, fromRecord, toEditorRecord, selectEvictions, getWorkspaceSizeCap } from './records.js';
+
+const SAVE_DELAY_MS = 800;
+
+let db = null;
+let saveTimer = null;
+let savePromise = null;
+let hydrating = false;
+
+// Requests and editor states changed since the last save; only these are serialized
+let dirtyRequests = new Set();
+let dirtyEditors = new Set();
+
+// What is currently on disk, and the serialized size of every request (for the size cap)
+let savedOrders = new Map(); // Map<id, order>
+let savedEditors = new Set(); // Set<id>
+let sizes = new Map(); // Map<id, { request, editor }>
+let nextOrder = 0;
+
+/**
+ * IndexedDB database name for a project
+ * @param {string} projectId
+ * @returns {string}
+ */
+export function workspaceDbName(projectId) {
+    return projectId === DEFAULT_PROJECT_ID ? 'rep_workspace' : `rep_workspace_${projectId}`;
+}
+
+/**
+ * Load the persisted workspace into state
+ * @returns {Promise<number>} Number of restored requests
+ */
+async function hydrate() {
+    const [records, editorRecords, starredPages, starredDomains, repeaterTabs] = await Promise.all([
+        db.getAll(STORES.REQUESTS),
+        db.getAll(STORES.EDITORS),
+        db.getMeta('starredPages', []),
+        db.getMeta('starredDomains', []),
+        db.getMeta('repeaterTabs', [])
+    ]);
+
+    const editorsById = new Map(editorRecords.map(r => [r.id, r]));
+    records.sort((a, b) => a.order - b.order);
+
+    hydrating = true;
+    let restored = 0;
+    const duplicates = [];
+    try {
+        starredPages.forEach(h => state.starredPages.add(h));
+        starredDomains.forEach(h => state.starredDomains.add(h));
+        restoreRepeaterTabs(repeaterTabs);
+
+        records.forEach(record => {
+            const request = fromRecord(record);
+            const index = actions.request.add(request, { restore: true });
+            nextOrder = Math.max(nextOrder, record.order + 1);
+            if (index === null) {
+                duplicates.push(record.id);
+                return;
+            }
+
+            restored++;
+            savedOrders.set(request.id, record.order);
+
+            const editor = editorsById.get(request.id);
+            if (editor) {
+                setEditorState(index, editor.state);
+                savedEditors.add(request.id);
+            }
+            sizes.set(request.id, { request: record.size || 0, editor: editor ? editor.size || 0 : 0 });
+        });
+    } finally {
+        hydrating = false;
+    }
+
+    // Records the duplicate check rejects would otherwise be read again on every open
+    if (duplicates.length > 0) {
+        await db.write({
+            [STORES.REQUESTS]: { delete: duplicates },
+            [STORES.EDITORS]: { delete: duplicates }
+        });
+    }
+
+    if (restored > 0) {
+        events.emit(EVENT_NAMES.UI_UPDATE_REQUEST_LIST);
+    }
+    events.emit(EVENT_NAMES.WORKSPACE_RESTORED, { count: restored });
+    return restored;
+}
+
+/**
+ * Write the requests and editor states changed since the last save
+ */
+async function save() {
+    // Capture the editor of the currently open request as well
+    const selectedIndex = state.requests.indexOf(state.selectedRequest);
+    if (selectedIndex !== -1) {
+        saveEditorState(selectedIndex);
+        dirtyEditors.add(state.selectedRequest.id);
+    }
+
+    const changedRequests = dirtyRequests;
+    const changedEditors = dirtyEditors;
+    dirtyRequests = new Set();
+    dirtyEditors = new Set();
+
+    // What this save serialized
+    const requestJson = new Map(); // Map<id, json>
+    const editorJson = new Map(); // Map<id, { editor, json }>, json null without an editor state
+    const serializeRequest = (request) => {
+        const json = JSON.stringify(request);
+        requestJson.set(request.id, json);
+        sizes.get(request.id).request = json.length;
+    };
+    const serializeEditor = (id, index) => {
+        const editor = getEditorState(index);
+        const json = editor ? JSON.stringify(editor) : null;
+        editorJson.set(id, { editor, json });
+        sizes.get(id).editor = json ? json.length : 0;
+    };
+
+    const present = new Map(); // Map<id, index>
+    const candidates = [];
+    state.requests.forEach((request, index) => {
+        if (!request || !request.id) return;
+        const id = request.id;
+        present.set(id, index);
+        const known = sizes.has(id);
+        if (!known) sizes.set(id, { request: 0, editor: 0 });
+        if (!known || changedRequests.has(id)) serializeRequest(request);
+        if (!known || changedEditors.has(id)) serializeEditor(id, index);
+
+        const size = sizes.get(id);
+        candidates.push({ id, size: size.request + size.editor, starred: request.starred, capturedAt: request.capturedAt });
+    });
+    sizes.forEach((_, id) => {
+        if (!present.has(id)) sizes.delete(id);
+    });
+
+    const evicted = selectEvictions(candidates, getWorkspaceSizeCap());
+
+    const changes = {
+        [STORES.REQUESTS]: { put: [], delete: [] },
+        [STORES.EDITORS]: { put: [], delete: [] },
+        [STORES.META]: {
+            put: [
+                { key: 'starredPages', value: Array.from(state.starredPages) },
+                { key: 'starredDomains', value: Array.from(state.starredDomains) },
+                { key: 'repeaterTabs', value: serializeRepeaterTabs() }
+            ]
+        }
+    };
+    const nextOrders = new Map(savedOrders);
+    const nextEditors = new Set(savedEditors);
+
+    present.forEach((index, id) => {
+        if (evicted.has(id)) return;
+        const request = state.requests[index];
+
+        // A request that no longer needs evicting is written back whole
+        if (!nextOrders.has(id)) {
+            if (!requestJson.has(id)) serializeRequest(request);
+            if (!editorJson.has(id)) serializeEditor(id, index);
+        }
+        if (requestJson.has(id)) {
+            const order = nextOrders.has(id) ? nextOrders.get(id) : nextOrder++;
+            changes[STORES.REQUESTS].put.push(toRecord(request, order, requestJson.get(id)));
+            nextOrders.set(id, order);
+        }
+        if (editorJson.has(id)) {
+            const { editor, json } = editorJson.get(id);
+            if (json) {
+                changes[STORES.EDITORS].put.push(toEditorRecord(id, editor, json));
+                nextEditors.add(id);
+            } else if (nextEditors.delete(id)) {
+                changes[STORES.EDITORS].delete.push(id);
+            }
+        }
+    });
+
+    savedOrders.forEach((_, id) => {
+        if (present.has(id) && !evicted.has(id)) return;
+        changes[STORES.REQUESTS].delete.push(id);
+        nextOrders.delete(id);
+    });
+    savedEditors.forEach(id => {
+        if (present.has(id) && !evicted.has(id)) return;
+        changes[STORES.EDITORS].delete.push(id);
+        nextEditors.delete(id);
+    });
+
+    if (evicted.size > 0) {
+        console.log(`[Persistence] Workspace over size cap, evicted ${evicted.size} oldest unstarred request(s) from storage`);
+    }
+
+    try {
+        await db.write(changes);
+    } catch (error) {
+        // Try these again with the next save
+        changedRequests.forEach(id => dirtyRequests.add(id));
+        changedEditors.forEach(id => dirtyEditors.add(id));
+        throw error;
+    }
+    savedOrders = nextOrders;
+    savedEditors = nextEditors;
+}
+
+/**
+ * Run a save now, queued behind any save already in flight
+ * @returns {Promise<void>}
+ */
+export async function flushWorkspace() {
+    if (!db) return;
+    clearTimeout(saveTimer);
+    saveTimer = null;
+
+    const run = (savePromise || Promise.resolve())
+        .then(() => (db ? save() : undefined))
+        .catch(error => console.error('[Persistence] Failed to save workspace:', error));
+    savePromise = run;
+    await run;
+    if (savePromise === run) {
+        savePromise = null;
+    }
+}
+
+/**
+ * Debounce a save after a state change
+ */
+function scheduleSave() {
+    if (!db || hydrating) return;
+    clearTimeout(saveTimer);
+    saveTimer = setTimeout(flushWorkspace, SAVE_DELAY_MS);
+}
+
+/**
+ * The request an event is about ({ request } or { index })
+ * @param {Object} [data] - Event payload
+ * @returns {Object|null}
+ */
+function eventRequest(data) {
+    if (!data) return null;
+    if (data.request) return data.request;
+    return state.requests[data.index] || null;
+}
+
+/**
+ * Mark a request changed and save it
+ * @param {Object} [data] - Event payload naming the request
+ */
+function requestChanged(data) {
+    if (!db || hydrating) return;
+    const request = eventRequest(data);
+    if (request && request.id) dirtyRequests.add(request.id);
+    scheduleSave();
+}
+
+/**
+ * Open a project's workspace and load it into state
+ * The caller is responsible for clearing the previous workspace from state first.
+ * @param {string} projectId
+ * @returns {Promise<number>} Number of restored requests
+ */
+export async function openWorkspace(projectId) {
+    dirtyRequests = new Set();
+    dirtyEditors = new Set();
+    savedOrders = new Map();
+    savedEditors = new Set();
+    sizes = new Map();
+    nextOrder = 0;
+
+    db = new WorkspaceDB(workspaceDbName(projectId));
+    try {
+        await db.open();
+        return await hydrate();
+    } catch (error) {
+        db = null;
+        throw error;
+    }
+}
+
+/**
+ * Save and detach the open workspace so state can be cleared without touching disk
+ * @returns {Promise<void>}
+ */
+export async function closeWorkspace() {
+    await flushWorkspace();
+    if (db) {
+        db.close();
+        db = null;
+    }
+}
+
+/**
+ * Read everything stored for a project (used for archives)
+ * @param {string} projectId
+ * @returns {Promise<{requests: Array, editors: Array, meta: Object}>}
+ */
+export async function readWorkspace(projectId) {
+    if (db && db.name === workspaceDbName(projectId)) {
+        await flushWorkspace();
+    }
+
+    const source = new WorkspaceDB(workspaceDbName(projectId));
+    try {
+        const [requests, editors, starredPages, starredDomains, repeaterTabs] = await Promise.all([
+            source.getAll(STORES.REQUESTS),
+            source.getAll(STORES.EDITORS),
+            source.getMeta('starredPages', []),
+            source.getMeta('starredDomains', []),
+            source.getMeta('repeaterTabs', [])
+        ]);
+        requests.sort((a, b) => a.order - b.order);
+        return { requests, editors, meta: { starredPages, starredDomains, repeaterTabs } };
+    } finally {
+        source.close();
+    }
+}
+
+/**
+ * Write a snapshot produced by readWorkspace into a (closed) project workspace
+ * @param {string} projectId
+ * @param {{requests: Array, editors: Array, meta: Object}} snapshot
+ * @returns {Promise<void>}
+ */
+export async function writeWorkspace(projectId, snapshot) {
+    const target = new WorkspaceDB(workspaceDbName(projectId));
+    try {
+        await target.write({
+            [STORES.REQUESTS]: { put: snapshot.requests || [] },
+            [STORES.EDITORS]: { put: snapshot.editors || [] },
+            [STORES.META]: {
+                put: [
+                    { key: 'starredPages', value: snapshot.meta?.starredPages || [] },
+                    { key: 'starredDomains', value: snapshot.meta?.starredDomains || [] },
+                    { key: 'repeaterTabs', value: snapshot.meta?.repeaterTabs || [] }
+                ]
+            }
+        });
+    } finally {
+        target.close();
+    }
+}
+
+/**
+ * Delete a project's stored workspace
+ * @param {string} projectId
+ * @returns {Promise<void>}
+ */
+export async function deleteWorkspace(projectId) {
+    await WorkspaceDB.destroy(workspaceDbName(projectId));
+}
+
+/**
+ * Initialize workspace persistence: restore the saved workspace, then keep it in sync
+ * @returns {Promise<void>}
+ */
+export async function setupPersistence() {
+    if (!WorkspaceDB.isSupported()) {
+        console.warn('[Persistence] IndexedDB not available, workspace will not be saved');
+        return;
+    }
+
+    [
+        EVENT_NAMES.REQUEST_RENDERED,
+        EVENT_NAMES.REQUEST_STAR_UPDATED,
+        EVENT_NAMES.REQUEST_COLOR_CHANGED,
+        EVENT_NAMES.REQUEST_RENAMED,
+        EVENT_NAMES.REQUEST_METADATA_CHANGED,
+        EVENT_NAMES.NETWORK_RESPONSE_RECEIVED,
+        EVENT_NAMES.WEBSOCKET_FRAME
+    ].forEach(name => events.on(name, requestChanged));
+
+    // Deletes, clears and the workspace-wide metadata
+    [
+        EVENT_NAMES.UI_UPDATE_REQUEST_LIST,
+        EVENT_NAMES.REPEATER_TABS_CHANGED,
+        EVENT_NAMES.STATE_REQUESTS_CLEARED
+    ].forEach(name => events.on(name, scheduleSave));
+
+    // A send updates the request's editor (its response) as well
+    events.on(EVENT_NAMES.REQUEST_SENT, (data) => {
+        const request = eventRequest(data);
+        if (request && request.id) dirtyEditors.add(request.id);
+        requestChanged(data);
+    });
+
+    // The editor being left is saved into its request's editor state
+    events.on(EVENT_NAMES.UI_EDITOR_LEAVING, () => {
+        if (state.selectedRequest && state.selectedRequest.id) dirtyEditors.add(state.selectedRequest.id);
+    });
+
+    // Best effort flush when the DevTools panel goes away
+    window.addEventListener('pagehide', () => {
+        flushWorkspace();
+    });
+
+    try {
+        const restored = await openWorkspace(getActiveProjectId());
+        console.log(`[Persistence] Restored ${restored} request(s)`);
+    } catch (error) {
+        console.error('[Persistence] Failed to restore workspace:', error);
+    }
+}
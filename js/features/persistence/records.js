@@ -0,0 +1,86 @@
+// Workspace Records - Conversion between live requests and stored records
+
+export const DEFAULT_MAX_WORKSPACE_MB = 200;
+
+/**
+ * Get the workspace size cap in bytes (configurable via localStorage 'rep_workspace_max_mb')
+ * @returns {number}
+ */
+export function getWorkspaceSizeCap() {
+    const saved = parseFloat(localStorage.getItem('rep_workspace_max_mb'));
+    const mb = Number.isFinite(saved) && saved > 0 ? saved : DEFAULT_MAX_WORKSPACE_MB;
+    return Math.floor(mb * 1024 * 1024);
+}
+
+/**
+ * Make a structured-clone/JSON safe copy of a value
+ * Drops functions such as the DevTools getContent() callback.
+ * @param {*} value
+ * @returns {*}
+ */
+function toPlain(value) {
+    return value === undefined ? undefined : JSON.parse(JSON.stringify(value));
+}
+
+/**
+ * Convert a captured request into a storable record
+ * @param {Object} request - Entry from state.requests
+ * @param {number} order - Position in state.requests
+ * @param {string} [json] - Pre-serialized request, if already computed
+ * @returns {Object} { id, order, capturedAt, starred, size, data }
+ */
+export function toRecord(request, order, json = JSON.stringify(request)) {
+    return {
+        id: request.id,
+        order,
+        capturedAt: request.capturedAt || 0,
+        starred: !!request.starred,
+        size: json.length,
+        data: JSON.parse(json)
+    };
+}
+
+/**
+ * Convert a stored record back into a request object suitable for actions.request.add
+ * @param {Object} record
+ * @returns {Object}
+ */
+export function fromRecord(record) {
+    return { ...toPlain(record.data), id: record.id };
+}
+
+/**
+ * Convert saved editor state into a storable record
+ * @param {string} id - Request id
+ * @param {Object} editorState - State produced by saveEditorState
+ * @param {string} [json] - Pre-serialized state, if already computed
+ * @returns {Object} { id, size, state }
+ */
+export function toEditorRecord(id, editorState, json = JSON.stringify(editorState)) {
+    return { id, size: json.length, state: JSON.parse(json) };
+}
+
+/**
+ * Pick which records to evict so the workspace fits under the size cap.
+ * Oldest unstarred requests go first; starred requests are never evicted.
+ * @param {Array<{id: string, size: number, starred: boolean, capturedAt: number}>} records
+ * @param {number} maxBytes
+ * @returns {Set<string>} Ids to evict
+ */
+export function selectEvictions(records, maxBytes) {
+    const evict = new Set();
+    let total = records.reduce((sum, r) => sum + (r.size || 0), 0);
+    if (total <= maxBytes) return evict;
+
+    const candidates = records
+        .filter(r => !r.starred)
+        .sort((a, b) => (a.capturedAt || 0) - (b.capturedAt || 0));
+
+    for (const record of candidates) {
+        if (total <= maxBytes) break;
+        evict.add(record.id);
+        total -= record.size || 0;
+    }
+
+    return evict;
+}
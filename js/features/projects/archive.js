@@ -0,0 +1,97 @@
+// Project Archive - Single-file format for exporting and restoring a project
+
+import { PROJECT_SCOPED_KEYS, projectStorageKey } from '../../core/utils/storage.js';
+
+export const ARCHIVE_FORMAT = 'rep-project';
+export const ARCHIVE_VERSION = '1.0';
+
+/**
+ * Collect the project-scoped localStorage values for a project
+ * @param {string} projectId
+ * @returns {Object} Map of base key -> stored string
+ */
+export function collectProjectSettings(projectId) {
+    const settings = {};
+    PROJECT_SCOPED_KEYS.forEach(key => {
+        const value = localStorage.getItem(projectStorageKey(key, projectId));
+        if (value !== null) {
+            settings[key] = value;
+        }
+    });
+    return settings;
+}
+
+/**
+ * Write project-scoped localStorage values for a project
+ * @param {string} projectId
+ * @param {Object} settings - Map of base key -> stored string
+ */
+export function applyProjectSettings(projectId, settings = {}) {
+    PROJECT_SCOPED_KEYS.forEach(key => {
+        if (typeof settings[key] === 'string') {
+            localStorage.setItem(projectStorageKey(key, projectId), settings[key]);
+        }
+    });
+}
+
+/**
+ * Remove every project-scoped localStorage value for a project
+ * @param {string} projectId
+ */
+export function removeProjectSettings(projectId) {
+    PROJECT_SCOPED_KEYS.forEach(key => {
+        localStorage.removeItem(projectStorageKey(key, projectId));
+    });
+}
+
+/**
+ * Build a project archive
+ * @param {Object} project - { name, createdAt }
+ * @param {Object} workspace - Snapshot from readWorkspace()
+ * @param {Object} settings - Project-scoped settings
+ * @returns {Object}
+ */
+export function buildProjectArchive(project, workspace, settings) {
+    return {
+        format: ARCHIVE_FORMAT,
+        version: ARCHIVE_VERSION,
+        exported_at: new Date().toISOString(),
+        project: {
+            name: project.name,
+            createdAt: project.createdAt || null
+        },
+        workspace: {
+            requests: workspace.requests || [],
+            editors: workspace.editors || [],
+            meta: workspace.meta || {}
+        },
+        settings: settings || {}
+    };
+}
+
+/**
+ * Validate and normalize a parsed project archive
+ * @param {Object} data - Parsed JSON
+ * @returns {Object} Archive with defaults filled in
+ */
+export function parseProjectArchive(data) {
+    if (!data || data.format !== ARCHIVE_FORMAT) {
+        throw new Error('Not a rep+ project archive.');
+    }
+    if (!data.workspace || !Array.isArray(data.workspace.requests)) {
+        throw new Error('Invalid project archive: "workspace.requests" array missing.');
+    }
+
+    return {
+        project: {
+            name: (data.project && data.project.name) || 'Restored project',
+            createdAt: (data.project && data.project.createdAt) || Date.now()
+        },
+        workspace: {
+            requests: data.workspace.requests,
+            editors: Array.isArray(data.workspace.editors) ? data.workspace.editors : [],
+            meta: data.workspace.meta || {}
+        },
+        settings: data.settings || {}
+    };
+}
@@ -0,0 +1,317 @@
+// Projects Feature - Named workspaces with switching, export and archiving
+// Each project owns its captured requests (IndexedDB workspace), starred groups
+// and the project-scoped settings listed in PROJECT_SCOPED_KEYS.
+import { state } from '../../core/state.js';
+import { events, EVENT_NAMES } from '../../core/events.js';
+import { downloadJSON } from '../../core/utils/dom.js';
+import { getActiveProjectId, ACTIVE_PROJECT_KEY, DEFAULT_PROJECT_ID } from '../../core/utils/storage.js';
+import { clearAllRequestsUI } from '../../ui/main-ui.js';
+import { loadCachedCategories } from '../attack-surface/index.js';
+import { openWorkspace, closeWorkspace, readWorkspace, writeWorkspace, deleteWorkspace } from '../persistence/index.js';
+import {
+    collectProjectSettings,
+    applyProjectSettings,
+    removeProjectSettings,
+    buildProjectArchive,
+    parseProjectArchive
+} from './archive.js';
+
+const PROJECTS_KEY = 'rep_projects';
+
+let switching = false;
+
+/**
+ * Load the project list (the default project always exists)
+ * @returns {Array<{id: string, name: string, createdAt: number}>}
+ */
+export function getProjects() {
+    let projects = [];
+    try {
+        projects = JSON.parse(localStorage.getItem(PROJECTS_KEY) || '[]');
+    } catch (e) {
+        projects = [];
+    }
+    if (!projects.some(p => p.id === DEFAULT_PROJECT_ID)) {
+        projects.unshift({ id: DEFAULT_PROJECT_ID, name: 'Default', createdAt: 0 });
+    }
+    return projects;
+}
+
+function saveProjects(projects) {
+    localStorage.setItem(PROJECTS_KEY, JSON.stringify(projects));
+}
+
+function createProjectId() {
+    return `proj_${Date.now().toString(36)}_${Math.random().toString(36).substr(2, 5)}`;
+}
+
+/**
+ * Pick a name that is not already used by another project
+ * @param {string} name
+ * @returns {string}
+ */
+function uniqueProjectName(name) {
+    const names = new Set(getProjects().map(p => p.name));
+    if (!names.has(name)) return name;
+    let i = 2;
+    while (names.has(`${name} (${i})`)) i++;
+    return `${name} (${i})`;
+}
+
+function clearWorkspaceState() {
+    clearAllRequestsUI();
+    state.starredPages.clear();
+    state.starredDomains.clear();
+}
+
+/**
+ * Switch the active project: save the current workspace, clear state and load the target
+ * @param {string} projectId
+ * @returns {Promise<boolean>} Whether the project is active afterwards
+ */
+export async function switchProject(projectId) {
+    const previousId = getActiveProjectId();
+    if (projectId === previousId) return true;
+    if (switching) return false;
+    switching = true;
+
+    try {
+        await closeWorkspace();
+        clearWorkspaceState();
+
+        // The new project only becomes active once its workspace is open; otherwise the
+        // current project is reloaded and stays active
+        try {
+            await openWorkspace(projectId);
+        } catch (error) {
+            clearWorkspaceState();
+            await openWorkspace(previousId).catch(reopenError => {
+                console.error('[Projects] Failed to reopen the current project:', reopenError);
+            });
+            throw error;
+        }
+        localStorage.setItem(ACTIVE_PROJECT_KEY, projectId);
+
+        events.emit(EVENT_NAMES.PROJECT_SWITCHED, { projectId });
+        console.log(`[Projects] Switched to project ${projectId}`);
+        return true;
+    } catch (error) {
+        console.error('[Projects] Failed to switch project:', error);
+        alert('Failed to switch project: ' + error.message);
+        return false;
+    } finally {
+        switching = false;
+        renderProjectSwitcher();
+    }
+}
+
+/**
+ * Create a new empty project and switch to it
+ * @param {string} name
+ */
+export async function createProject(name) {
+    const project = { id: createProjectId(), name: uniqueProjectName(name), createdAt: Date.now() };
+    saveProjects([...getProjects(), project]);
+    await switchProject(project.id);
+    return project;
+}
+
+/**
+ * Build the single-file archive for a project
+ * @param {string} projectId
+ * @returns {Promise<Object>}
+ */
+async function buildArchive(projectId) {
+    const project = getProjects().find(p => p.id === projectId);
+    if (!project) throw new Error('Unknown project');
+    const workspace = await readWorkspace(projectId);
+    return buildProjectArchive(project, workspace, collectProjectSettings(projectId));
+}
+
+function archiveFilename(project) {
+    const slug = project.name.replace(/[^a-zA-Z0-9._-]/g, '_').slice(0, 50) || 'project';
+    return `rep_project_${slug}_${new Date().toISOString().slice(0, 10)}.json`;
+}
+
+/**
+ * Export a project as one file
+ * @param {string} projectId
+ */
+export async function exportProject(projectId) {
+    const project = getProjects().find(p => p.id === projectId);
+    const archive = await buildArchive(projectId);
+    downloadJSON(archive, archiveFilename(project));
+}
+
+/**
+ * Archive a project: write it to one file, then remove it from this browser
+ * @param {string} projectId
+ */
+export async function archiveProject(projectId) {
+    if (projectId === DEFAULT_PROJECT_ID) {
+        alert('The default project cannot be archived. Use "Export project" instead.');
+        return;
+    }
+
+    const project = getProjects().find(p => p.id === projectId);
+    if (!project) return;
+    if (!confirm(`Archive "${project.name}"?\n\nThe project will be downloaded as a single file and removed from this browser. Use "Restore archive" to bring it back.`)) {
+        return;
+    }
+
+    const archive = await buildArchive(projectId);
+    downloadJSON(archive, archiveFilename(project));
+
+    // The archived project's data is only deleted once it is no longer the open workspace
+    if (projectId === getActiveProjectId() && !await switchProject(DEFAULT_PROJECT_ID)) {
+        return;
+    }
+
+    await deleteWorkspace(projectId);
+    removeProjectSettings(projectId);
+    saveProjects(getProjects().filter(p => p.id !== projectId));
+    renderProjectSwitcher();
+}
+
+/**
+ * Restore a project from an archive file as a new project
+ * @param {File} file
+ */
+export function restoreProject(file) {
+    const reader = new FileReader();
+    reader.onload = async (e) => {
+        try {
+            const archive = parseProjectArchive(JSON.parse(e.target.result));
+            const project = {
+                id: createProjectId(),
+                name: uniqueProjectName(archive.project.name),
+                createdAt: archive.project.createdAt
+            };
+
+            await writeWorkspace(project.id, archive.workspace);
+            applyProjectSettings(project.id, archive.settings);
+            saveProjects([...getProjects(), project]);
+            await switchProject(project.id);
+
+            alert(`Restored project "${project.name}" (${archive.workspace.requests.length} requests).`);
+        } catch (error) {
+            console.error('[Projects] Restore error:', error);
+            alert('Failed to restore project: ' + error.message);
+        }
+    };
+    reader.readAsText(file);
+}
+
+/**
+ * Render the toolbar project switcher
+ */
+function renderProjectSwitcher() {
+    const switcher = document.getElementById('project-switcher');
+    if (!switcher) return;
+
+    const activeId = getActiveProjectId();
+    switcher.innerHTML = '';
+    getProjects().forEach(project => {
+        const option = document.createElement('option');
+        option.value = project.id;
+        option.textContent = project.name;
+        option.selected = project.id === activeId;
+        switcher.appendChild(option);
+    });
+}
+
+/**
+ * Initialize the project switcher and project menu
+ */
+export function setupProjects() {
+    const switcher = document.getElementById('project-switcher');
+    const menuBtn = document.getElementById('project-menu-btn');
+    const menu = document.getElementById('project-menu');
+    const importFile = document.getElementById('project-import-file');
+
+    // Attack surface categories are cached per project, keyed by request position
+    events.on(EVENT_NAMES.WORKSPACE_RESTORED, () => {
+        state.attackSurfaceCategories = loadCachedCategories();
+    });
+
+    renderProjectSwitcher();
+
+    if (switcher) {
+        switcher.addEventListener('change', () => {
+            switchProject(switcher.value);
+        });
+    }
+
+    if (menuBtn && menu) {
+        menuBtn.addEventListener('click', (e) => {
+            e.stopPropagation();
+            menu.classList.toggle('hidden');
+        });
+        document.addEventListener('click', (e) => {
+            if (!menu.contains(e.target) && e.target !== menuBtn) {
+                menu.classList.add('hidden');
+            }
+        });
+        menu.addEventListener('click', (e) => {
+            if (e.target.closest('.more-menu-item')) {
+                menu.classList.add('hidden');
+            }
+        });
+    }
+
+    const bind = (id, handler) => {
+        const btn = document.getElementById(id);
+        if (btn) btn.addEventListener('click', handler);
+    };
+
+    bind('project-new-btn', () => {
+        const name = prompt('Project name:');
+        if (name && name.trim()) {
+            createProject(name.trim());
+        }
+    });
+
+    bind('project-rename-btn', () => {
+        const activeId = getActiveProjectId();
+        const projects = getProjects();
+        const project = projects.find(p => p.id === activeId);
+        if (!project) return;
+        const name = prompt('Rename project:', project.name);
+        if (name && name.trim() && name.trim() !== project.name) {
+            project.name = uniqueProjectName(name.trim());
+            saveProjects(projects);
+            renderProjectSwitcher();
+        }
+    });
+
+    bind('project-export-btn', async () => {
+        try {
+            await exportProject(getActiveProjectId());
+        } catch (error) {
+            console.error('[Projects] Export error:', error);
+            alert('Failed to export project: ' + error.message);
+        }
+    });
+
+    bind('project-archive-btn', async () => {
+        try {
+            await archiveProject(getActiveProjectId());
+        } catch (error) {
+            console.error('[Projects] Archive error:', error);
+            alert('Failed to archive project: ' + error.message);
+        }
+    });
+
+    bind('project-restore-btn', () => {
+        if (importFile) importFile.click();
+    });
+
+    if (importFile) {
+        importFile.addEventListener('change', (e) => {
+            if (e.target.files.length > 0) {
+                restoreProject(e.target.files[0]);
+                e.target.value = ''; // Reset
+            }
+        });
+    }
+}
@@ -0,0 +1,144 @@
+// Target Scope Feature - Edit the active project's include/exclude scope
+import { state } from '../../core/state.js';
+import { events, EVENT_NAMES } from '../../core/events.js';
+import { getScope, saveScope, normalizeScopeEntry, SCOPE_PROTOCOLS } from '../../network/scope.js';
+
+const ENTRY_FIELDS = [
+    { field: 'host', placeholder: '*.example.com' },
+    { field: 'pathPrefix', placeholder: '/api/' },
+    { field: 'regex', placeholder: 'Regex on the full URL' }
+];
+
+export function setupScope() {
+    const openBtn = document.getElementById('scope-btn');
+    const modal = document.getElementById('scope-modal');
+    if (!openBtn || !modal) return;
+
+    const captureOnlyToggle = document.getElementById('scope-capture-only');
+    const warnToggle = document.getElementById('scope-warn-send');
+    const addHostBtn = document.getElementById('scope-add-host-btn');
+    const saveBtn = document.getElementById('scope-save-btn');
+    const lists = {
+        include: modal.querySelector('#scope-include-table tbody'),
+        exclude: modal.querySelector('#scope-exclude-table tbody')
+    };
+
+    // Scope being edited; only applied on Save
+    let draft = null;
+
+    function renderList(list) {
+        const tbody = lists[list];
+        const entries = draft[list];
+
+        if (entries.length === 0) {
+            tbody.innerHTML = `<tr><td colspan="5" class="scope-empty">${list === 'include'
+                ? 'No include entries: every URL is in scope.'
+                : 'No exclude entries.'}</td></tr>`;
+            return;
+        }
+
+        tbody.innerHTML = entries.map((entry, index) => `
+            <tr data-index="${index}">
+                <td>
+                    <select data-field="protocol">
+                        ${SCOPE_PROTOCOLS.map(p => `<option value="${p}" ${entry.protocol === p ? 'selected' : ''}>${p}</option>`).join('')}
+                    </select>
+                </td>
+                ${ENTRY_FIELDS.map(({ field, placeholder }) => `
+                    <td><input type="text" data-field="${field}" placeholder="${placeholder}" spellcheck="false"></td>
+                `).join('')}
+                <td><button class="icon-btn" data-action="delete" title="Remove entry">×</button></td>
+            </tr>
+        `).join('');
+
+        // Set values through the DOM so regexes with quotes survive
+        tbody.querySelectorAll('tr[data-index]').forEach(row => {
+            const entry = entries[parseInt(row.dataset.index, 10)];
+            ENTRY_FIELDS.forEach(({ field }) => {
+                row.querySelector(`input[data-field="${field}"]`).value = entry[field];
+            });
+        });
+    }
+
+    function render() {
+        captureOnlyToggle.checked = draft.captureInScopeOnly;
+        warnToggle.checked = draft.warnOnSend;
+        renderList('include');
+        renderList('exclude');
+    }
+
+    openBtn.addEventListener('click', () => {
+        const scope = getScope();
+        draft = {
+            ...scope,
+            include: scope.include.map(e => ({ ...e })),
+            exclude: scope.exclude.map(e => ({ ...e }))
+        };
+        render();
+        modal.style.display = 'block';
+    });
+
+    Object.entries(lists).forEach(([list, tbody]) => {
+        tbody.addEventListener('input', (e) => {
+            const row = e.target.closest('tr[data-index]');
+            const field = e.target.dataset.field;
+            if (!row || !field) return;
+            draft[list][parseInt(row.dataset.index, 10)][field] = e.target.value;
+        });
+
+        tbody.addEventListener('click', (e) => {
+            const btn = e.target.closest('button[data-action="delete"]');
+            if (!btn) return;
+            draft[list].splice(parseInt(btn.closest('tr').dataset.index, 10), 1);
+            renderList(list);
+        });
+    });
+
+    modal.querySelectorAll('[data-scope-add]').forEach(btn => {
+        btn.addEventListener('click', () => {
+            const list = btn.dataset.scopeAdd;
+            draft[list].push(normalizeScopeEntry());
+            renderList(list);
+            const inputs = lists[list].querySelectorAll('input[data-field="host"]');
+            if (inputs.length) inputs[inputs.length - 1].focus();
+        });
+    });
+
+    addHostBtn.addEventListener('click', () => {
+        const request = state.selectedRequest;
+        if (!request) {
+            alert('Select a request first.');
+            return;
+        }
+        try {
+            draft.include.push(normalizeScopeEntry({ host: new URL(request.request.url).hostname }));
+        } catch (e) {
+            alert('The selected request has no valid URL.');
+            return;
+        }
+        renderList('include');
+    });
+
+    captureOnlyToggle.addEventListener('change', () => {
+        draft.captureInScopeOnly = captureOnlyToggle.checked;
+    });
+
+    warnToggle.addEventListener('change', () => {
+        draft.warnOnSend = warnToggle.checked;
+    });
+
+    saveBtn.addEventListener('click', () => {
+        try {
+            saveScope(draft);
+        } catch (error) {
+            alert(error.message);
+            return;
+        }
+        modal.style.display = 'none';
+    });
+
+    // Close the editor when the project changes underneath it
+    events.on(EVENT_NAMES.PROJECT_SWITCHED, () => {
+        modal.style.display = 'none';
+    });
+}
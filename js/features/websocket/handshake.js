@@ -0,0 +1,88 @@
+// WebSocket Handshake Replay - Re-apply captured handshake headers to repeater sockets
+// The WebSocket constructor cannot set headers, so a declarativeNetRequest session
+// rule rewrites the upgrade request sent from this panel (tabId -1) for one URL.
+
+export const HANDSHAKE_RULE_ID = 9001;
+export const HANDSHAKE_PERMISSIONS = { permissions: ['declarativeNetRequestWithHostAccess'], origins: ['<all_urls>'] };
+
+// Set by the browser during the upgrade, or passed to the WebSocket constructor
+const UNREPLAYABLE_HEADERS = new Set([
+    'host', 'connection', 'upgrade', 'content-length',
+    'sec-websocket-key', 'sec-websocket-version', 'sec-websocket-extensions', 'sec-websocket-protocol'
+]);
+
+/**
+ * Headers from a captured handshake that can be replayed
+ * @param {Array<{name: string, value: string}>} headers
+ * @returns {Array<{name: string, value: string}>}
+ */
+export function replayableHeaders(headers) {
+    return (headers || []).filter(h =>
+        h && h.name && !h.name.startsWith(':') && !UNREPLAYABLE_HEADERS.has(h.name.toLowerCase()));
+}
+
+/**
+ * Subprotocols requested by the captured handshake
+ * @param {Array<{name: string, value: string}>} headers
+ * @returns {Array<string>}
+ */
+export function handshakeProtocols(headers) {
+    const header = (headers || []).find(h => h.name.toLowerCase() === 'sec-websocket-protocol');
+    return header ? header.value.split(',').map(p => p.trim()).filter(Boolean) : [];
+}
+
+/**
+ * Build the session rule that sets the handshake headers for one URL
+ * @param {string} url
+ * @param {Array<{name: string, value: string}>} headers
+ * @returns {Object}
+ */
+export function buildHandshakeRule(url, headers) {
+    return {
+        id: HANDSHAKE_RULE_ID,
+        priority: 1,
+        action: {
+            type: 'modifyHeaders',
+            requestHeaders: replayableHeaders(headers).map(h => ({ header: h.name, operation: 'set', value: h.value }))
+        },
+        condition: {
+            urlFilter: `|${url.split('#')[0]}|`,
+            resourceTypes: ['websocket'],
+            tabIds: [-1]
+        }
+    };
+}
+
+/**
+ * Install the handshake rule
+ * @param {string} url
+ * @param {Array<{name: string, value: string}>} headers
+ * @returns {Promise<boolean>} false when the permission is missing (headers are not replayed)
+ */
+export async function applyHandshakeHeaders(url, headers) {
+    const granted = await new Promise(resolve => {
+        chrome.permissions.contains(HANDSHAKE_PERMISSIONS, resolve);
+    });
+    if (!granted || !chrome.declarativeNetRequest) return false;
+
+    const rule = buildHandshakeRule(url, headers);
+    if (rule.action.requestHeaders.length === 0) return true;
+
+    await chrome.declarativeNetRequest.updateSessionRules({
+        removeRuleIds: [HANDSHAKE_RULE_ID],
+        addRules: [rule]
+    });
+    return true;
+}
+
+/**
+ * Remove the handshake rule
+ */
+export async function clearHandshakeHeaders() {
+    if (typeof chrome === 'undefined' || !chrome.declarativeNetRequest) return;
+    try {
+        await chrome.declarativeNetRequest.updateSessionRules({ removeRuleIds: [HANDSHAKE_RULE_ID] });
+    } catch (e) {
+        // Rule was never installed
+    }
+}
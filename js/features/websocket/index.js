@@ -0,0 +1,218 @@
+// WebSocket Inspector - Frame list, frame views and repeater for WebSocket entries
+import { events, EVENT_NAMES } from '../../core/events.js';
+import { escapeHtml } from '../../core/utils/dom.js';
+import { formatBytes, formatTime } from '../../core/utils/format.js';
+import { JSONFormatter } from '../../core/utils/json-formatter.js';
+import { generateHexView } from '../../ui/hex-view.js';
+import {
+    WS_OPCODES,
+    isWebSocketEntry,
+    payloadBytes,
+    payloadText,
+    payloadJSON
+} from '../../network/websocket.js';
+import { WebSocketRepeater } from './repeater.js';
+import { HANDSHAKE_PERMISSIONS } from './handshake.js';
+
+const PREVIEW_LENGTH = 120;
+
+const formatter = new JSONFormatter();
+
+/**
+ * Short single-line preview of a frame payload
+ * @param {Object} frame
+ * @returns {string}
+ */
+function framePreview(frame) {
+    const text = frame.opcode === 2 ? `[binary] ${frame.payload}` : payloadText(frame);
+    const line = text.replace(/\s+/g, ' ');
+    return line.length > PREVIEW_LENGTH ? line.slice(0, PREVIEW_LENGTH) + '…' : line;
+}
+
+export function setupWebSocketInspector() {
+    const pane = document.getElementById('websocket-pane');
+    if (!pane) return;
+
+    const title = document.getElementById('ws-title');
+    const frameTable = document.getElementById('ws-frames-table').querySelector('tbody');
+    const detailTabs = pane.querySelectorAll('.ws-detail-tab');
+    const detailContent = document.getElementById('ws-detail-content');
+    const closeBtn = document.getElementById('ws-close-btn');
+    const connectBtn = document.getElementById('ws-connect-btn');
+    const statusLabel = document.getElementById('ws-repeater-status');
+    const modeSelect = document.getElementById('ws-send-mode');
+    const composer = document.getElementById('ws-composer');
+    const sendBtn = document.getElementById('ws-send-btn');
+
+    let currentRequest = null;
+    let repeaterFrames = [];
+    let selectedFrame = null;
+    let detailView = 'text';
+
+    const repeater = new WebSocketRepeater({
+        onFrame: (frame) => {
+            repeaterFrames.push(frame);
+            appendFrameRow(frame, true);
+        },
+        onStatus: (status, detail) => {
+            statusLabel.textContent = detail ? `${status} (${detail})` : status;
+            statusLabel.className = `ws-repeater-status ${status}`;
+            const open = status === 'open';
+            connectBtn.textContent = open || status === 'connecting' ? 'Disconnect' : 'Connect';
+            sendBtn.disabled = !open;
+        }
+    });
+
+    function frameRow(frame, fromRepeater) {
+        const row = document.createElement('tr');
+        row.className = `ws-frame ${frame.direction}${fromRepeater ? ' repeater' : ''}`;
+        const arrow = frame.direction === 'sent' ? '↑' : '↓';
+        row.innerHTML = `
+            <td class="ws-frame-dir" title="${fromRepeater ? 'Repeater' : 'Captured'} ${frame.direction}">${fromRepeater ? '↻' : ''}${arrow}</td>
+            <td class="ws-frame-time">${escapeHtml(formatTime(frame.timestamp))}</td>
+            <td class="ws-frame-opcode">${escapeHtml(WS_OPCODES[frame.opcode] || String(frame.opcode))}</td>
+            <td class="ws-frame-length">${escapeHtml(formatBytes(payloadBytes(frame).length))}</td>
+            <td class="ws-frame-data">${escapeHtml(framePreview(frame))}</td>
+        `;
+        row.addEventListener('click', () => {
+            frameTable.querySelectorAll('tr.selected').forEach(r => r.classList.remove('selected'));
+            row.classList.add('selected');
+            selectedFrame = frame;
+            renderDetail();
+        });
+        return row;
+    }
+
+    function appendFrameRow(frame, fromRepeater = false) {
+        const empty = frameTable.querySelector('.ws-empty');
+        if (empty) empty.remove();
+        frameTable.appendChild(frameRow(frame, fromRepeater));
+    }
+
+    function renderFrames() {
+        frameTable.innerHTML = '';
+        const frames = (currentRequest.webSocket && currentRequest.webSocket.frames) || [];
+        if (frames.length === 0 && repeaterFrames.length === 0) {
+            frameTable.innerHTML = `<tr class="ws-empty"><td colspan="5">${currentRequest.webSocket && currentRequest.webSocket.closed === false
+                ? 'Waiting for frames...'
+                : 'No frames captured for this connection.'}</td></tr>`;
+            return;
+        }
+        frames.forEach(frame => appendFrameRow(frame));
+        repeaterFrames.forEach(frame => appendFrameRow(frame, true));
+    }
+
+    function renderDetail() {
+        detailContent.innerHTML = '';
+        if (!selectedFrame) return;
+
+        if (detailView === 'json') {
+            const value = payloadJSON(selectedFrame);
+            if (value === undefined) {
+                detailContent.innerHTML = '<div class="ws-detail-note">Payload is not valid JSON.</div>';
+                return;
+            }
+            const container = document.createElement('div');
+            container.className = 'json-formatter-container';
+            if (document.body.classList.contains('dark-theme')) container.classList.add('dark-theme');
+            container.innerHTML = formatter.valueToHTML(value, 0);
+            formatter.attachEventListeners(container);
+            detailContent.appendChild(container);
+            return;
+        }
+
+        const pre = document.createElement('pre');
+        pre.className = detailView === 'hex' ? 'hex-display' : 'ws-detail-text';
+        pre.textContent = detailView === 'hex'
+            ? generateHexView(payloadBytes(selectedFrame))
+            : payloadText(selectedFrame);
+        detailContent.appendChild(pre);
+    }
+
+    function show(request) {
+        if (currentRequest !== request) {
+            repeater.close();
+            repeaterFrames = [];
+            selectedFrame = null;
+            detailContent.innerHTML = '';
+        }
+        currentRequest = request;
+        title.textContent = request.request.url;
+        title.title = request.request.url;
+        renderFrames();
+        pane.style.display = 'flex';
+    }
+
+    function hide() {
+        repeater.close();
+        currentRequest = null;
+        repeaterFrames = [];
+        selectedFrame = null;
+        pane.style.display = 'none';
+    }
+
+    events.on(EVENT_NAMES.UI_REQUEST_SELECTED, ({ request }) => {
+        if (isWebSocketEntry(request)) {
+            show(request);
+        } else if (currentRequest) {
+            hide();
+        }
+    });
+
+    events.on(EVENT_NAMES.WEBSOCKET_FRAME, ({ request, frame }) => {
+        if (request !== currentRequest) return;
+        if (frame) appendFrameRow(frame);
+        else renderFrames();
+    });
+
+    events.on(EVENT_NAMES.STATE_REQUESTS_CLEARED, hide);
+    events.on(EVENT_NAMES.UI_CLEAR_ALL, hide);
+
+    detailTabs.forEach(tab => {
+        tab.addEventListener('click', () => {
+            detailTabs.forEach(t => t.classList.remove('active'));
+            tab.classList.add('active');
+            detailView = tab.dataset.view;
+            renderDetail();
+        });
+    });
+
+    closeBtn.addEventListener('click', hide);
+
+    connectBtn.addEventListener('click', () => {
+        if (!currentRequest) return;
+        if (connectBtn.textContent === 'Disconnect') {
+            repeater.close();
+            return;
+        }
+        const { url, headers } = currentRequest.request;
+        // Replaying handshake headers needs declarativeNetRequest; connect without them if declined
+        chrome.permissions.request(HANDSHAKE_PERMISSIONS, () => {
+            repeater.connect(url, headers).catch(error => {
+                console.error('[WebSocket] Connect error:', error);
+                statusLabel.textContent = `error (${error.message})`;
+            });
+        });
+    });
+
+    sendBtn.addEventListener('click', () => {
+        try {
+            repeater.send(composer.value, modeSelect.value);
+        } catch (error) {
+            alert('Failed to send frame: ' + error.message);
+        }
+    });
+
+    // Load the selected frame into the composer for editing
+    frameTable.addEventListener('dblclick', () => {
+        if (!selectedFrame) return;
+        if (selectedFrame.opcode === 2) {
+            modeSelect.value = 'base64';
+            composer.value = selectedFrame.payload;
+        } else {
+            modeSelect.value = 'text';
+            composer.value = payloadText(selectedFrame);
+        }
+        composer.focus();
+    });
+}
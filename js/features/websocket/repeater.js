@@ -0,0 +1,121 @@
+// WebSocket Repeater - Open a new socket for a captured connection and send edited frames
+import { createFrame, hexToBytes, bytesToBase64 } from '../../network/websocket.js';
+import { applyHandshakeHeaders, clearHandshakeHeaders, handshakeProtocols } from './handshake.js';
+
+export const SEND_MODES = ['text', 'hex', 'base64'];
+
+/**
+ * Encode composer input into a frame payload
+ * @param {string} input
+ * @param {string} mode - 'text' | 'hex' | 'base64'
+ * @returns {{data: string|Uint8Array, frame: Object}}
+ */
+export function encodeOutgoing(input, mode = 'text') {
+    if (mode === 'text') {
+        return { data: input, frame: createFrame({ direction: 'sent', opcode: 1, payload: input }) };
+    }
+
+    let bytes;
+    if (mode === 'hex') {
+        bytes = hexToBytes(input);
+    } else {
+        try {
+            bytes = Uint8Array.from(atob(input.replace(/\s+/g, '')), c => c.charCodeAt(0));
+        } catch (e) {
+            throw new Error('Invalid base64 payload.');
+        }
+    }
+    return { data: bytes, frame: createFrame({ direction: 'sent', opcode: 2, payload: bytesToBase64(bytes) }) };
+}
+
+export class WebSocketRepeater {
+    /**
+     * @param {Object} handlers
+     * @param {Function} handlers.onFrame - Called with each sent/received frame
+     * @param {Function} handlers.onStatus - Called with (status, detail)
+     * @param {Function} [WebSocketImpl] - WebSocket constructor (injectable for tests)
+     */
+    constructor({ onFrame, onStatus }, WebSocketImpl = globalThis.WebSocket) {
+        this.onFrame = onFrame;
+        this.onStatus = onStatus || (() => {});
+        this.WebSocketImpl = WebSocketImpl;
+        this.socket = null;
+    }
+
+    get isOpen() {
+        return !!this.socket && this.socket.readyState === 1;
+    }
+
+    /**
+     * Connect, replaying the captured handshake headers when possible
+     * @param {string} url - ws:// or wss:// URL
+     * @param {Array<{name: string, value: string}>} headers - Captured handshake headers
+     */
+    async connect(url, headers = []) {
+        this.close();
+        this.onStatus('connecting');
+
+        let headersReplayed = false;
+        try {
+            headersReplayed = await applyHandshakeHeaders(url, headers);
+        } catch (error) {
+            console.warn('[WebSocket] Could not install handshake rule:', error);
+        }
+
+        const protocols = handshakeProtocols(headers);
+        const socket = new this.WebSocketImpl(url, protocols.length ? protocols : undefined);
+        socket.binaryType = 'arraybuffer';
+        this.socket = socket;
+
+        socket.onopen = () => {
+            // The rule is only needed for the upgrade request
+            clearHandshakeHeaders();
+            if (this.socket !== socket) return;
+            this.onStatus('open', headersReplayed ? '' : 'handshake headers not replayed');
+        };
+        socket.onmessage = (event) => {
+            if (this.socket !== socket) return;
+            const binary = typeof event.data !== 'string';
+            this.onFrame(createFrame({
+                direction: 'received',
+                opcode: binary ? 2 : 1,
+                payload: binary ? bytesToBase64(new Uint8Array(event.data)) : event.data
+            }));
+        };
+        socket.onerror = () => {
+            if (this.socket !== socket) return;
+            this.onStatus('error');
+        };
+        socket.onclose = (event) => {
+            clearHandshakeHeaders();
+            if (this.socket !== socket) return;
+            this.socket = null;
+            this.onStatus('closed', event.code ? `code ${event.code}${event.reason ? `: ${event.reason}` : ''}` : '');
+        };
+    }
+
+    /**
+     * Send a frame
+     * @param {string} input - Composer content
+     * @param {string} mode - 'text' | 'hex' | 'base64'
+     */
+    send(input, mode = 'text') {
+        if (!this.isOpen) throw new Error('Socket is not open.');
+        const { data, frame } = encodeOutgoing(input, mode);
+        this.socket.send(data);
+        this.onFrame(frame);
+    }
+
+    close() {
+        if (this.socket) {
+            const socket = this.socket;
+            this.socket = null;
+            try {
+                socket.close();
+            } catch (e) {
+                // Already closing
+            }
+            this.onStatus('closed');
+        }
+    }
+}
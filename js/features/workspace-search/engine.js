@@ -0,0 +1,140 @@
+// Workspace Search Engine - Finds literal or regex matches in the URL, headers and bodies
+// of every captured request and response
+
+export const SEARCH_SCOPES = [
+    { id: 'url', label: 'URL', pane: 'request' },
+    { id: 'request-headers', label: 'Request headers', pane: 'request' },
+    { id: 'request-body', label: 'Request body', pane: 'request' },
+    { id: 'response-headers', label: 'Response headers', pane: 'response' },
+    { id: 'response-body', label: 'Response body', pane: 'response' }
+];
+
+const DEFAULT_CONTEXT_LENGTH = 40;
+const DEFAULT_MAX_MATCHES = 100; // Per request
+
+/**
+ * Build the pattern for a search
+ * @param {string} term
+ * @param {Object} [options]
+ * @param {boolean} [options.regex=false] - Treat the term as a regular expression
+ * @param {boolean} [options.caseSensitive=false]
+ * @returns {RegExp}
+ * @throws {SyntaxError} When the regex is invalid
+ */
+export function compilePattern(term, { regex = false, caseSensitive = false } = {}) {
+    const source = regex ? term : term.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+    return new RegExp(source, caseSensitive ? 'g' : 'gi');
+}
+
+function headersText(headers) {
+    return (headers || []).map(h => `${h.name}: ${h.value}`).join('\n');
+}
+
+/**
+ * Text of each search scope of a captured request
+ * @param {Object} request - Entry from state.requests
+ * @returns {Object} Scope id -> text; binary (base64) response bodies are left out
+ */
+export function getSearchableText(request) {
+    const response = request.response || {};
+    const responseBody = request.responseEncoding === 'base64'
+        ? ''
+        : (request.responseBody ?? (response.content && response.content.text) ?? '');
+    return {
+        'url': request.request.url,
+        'request-headers': headersText(request.request.headers),
+        'request-body': (request.request.postData && request.request.postData.text) || '',
+        'response-headers': headersText(request.responseHeaders || response.headers),
+        'response-body': responseBody
+    };
+}
+
+/**
+ * Find the matches in one request
+ * @param {Object} request - Entry from state.requests
+ * @param {RegExp} pattern - From compilePattern
+ * @param {Object} [options]
+ * @param {Array<string>} [options.scopes] - Scope ids to search, all by default
+ * @param {number} [options.contextLength] - Characters of context on each side of a match
+ * @param {number} [options.maxMatches] - Stop after this many matches
+ * @returns {{matches: Array<Object>, truncated: boolean}} Each match is
+ *   { scope, start, end, text, groups, before, after }; groups holds the capture groups
+ */
+export function searchRequest(request, pattern, {
+    scopes = SEARCH_SCOPES.map(scope => scope.id),
+    contextLength = DEFAULT_CONTEXT_LENGTH,
+    maxMatches = DEFAULT_MAX_MATCHES
+} = {}) {
+    const texts = getSearchableText(request);
+    const matches = [];
+    for (const scope of scopes) {
+        const text = texts[scope];
+        if (!text) continue;
+        pattern.lastIndex = 0;
+        let match;
+        while ((match = pattern.exec(text)) !== null) {
+            // Empty matches (a*, ^) would never move on and point at nothing
+            if (match[0] === '') {
+                pattern.lastIndex++;
+                continue;
+            }
+            if (matches.length === maxMatches) return { matches, truncated: true };
+            const start = match.index;
+            const end = start + match[0].length;
+            matches.push({
+                scope,
+                start,
+                end,
+                text: match[0],
+                groups: match.slice(1),
+                before: text.slice(Math.max(0, start - contextLength), start),
+                after: text.slice(end, end + contextLength)
+            });
+        }
+    }
+    return { matches, truncated: false };
+}
+
+/**
+ * Search a list of requests
+ * @param {Array<Object>} requests
+ * @param {RegExp} pattern - From compilePattern
+ * @param {Object} [options] - See searchRequest
+ * @returns {Array<{request: Object, matches: Array<Object>, truncated: boolean}>} Requests with matches
+ */
+export function searchRequests(requests, pattern, options) {
+    const results = [];
+    requests.forEach(request => {
+        const { matches, truncated } = searchRequest(request, pattern, options);
+        if (matches.length) results.push({ request, matches, truncated });
+    });
+    return results;
+}
+
+/**
+ * One row per match with its capture groups, for the CSV export
+ * @param {Array<Object>} results - From searchRequests
+ * @returns {{headers: Array<string>, rows: Array<Object>}}
+ */
+export function captureGroupTable(results) {
+    let groupCount = 0;
+    results.forEach(({ matches }) => matches.forEach(match => {
+        groupCount = Math.max(groupCount, match.groups.length);
+    }));
+    const groupHeaders = Array.from({ length: groupCount }, (_, i) => `Group ${i + 1}`);
+
+    const rows = [];
+    results.forEach(({ request, matches }) => matches.forEach(match => {
+        const row = {
+            'Method': request.request.method,
+            'URL': request.request.url,
+            'Location': SEARCH_SCOPES.find(scope => scope.id === match.scope).label,
+            'Match': match.text
+        };
+        groupHeaders.forEach((header, i) => {
+            row[header] = match.groups[i] ?? '';
+        });
+        rows.push(row);
+    }));
+    return { headers: ['Method', 'URL', 'Location', 'Match', ...groupHeaders], rows };
+}
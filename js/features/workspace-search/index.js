@@ -0,0 +1,208 @@
+// Workspace Search Feature - Search every captured request and response, jump to matches
+// and export regex capture groups
+import { state } from '../../core/state.js';
+import { events, EVENT_NAMES } from '../../core/events.js';
+import { escapeHtml, downloadCSV } from '../../core/utils/dom.js';
+import { SEARCH_SCOPES, compilePattern, searchRequest, captureGroupTable } from './engine.js';
+
+const CHUNK_SIZE = 250; // Requests searched between yields to the UI
+const MAX_TOTAL_MATCHES = 20000;
+const RESULTS_PAGE_SIZE = 100; // Requests rendered per "Show more"
+
+function snippet(text) {
+    return escapeHtml(text.replace(/\s+/g, ' '));
+}
+
+export function setupWorkspaceSearch() {
+    const modal = document.getElementById('workspace-search-modal');
+    const openBtn = document.getElementById('workspace-search-btn');
+    if (!modal) return;
+
+    const input = document.getElementById('workspace-search-input');
+    const runBtn = document.getElementById('workspace-search-run-btn');
+    const regexCheckbox = document.getElementById('workspace-search-regex');
+    const caseCheckbox = document.getElementById('workspace-search-case');
+    const scopeCheckboxes = Array.from(modal.querySelectorAll('.workspace-search-scope'));
+    const summary = document.getElementById('workspace-search-summary');
+    const resultsContainer = document.getElementById('workspace-search-results');
+    const exportBtn = document.getElementById('workspace-search-export-btn');
+
+    // Results of the last search, and every match in order for F3 navigation
+    let results = [];
+    let flatMatches = [];
+    let currentMatch = -1;
+    let shownResults = 0;
+    // Incremented per search so a newer search stops an older one
+    let searchRun = 0;
+
+    function open() {
+        modal.style.display = 'block';
+        input.focus();
+        input.select();
+    }
+
+    function renderResults(from) {
+        const fragment = document.createDocumentFragment();
+        results.slice(from, from + RESULTS_PAGE_SIZE).forEach((result, offset) => {
+            const resultIndex = from + offset;
+            const group = document.createElement('div');
+            group.className = 'workspace-search-result';
+            const { method, url } = result.request.request;
+            const count = `${result.matches.length}${result.truncated ? '+' : ''}`;
+            group.innerHTML = `
+                <div class="workspace-search-result-header" title="${escapeHtml(url)}">
+                    <span class="req-method ${escapeHtml(method)}">${escapeHtml(method)}</span>
+                    <span class="workspace-search-url">${escapeHtml(url)}</span>
+                    <span class="workspace-search-count">${count}</span>
+                </div>`;
+            result.matches.forEach((match, matchIndex) => {
+                const row = document.createElement('div');
+                row.className = 'workspace-search-match';
+                row.dataset.result = resultIndex;
+                row.dataset.match = matchIndex;
+                const scope = SEARCH_SCOPES.find(s => s.id === match.scope);
+                row.innerHTML = `<span class="workspace-search-scope-label">${scope.label}</span>` +
+                    `<span class="workspace-search-snippet">${match.before ? '…' : ''}${snippet(match.before)}` +
+                    `<mark>${snippet(match.text)}</mark>${snippet(match.after)}${match.after ? '…' : ''}</span>`;
+                group.appendChild(row);
+            });
+            fragment.appendChild(group);
+        });
+
+        const moreBtn = resultsContainer.querySelector('.workspace-search-more');
+        if (moreBtn) moreBtn.remove();
+        resultsContainer.appendChild(fragment);
+        shownResults = Math.min(results.length, from + RESULTS_PAGE_SIZE);
+        if (shownResults < results.length) {
+            const more = document.createElement('button');
+            more.className = 'secondary-btn workspace-search-more';
+            more.textContent = `Show more (${results.length - shownResults} requests)`;
+            resultsContainer.appendChild(more);
+        }
+    }
+
+    async function runSearch() {
+        const term = input.value;
+        const scopes = scopeCheckboxes.filter(checkbox => checkbox.checked).map(checkbox => checkbox.value);
+        if (!term) return;
+        if (scopes.length === 0) {
+            alert('Choose at least one place to search.');
+            return;
+        }
+
+        let pattern;
+        try {
+            pattern = compilePattern(term, { regex: regexCheckbox.checked, caseSensitive: caseCheckbox.checked });
+        } catch (e) {
+            alert(`Invalid regex: ${e.message}`);
+            return;
+        }
+
+        const run = ++searchRun;
+        results = [];
+        flatMatches = [];
+        currentMatch = -1;
+        resultsContainer.innerHTML = '';
+        exportBtn.disabled = true;
+
+        // Search a snapshot: captures arriving meanwhile are not part of this search
+        const requests = state.requests.slice();
+        let total = 0;
+        let limited = false;
+        for (let i = 0; i < requests.length && !limited; i += CHUNK_SIZE) {
+            requests.slice(i, i + CHUNK_SIZE).forEach(request => {
+                if (limited) return;
+                const { matches, truncated } = searchRequest(request, pattern, { scopes });
+                if (!matches.length) return;
+                results.push({ request, matches, truncated });
+                total += matches.length;
+                if (total >= MAX_TOTAL_MATCHES) limited = true;
+            });
+            summary.textContent = `Searching… ${Math.min(i + CHUNK_SIZE, requests.length)}/${requests.length} requests`;
+            await new Promise(resolve => setTimeout(resolve, 0));
+            if (run !== searchRun) return;
+        }
+
+        results.forEach((result, resultIndex) => result.matches.forEach((match, matchIndex) => {
+            flatMatches.push({ resultIndex, matchIndex });
+        }));
+        summary.textContent = results.length
+            ? `${total} matches in ${results.length} requests${limited ? ` (stopped at ${MAX_TOTAL_MATCHES} matches)` : ''}. ` +
+              'Click a match to open it; F3 / Shift+F3 move between matches.'
+            : 'No matches.';
+        exportBtn.disabled = results.length === 0;
+        renderResults(0);
+    }
+
+    function jumpTo(position) {
+        if (!flatMatches.length) return;
+        currentMatch = (position + flatMatches.length) % flatMatches.length;
+        const { resultIndex, matchIndex } = flatMatches[currentMatch];
+        const { request, matches } = results[resultIndex];
+        const match = matches[matchIndex];
+
+        resultsContainer.querySelectorAll('.workspace-search-match.active').forEach(row => row.classList.remove('active'));
+        const row = resultsContainer.querySelector(`.workspace-search-match[data-result="${resultIndex}"][data-match="${matchIndex}"]`);
+        if (row) row.classList.add('active');
+
+        // Indices move when requests are deleted; the request itself does not
+        const index = state.requests.indexOf(request);
+        if (index === -1) {
+            alert('This request is no longer in the list.');
+            return;
+        }
+        modal.style.display = 'none';
+        events.emit(EVENT_NAMES.REQUEST_SELECTED, index);
+        const { pane } = SEARCH_SCOPES.find(scope => scope.id === match.scope);
+        events.emit(EVENT_NAMES.UI_FIND_IN_PANE, { pane, text: match.text, before: match.before, after: match.after });
+    }
+
+    if (openBtn) openBtn.addEventListener('click', open);
+    runBtn.addEventListener('click', runSearch);
+    input.addEventListener('keydown', (e) => {
+        if (e.key === 'Enter') {
+            e.preventDefault();
+            runSearch();
+        }
+    });
+
+    resultsContainer.addEventListener('click', (e) => {
+        if (e.target.closest('.workspace-search-more')) {
+            renderResults(shownResults);
+            return;
+        }
+        const row = e.target.closest('.workspace-search-match');
+        if (!row) return;
+        const resultIndex = Number(row.dataset.result);
+        const matchIndex = Number(row.dataset.match);
+        jumpTo(flatMatches.findIndex(m => m.resultIndex === resultIndex && m.matchIndex === matchIndex));
+    });
+
+    exportBtn.addEventListener('click', () => {
+        const { headers, rows } = captureGroupTable(results);
+        const timestamp = new Date().toISOString().replace(/[:.]/g, '-').slice(0, 19);
+        downloadCSV(rows, `rep-plus-search-${timestamp}.csv`, headers);
+    });
+
+    document.addEventListener('keydown', (e) => {
+        const isMac = navigator.platform.toUpperCase().indexOf('MAC') >= 0;
+        const modKey = isMac ? e.metaKey : e.ctrlKey;
+        if (modKey && e.shiftKey && e.key.toLowerCase() === 'f') {
+            e.preventDefault();
+            open();
+        } else if (e.key === 'F3' && flatMatches.length) {
+            e.preventDefault();
+            jumpTo(currentMatch + (e.shiftKey ? -1 : 1));
+        }
+    });
+
+    // Results point at the previous project's requests
+    events.on(EVENT_NAMES.PROJECT_SWITCHED, () => {
+        searchRun++;
+        results = [];
+        flatMatches = [];
+        currentMatch = -1;
+        resultsContainer.innerHTML = '';
+        exportBtn.disabled = true;
+    });
+}
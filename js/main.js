@@ -4,7 +4,7 @@ import { events, EVENT_NAMES } from './core/events.js';
 import {
     initUI, elements,
     clearAllRequestsUI, setupResizeHandle, setupSidebarResize, setupContextMenu,
-    setupUndoRedo, captureScreenshot, exportRequests, importRequests, toggleAllGroups,
+    setupUndoRedo, captureScreenshot, exportRequests, toggleAllGroups,
     toggleAllObjects
 } from './ui/main-ui.js';
 import { setupNetworkListener } from './network/capture.js';
@@ -12,6 +12,7 @@ import { setupBulkReplay } from './features/bulk-replay/index.js';
 import { copyToClipboard } from './core/utils/dom.js';
 import { renderDiff } from './core/utils/misc.js';
 import { highlightHTTP, getHostname } from './core/utils/network.js';
+import { prettyPrintResponse } from './network/response-parser.js';
 
 // Feature Modules
 import { initTheme } from './ui/theme.js';
@@ -19,12 +20,27 @@ import { initMultiTabCapture } from './network/multi-tab.js';
 import { initExtractorUI } from './features/extractors/index.js';
 import { setupAIFeatures } from './features/ai/index.js';
 import { setupLLMChat } from './features/llm-chat/index.js';
-import { handleSendRequest } from './network/handler.js';
+import { handleSendRequest, cancelSendRequest } from './network/handler.js';
+import {
+    setupTransportSelect, setupRedirectSelect, setupSendSettings, setupCredentialsSelect
+} from './network/request-sender.js';
 import { initSearch } from './search/index.js';
 import { initAuthAnalyzer } from './features/auth-analyzer/index.js';
 import { initAuthAnalyzerPanel } from './features/auth-analyzer/panel.js';
 import { initAuthAnalyzerConfigPanel } from './features/auth-analyzer/config-panel.js';
 import { initAuthAnalyzerComparison } from './features/auth-analyzer/comparison-display.js';
+import { setupPersistence } from './features/persistence/index.js';
+import { setupProjects } from './features/projects/index.js';
+import { setupImporters } from './features/importers/index.js';
+import { setupWebSocketInspector } from './features/websocket/index.js';
+import { setupCaptureRules } from './features/capture-rules/index.js';
+import { setupScope } from './features/scope/index.js';
+import { setupMatchReplace } from './features/match-replace/index.js';
+import { setupMockRules } from './features/mock-rules/index.js';
+import { setupCookieJars } from './features/cookie-jars/index.js';
+import { setupNotes } from './features/notes/index.js';
+import { setupWorkspaceSearch } from './features/workspace-search/index.js';
+import { setupIntercept, isIntercepting } from './features/intercept/index.js';
 
 // UI Modules
 import { setupBlockControls } from './ui/block-controls.js';
@@ -32,6 +48,10 @@ import { setupFilters } from './ui/filters.js';
 import { setupSidebar } from './ui/sidebar.js';
 import { setupViewTabs } from './ui/view-tabs.js';
 import { setupRawRequestEditor, initLayoutToggle, initPreviewControls } from './ui/request-editor.js';
+import { setupRequestHexEditor } from './ui/hex-editor.js';
+import { setupRedirectChain } from './ui/redirect-chain.js';
+import { setupRepeaterTabs } from './ui/repeater-tabs.js';
+import { setupSendTimeline } from './ui/send-timeline.js';
 
 document.addEventListener('DOMContentLoaded', () => {
     // Initialize UI Elements
@@ -44,9 +64,17 @@ document.addEventListener('DOMContentLoaded', () => {
 
     // Initialize Features
     initTheme();
+    setupCaptureRules();
+    setupScope();
+    setupMatchReplace();
+    setupMockRules();
+    setupCookieJars();
+    setupNotes();
+    setupWorkspaceSearch();
     initMultiTabCapture();
     initExtractorUI();
     setupBulkReplay();
+    setupWebSocketInspector();
     setupAIFeatures(elements);
     setupLLMChat(elements);
     initSearch();
@@ -140,7 +168,8 @@ document.addEventListener('DOMContentLoaded', () => {
     };
 
     setupNetworkListener((request) => {
-        if (state.blockRequests) {
+        // While intercepting, requests were already held before they were sent
+        if (state.blockRequests && !isIntercepting()) {
             const hasActiveList = state.requests.length > 0;
             const hasQueued = state.blockedQueue.length > 0;
             if (!hasActiveList && !hasQueued) {
@@ -156,6 +185,11 @@ document.addEventListener('DOMContentLoaded', () => {
         processCapturedRequest(request);
     });
 
+    // Restore the saved workspace (for the active project) and keep it persisted
+    setupProjects();
+    setupPersistence();
+    setupImporters();
+
     // Setup UI Components
     setupResizeHandle();
     setupSidebarResize();
@@ -164,17 +198,29 @@ document.addEventListener('DOMContentLoaded', () => {
 
     // Setup UI Features
     setupBlockControls(processCapturedRequest);
+    setupIntercept();
     setupFilters();
     setupSidebar();
     setupViewTabs();
     initPreviewControls();
     setupRawRequestEditor(elements.rawRequestInput, elements.sendBtn);
+    setupRequestHexEditor();
     initLayoutToggle(elements.layoutToggleBtn);
 
     // Send Request
     if (elements.sendBtn) {
         elements.sendBtn.addEventListener('click', handleSendRequest);
     }
+    if (elements.cancelBtn) {
+        elements.cancelBtn.addEventListener('click', cancelSendRequest);
+    }
+    setupTransportSelect(elements.transportSelect);
+    setupRedirectSelect(elements.redirectSelect);
+    setupCredentialsSelect(elements.credentialsSelect);
+    setupSendSettings(elements.timeoutSelect, elements.retriesSelect);
+    setupRedirectChain();
+    setupRepeaterTabs();
+    setupSendTimeline();
 
     // Test with Auth Analyzer button
     const testAuthBtn = document.getElementById('test-auth-btn');
@@ -185,18 +231,10 @@ document.addEventListener('DOMContentLoaded', () => {
                 return;
             }
 
-            // Find selected request from DOM
-            const selectedItem = document.querySelector('.request-item.selected');
-            if (!selectedItem) {
-                alert('No request selected');
-                return;
-            }
-
-            const requestIndex = parseInt(selectedItem.dataset.index);
-            const request = state.requests[requestIndex];
-
+            // The selected row may be scrolled out of the (virtualized) list
+            const request = state.selectedRequest;
             if (!request) {
-                alert('Could not find request data');
+                alert('No request selected');
                 return;
             }
             testAuthBtn.disabled = true;
@@ -297,16 +335,8 @@ document.addEventListener('DOMContentLoaded', () => {
     }
 
     // Export/Import (now in more menu)
-    if (elements.exportBtn) elements.exportBtn.addEventListener('click', exportRequests);
-    if (elements.importBtn) elements.importBtn.addEventListener('click', () => elements.importFile.click());
-    if (elements.importFile) {
-        elements.importFile.addEventListener('change', (e) => {
-            if (e.target.files.length > 0) {
-                importRequests(e.target.files[0]);
-                e.target.value = ''; // Reset
-            }
-        });
-    }
+    if (elements.exportBtn) elements.exportBtn.addEventListener('click', () => exportRequests('rep'));
+    if (elements.exportHarBtn) elements.exportHarBtn.addEventListener('click', () => exportRequests('har'));
 
     // Close more menu after clicking an item
     if (moreMenu) {
@@ -398,7 +428,7 @@ document.addEventListener('DOMContentLoaded', () => {
                 if (elements.showDiffCheckbox.checked) {
                     elements.rawResponseDisplay.innerHTML = renderDiff(state.regularRequestBaseline, state.currentResponse);
                 } else {
-                    elements.rawResponseDisplay.innerHTML = highlightHTTP(state.currentResponse);
+                    elements.rawResponseDisplay.innerHTML = highlightHTTP(prettyPrintResponse(state.currentResponse));
                 }
             }
         });
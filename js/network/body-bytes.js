@@ -0,0 +1,103 @@
+// Body Bytes - Binary-safe message bodies
+// Bodies are kept as bytes next to the text the editors show: captured responses come from
+// getContent's base64, replays from arrayBuffer(), and request bodies from the hex editor.
+// The text is decoded from the bytes (UTF-8, or Latin-1 when they aren't valid UTF-8), so
+// the Hex view, sizes and replays never go through a lossy text round trip.
+
+/**
+ * @param {string} base64
+ * @returns {Uint8Array} Empty for invalid input
+ */
+export function base64ToBytes(base64) {
+    try {
+        return Uint8Array.from(atob((base64 || '').replace(/\s+/g, '')), c => c.charCodeAt(0));
+    } catch (e) {
+        return new Uint8Array(0);
+    }
+}
+
+/**
+ * Base64-encode bytes
+ * @param {Uint8Array} bytes
+ * @returns {string}
+ */
+export function bytesToBase64(bytes) {
+    let binary = '';
+    bytes.forEach(b => { binary += String.fromCharCode(b); });
+    return btoa(binary);
+}
+
+/**
+ * Base64 of a text's UTF-8 bytes
+ * @param {string} text
+ * @returns {string}
+ */
+export function textToBase64(text) {
+    return bytesToBase64(new TextEncoder().encode(text || ''));
+}
+
+/**
+ * @param {Uint8Array} bytes
+ * @returns {boolean} Whether the bytes are valid UTF-8
+ */
+export function isUtf8(bytes) {
+    try {
+        new TextDecoder('utf-8', { fatal: true }).decode(bytes);
+        return true;
+    } catch (e) {
+        return false;
+    }
+}
+
+/**
+ * Display text for a body: UTF-8 when valid, otherwise one Latin-1 character per byte
+ * @param {Uint8Array} bytes
+ * @returns {string}
+ */
+export function bytesToText(bytes) {
+    if (isUtf8(bytes)) return new TextDecoder().decode(bytes);
+    return Array.from(bytes, b => String.fromCharCode(b)).join('');
+}
+
+/**
+ * @param {...Uint8Array} parts
+ * @returns {Uint8Array}
+ */
+export function concatBytes(...parts) {
+    const result = new Uint8Array(parts.reduce((total, part) => total + part.length, 0));
+    let offset = 0;
+    parts.forEach(part => {
+        result.set(part, offset);
+        offset += part.length;
+    });
+    return result;
+}
+
+/**
+ * Split an HTTP message at the blank line ending its headers (CRLF or LF)
+ * @param {Uint8Array} bytes
+ * @returns {{head: Uint8Array, body: Uint8Array}} head includes the blank line; body is empty without one
+ */
+export function splitMessageBytes(bytes) {
+    for (let i = 0; i < bytes.length - 1; i++) {
+        if (bytes[i] !== 0x0a) continue;
+        const end = bytes[i + 1] === 0x0a ? i + 2
+            : bytes[i + 1] === 0x0d && bytes[i + 2] === 0x0a ? i + 3
+            : -1;
+        if (end !== -1) return { head: bytes.subarray(0, end), body: bytes.subarray(end) };
+    }
+    return { head: bytes, body: new Uint8Array(0) };
+}
+
+/**
+ * Bytes of a raw HTTP message as shown in the editors
+ * @param {string} rawText - Status/request line, headers, blank line and body text
+ * @param {Uint8Array|null} [bodyBytes] - The body as received/edited; replaces the body text
+ * @returns {Uint8Array}
+ */
+export function messageBytes(rawText, bodyBytes = null) {
+    const text = rawText || '';
+    const encoded = new TextEncoder().encode(text);
+    if (!bodyBytes) return encoded;
+    return concatBytes(splitMessageBytes(encoded).head, bodyBytes);
+}
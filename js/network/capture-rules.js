@@ -0,0 +1,248 @@
+// Capture Rules - Ordered include/exclude rules deciding which requests are captured
+// Shared by the panel (DevTools and other-tab capture) and the background service worker.
+// Rules are evaluated top to bottom and the first enabled rule that matches decides;
+// requests no rule matches are captured. All conditions of a rule must match, and an
+// empty condition matches anything. List fields accept comma-separated values.
+
+export const CAPTURE_RULES_KEY = 'rep_capture_rules';
+
+export const RESOURCE_TYPES = [
+    'document', 'xhr', 'fetch', 'script', 'stylesheet', 'image', 'font',
+    'media', 'websocket', 'ping', 'manifest', 'other'
+];
+
+export const DEFAULT_CAPTURE_RULES = [
+    {
+        id: 'static-assets',
+        name: 'Static assets',
+        enabled: true,
+        action: 'exclude',
+        host: '',
+        path: '\\.(css|jpe?g|png|gif|svg|webp|ico|woff2?|ttf|eot|otf|mp4|webm|mp3|wav|pdf)$',
+        mime: '',
+        method: '',
+        resourceType: ''
+    },
+    {
+        id: 'analytics-beacons',
+        name: 'Analytics beacons',
+        enabled: false,
+        action: 'exclude',
+        host: '*.google-analytics.com, *.googletagmanager.com, *.doubleclick.net, *.segment.io, *.hotjar.com',
+        path: '',
+        mime: '',
+        method: '',
+        resourceType: ''
+    }
+];
+
+// webRequest and CDP names for the same resource types
+const RESOURCE_TYPE_ALIASES = {
+    main_frame: 'document',
+    sub_frame: 'document',
+    xmlhttprequest: 'xhr',
+    csp_report: 'ping',
+    object: 'other'
+};
+
+/**
+ * Map webRequest, CDP and HAR resource types onto RESOURCE_TYPES
+ * @param {string} type
+ * @returns {string} Empty string when unknown
+ */
+export function normalizeResourceType(type) {
+    if (!type) return '';
+    const lower = String(type).toLowerCase();
+    return RESOURCE_TYPE_ALIASES[lower] || lower;
+}
+
+function splitList(value) {
+    return String(value || '').split(',').map(v => v.trim()).filter(Boolean);
+}
+
+/**
+ * Convert a host glob ("*.example.com", "api-?.test") into an anchored RegExp
+ * @param {string} glob
+ * @returns {RegExp}
+ */
+export function globToRegExp(glob) {
+    const source = glob.replace(/[.+^${}()|[\]\\]/g, '\\$&').replace(/\*/g, '.*').replace(/\?/g, '.');
+    return new RegExp(`^${source}$`, 'i');
+}
+
+/**
+ * Fill in missing fields of a rule
+ * @param {Object} rule
+ * @returns {Object}
+ */
+export function normalizeRule(rule) {
+    return {
+        id: rule.id || `rule_${Date.now().toString(36)}_${Math.random().toString(36).substr(2, 5)}`,
+        name: rule.name || '',
+        enabled: rule.enabled !== false,
+        action: rule.action === 'include' ? 'include' : 'exclude',
+        host: rule.host || '',
+        path: rule.path || '',
+        mime: rule.mime || '',
+        method: rule.method || '',
+        resourceType: rule.resourceType || ''
+    };
+}
+
+/**
+ * Compile a rule's conditions
+ * @param {Object} rule
+ * @returns {Object}
+ * @throws {Error} When the path regex is invalid
+ */
+export function compileRule(rule) {
+    let path = null;
+    if (rule.path) {
+        try {
+            path = new RegExp(rule.path, 'i');
+        } catch (e) {
+            throw new Error(`Invalid path regex in rule "${rule.name || rule.id}": ${e.message}`);
+        }
+    }
+    return {
+        hosts: splitList(rule.host).map(globToRegExp),
+        path,
+        mimes: splitList(rule.mime).map(m => m.toLowerCase()),
+        methods: splitList(rule.method).map(m => m.toUpperCase()),
+        types: splitList(rule.resourceType).map(normalizeResourceType)
+    };
+}
+
+function matchesMime(patterns, mimeType) {
+    const mime = mimeType.split(';')[0].trim().toLowerCase();
+    return patterns.some(p => p.endsWith('/*') ? mime.startsWith(p.slice(0, -1)) : mime === p);
+}
+
+/**
+ * Test a compiled rule against a request
+ * @param {Object} compiled - From compileRule
+ * @param {Object} req - { url, method, mimeType, resourceType }; mimeType is undefined before the response
+ * @returns {boolean|null} null when the outcome depends on the (not yet known) MIME type
+ */
+export function matchRule(compiled, req) {
+    let url;
+    try {
+        url = new URL(req.url);
+    } catch (e) {
+        return false;
+    }
+
+    if (compiled.hosts.length && !compiled.hosts.some(re => re.test(url.hostname))) return false;
+    if (compiled.path && !compiled.path.test(url.pathname)) return false;
+    if (compiled.methods.length && !compiled.methods.includes(String(req.method || '').toUpperCase())) return false;
+    if (compiled.types.length && !compiled.types.includes(normalizeResourceType(req.resourceType))) return false;
+    if (compiled.mimes.length) {
+        if (req.mimeType === undefined) return null;
+        if (!matchesMime(compiled.mimes, req.mimeType || '')) return false;
+    }
+    return true;
+}
+
+/**
+ * Evaluates an ordered rule list and counts rule hits
+ */
+export class CaptureRules {
+    /**
+     * @param {Array<Object>} [rules]
+     */
+    constructor(rules = DEFAULT_CAPTURE_RULES) {
+        this.hits = new Map(); // ruleId -> count
+        this.onHit = null;
+        this.setRules(rules);
+    }
+
+    /**
+     * Replace the rule list (rules with an invalid regex are skipped)
+     * @param {Array<Object>} rules
+     */
+    setRules(rules) {
+        this.rules = (rules || []).map(normalizeRule);
+        this.compiled = this.rules.map(rule => {
+            try {
+                return compileRule(rule);
+            } catch (e) {
+                console.warn('[Capture Rules]', e.message);
+                return null;
+            }
+        });
+    }
+
+    /**
+     * Find the rule deciding a request
+     * @param {Object} req - { url, method, mimeType, resourceType }
+     * @returns {{capture: boolean, rule: Object|null, deferred: boolean}}
+     *   deferred is true when a rule depending on the MIME type was reached first
+     */
+    evaluate(req) {
+        for (let i = 0; i < this.rules.length; i++) {
+            const rule = this.rules[i];
+            if (!rule.enabled || !this.compiled[i]) continue;
+            const match = matchRule(this.compiled[i], req);
+            if (match === null) return { capture: true, rule: null, deferred: true };
+            if (match) return { capture: rule.action === 'include', rule, deferred: false };
+        }
+        return { capture: true, rule: null, deferred: false };
+    }
+
+    /**
+     * Evaluate a request and count the hit on the deciding rule
+     * @param {Object} req - { url, method, mimeType, resourceType }
+     * @returns {boolean}
+     */
+    shouldCapture(req) {
+        const result = this.evaluate(req);
+        if (result.rule) this.recordHit(result.rule.id);
+        return result.capture;
+    }
+
+    /**
+     * @param {string} ruleId
+     * @param {number} [count]
+     */
+    recordHit(ruleId, count = 1) {
+        this.hits.set(ruleId, (this.hits.get(ruleId) || 0) + count);
+        if (this.onHit) this.onHit(ruleId);
+    }
+
+    resetHits() {
+        this.hits.clear();
+    }
+}
+
+/**
+ * Rules used by the panel (loaded from localStorage by the capture rules feature)
+ */
+export const captureRules = new CaptureRules();
+
+/**
+ * Load saved rules into the panel instance
+ * @returns {Array<Object>}
+ */
+export function loadCaptureRules() {
+    let rules = DEFAULT_CAPTURE_RULES;
+    try {
+        const saved = localStorage.getItem(CAPTURE_RULES_KEY);
+        if (saved) rules = JSON.parse(saved);
+    } catch (e) {
+        console.error('[Capture Rules] Failed to load rules:', e);
+    }
+    captureRules.setRules(rules);
+    return captureRules.rules;
+}
+
+/**
+ * Validate and save rules for the panel instance
+ * @param {Array<Object>} rules
+ * @throws {Error} When a path regex is invalid
+ */
+export function saveCaptureRules(rules) {
+    const normalized = rules.map(normalizeRule);
+    normalized.forEach(compileRule);
+    localStorage.setItem(CAPTURE_RULES_KEY, JSON.stringify(normalized));
+    captureRules.setRules(normalized);
+}
@@ -1,5 +1,11 @@
 // Network Operations
 import { events, EVENT_NAMES } from '../core/events.js';
+import { isWebSocketUrl, attachHARFrames } from './websocket.js';
+import { captureRules } from './capture-rules.js';
+import { shouldCaptureInScope, isInScope } from './scope.js';
+import { matchReplace } from './match-replace.js';
+import { parseRawRequest, getHeader, buildFetchHeaders, headersToObject } from './raw-request.js';
+import { bytesToText } from './body-bytes.js';
 
 export function setupNetworkListener(onRequestCaptured) {
     // Get the current page URL once at setup
@@ -18,8 +24,9 @@ export function setupNetworkListener(onRequestCaptured) {
     });
 
     chrome.devtools.network.onRequestFinished.addListener((request) => {
-        // Filter out data URLs or extension schemes
-        if (!request.request.url.startsWith('http')) return;
+        // Filter out data URLs or extension schemes (WebSocket connections are kept)
+        const isWebSocket = request._resourceType === 'websocket' || isWebSocketUrl(request.request.url);
+        if (!request.request.url.startsWith('http') && !isWebSocket) return;
 
         // Filter out requests sent by rep+ extension (replayed requests)
         // Check if request has our custom header
@@ -52,24 +59,14 @@ export function setupNetworkListener(onRequestCaptured) {
             // If URL parsing fails, continue with other checks
         }
 
-        // Filter out static resources (JS, CSS, images, fonts, etc.)
-        const url = request.request.url.toLowerCase();
-        const staticExtensions = [
-            '.css', '.jpg', '.jpeg', '.png', '.gif', '.svg', '.webp', '.ico',
-            '.woff', '.woff2', '.ttf', '.eot', '.otf',
-            '.mp4', '.webm', '.mp3', '.wav',
-            '.pdf'
-        ];
-
-        // Check if URL ends with any static extension
-        const isStatic = staticExtensions.some(ext => {
-            return url.endsWith(ext) || url.includes(ext + '?');
+        // Apply the configured capture rules (static assets are excluded by default)
+        const shouldCapture = captureRules.shouldCapture({
+            url: request.request.url,
+            method: request.request.method,
+            mimeType: request.response?.content?.mimeType || '',
+            resourceType: isWebSocket ? 'websocket' : request._resourceType
         });
-
-        if (isStatic) {
-            // console.log('Skipping static resource:', request.request.url);
-            return;
-        }
+        if (!shouldCapture || !shouldCaptureInScope(request.request.url)) return;
 
         // Store the capture time for relative time display
         request.capturedAt = Date.now();
@@ -140,6 +137,11 @@ export function setupNetworkListener(onRequestCaptured) {
                 responseHeaders
             };
 
+            // Chrome reports a WebSocket once it closes, with its frames in _webSocketMessages
+            if (isWebSocket) {
+                attachHARFrames(enhancedRequest);
+            }
+
             onRequestCaptured(enhancedRequest);
 
             // Emit event for features that need to process responses (e.g., Auth Analyzer)
@@ -149,104 +151,50 @@ export function setupNetworkListener(onRequestCaptured) {
     });
 }
 
-export function parseRequest(rawContent, useHttps) {
-    const lines = rawContent.split('\n');
-    if (lines.length === 0) {
-        throw new Error('No content to send');
-    }
-
-    // Parse Request Line
-    const requestLine = lines[0].trim();
-    const reqLineParts = requestLine.split(' ');
-    if (reqLineParts.length < 2) {
-        throw new Error('Invalid Request Line. Format: METHOD PATH HTTP/1.1');
-    }
-
-    const method = reqLineParts[0].toUpperCase();
-    const path = reqLineParts[1];
-
-    // Split Headers and Body
-    let headers = {};
-    let bodyText = null;
-    let isBody = false;
-    let host = '';
-
-    for (let i = 1; i < lines.length; i++) {
-        const line = lines[i];
-
-        if (!isBody) {
-            if (line.trim() === '') {
-                isBody = true;
-                continue;
-            }
-
-            // Skip HTTP/2 pseudo-headers (start with :)
-            if (line.trim().startsWith(':')) {
-                continue;
-            }
-
-            const colonIndex = line.indexOf(':');
-            if (colonIndex > 0) {
-                const key = line.substring(0, colonIndex).trim();
-                const value = line.substring(colonIndex + 1).trim();
-
-                if (key && value) {
-                    if (key.toLowerCase() === 'host') {
-                        host = value;
-                    } else {
-                        headers[key] = value;
-                    }
-                }
-            }
-        } else {
-            // Body content
-            if (bodyText === null) bodyText = line;
-            else bodyText += '\n' + line;
-        }
-    }
-
+/**
+ * Parse the raw request editor text into fetch options
+ * Headers stay an ordered list (duplicates, casing and empty values included); the debugger
+ * transport sends rawHeaders as they are, fetch gets fetchHeaders and warnings lists what
+ * fetch and the browser change on the way.
+ * @param {string} rawContent
+ * @param {boolean} useHttps
+ * @param {Object} [parseOptions] - { applyRules: apply match & replace rules (default true) }
+ * @returns {Object} { url, options, method, filteredHeaders, bodyText, rawHeaders, fetchHeaders, warnings }
+ */
+export function parseRequest(rawContent, useHttps, { applyRules = true } = {}) {
+    const parsed = parseRawRequest(rawContent);
+    let { method, headers: rawHeaders, body: bodyText } = parsed;
+
+    const host = getHeader(rawHeaders, 'host');
     if (!host) {
         throw new Error('Host header is missing!');
     }
 
     const scheme = useHttps ? 'https' : 'http';
-    const url = `${scheme}://${host}${path}`;
-
-    // Filter out forbidden headers
-    const forbiddenHeaders = [
-        'accept-charset', 'accept-encoding', 'access-control-request-headers',
-        'access-control-request-method', 'connection', 'content-length',
-        'date', 'dnt', 'expect', 'host', 'keep-alive',
-        'origin', 'referer', 'te', 'trailer', 'transfer-encoding', 'upgrade', 'via'
-    ];
-
-    const filteredHeaders = {};
-    for (const [key, value] of Object.entries(headers)) {
-        const lowerKey = key.toLowerCase();
-        const isForbidden = forbiddenHeaders.includes(lowerKey) ||
-            lowerKey.startsWith('sec-') ||
-            lowerKey.startsWith('proxy-');
-
-        if (!isForbidden) {
-            if (/^[a-zA-Z0-9\-_]+$/.test(key)) {
-                filteredHeaders[key] = value;
-            }
+    let url = `${scheme}://${host}${parsed.target}`;
+
+    // Match & replace rules; a rewritten Host header sends the request to that host
+    if (applyRules && matchReplace.hasTarget('request')) {
+        const rewritten = matchReplace.applyToRequest({ method, url, headers: rawHeaders, body: bodyText }, isInScope).request;
+        method = rewritten.method;
+        bodyText = rewritten.body;
+        rawHeaders = rewritten.headers;
+        url = rewritten.url;
+
+        const rewrittenHost = getHeader(rawHeaders, 'host');
+        if (rewrittenHost && rewrittenHost !== host) {
+            const rewrittenUrl = new URL(url);
+            rewrittenUrl.host = rewrittenHost;
+            url = rewrittenUrl.href;
         }
     }
 
-    // Add cache-busting headers to prevent 304 Not Modified responses
-    // This ensures we always get fresh responses when replaying requests
-    filteredHeaders['Cache-Control'] = 'no-cache, no-store, must-revalidate';
-    filteredHeaders['Pragma'] = 'no-cache';
-    filteredHeaders['Expires'] = '0';
-
-    // Remove conditional headers that might cause 304 responses
-    delete filteredHeaders['If-None-Match'];
-    delete filteredHeaders['If-Modified-Since'];
+    const { headers: fetchHeaders, warnings } = buildFetchHeaders(rawHeaders);
 
     const options = {
         method: method,
-        headers: filteredHeaders,
+        // Name/value pairs keep the typed order
+        headers: fetchHeaders.map(h => [h.name, h.value]),
         mode: 'cors',
         credentials: 'include',
         cache: 'no-store' // Fetch API cache control
@@ -254,9 +202,62 @@ export function parseRequest(rawContent, useHttps) {
 
     if (['POST', 'PUT', 'PATCH'].includes(method.toUpperCase()) && bodyText) {
         options.body = bodyText;
+    } else if (bodyText) {
+        warnings.push(`Body: not sent with ${method} (only POST, PUT and PATCH bodies are)`);
     }
 
-    return { url, options, method, filteredHeaders, bodyText };
+    const filteredHeaders = headersToObject(fetchHeaders);
+    return { url, options, method, filteredHeaders, bodyText, rawHeaders, fetchHeaders, warnings };
+}
+
+/**
+ * Protocol a replay used, from resource timing (fetch doesn't expose it)
+ * @param {string} url
+ * @returns {string} e.g. 'h2', '' when unknown
+ */
+function getNextHopProtocol(url) {
+    if (typeof performance.getEntriesByName !== 'function') return '';
+    const entries = performance.getEntriesByName(url);
+    const entry = entries[entries.length - 1];
+    return (entry && entry.nextHopProtocol) || '';
+}
+
+/**
+ * @returns {boolean} Whether 3xx responses of replays can be read (fetch hides them from
+ *          redirect: 'manual' requests; webRequest still sees their status and headers)
+ */
+export function canReadRedirects() {
+    return !!(globalThis.chrome && chrome.webRequest && chrome.webRequest.onHeadersReceived);
+}
+
+/**
+ * Watch for the response headers of one of the panel's own requests
+ * @param {string} url
+ * @param {string} method
+ * @returns {{promise: Promise<Object|null>, stop: Function}} promise resolves with the webRequest details
+ */
+function watchResponseHeaders(url, method) {
+    const target = url.split('#')[0];
+    let listener = null;
+    const promise = new Promise(resolve => {
+        if (!canReadRedirects()) {
+            resolve(null);
+            return;
+        }
+        listener = (details) => {
+            if (details.url === target && details.method === method) resolve(details);
+        };
+        // tabId -1: requests made by the extension itself
+        chrome.webRequest.onHeadersReceived.addListener(
+            listener,
+            { urls: ['<all_urls>'], tabId: -1 },
+            ['responseHeaders', 'extraHeaders']
+        );
+    });
+    const stop = () => {
+        if (listener) chrome.webRequest.onHeadersReceived.removeListener(listener);
+    };
+    return { promise, stop };
 }
 
 export async function executeRequest(url, options) {
@@ -265,22 +266,102 @@ export async function executeRequest(url, options) {
     if (!options.headers) {
         options.headers = {};
     }
-    options.headers['X-Rep-Plus-Replay'] = 'true';
+    if (Array.isArray(options.headers)) {
+        options.headers.push(['X-Rep-Plus-Replay', 'true']);
+    } else {
+        options.headers['X-Rep-Plus-Replay'] = 'true';
+    }
+
+    // redirect: 'manual' answers with an opaque redirect; its status and headers come from webRequest
+    const watcher = options.redirect === 'manual' ? watchResponseHeaders(new URL(url).href, options.method || 'GET') : null;
 
     const startTime = performance.now();
-    const response = await fetch(url, options);
+    let response;
+    try {
+        response = await fetch(url, options);
+    } catch (error) {
+        if (watcher) watcher.stop();
+        throw error;
+    }
     const endTime = performance.now();
     const duration = (endTime - startTime).toFixed(0);
 
-    const responseBody = await response.text();
-    const size = new TextEncoder().encode(responseBody).length;
+    // Set-Cookie never reaches fetch either; webRequest has it for cookie jars
+    let setCookies;
+    if (watcher) {
+        const wait = response.type === 'opaqueredirect' ? 1000 : 100;
+        const details = await Promise.race([watcher.promise, new Promise(resolve => setTimeout(() => resolve(null), wait))]);
+        watcher.stop();
+        if (response.type === 'opaqueredirect') {
+            return applyResponseRules(url, redirectResult(details, duration));
+        }
+        if (details) {
+            setCookies = (details.responseHeaders || [])
+                .filter(h => h.name.toLowerCase() === 'set-cookie')
+                .map(h => h.value);
+        }
+    }
 
-    return {
+    // Size is the byte count received, not the length of the decoded text
+    const bytes = new Uint8Array(await response.arrayBuffer());
+    const responseBody = bytesToText(bytes);
+    const size = bytes.length;
+
+    return applyResponseRules(url, {
+        httpVersion: getNextHopProtocol(response.url || url),
         status: response.status,
         statusText: response.statusText,
         headers: response.headers,
         body: responseBody,
+        bodyBytes: bytes,
         size: size,
-        duration: duration
+        duration: duration,
+        setCookies
+    });
+}
+
+/**
+ * Replay result for a 3xx response seen through webRequest
+ * @param {Object|null} details - onHeadersReceived details (null when they never came)
+ * @param {string} duration
+ * @returns {Object}
+ */
+function redirectResult(details, duration) {
+    if (!details) {
+        return {
+            status: 0, statusText: 'Redirect (headers unavailable)', headers: [],
+            body: '', bodyBytes: new Uint8Array(0), size: 0, duration
+        };
+    }
+    const [httpVersion, , ...reason] = (details.statusLine || '').split(' ');
+    return {
+        httpVersion,
+        status: details.statusCode,
+        statusText: reason.join(' '),
+        headers: details.responseHeaders || [],
+        body: '',
+        bodyBytes: new Uint8Array(0),
+        size: 0,
+        duration
     };
+}
+
+/**
+ * Apply the match & replace response rules to a replay result
+ * @param {string} url - Request URL
+ * @param {Object} result - { status, statusText, headers (array or Headers), body, bodyBytes, ... }
+ * @returns {Object} The result, rewritten when a rule applies
+ */
+export function applyResponseRules(url, result) {
+    if (!matchReplace.hasTarget('response')) return result;
+
+    const headers = Array.isArray(result.headers)
+        ? result.headers
+        : Array.from(result.headers || [], ([name, value]) => ({ name, value }));
+    const { response, hits } = matchReplace.applyToResponse({ ...result, headers }, url, isInScope);
+    if (hits.length) {
+        response.bodyBytes = new TextEncoder().encode(response.body);
+        response.size = response.bodyBytes.length;
+    }
+    return response;
 }
\ No newline at end of file
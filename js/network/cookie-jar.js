@@ -0,0 +1,299 @@
+// Cookie Jars - Which cookies a replay carries
+// Credential modes (per send):
+//   browser - fetch attaches the browser's cookies for the target (credentials: 'include')
+//   editor  - only the Cookie header typed in the editor
+//   none    - no cookies at all, the typed Cookie header included
+//   jar:<name> - a named jar of the active project: its cookies for the URL (overriding typed ones
+//                with the same name), and Set-Cookie from every replay response is stored back in it
+// fetch can't set Cookie itself, so outside "browser" mode it omits credentials and a
+// declarativeNetRequest session rule puts the header on the panel's request (tabId -1).
+
+import { events, EVENT_NAMES } from '../core/events.js';
+import { projectStorageKey } from '../core/utils/storage.js';
+import { setHeader, removeHeader } from './raw-request.js';
+import { parseSetCookie } from './har.js';
+
+export const COOKIE_JARS_KEY = 'rep_cookie_jars';
+export const CREDENTIALS_BROWSER = 'browser';
+export const CREDENTIALS_EDITOR = 'editor';
+export const CREDENTIALS_NONE = 'none';
+export const COOKIE_RULE_PERMISSIONS = { permissions: ['declarativeNetRequestWithHostAccess'], origins: ['<all_urls>'] };
+
+const JAR_PREFIX = 'jar:';
+const COOKIE_RULE_FIRST_ID = 9100;
+let nextCookieRuleId = COOKIE_RULE_FIRST_ID;
+
+/**
+ * @param {string} name - Jar name
+ * @returns {string} Credential mode sending that jar
+ */
+export function jarMode(name) {
+    return `${JAR_PREFIX}${name}`;
+}
+
+/**
+ * @param {string} mode - Credential mode
+ * @returns {string|null} Jar name, null when the mode isn't a jar
+ */
+export function jarNameOf(mode) {
+    return typeof mode === 'string' && mode.startsWith(JAR_PREFIX) ? mode.slice(JAR_PREFIX.length) : null;
+}
+
+/**
+ * Jar cookie for a Set-Cookie header
+ * @param {string} header - Set-Cookie value
+ * @param {string} url - URL of the response
+ * @param {number} now
+ * @returns {Object|null} { name, value, domain, hostOnly, path, secure, httpOnly, expires (ms or null) }
+ */
+function jarCookieFrom(header, url, now) {
+    const cookie = parseSetCookie(header, url, now);
+    if (!cookie) return null;
+    return {
+        name: cookie.name,
+        value: cookie.value,
+        domain: cookie.domain,
+        hostOnly: cookie.hostOnly,
+        path: cookie.path,
+        secure: !!cookie.secure,
+        httpOnly: !!cookie.httpOnly,
+        expires: cookie.expires ? Date.parse(cookie.expires) : null
+    };
+}
+
+function isExpired(cookie, now) {
+    return cookie.expires !== null && cookie.expires !== undefined && cookie.expires <= now;
+}
+
+function matchesUrl(cookie, url) {
+    const host = url.hostname.toLowerCase();
+    const domainMatch = cookie.hostOnly
+        ? host === cookie.domain
+        : host === cookie.domain || host.endsWith(`.${cookie.domain}`);
+    if (!domainMatch) return false;
+    if (cookie.secure && !['https:', 'wss:'].includes(url.protocol)) return false;
+    const path = url.pathname || '/';
+    return path === cookie.path ||
+        (path.startsWith(cookie.path) && (cookie.path.endsWith('/') || path[cookie.path.length] === '/'));
+}
+
+/**
+ * Store the cookies a response set (expired ones delete their match)
+ * @param {Object} jar - { name, cookies }
+ * @param {Array<string>} setCookies - Set-Cookie values
+ * @param {string} url - URL of the response
+ * @param {number} [now]
+ * @returns {number} How many headers were applied
+ */
+export function storeSetCookies(jar, setCookies, url, now = Date.now()) {
+    let applied = 0;
+    (setCookies || []).forEach(header => {
+        const cookie = jarCookieFrom(header, url, now);
+        if (!cookie) return;
+        jar.cookies = jar.cookies.filter(c =>
+            !(c.name === cookie.name && c.domain === cookie.domain && c.path === cookie.path));
+        if (!isExpired(cookie, now)) jar.cookies.push(cookie);
+        applied++;
+    });
+    return applied;
+}
+
+/**
+ * Cookie header a jar sends to a URL (longer paths first, like browsers)
+ * @param {Object} jar - { name, cookies }
+ * @param {string} url
+ * @param {number} [now]
+ * @returns {string} Empty when no cookie matches
+ */
+export function jarCookieHeader(jar, url, now = Date.now()) {
+    const target = new URL(url);
+    return jar.cookies
+        .filter(cookie => !isExpired(cookie, now) && matchesUrl(cookie, target))
+        .sort((a, b) => b.path.length - a.path.length)
+        .map(cookie => `${cookie.name}=${cookie.value}`)
+        .join('; ');
+}
+
+function parseCookiePairs(header) {
+    return (header || '').split(';')
+        .map(part => part.trim())
+        .filter(Boolean)
+        .map(part => {
+            const eq = part.indexOf('=');
+            return eq === -1 ? [part, null] : [part.slice(0, eq).trim(), part.slice(eq + 1)];
+        });
+}
+
+/**
+ * Combine Cookie headers; a later header's cookie replaces an earlier one with the same name
+ * @param {...string} headers
+ * @returns {string}
+ */
+export function mergeCookieHeaders(...headers) {
+    const merged = new Map();
+    headers.forEach(header => parseCookiePairs(header).forEach(([name, value]) => {
+        merged.delete(name);
+        merged.set(name, value);
+    }));
+    return Array.from(merged, ([name, value]) => (value === null ? name : `${name}=${value}`)).join('; ');
+}
+
+/**
+ * Fill in missing fields of a jar
+ * @param {Object} jar
+ * @returns {Object} { name, cookies }
+ */
+export function normalizeCookieJar(jar = {}) {
+    return {
+        name: String(jar.name || '').trim(),
+        cookies: Array.isArray(jar.cookies)
+            ? jar.cookies.filter(c => c && c.name).map(c => ({
+                name: String(c.name),
+                value: String(c.value ?? ''),
+                domain: String(c.domain || '').replace(/^\./, '').toLowerCase(),
+                hostOnly: c.hostOnly !== false,
+                path: c.path && String(c.path).startsWith('/') ? String(c.path) : '/',
+                secure: !!c.secure,
+                httpOnly: !!c.httpOnly,
+                expires: Number.isFinite(c.expires) ? c.expires : null
+            }))
+            : []
+    };
+}
+
+/**
+ * Jars of the active project
+ * @returns {Array<Object>}
+ */
+export function loadCookieJars() {
+    try {
+        const saved = localStorage.getItem(projectStorageKey(COOKIE_JARS_KEY));
+        if (saved) return JSON.parse(saved).map(normalizeCookieJar).filter(jar => jar.name);
+    } catch (e) {
+        console.error('[Cookie Jars] Failed to load jars:', e);
+    }
+    return [];
+}
+
+/**
+ * Validate and save the active project's jars
+ * @param {Array<Object>} jars
+ * @throws {Error} When a name is empty or used twice, or a cookie has no domain
+ */
+export function saveCookieJars(jars) {
+    const normalized = jars.map(normalizeCookieJar);
+    const names = new Set();
+    normalized.forEach(jar => {
+        if (!jar.name) throw new Error('Every cookie jar needs a name.');
+        if (names.has(jar.name)) throw new Error(`There are two cookie jars named "${jar.name}".`);
+        if (jar.cookies.some(cookie => !cookie.domain)) throw new Error(`A cookie in "${jar.name}" has no domain.`);
+        names.add(jar.name);
+    });
+    localStorage.setItem(projectStorageKey(COOKIE_JARS_KEY), JSON.stringify(normalized));
+    events.emit(EVENT_NAMES.COOKIE_JARS_CHANGED, { jars: normalized });
+}
+
+/**
+ * @param {string} name
+ * @returns {Object|null}
+ */
+export function getCookieJar(name) {
+    return loadCookieJars().find(jar => jar.name === name) || null;
+}
+
+/**
+ * Store a replay's Set-Cookie headers in a saved jar
+ * @param {string} name - Jar name
+ * @param {Array<string>} setCookies
+ * @param {string} url - URL of the response
+ */
+export function recordSetCookies(name, setCookies, url) {
+    if (!setCookies || setCookies.length === 0) return;
+    const jars = loadCookieJars();
+    const jar = jars.find(j => j.name === name);
+    if (!jar || storeSetCookies(jar, setCookies, url) === 0) return;
+    saveCookieJars(jars);
+}
+
+/**
+ * Cookie header a replay sends in a credential mode
+ * @param {string} mode - Credential mode
+ * @param {string} url
+ * @param {Array<{name: string, value: string}>} headers - Headers as typed
+ * @returns {string|null} null when the typed headers are sent as they are (browser mode)
+ */
+export function cookieHeaderFor(mode, url, headers) {
+    if (mode === CREDENTIALS_BROWSER) return null;
+    if (mode === CREDENTIALS_NONE) return '';
+    const typed = (headers || []).filter(h => h.name.toLowerCase() === 'cookie').map(h => h.value).join('; ');
+    const name = jarNameOf(mode);
+    if (!name) return mergeCookieHeaders(typed);
+    const jar = getCookieJar(name);
+    return mergeCookieHeaders(typed, jar ? jarCookieHeader(jar, url) : '');
+}
+
+/**
+ * @param {Array<{name: string, value: string}>} headers
+ * @param {string} cookie - '' removes the header
+ * @returns {Array<{name: string, value: string}>} Headers sending exactly that Cookie header (typed position kept)
+ */
+export function withCookieHeader(headers, cookie) {
+    return cookie ? setHeader(headers, 'Cookie', cookie) : removeHeader(headers, 'cookie');
+}
+
+// urlFilter reads *, ^ and | in the URL as wildcards and has no escapes; a regex can match it literally
+function exactUrlPattern(url) {
+    return `^${url.replace(/[.*+?^${}()|[\]\\]/g, '\\$&')}$`;
+}
+
+/**
+ * Session rule putting a Cookie header on the panel's own request for one URL
+ * @param {number} id
+ * @param {string} url
+ * @param {string} cookie
+ * @returns {Object}
+ */
+export function buildCookieRule(id, url, cookie) {
+    return {
+        id,
+        priority: 1,
+        action: {
+            type: 'modifyHeaders',
+            requestHeaders: [{ header: 'Cookie', operation: 'set', value: cookie }]
+        },
+        condition: {
+            regexFilter: exactUrlPattern(url.split('#')[0]),
+            resourceTypes: ['xmlhttprequest'],
+            tabIds: [-1]
+        }
+    };
+}
+
+/**
+ * Run a fetch with a Cookie header the browser would not let it set
+ * @param {string} url
+ * @param {string|null} cookie - null or '' sends none
+ * @param {Function} send - async () => result
+ * @returns {Promise<*>}
+ */
+export async function withCookieRule(url, cookie, send) {
+    const dnr = globalThis.chrome && chrome.declarativeNetRequest;
+    if (!cookie) return await send();
+    if (!dnr) {
+        console.warn('[Cookie Jars] declarativeNetRequest is unavailable; sending without the Cookie header');
+        return await send();
+    }
+
+    const id = nextCookieRuleId;
+    nextCookieRuleId = nextCookieRuleId >= COOKIE_RULE_FIRST_ID + 899 ? COOKIE_RULE_FIRST_ID : nextCookieRuleId + 1;
+    await dnr.updateSessionRules({ removeRuleIds: [id], addRules: [buildCookieRule(id, url, cookie)] });
+    try {
+        return await send();
+    } finally {
+        try {
+            await dnr.updateSessionRules({ removeRuleIds: [id] });
+        } catch (e) {
+            // Already removed
+        }
+    }
+}
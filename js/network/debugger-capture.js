@@ -0,0 +1,439 @@
+// Debugger Capture - Full-body multi-tab capture via the chrome.debugger Network domain
+// Runs in the background service worker. webRequest only exposes metadata; attaching
+// the debugger to a tab lets us read response bodies (Network.getResponseBody),
+// raw headers and resource timings. Entries are posted to the panel in the same
+// shape as setupNetworkListener entries. WebSocket connections are reported as an
+// entry when the handshake completes, followed by one event per frame.
+import { createFrame } from './websocket.js';
+
+export const DEBUGGER_PROTOCOL_VERSION = '1.3';
+
+// Resource types whose bodies are never useful in the request list
+const SKIP_BODY_TYPES = new Set(['Image', 'Media', 'Font', 'Stylesheet', 'Manifest']);
+
+// Ignore anything that is not a regular HTTP(S) request
+const CAPTURABLE_URL = /^https?:\/\//i;
+
+/**
+ * Convert a CDP headers object into a HAR header array
+ * @param {Object} headers - { name: value } (multi-value headers are joined with "\n")
+ * @returns {Array<{name: string, value: string}>}
+ */
+export function headersToArray(headers) {
+    const result = [];
+    Object.entries(headers || {}).forEach(([name, value]) => {
+        String(value).split('\n').forEach(part => result.push({ name, value: part }));
+    });
+    return result;
+}
+
+/**
+ * Build HAR timings from a CDP ResourceTiming object
+ * @param {Object} timing - response.timing (ms offsets from timing.requestTime)
+ * @param {number} finishedAt - Network.loadingFinished timestamp (seconds, same clock as requestTime)
+ * @returns {Object} HAR timings
+ */
+export function buildTimings(timing, finishedAt) {
+    if (!timing) return { blocked: -1, dns: -1, connect: -1, ssl: -1, send: 0, wait: 0, receive: 0 };
+
+    // Round to microseconds like Chrome's own HAR export
+    const round = (ms) => Math.round(ms * 1000) / 1000;
+    const span = (start, end) => (start >= 0 && end >= 0 ? round(Math.max(0, end - start)) : -1);
+    const firstStart = [timing.dnsStart, timing.connectStart, timing.sendStart].find(t => t >= 0);
+    const total = finishedAt ? (finishedAt - timing.requestTime) * 1000 : timing.receiveHeadersEnd;
+
+    return {
+        blocked: firstStart !== undefined ? firstStart : -1,
+        dns: span(timing.dnsStart, timing.dnsEnd),
+        connect: span(timing.connectStart, timing.connectEnd),
+        ssl: span(timing.sslStart, timing.sslEnd),
+        send: span(timing.sendStart, timing.sendEnd),
+        wait: span(timing.sendEnd, timing.receiveHeadersEnd),
+        receive: round(Math.max(0, total - timing.receiveHeadersEnd))
+    };
+}
+
+function httpVersionFromProtocol(protocol) {
+    if (!protocol) return 'HTTP/1.1';
+    if (protocol === 'h2') return 'HTTP/2.0';
+    if (protocol === 'h3' || protocol.startsWith('h3-')) return 'HTTP/3.0';
+    return protocol.toUpperCase();
+}
+
+/**
+ * Build a captured entry (setupNetworkListener shape) from a tracked CDP request
+ * @param {Object} record - { tabId, request, extraRequestHeaders, response, extraResponse,
+ *                            type, wallTime, documentURL, finishedAt, body, base64Encoded, encodedDataLength }
+ * @returns {Object}
+ */
+export function buildCapturedEntry(record) {
+    const request = record.request;
+    const response = record.response || {};
+    // The ExtraInfo events carry the raw headers actually sent/received (Cookie, Set-Cookie, ...)
+    const requestHeaders = headersToArray(record.extraRequestHeaders || request.headers);
+    const responseHeaders = headersToArray((record.extraResponse && record.extraResponse.headers) || response.headers);
+    const status = response.status || (record.extraResponse && record.extraResponse.statusCode) || 0;
+    const statusText = response.statusText || '';
+    const httpVersion = httpVersionFromProtocol(response.protocol);
+    const timings = buildTimings(response.timing, record.finishedAt);
+    const time = Object.values(timings).filter(t => t > 0).reduce((a, b) => a + b, 0);
+
+    const harRequest = {
+        method: request.method,
+        url: request.url + (request.urlFragment || ''),
+        httpVersion,
+        headers: requestHeaders,
+        headersSize: -1,
+        bodySize: record.postData ? record.postData.length : 0
+    };
+    if (record.postData) {
+        const contentType = requestHeaders.find(h => h.name.toLowerCase() === 'content-type');
+        harRequest.postData = { mimeType: contentType ? contentType.value : '', text: record.postData };
+    }
+
+    const body = record.body || '';
+    const encoding = record.base64Encoded ? 'base64' : '';
+    const capturedAt = record.wallTime ? Math.round(record.wallTime * 1000) : Date.now();
+
+    return {
+        request: harRequest,
+        response: {
+            status,
+            statusText,
+            httpVersion,
+            headers: responseHeaders,
+            content: {
+                size: body.length,
+                mimeType: response.mimeType || '',
+                text: body
+            },
+            redirectURL: '',
+            headersSize: -1,
+            bodySize: record.encodedDataLength ?? -1
+        },
+        responseBody: body,
+        responseEncoding: encoding,
+        responseStatus: status,
+        responseStatusText: statusText,
+        responseHeaders,
+        startedDateTime: new Date(capturedAt).toISOString(),
+        time,
+        timings,
+        serverIPAddress: response.remoteIPAddress || undefined,
+        _resourceType: record.type ? record.type.toLowerCase() : undefined,
+        capturedAt,
+        pageUrl: record.documentURL || request.url,
+        tabId: record.tabId
+    };
+}
+
+/**
+ * Build the entry for a WebSocket connection once its handshake completes
+ * @param {Object} socket - { tabId, socketId, url, requestHeaders, response, wallTime, documentURL }
+ * @returns {Object}
+ */
+export function buildWebSocketEntry(socket) {
+    const response = socket.response || {};
+    const requestHeaders = headersToArray(socket.requestHeaders);
+    const responseHeaders = headersToArray(response.headers);
+    const capturedAt = socket.wallTime ? Math.round(socket.wallTime * 1000) : Date.now();
+
+    return {
+        request: {
+            method: 'GET',
+            url: socket.url,
+            httpVersion: 'HTTP/1.1',
+            headers: requestHeaders,
+            headersSize: -1,
+            bodySize: 0
+        },
+        response: {
+            status: response.status || 101,
+            statusText: response.statusText || 'Switching Protocols',
+            httpVersion: 'HTTP/1.1',
+            headers: responseHeaders,
+            content: { size: 0, mimeType: '', text: '' },
+            redirectURL: '',
+            headersSize: -1,
+            bodySize: 0
+        },
+        responseBody: '',
+        responseEncoding: '',
+        responseStatus: response.status || 101,
+        responseStatusText: response.statusText || 'Switching Protocols',
+        responseHeaders,
+        startedDateTime: new Date(capturedAt).toISOString(),
+        _resourceType: 'websocket',
+        webSocket: { socketId: socket.socketId, frames: [], closed: false },
+        capturedAt,
+        pageUrl: socket.documentURL || socket.url,
+        tabId: socket.tabId
+    };
+}
+
+/**
+ * Attaches the debugger to selected tabs and turns Network events into captured entries
+ */
+export class DebuggerCapture {
+    /**
+     * @param {Object} handlers
+     * @param {Function} handlers.onEntry - Called with each finished entry
+     * @param {Function} [handlers.onDetach] - Called with (tabId, reason) when a tab stops being captured
+     * @param {Function} [handlers.onWebSocket] - Called with { socketId, frame } or { socketId, closed: true }
+     * @param {Object} [debuggerApi] - chrome.debugger (injectable for tests)
+     */
+    constructor({ onEntry, onDetach, onWebSocket }, debuggerApi = null) {
+        this.onEntry = onEntry;
+        this.onDetach = onDetach || (() => {});
+        this.onWebSocket = onWebSocket || (() => {});
+        this.debuggerApi = debuggerApi;
+        this.tabs = new Map(); // tabId -> Map(requestId -> record); WebSockets use "ws:<requestId>"
+        this.documents = new Map(); // tabId -> last document URL (page group for WebSockets)
+        this.listening = false;
+    }
+
+    // chrome.debugger only exists once the optional permission has been granted
+    get api() {
+        return this.debuggerApi || (globalThis.chrome && globalThis.chrome.debugger) || null;
+    }
+
+    isAttached(tabId) {
+        return this.tabs.has(tabId);
+    }
+
+    attachedTabIds() {
+        return Array.from(this.tabs.keys());
+    }
+
+    listen() {
+        if (this.listening || !this.api) return;
+        this.api.onEvent.addListener((source, method, params) => this.handleEvent(source, method, params));
+        this.api.onDetach.addListener((source, reason) => this.handleDetach(source, reason));
+        this.listening = true;
+    }
+
+    send(tabId, method, params = {}) {
+        return new Promise((resolve, reject) => {
+            this.api.sendCommand({ tabId }, method, params, (result) => {
+                const error = globalThis.chrome && chrome.runtime && chrome.runtime.lastError;
+                if (error) reject(new Error(error.message));
+                else resolve(result);
+            });
+        });
+    }
+
+    /**
+     * Start capturing a tab
+     * @param {number} tabId
+     */
+    async attach(tabId) {
+        if (!this.api) throw new Error('The "debugger" permission has not been granted.');
+        if (this.isAttached(tabId)) return;
+        this.listen();
+
+        await new Promise((resolve, reject) => {
+            this.api.attach({ tabId }, DEBUGGER_PROTOCOL_VERSION, () => {
+                const error = globalThis.chrome && chrome.runtime && chrome.runtime.lastError;
+                if (error) reject(new Error(error.message));
+                else resolve();
+            });
+        });
+
+        this.tabs.set(tabId, new Map());
+        try {
+            await this.send(tabId, 'Network.enable', { maxPostDataSize: 1024 * 1024 });
+        } catch (error) {
+            await this.detach(tabId);
+            throw error;
+        }
+    }
+
+    /**
+     * Stop capturing a tab
+     * @param {number} tabId
+     */
+    async detach(tabId) {
+        if (!this.tabs.has(tabId)) return;
+        this.tabs.delete(tabId);
+        this.documents.delete(tabId);
+        await new Promise(resolve => {
+            this.api.detach({ tabId }, () => {
+                // Ignore "not attached" errors (tab closed, user cancelled the infobar)
+                void (globalThis.chrome && chrome.runtime && chrome.runtime.lastError);
+                resolve();
+            });
+        });
+        this.onDetach(tabId, 'detached');
+    }
+
+    async detachAll() {
+        await Promise.all(this.attachedTabIds().map(tabId => this.detach(tabId)));
+    }
+
+    handleDetach(source, reason) {
+        if (!this.tabs.has(source.tabId)) return;
+        this.tabs.delete(source.tabId);
+        this.documents.delete(source.tabId);
+        this.onDetach(source.tabId, reason);
+    }
+
+    handleEvent(source, method, params) {
+        const records = this.tabs.get(source.tabId);
+        if (!records) return;
+
+        const record = (id) => {
+            if (!records.has(id)) records.set(id, { tabId: source.tabId });
+            return records.get(id);
+        };
+
+        switch (method) {
+            case 'Network.requestWillBeSent': {
+                const existing = records.get(params.requestId);
+                // Redirects reuse the requestId: finish the previous hop with its redirect response
+                if (existing && existing.request && params.redirectResponse) {
+                    existing.response = params.redirectResponse;
+                    existing.finishedAt = params.timestamp;
+                    records.delete(params.requestId);
+                    this.emit(existing);
+                }
+                if (!CAPTURABLE_URL.test(params.request.url)) {
+                    records.delete(params.requestId);
+                    return;
+                }
+                if (params.type === 'Document') {
+                    this.documents.set(source.tabId, params.request.url);
+                }
+                // requestWillBeSentExtraInfo may arrive first; record() keeps its raw headers
+                const current = record(params.requestId);
+                current.request = params.request;
+                current.postData = params.request.postData || null;
+                current.hasPostData = !!params.request.hasPostData;
+                current.type = params.type;
+                current.wallTime = params.wallTime;
+                current.documentURL = params.documentURL;
+                break;
+            }
+            case 'Network.requestWillBeSentExtraInfo':
+                record(params.requestId).extraRequestHeaders = params.headers;
+                break;
+            case 'Network.responseReceived': {
+                const current = record(params.requestId);
+                current.response = params.response;
+                current.type = current.type || params.type;
+                break;
+            }
+            case 'Network.responseReceivedExtraInfo':
+                record(params.requestId).extraResponse = { headers: params.headers, statusCode: params.statusCode };
+                break;
+            case 'Network.loadingFinished': {
+                const current = records.get(params.requestId);
+                records.delete(params.requestId);
+                if (!current || !current.request) return;
+                current.finishedAt = params.timestamp;
+                current.encodedDataLength = params.encodedDataLength;
+                this.finish(source.tabId, params.requestId, current);
+                break;
+            }
+            case 'Network.loadingFailed':
+                records.delete(params.requestId);
+                break;
+            default:
+                if (method.startsWith('Network.webSocket')) {
+                    this.handleWebSocketEvent(source.tabId, records, method, params);
+                }
+        }
+    }
+
+    handleWebSocketEvent(tabId, records, method, params) {
+        const key = `ws:${params.requestId}`;
+        const socket = records.get(key);
+
+        switch (method) {
+            case 'Network.webSocketCreated':
+                records.set(key, {
+                    tabId,
+                    socketId: `${tabId}:${params.requestId}`,
+                    url: params.url,
+                    documentURL: this.documents.get(tabId)
+                });
+                break;
+            case 'Network.webSocketWillSendHandshakeRequest':
+                if (!socket) return;
+                socket.requestHeaders = params.request.headers;
+                socket.wallTime = params.wallTime;
+                // Frame timestamps use the monotonic clock; keep the offset to wall time
+                socket.clockOffset = params.wallTime - params.timestamp;
+                break;
+            case 'Network.webSocketHandshakeResponseReceived':
+                if (!socket) return;
+                socket.response = params.response;
+                this.onEntry(buildWebSocketEntry(socket));
+                socket.open = true;
+                break;
+            case 'Network.webSocketFrameSent':
+            case 'Network.webSocketFrameReceived': {
+                if (!socket || !socket.open) return;
+                const frame = params.response || {};
+                const timestamp = socket.clockOffset !== undefined
+                    ? Math.round((params.timestamp + socket.clockOffset) * 1000)
+                    : Date.now();
+                this.onWebSocket({
+                    socketId: socket.socketId,
+                    frame: createFrame({
+                        direction: method === 'Network.webSocketFrameSent' ? 'sent' : 'received',
+                        opcode: frame.opcode,
+                        payload: frame.payloadData,
+                        timestamp
+                    })
+                });
+                break;
+            }
+            case 'Network.webSocketClosed':
+                records.delete(key);
+                if (socket && socket.open) {
+                    this.onWebSocket({ socketId: socket.socketId, closed: true });
+                }
+                break;
+        }
+    }
+
+    async finish(tabId, requestId, current) {
+        if (this.isReplay(current)) return;
+
+        try {
+            if (current.hasPostData && !current.postData) {
+                const result = await this.send(tabId, 'Network.getRequestPostData', { requestId });
+                current.postData = result ? result.postData : null;
+            }
+        } catch (e) {
+            // Body was not retained (e.g. streamed upload)
+        }
+
+        if (!SKIP_BODY_TYPES.has(current.type)) {
+            try {
+                const result = await this.send(tabId, 'Network.getResponseBody', { requestId });
+                if (result) {
+                    current.body = result.body;
+                    current.base64Encoded = result.base64Encoded;
+                }
+            } catch (e) {
+                // No body (204, HEAD, evicted from the resource buffer)
+            }
+        }
+
+        this.emit(current);
+    }
+
+    isReplay(current) {
+        const headers = current.request.headers || {};
+        return Object.keys(headers).some(name => name.toLowerCase() === 'x-rep-plus-replay' && headers[name] === 'true');
+    }
+
+    emit(current) {
+        try {
+            this.onEntry(buildCapturedEntry(current));
+        } catch (e) {
+            console.error('[Debugger Capture] Failed to build entry:', e);
+        }
+    }
+}
@@ -0,0 +1,360 @@
+// Debugger Intercept - Pause the inspected tab's requests (and optionally responses)
+// before they leave the browser, through the chrome.debugger Fetch domain.
+// Runs in the background service worker; every paused request is reported to the
+// panel that started the session, which answers with continue / drop. Sessions can
+// also rewrite traffic without holding it (match & replace rules): those requests and
+// responses are continued straight away with the rewritten values, and answer requests
+// matched by a mock rule with Fetch.fulfillRequest before they reach the network.
+import { DEBUGGER_PROTOCOL_VERSION } from './debugger-capture.js';
+import { base64ToBytes, isUtf8, textToBase64 } from './body-bytes.js';
+
+export const INTERCEPT_PERMISSIONS = { permissions: ['debugger'] };
+
+// Edited responses are fulfilled with the decoded body; Chrome sets the length itself
+const FULFILL_DROPPED_HEADERS = new Set(['content-length', 'content-encoding', 'transfer-encoding']);
+
+/**
+ * Convert a CDP headers object into a header array
+ * @param {Object} headers - { name: value }
+ * @returns {Array<{name: string, value: string}>}
+ */
+function toHeaderArray(headers) {
+    return Object.entries(headers || {}).map(([name, value]) => ({ name, value: String(value) }));
+}
+
+/**
+ * Fetch.enable patterns for a session
+ * @param {Object} options - { hold, responses, rewriteRequests, rewriteResponses, mock }
+ * @returns {Array<Object>}
+ */
+export function buildFetchPatterns(options = {}) {
+    const patterns = [];
+    if (options.hold || options.rewriteRequests || options.mock) patterns.push({ urlPattern: '*', requestStage: 'Request' });
+    if (options.responses || options.rewriteResponses) patterns.push({ urlPattern: '*', requestStage: 'Response' });
+    return patterns;
+}
+
+function continueParams(requestId, overrides) {
+    const params = { requestId };
+    if (overrides.method) params.method = overrides.method;
+    if (overrides.url) params.url = overrides.url;
+    if (overrides.headers) params.headers = overrides.headers;
+    if (overrides.body !== undefined && overrides.body !== null) params.postData = textToBase64(overrides.body);
+    return params;
+}
+
+// overrides.bodyBase64 is the untouched body of a binary response
+function fulfillParams(requestId, overrides, base64Body = overrides.bodyBase64 ?? textToBase64(overrides.body || '')) {
+    return {
+        requestId,
+        responseCode: overrides.status,
+        responsePhrase: overrides.statusText || undefined,
+        responseHeaders: (overrides.headers || []).filter(h => !FULFILL_DROPPED_HEADERS.has(h.name.toLowerCase())),
+        body: base64Body
+    };
+}
+
+/**
+ * Convert a Fetch.requestPaused event into the object sent to the panel
+ * @param {number} tabId
+ * @param {Object} params - Fetch.requestPaused params
+ * @returns {Object} { tabId, requestId, stage, resourceType, request, response }
+ */
+export function buildPausedItem(tabId, params) {
+    const isResponse = params.responseStatusCode !== undefined || !!params.responseErrorReason;
+    const request = {
+        method: params.request.method,
+        url: params.request.url + (params.request.urlFragment || ''),
+        headers: toHeaderArray(params.request.headers)
+    };
+    if (params.request.postData !== undefined) {
+        request.postData = { text: params.request.postData };
+    }
+
+    return {
+        tabId,
+        requestId: params.requestId,
+        stage: isResponse ? 'response' : 'request',
+        resourceType: params.resourceType || '',
+        request,
+        response: isResponse ? {
+            status: params.responseStatusCode || 0,
+            statusText: params.responseStatusText || '',
+            headers: params.responseHeaders || [],
+            errorReason: params.responseErrorReason || null
+        } : null
+    };
+}
+
+/**
+ * Interception sessions, one per tab
+ */
+export class DebuggerIntercept {
+    /**
+     * @param {Object} callbacks
+     * @param {Function} callbacks.onPaused - (item) for every paused request or response
+     * @param {Function} [callbacks.onDetach] - (tabId, reason) when a session ends on its own
+     * @param {Function} [callbacks.rewriteRequest] - (tabId, request) => rewritten request or null
+     * @param {Function} [callbacks.rewriteResponse] - (tabId, request, response with a text body, or a null
+     *   body when it isn't UTF-8) => rewritten response or null
+     * @param {Function} [callbacks.mockRequest] - (tabId, request) => { status, statusText, headers, body (base64) } or null
+     * @param {Object} [debuggerApi] - chrome.debugger (injectable for tests)
+     */
+    constructor({ onPaused, onDetach, rewriteRequest, rewriteResponse, mockRequest }, debuggerApi = null) {
+        this.onPaused = onPaused;
+        this.onDetach = onDetach || (() => {});
+        this.rewriteRequest = rewriteRequest || (() => null);
+        this.rewriteResponse = rewriteResponse || (() => null);
+        this.mockRequest = mockRequest || (() => null);
+        this.debuggerApi = debuggerApi;
+        // tabId -> { options, paused: Map<requestId, { stage, overrides }>, heldResponses: Set<requestId> }
+        this.sessions = new Map();
+        this.listening = false;
+    }
+
+    get api() {
+        return this.debuggerApi || (globalThis.chrome && globalThis.chrome.debugger) || null;
+    }
+
+    isAttached(tabId) {
+        return this.sessions.has(tabId);
+    }
+
+    listen() {
+        if (this.listening) return;
+        this.api.onEvent.addListener((source, method, params) => this.handleEvent(source, method, params));
+        this.api.onDetach.addListener((source, reason) => this.handleDetach(source, reason));
+        this.listening = true;
+    }
+
+    send(tabId, method, params = {}) {
+        return new Promise((resolve, reject) => {
+            this.api.sendCommand({ tabId }, method, params, (result) => {
+                const error = globalThis.chrome && chrome.runtime && chrome.runtime.lastError;
+                if (error) reject(new Error(error.message));
+                else resolve(result);
+            });
+        });
+    }
+
+    /**
+     * Start intercepting a tab
+     * @param {number} tabId
+     * @param {Object} [options] - { hold: pause requests for the panel, responses: pause every response
+     *   as well, rewriteRequests / rewriteResponses: apply the rewrite callbacks, mock: answer
+     *   requests the mock callback returns a response for }
+     */
+    async attach(tabId, options = {}) {
+        if (!this.api) throw new Error('The "debugger" permission has not been granted.');
+        this.listen();
+
+        if (!this.sessions.has(tabId)) {
+            await new Promise((resolve, reject) => {
+                this.api.attach({ tabId }, DEBUGGER_PROTOCOL_VERSION, () => {
+                    const error = globalThis.chrome && chrome.runtime && chrome.runtime.lastError;
+                    if (error) reject(new Error(error.message));
+                    else resolve();
+                });
+            });
+            this.sessions.set(tabId, { options: {}, paused: new Map(), heldResponses: new Set() });
+        }
+        await this.setOptions(tabId, options);
+    }
+
+    /**
+     * Change what a session pauses
+     * @param {number} tabId
+     * @param {Object} options - See attach
+     */
+    async setOptions(tabId, options = {}) {
+        const session = this.sessions.get(tabId);
+        if (!session) return;
+        session.options = { ...options };
+        if (!session.options.hold && !session.options.responses) await this.releaseAll(tabId);
+        const patterns = buildFetchPatterns(session.options);
+        if (patterns.length) {
+            await this.send(tabId, 'Fetch.enable', { patterns });
+        } else {
+            await this.send(tabId, 'Fetch.disable');
+        }
+    }
+
+    /**
+     * Stop intercepting; Chrome lets every paused request through when the debugger detaches
+     * @param {number} tabId
+     */
+    async detach(tabId) {
+        if (!this.sessions.has(tabId)) return;
+        this.sessions.delete(tabId);
+        await new Promise(resolve => this.api.detach({ tabId }, () => {
+            void (globalThis.chrome && chrome.runtime && chrome.runtime.lastError);
+            resolve();
+        }));
+    }
+
+    detachAll() {
+        return Promise.all(Array.from(this.sessions.keys()).map(tabId => this.detach(tabId)));
+    }
+
+    handleDetach(source, reason) {
+        if (!this.sessions.has(source.tabId)) return;
+        this.sessions.delete(source.tabId);
+        this.onDetach(source.tabId, reason);
+    }
+
+    async handleEvent(source, method, params) {
+        const session = this.sessions.get(source.tabId);
+        if (!session || method !== 'Fetch.requestPaused') return;
+        const tabId = source.tabId;
+        const item = buildPausedItem(tabId, params);
+
+        try {
+            if (item.stage === 'request') {
+                await this.handleRequestStage(session, item);
+            } else {
+                await this.handleResponseStage(session, item);
+            }
+        } catch (error) {
+            console.error('[Intercept]', error.message);
+        }
+    }
+
+    async handleRequestStage(session, item) {
+        // Mocked requests are answered here, without being held or rewritten
+        if (session.options.mock) {
+            const mocked = this.mockRequest(item.tabId, item.request);
+            if (mocked) {
+                await this.send(item.tabId, 'Fetch.fulfillRequest', fulfillParams(item.requestId, mocked, mocked.body));
+                return;
+            }
+        }
+
+        let overrides = {};
+        if (session.options.rewriteRequests) {
+            const request = { ...item.request, body: item.request.postData ? item.request.postData.text : null };
+            const rewritten = this.rewriteRequest(item.tabId, request);
+            if (rewritten) {
+                overrides = { method: rewritten.method, url: rewritten.url, headers: rewritten.headers, body: rewritten.body };
+                item.request = { method: rewritten.method, url: rewritten.url, headers: rewritten.headers };
+                if (rewritten.body !== null && rewritten.body !== undefined) item.request.postData = { text: rewritten.body };
+            }
+        }
+
+        if (!session.options.hold) {
+            await this.send(item.tabId, 'Fetch.continueRequest', continueParams(item.requestId, overrides));
+            return;
+        }
+        session.paused.set(item.requestId, { stage: 'request', overrides });
+        this.onPaused(item);
+    }
+
+    async handleResponseStage(session, item) {
+        const { tabId, requestId } = item;
+        const held = session.options.responses || session.heldResponses.has(requestId);
+        session.heldResponses.delete(requestId);
+
+        if (!item.response.errorReason) {
+            try {
+                const body = await this.send(tabId, 'Fetch.getResponseBody', { requestId });
+                item.response.body = body.base64Encoded ? body.body : textToBase64(body.body);
+            } catch (e) {
+                // Redirects and empty responses have no body
+                item.response.body = '';
+            }
+        }
+
+        let overrides = {};
+        if (session.options.rewriteResponses && !item.response.errorReason) {
+            // Binary bodies are never decoded: a text round trip would corrupt them. Their rules
+            // get no body, so only header rules apply, and the original bytes go through.
+            const bytes = base64ToBytes(item.response.body);
+            const text = isUtf8(bytes) ? new TextDecoder().decode(bytes) : null;
+            const rewritten = this.rewriteResponse(tabId, item.request, { ...item.response, body: text });
+            if (rewritten) {
+                const bodyBase64 = text === null || rewritten.body === text ? item.response.body : textToBase64(rewritten.body);
+                overrides = { status: rewritten.status, statusText: rewritten.statusText, headers: rewritten.headers, bodyBase64 };
+                item.response = { ...item.response, headers: rewritten.headers, body: bodyBase64 };
+            }
+        }
+
+        if (!held) {
+            if (overrides.status) {
+                await this.send(tabId, 'Fetch.fulfillRequest', fulfillParams(requestId, overrides));
+            } else {
+                await this.send(tabId, 'Fetch.continueRequest', { requestId });
+            }
+            return;
+        }
+        session.paused.set(requestId, { stage: 'response', overrides });
+        this.onPaused(item);
+    }
+
+    /**
+     * Let every paused request go as the rewrite rules left it (when the panel stops holding)
+     * @param {number} tabId
+     */
+    async releaseAll(tabId) {
+        const session = this.sessions.get(tabId);
+        if (!session) return;
+        const requestIds = Array.from(session.paused.keys());
+        for (const requestId of requestIds) {
+            try {
+                await this.continueRequest(tabId, requestId);
+            } catch (e) {
+                // Already gone (navigation, closed tab)
+            }
+        }
+    }
+
+    release(tabId, requestId) {
+        const session = this.sessions.get(tabId);
+        if (!session || !session.paused.has(requestId)) {
+            throw new Error('The request is no longer paused.');
+        }
+        const paused = session.paused.get(requestId);
+        session.paused.delete(requestId);
+        return { session, ...paused };
+    }
+
+    /**
+     * Let a paused request go, with the panel's edits
+     * Without edits, the request goes out as the rewrite rules left it.
+     * @param {number} tabId
+     * @param {string} requestId
+     * @param {Object} [overrides] - Request stage: { method, url, headers: [{name, value}], body }
+     *   Response stage: { status, statusText, headers, body } (the page gets this response instead);
+     *   bodyBase64 sends the original bytes of an unedited binary body instead of body
+     * @param {Object} [options] - { interceptResponse: pause this request's response too }
+     */
+    async continueRequest(tabId, requestId, overrides = {}, options = {}) {
+        const paused = this.release(tabId, requestId);
+        const edits = overrides && Object.keys(overrides).length ? overrides : paused.overrides;
+
+        if (paused.stage === 'response') {
+            if (edits.status) {
+                await this.send(tabId, 'Fetch.fulfillRequest', fulfillParams(requestId, edits));
+            } else {
+                // At the response stage, continueRequest lets the response through unchanged
+                await this.send(tabId, 'Fetch.continueRequest', { requestId });
+            }
+            return;
+        }
+
+        const params = continueParams(requestId, edits);
+        if (options.interceptResponse) {
+            params.interceptResponse = true;
+            paused.session.heldResponses.add(requestId);
+        }
+        await this.send(tabId, 'Fetch.continueRequest', params);
+    }
+
+    /**
+     * Abort a paused request; the page sees a network error
+     * @param {number} tabId
+     * @param {string} requestId
+     */
+    async dropRequest(tabId, requestId) {
+        this.release(tabId, requestId);
+        await this.send(tabId, 'Fetch.failRequest', { requestId, errorReason: 'BlockedByClient' });
+    }
+}
@@ -0,0 +1,246 @@
+// Debugger Transport - Send a request with exactly the headers typed in the editor
+// fetch() drops forbidden headers (Host, Origin, Referer, Content-Length, Sec-*, ...).
+// The background opens a hidden helper tab, attaches chrome.debugger and navigates it to
+// the target; the Fetch domain rewrites the method, headers and body of that navigation,
+// reads the response at the response stage and aborts it before the page renders.
+import { DEBUGGER_PROTOCOL_VERSION } from './debugger-capture.js';
+import { base64ToBytes, bytesToText, textToBase64 } from './body-bytes.js';
+
+export const TRANSPORT_FETCH = 'fetch';
+export const TRANSPORT_DEBUGGER = 'debugger';
+export const DEBUGGER_TRANSPORT_PERMISSIONS = { permissions: ['debugger'], origins: ['<all_urls>'] };
+
+const DEFAULT_TIMEOUT = 30000;
+
+/**
+ * Runs requests through helper tabs (used by the background service worker)
+ */
+export class DebuggerTransport {
+    /**
+     * @param {Object} [debuggerApi] - chrome.debugger (injectable for tests)
+     * @param {Object} [tabsApi] - chrome.tabs (injectable for tests)
+     */
+    constructor(debuggerApi = null, tabsApi = null) {
+        this.debuggerApi = debuggerApi;
+        this.tabsApi = tabsApi;
+        this.pending = new Map(); // helper tabId -> { request, resolve, reject }
+        this.listening = false;
+    }
+
+    get api() {
+        return this.debuggerApi || (globalThis.chrome && globalThis.chrome.debugger) || null;
+    }
+
+    get tabs() {
+        return this.tabsApi || (globalThis.chrome && globalThis.chrome.tabs) || null;
+    }
+
+    /**
+     * Whether a tab is a helper tab (its traffic must not be captured)
+     * @param {number} tabId
+     * @returns {boolean}
+     */
+    isHelperTab(tabId) {
+        return this.pending.has(tabId);
+    }
+
+    listen() {
+        if (this.listening) return;
+        this.api.onEvent.addListener((source, method, params) => this.handleEvent(source, method, params));
+        this.api.onDetach.addListener((source) => this.fail(source.tabId, new Error('Debugger detached before the response arrived.')));
+        this.listening = true;
+    }
+
+    command(tabId, method, params = {}) {
+        return new Promise((resolve, reject) => {
+            this.api.sendCommand({ tabId }, method, params, (result) => {
+                const error = globalThis.chrome && chrome.runtime && chrome.runtime.lastError;
+                if (error) reject(new Error(error.message));
+                else resolve(result);
+            });
+        });
+    }
+
+    /**
+     * Send a request
+     * @param {Object} request
+     * @param {string} request.url
+     * @param {string} request.method
+     * @param {Array<{name: string, value: string}>} request.headers - Sent as-is, in order
+     * @param {string} [request.body]
+     * @param {string} [request.bodyBase64] - Binary body; sent instead of body
+     * @param {number} [request.timeout] - Milliseconds
+     * @returns {Promise<Object>} { status, statusText, headers, body (base64), duration }
+     */
+    async send(request) {
+        if (!this.api) throw new Error('The "debugger" permission has not been granted.');
+        this.listen();
+
+        const tab = await this.tabs.create({ url: 'about:blank', active: false });
+        const tabId = tab.id;
+        const startTime = Date.now();
+
+        const response = new Promise((resolve, reject) => {
+            this.pending.set(tabId, { request, resolve, reject, continued: false });
+        });
+        response.catch(() => {}); // Rejections are rethrown below
+        const timer = setTimeout(() => {
+            this.fail(tabId, new Error(`No response after ${(request.timeout || DEFAULT_TIMEOUT) / 1000}s.`));
+        }, request.timeout || DEFAULT_TIMEOUT);
+
+        try {
+            await new Promise((resolve, reject) => {
+                this.api.attach({ tabId }, DEBUGGER_PROTOCOL_VERSION, () => {
+                    const error = globalThis.chrome && chrome.runtime && chrome.runtime.lastError;
+                    if (error) reject(new Error(error.message));
+                    else resolve();
+                });
+            });
+            await this.command(tabId, 'Fetch.enable', {
+                patterns: [
+                    { urlPattern: '*', requestStage: 'Request' },
+                    { urlPattern: '*', requestStage: 'Response' }
+                ]
+            });
+            await this.command(tabId, 'Page.navigate', { url: request.url });
+
+            const result = await response;
+            return { ...result, duration: Date.now() - startTime };
+        } catch (error) {
+            this.fail(tabId, error);
+            throw error;
+        } finally {
+            clearTimeout(timer);
+            this.pending.delete(tabId);
+            await new Promise(resolve => this.api.detach({ tabId }, () => {
+                void (globalThis.chrome && chrome.runtime && chrome.runtime.lastError);
+                resolve();
+            }));
+            try {
+                await this.tabs.remove(tabId);
+            } catch (e) {
+                // Tab already closed
+            }
+        }
+    }
+
+    /**
+     * Stop a send (the panel's Cancel button); its helper tab is closed like after a failure
+     * @param {string} sendId - request.sendId given to send()
+     * @returns {boolean} Whether a pending send was found
+     */
+    cancel(sendId) {
+        for (const [tabId, pending] of this.pending) {
+            if (pending.request.sendId === sendId) {
+                this.fail(tabId, new Error('Request canceled.'));
+                return true;
+            }
+        }
+        return false;
+    }
+
+    fail(tabId, error) {
+        const pending = this.pending.get(tabId);
+        if (!pending) return;
+        this.pending.delete(tabId);
+        pending.reject(error);
+    }
+
+    async handleEvent(source, method, params) {
+        const pending = this.pending.get(source.tabId);
+        if (!pending || method !== 'Fetch.requestPaused') return;
+        const tabId = source.tabId;
+
+        try {
+            if (params.responseStatusCode === undefined && !params.responseErrorReason) {
+                // Request stage: only the navigation itself is allowed through, rewritten
+                if (pending.continued) {
+                    await this.command(tabId, 'Fetch.failRequest', { requestId: params.requestId, errorReason: 'Aborted' });
+                    return;
+                }
+                pending.continued = true;
+                const { request } = pending;
+                const overrides = {
+                    requestId: params.requestId,
+                    method: request.method,
+                    headers: request.headers
+                };
+                if (request.bodyBase64) overrides.postData = request.bodyBase64;
+                else if (request.body) overrides.postData = textToBase64(request.body);
+                await this.command(tabId, 'Fetch.continueRequest', overrides);
+                return;
+            }
+
+            if (params.responseErrorReason) {
+                this.fail(tabId, new Error(`Request failed: ${params.responseErrorReason}`));
+                return;
+            }
+
+            // Response stage: read the response, then stop the page from loading it
+            let body = { body: '', base64Encoded: true };
+            try {
+                body = await this.command(tabId, 'Fetch.getResponseBody', { requestId: params.requestId });
+            } catch (e) {
+                // Redirects and empty responses have no body
+            }
+            pending.resolve({
+                status: params.responseStatusCode,
+                statusText: params.responseStatusText || '',
+                headers: params.responseHeaders || [],
+                body: body.base64Encoded ? body.body : textToBase64(body.body)
+            });
+            await this.command(tabId, 'Fetch.failRequest', { requestId: params.requestId, errorReason: 'Aborted' });
+        } catch (error) {
+            this.fail(tabId, error);
+        }
+    }
+}
+
+/**
+ * Send a request through the background's debugger transport (panel side)
+ * Resolves with the same shape as executeRequest so handleSendRequest can use either.
+ * @param {string} url
+ * @param {Object} request - { method, headers: [{name, value}], body, bodyBase64, timeout }
+ * @param {AbortSignal} [signal] - Aborting rejects with its reason and closes the helper tab
+ * @returns {Promise<Object>} { status, statusText, headers, body, bodyBytes, size, duration }
+ */
+export function executeDebuggerRequest(url, request, signal = null) {
+    return new Promise((resolve, reject) => {
+        const sendId = `send-${Date.now()}-${Math.random().toString(36).slice(2)}`;
+        const onAbort = () => {
+            chrome.runtime.sendMessage({ type: 'debugger-cancel', sendId });
+            reject(signal.reason);
+        };
+        if (signal) {
+            if (signal.aborted) {
+                reject(signal.reason);
+                return;
+            }
+            signal.addEventListener('abort', onAbort, { once: true });
+        }
+
+        chrome.runtime.sendMessage({ type: 'debugger-send', request: { ...request, url, sendId } }, (response) => {
+            if (signal) signal.removeEventListener('abort', onAbort);
+            if (chrome.runtime.lastError) {
+                reject(new Error(chrome.runtime.lastError.message));
+                return;
+            }
+            if (!response || response.error) {
+                reject(new Error(response ? response.error : 'No response from the background service worker.'));
+                return;
+            }
+
+            const { result } = response;
+            const bytes = base64ToBytes(result.body);
+            resolve({
+                status: result.status,
+                statusText: result.statusText,
+                headers: result.headers,
+                body: bytesToText(bytes),
+                bodyBytes: bytes,
+                size: bytes.length,
+                duration: String(result.duration)
+            });
+        });
+    });
+}
@@ -1,16 +1,58 @@
 // Request Handler Module - High-level orchestrator for sending requests
-import { state, addToHistory } from '../core/state.js';
+import { state, actions, addToHistory } from '../core/state.js';
 import { elements } from '../ui/main-ui.js';
 import { events, EVENT_NAMES } from '../core/events.js';
 import { parseRequest } from './capture.js';
-import { sendRequest } from './request-sender.js';
-import { formatRawResponse, getStatusClass } from './response-parser.js';
+import { confirmScopeSend } from './scope.js';
+import {
+    sendRequest, getSelectedTransport, getRedirectMode, getSendSettings, getCredentialMode
+} from './request-sender.js';
+import { CREDENTIALS_BROWSER, CREDENTIALS_NONE } from './cookie-jar.js';
+import { isTimeoutError, isCancelError } from './send-control.js';
+import { TRANSPORT_DEBUGGER } from './debugger-transport.js';
+import { formatRawResponse, prettyPrintResponse, getStatusClass } from './response-parser.js';
 import { formatBytes } from '../core/utils/format.js';
 import { renderDiff } from '../core/utils/misc.js';
 import { highlightHTTP } from '../core/utils/network.js';
 import { generateHexView } from '../ui/hex-view.js'
 import { generateJsonView } from '../ui/json-view.js'
 import { saveEditorState } from '../ui/request-editor.js';
+import { getBinaryBody } from '../ui/hex-editor.js';
+import { renderRedirectChain } from '../ui/redirect-chain.js';
+import { messageBytes, bytesToBase64, isUtf8 } from './body-bytes.js';
+
+/**
+ * Show what was sent differently than typed (empty hides the badge)
+ * @param {Array<string>} warnings
+ */
+function showSendWarnings(warnings) {
+    if (!elements.resWarnings) return;
+    elements.resWarnings.style.display = warnings.length ? '' : 'none';
+    elements.resWarnings.textContent = `⚠ ${warnings.length} changed`;
+    elements.resWarnings.title = `Sent differently than typed:\n${warnings.join('\n')}`;
+}
+
+// The editor's send in flight (at most one; sending again cancels it)
+let activeSend = null;
+
+function showCancelButton(visible) {
+    if (elements.cancelBtn) elements.cancelBtn.style.display = visible ? '' : 'none';
+}
+
+/**
+ * Cancel the editor's send in flight (Cancel button)
+ */
+export function cancelSendRequest() {
+    if (activeSend) activeSend.abort();
+}
+
+// A response belongs to the working copy it was sent from: switching away drops the send in flight
+events.on(EVENT_NAMES.UI_EDITOR_LEAVING, () => {
+    const send = activeSend;
+    activeSend = null;
+    showCancelButton(false);
+    if (send) send.abort();
+});
 
 export async function handleSendRequest() {
     const rawContent = elements.rawRequestInput.innerText;
@@ -24,19 +66,36 @@ export async function handleSendRequest() {
         }
     }
 
-    // Add to history
-    addToHistory(rawContent, useHttps);
-    events.emit(EVENT_NAMES.UI_UPDATE_HISTORY_BUTTONS);
-
+    let controller = null;
     try {
-        const { url, options, method, filteredHeaders, bodyText } = parseRequest(rawContent, useHttps);
+        const { url, options, bodyText, rawHeaders, warnings } = parseRequest(rawContent, useHttps);
+
+        if (!confirmScopeSend([url])) return;
+
+        // Only sends that go out are added to the history
+        addToHistory(rawContent, useHttps);
+        events.emit(EVENT_NAMES.UI_UPDATE_HISTORY_BUTTONS);
+
+        cancelSendRequest();
+        controller = new AbortController();
+        activeSend = controller;
+        showCancelButton(true);
 
         elements.resStatus.textContent = 'Sending...';
         elements.resStatus.className = 'status-badge';
 
         console.log('Sending request to:', url);
+        showSendWarnings([]);
 
-        const result = await sendRequest(url, options);
+        const transport = getSelectedTransport();
+        const credentials = getCredentialMode();
+        const result = await sendRequest(url, options, {
+            transport, rawHeaders, bodyText, bodyBytes: getBinaryBody(rawContent), redirectMode: getRedirectMode(),
+            signal: controller.signal, credentials, ...getSendSettings()
+        });
+        // The debugger transport sends the headers as typed; editor and jar modes send the typed Cookie
+        const sendsTypedCookie = ![CREDENTIALS_BROWSER, CREDENTIALS_NONE].includes(credentials);
+        showSendWarnings(transport === TRANSPORT_DEBUGGER ? [] : warnings.filter(w => !(sendsTypedCookie && /^cookie:/i.test(w))));
 
         elements.resTime.textContent = `${result.duration}ms`;
         elements.resSize.textContent = formatBytes(result.size);
@@ -49,6 +108,21 @@ export async function handleSendRequest() {
 
         // Store current response
         state.currentResponse = rawResponse;
+        state.currentResponseBody = result.bodyBytes || null;
+        renderRedirectChain(result.redirects);
+        actions.history.recordSend({
+            rawText: rawContent,
+            useHttps,
+            status: result.status,
+            statusText: result.statusText,
+            response: rawResponse,
+            // Text bodies are already in the raw response; binary ones keep their bytes
+            bodyBase64: state.currentResponseBody && !isUtf8(state.currentResponseBody)
+                ? bytesToBase64(state.currentResponseBody)
+                : null,
+            size: result.size,
+            duration: result.duration
+        });
         
         // Save editor state (including response) after receiving response
         if (state.selectedRequest) {
@@ -67,13 +141,13 @@ export async function handleSendRequest() {
             if (elements.showDiffCheckbox && elements.showDiffCheckbox.checked) {
                 elements.rawResponseDisplay.innerHTML = renderDiff(state.regularRequestBaseline, rawResponse);
             } else {
-                elements.rawResponseDisplay.innerHTML = highlightHTTP(rawResponse);
+                elements.rawResponseDisplay.innerHTML = highlightHTTP(prettyPrintResponse(rawResponse));
             }
         }
 
         // If diff not enabled or first response
         if (!elements.showDiffCheckbox || !elements.showDiffCheckbox.checked || !state.regularRequestBaseline || state.regularRequestBaseline === rawResponse) {
-            elements.rawResponseDisplay.innerHTML = highlightHTTP(rawResponse);
+            elements.rawResponseDisplay.innerHTML = highlightHTTP(prettyPrintResponse(rawResponse));
         }
 
         elements.rawResponseDisplay.style.display = 'block';
@@ -81,11 +155,34 @@ export async function handleSendRequest() {
 
         // Update other tabs as well
         elements.rawResponseText.textContent = rawResponse;
-        elements.hexResponseDisplay.textContent = generateHexView(rawResponse);
+        elements.hexResponseDisplay.textContent = generateHexView(messageBytes(rawResponse, state.currentResponseBody));
         elements.jsonResponseDisplay.innerHTML = '';
         elements.jsonResponseDisplay.appendChild(generateJsonView(rawResponse));
 
+        events.emit(EVENT_NAMES.REQUEST_SENT, { request: state.selectedRequest, rawRequest: rawContent, rawResponse, result });
+
     } catch (err) {
+        // A newer send took over the response pane
+        if (controller && activeSend !== controller) return;
+
+        if (controller) {
+            actions.history.recordSend({
+                rawText: rawContent,
+                useHttps,
+                status: 0,
+                statusText: isTimeoutError(err) ? 'Timeout' : isCancelError(err) ? 'Canceled' : 'Error',
+                response: '',
+                error: err.message,
+                size: 0,
+                duration: null
+            });
+        }
+
+        if (isTimeoutError(err) || isCancelError(err)) {
+            showNoResponse(err);
+            return;
+        }
+
         console.error('Request Failed:', err);
 
         // Check for missing permissions if it's a fetch error
@@ -130,9 +227,31 @@ export async function handleSendRequest() {
         } else {
             showError(err);
         }
+    } finally {
+        if (controller && activeSend === controller) {
+            activeSend = null;
+            showCancelButton(false);
+        }
     }
 }
 
+/**
+ * A send that got no response (timed out or canceled) is not an HTTP error
+ * @param {DOMException} err - TimeoutError or AbortError
+ */
+function showNoResponse(err) {
+    const timedOut = isTimeoutError(err);
+    console.warn(`[Send] ${timedOut ? 'Timed out' : 'Canceled'}:`, err.message);
+    elements.resStatus.textContent = timedOut ? 'Timeout' : 'Canceled';
+    elements.resStatus.className = 'status-badge status-timeout';
+    elements.resTime.textContent = '';
+    elements.resSize.textContent = '';
+    elements.rawResponseDisplay.textContent = timedOut
+        ? `${err.message} The request was aborted; change the timeout next to Send.`
+        : 'Request canceled before a response arrived.';
+    elements.rawResponseDisplay.style.display = 'block';
+}
+
 function showError(err) {
     elements.resStatus.textContent = 'Error';
     elements.resStatus.className = 'status-badge status-5xx';
@@ -0,0 +1,292 @@
+// HAR 1.2 Conversion - Lossless export/import of captured requests
+// Spec: http://www.softwareishard.com/blog/har-12-spec/
+import { framesToHAR, attachHARFrames } from './websocket.js';
+
+export const HAR_VERSION = '1.2';
+
+// rep+ specific fields carried in each entry's `_rep` extension object
+export const REP_EXTENSION_FIELDS = [
+    'starred', 'color', 'name', 'notes', 'tags', 'finding', 'pageUrl', 'capturedAt', 'fromOtherTab'
+];
+
+/**
+ * Parse a Cookie request header into HAR cookie objects
+ * @param {string} header - e.g. "a=1; b=2"
+ * @returns {Array<{name: string, value: string}>}
+ */
+export function parseCookieHeader(header) {
+    if (!header) return [];
+    return header.split(';')
+        .map(part => part.trim())
+        .filter(Boolean)
+        .map(part => {
+            const eq = part.indexOf('=');
+            return eq === -1
+                ? { name: part, value: '' }
+                : { name: part.slice(0, eq).trim(), value: part.slice(eq + 1).trim() };
+        });
+}
+
+function defaultCookiePath(pathname) {
+    const last = pathname.lastIndexOf('/');
+    return last > 0 ? pathname.slice(0, last) : '/';
+}
+
+/**
+ * Parse a Set-Cookie response header into a HAR cookie object
+ * With the URL of the response, the cookie is resolved the way browsers store it: Domain must
+ * cover the host, a missing Domain or Path gets the host and default path, Max-Age sets expires.
+ * @param {string} header - e.g. "sid=abc; Path=/; HttpOnly"
+ * @param {string} [url] - URL of the response
+ * @param {number} [now] - Time Max-Age counts from
+ * @returns {Object|null} { name, value, path, domain, expires (ISO), maxAge, httpOnly, secure, sameSite },
+ *          plus hostOnly with a URL; null when the header is invalid or sets a cookie for another domain
+ */
+export function parseSetCookie(header, url = null, now = Date.now()) {
+    if (!header) return null;
+    const [pair, ...attributes] = header.split(';');
+    const eq = pair.indexOf('=');
+    if (eq === -1) return null;
+    const name = pair.slice(0, eq).trim();
+    if (!name) return null;
+
+    const cookie = { name, value: pair.slice(eq + 1).trim() };
+    attributes.forEach(attr => {
+        const index = attr.indexOf('=');
+        const key = (index === -1 ? attr : attr.slice(0, index)).trim().toLowerCase();
+        const value = index === -1 ? '' : attr.slice(index + 1).trim();
+        if (key === 'path' && value.startsWith('/')) cookie.path = value;
+        else if (key === 'domain' && value) cookie.domain = value;
+        else if (key === 'expires') {
+            const date = new Date(value);
+            if (!isNaN(date.getTime())) cookie.expires = date.toISOString();
+        }
+        else if (key === 'max-age' && /^-?\d+$/.test(value)) cookie.maxAge = parseInt(value, 10);
+        else if (key === 'httponly') cookie.httpOnly = true;
+        else if (key === 'secure') cookie.secure = true;
+        else if (key === 'samesite') cookie.sameSite = value;
+    });
+    if (!url) return cookie;
+
+    const target = new URL(url);
+    const host = target.hostname.toLowerCase();
+    if (cookie.domain) {
+        const domain = cookie.domain.replace(/^\./, '').toLowerCase();
+        if (host !== domain && !host.endsWith(`.${domain}`)) return null;
+        cookie.domain = domain;
+        cookie.hostOnly = false;
+    } else {
+        cookie.domain = host;
+        cookie.hostOnly = true;
+    }
+    if (!cookie.path) cookie.path = defaultCookiePath(target.pathname);
+    // Max-Age wins over Expires; one too far out to be a date never expires
+    if (cookie.maxAge !== undefined) {
+        const expires = new Date(now + cookie.maxAge * 1000);
+        if (isNaN(expires.getTime())) delete cookie.expires;
+        else cookie.expires = expires.toISOString();
+    }
+    return cookie;
+}
+
+function findHeader(headers, name) {
+    const header = (headers || []).find(h => h.name.toLowerCase() === name);
+    return header ? header.value : '';
+}
+
+function copyHeaders(headers) {
+    return (headers || [])
+        .filter(h => h && h.name)
+        .map(h => ({ name: h.name, value: h.value == null ? '' : String(h.value) }));
+}
+
+function queryStringFromUrl(url) {
+    try {
+        return Array.from(new URL(url).searchParams.entries()).map(([name, value]) => ({ name, value }));
+    } catch (e) {
+        return [];
+    }
+}
+
+function paramsFromBody(mimeType, text) {
+    if (!text || !mimeType || !mimeType.includes('application/x-www-form-urlencoded')) return undefined;
+    return Array.from(new URLSearchParams(text).entries()).map(([name, value]) => ({ name, value }));
+}
+
+/**
+ * Convert one captured request into a HAR entry
+ * @param {Object} req - Entry from state.requests
+ * @returns {Object} HAR entry
+ */
+export function toHAREntry(req) {
+    const request = req.request || {};
+    const response = req.response || {};
+    const requestHeaders = copyHeaders(request.headers);
+    const responseHeaders = copyHeaders(response.headers && response.headers.length ? response.headers : req.responseHeaders);
+
+    const harRequest = {
+        method: request.method || 'GET',
+        url: request.url || '',
+        httpVersion: request.httpVersion || 'HTTP/1.1',
+        cookies: request.cookies || parseCookieHeader(findHeader(requestHeaders, 'cookie')),
+        headers: requestHeaders,
+        queryString: request.queryString || queryStringFromUrl(request.url),
+        headersSize: request.headersSize ?? -1,
+        bodySize: request.bodySize ?? -1
+    };
+
+    if (request.postData && (request.postData.text || request.postData.params)) {
+        const mimeType = request.postData.mimeType || findHeader(requestHeaders, 'content-type');
+        harRequest.postData = { mimeType, text: request.postData.text || '' };
+        const params = request.postData.params || paramsFromBody(mimeType, request.postData.text);
+        if (params) harRequest.postData.params = params;
+    }
+
+    // Captured bodies live on the entry (responseBody/responseEncoding); imported HARs may only have content.text
+    const content = response.content || {};
+    const text = req.responseBody !== undefined && req.responseBody !== null ? req.responseBody : content.text;
+    const encoding = req.responseEncoding || content.encoding;
+    const harContent = {
+        size: content.size ?? (text ? text.length : 0),
+        mimeType: content.mimeType || findHeader(responseHeaders, 'content-type') || ''
+    };
+    if (text !== undefined && text !== null) harContent.text = text;
+    if (encoding) harContent.encoding = encoding;
+    if (content.compression !== undefined) harContent.compression = content.compression;
+
+    const harResponse = {
+        status: Number(response.status ?? req.responseStatus ?? 0) || 0,
+        statusText: response.statusText || req.responseStatusText || '',
+        httpVersion: response.httpVersion || request.httpVersion || 'HTTP/1.1',
+        cookies: response.cookies || responseHeaders
+            .filter(h => h.name.toLowerCase() === 'set-cookie')
+            .map(h => parseSetCookie(h.value))
+            .filter(Boolean),
+        headers: responseHeaders,
+        content: harContent,
+        redirectURL: response.redirectURL || findHeader(responseHeaders, 'location'),
+        headersSize: response.headersSize ?? -1,
+        bodySize: response.bodySize ?? -1
+    };
+
+    const timings = req.timings || { send: 0, wait: 0, receive: 0 };
+    const time = typeof req.time === 'number'
+        ? req.time
+        : Object.values(timings).filter(t => typeof t === 'number' && t > 0).reduce((a, b) => a + b, 0);
+
+    const entry = {
+        startedDateTime: req.startedDateTime || new Date(req.capturedAt || Date.now()).toISOString(),
+        time,
+        request: harRequest,
+        response: harResponse,
+        cache: req.cache || {},
+        timings
+    };
+
+    if (req.pageref) entry.pageref = req.pageref;
+    if (req.serverIPAddress) entry.serverIPAddress = req.serverIPAddress;
+    if (req.connection) entry.connection = req.connection;
+    if (req._resourceType) entry._resourceType = req._resourceType;
+    // Same field Chrome uses when exporting WebSocket connections
+    if (req.webSocket) entry._webSocketMessages = framesToHAR(req.webSocket.frames);
+
+    const rep = {};
+    REP_EXTENSION_FIELDS.forEach(field => {
+        if (req[field] !== undefined && req[field] !== null) rep[field] = req[field];
+    });
+    entry._rep = rep;
+
+    return entry;
+}
+
+/**
+ * Build a HAR 1.2 document from captured requests
+ * @param {Array} requests - Entries from state.requests
+ * @param {string} [creatorVersion]
+ * @returns {Object}
+ */
+export function toHAR(requests, creatorVersion = '') {
+    return {
+        log: {
+            version: HAR_VERSION,
+            creator: { name: 'rep+', version: creatorVersion },
+            pages: [],
+            entries: requests.map(toHAREntry)
+        }
+    };
+}
+
+/**
+ * Whether parsed JSON looks like a HAR document
+ * @param {Object} data
+ * @returns {boolean}
+ */
+export function isHAR(data) {
+    return !!(data && data.log && Array.isArray(data.log.entries));
+}
+
+/**
+ * Convert a HAR document into request objects for actions.request.add
+ * Works with HARs exported by Chrome, Firefox, Burp, ZAP and rep+ itself.
+ * @param {Object} har
+ * @returns {Array<Object>}
+ */
+export function fromHAR(har) {
+    if (!isHAR(har)) {
+        throw new Error('Invalid HAR: "log.entries" array missing.');
+    }
+
+    const pages = new Map((har.log.pages || []).map(p => [p.id, p]));
+
+    return har.log.entries
+        .filter(entry => entry && entry.request && entry.request.url)
+        .map(entry => {
+            const rep = entry._rep || {};
+            const response = entry.response || {};
+            const content = response.content || {};
+            const headers = copyHeaders(response.headers);
+            const page = entry.pageref ? pages.get(entry.pageref) : null;
+            const pageTitleUrl = page && /^https?:\/\//i.test(page.title || '') ? page.title : null;
+            const startedAt = Date.parse(entry.startedDateTime);
+
+            const request = {
+                request: {
+                    ...entry.request,
+                    method: entry.request.method || 'GET',
+                    headers: copyHeaders(entry.request.headers)
+                },
+                response: {
+                    ...response,
+                    status: response.status || 0,
+                    statusText: response.statusText || '',
+                    headers
+                },
+                responseBody: content.text !== undefined ? content.text : '',
+                responseEncoding: content.encoding || null,
+                responseStatus: response.status || 0,
+                responseStatusText: response.statusText || '',
+                responseHeaders: headers,
+                startedDateTime: entry.startedDateTime,
+                time: entry.time,
+                timings: entry.timings,
+                cache: entry.cache,
+                capturedAt: rep.capturedAt || (isNaN(startedAt) ? Date.now() : startedAt),
+                pageUrl: rep.pageUrl || pageTitleUrl || entry.request.url
+            };
+
+            if (entry.pageref) request.pageref = entry.pageref;
+            if (entry.serverIPAddress) request.serverIPAddress = entry.serverIPAddress;
+            if (entry.connection) request.connection = entry.connection;
+            if (entry._resourceType) request._resourceType = entry._resourceType;
+            if (Array.isArray(entry._webSocketMessages)) {
+                request._webSocketMessages = entry._webSocketMessages;
+                attachHARFrames(request);
+            }
+
+            REP_EXTENSION_FIELDS.forEach(field => {
+                if (rep[field] !== undefined && request[field] === undefined) request[field] = rep[field];
+            });
+
+            return request;
+        });
+}
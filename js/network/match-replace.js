@@ -0,0 +1,253 @@
+// Match & Replace - Rewrite rules applied to replays (parseRequest / executeRequest) and,
+// through the debugger interception layer, to the inspected tab's live traffic.
+// Rules run top to bottom; every enabled rule whose scope matches is applied.
+//   target: request-line ("GET /path HTTP/1.1"), request-header ("Name: value", one line at a time),
+//           request-body, response-header, response-body
+// Header rules that end up with an empty line remove the header; an empty match adds the
+// replacement as a new header.
+
+export const MATCH_REPLACE_KEY = 'rep_match_replace_rules';
+export const REPLACE_TARGETS = ['request-line', 'request-header', 'request-body', 'response-header', 'response-body'];
+export const REPLACE_SCOPES = ['any', 'in-scope'];
+
+/**
+ * Fill in missing fields of a rule
+ * @param {Object} rule
+ * @returns {Object}
+ */
+export function normalizeReplaceRule(rule = {}) {
+    return {
+        id: rule.id || `replace_${Date.now().toString(36)}_${Math.random().toString(36).substr(2, 5)}`,
+        name: rule.name || '',
+        enabled: rule.enabled !== false,
+        scope: REPLACE_SCOPES.includes(rule.scope) ? rule.scope : 'any',
+        target: REPLACE_TARGETS.includes(rule.target) ? rule.target : 'request-header',
+        regex: !!rule.regex,
+        match: rule.match || '',
+        replace: rule.replace || ''
+    };
+}
+
+/**
+ * Compile a rule's match
+ * @param {Object} rule
+ * @returns {RegExp|null} null for an empty match (header rules add a header)
+ * @throws {Error} When the regex is invalid
+ */
+export function compileReplaceRule(rule) {
+    if (!rule.match) return null;
+    if (!rule.regex) {
+        return new RegExp(rule.match.replace(/[.*+?^${}()|[\]\\]/g, '\\$&'), 'g');
+    }
+    try {
+        return new RegExp(rule.match, 'g');
+    } catch (e) {
+        throw new Error(`Invalid regex in rule "${rule.name || rule.id}": ${e.message}`);
+    }
+}
+
+/**
+ * Apply one rule to a string
+ * @param {string} text
+ * @param {Object} rule
+ * @param {RegExp} pattern - From compileReplaceRule
+ * @returns {string}
+ */
+export function replaceText(text, rule, pattern) {
+    pattern.lastIndex = 0;
+    // Literal rules insert the replacement as-is; regex rules expand $1, $<name>, ...
+    return rule.regex
+        ? text.replace(pattern, rule.replace)
+        : text.replace(pattern, () => rule.replace);
+}
+
+function splitHeaderLine(line) {
+    const colonIndex = line.indexOf(':');
+    if (colonIndex <= 0) return null;
+    return { name: line.substring(0, colonIndex).trim(), value: line.substring(colonIndex + 1).trim() };
+}
+
+function rewriteHeaders(headers, rule, pattern) {
+    if (!pattern) {
+        const added = splitHeaderLine(rule.replace);
+        return added ? [...headers, added] : headers;
+    }
+    return headers
+        .map(h => splitHeaderLine(replaceText(`${h.name}: ${h.value}`, rule, pattern)))
+        .filter(Boolean);
+}
+
+function sameHeaders(a, b) {
+    return a.length === b.length && a.every((h, i) => h.name === b[i].name && h.value === b[i].value);
+}
+
+function rewriteRequestLine(request, rule, pattern) {
+    let url;
+    try {
+        url = new URL(request.url);
+    } catch (e) {
+        return request;
+    }
+    const line = `${request.method} ${url.pathname}${url.search} HTTP/1.1`;
+    const replaced = replaceText(line, rule, pattern);
+    if (replaced === line) return request;
+
+    const [method, target] = replaced.trim().split(/\s+/);
+    if (!method || !target) return request;
+    return { ...request, method: method.toUpperCase(), url: new URL(target, url.origin).href };
+}
+
+/**
+ * Ordered match & replace rules with the time of each rule's last hit
+ */
+export class MatchReplaceRules {
+    /**
+     * @param {Array<Object>} [rules]
+     */
+    constructor(rules = []) {
+        this.lastHits = new Map(); // ruleId -> timestamp
+        this.onHit = null;
+        this.setRules(rules);
+    }
+
+    /**
+     * Replace the rule list (rules with an invalid regex are skipped)
+     * @param {Array<Object>} rules
+     */
+    setRules(rules) {
+        this.rules = (rules || []).map(normalizeReplaceRule);
+        this.compiled = this.rules.map(rule => {
+            try {
+                return { pattern: compileReplaceRule(rule) };
+            } catch (e) {
+                console.warn('[Match & Replace]', e.message);
+                return null;
+            }
+        });
+    }
+
+    /**
+     * Whether an enabled rule targets requests or responses
+     * @param {'request'|'response'} side
+     * @returns {boolean}
+     */
+    hasTarget(side) {
+        return this.rules.some((rule, i) => rule.enabled && this.compiled[i] && rule.target.startsWith(side));
+    }
+
+    active(side, url, inScope) {
+        return this.rules
+            .map((rule, i) => ({ rule, compiled: this.compiled[i] }))
+            .filter(({ rule, compiled }) => rule.enabled && compiled && rule.target.startsWith(side))
+            .filter(({ rule }) => rule.scope === 'any' || inScope(url));
+    }
+
+    /**
+     * Apply the request rules
+     * @param {Object} request - { method, url, headers: [{name, value}], body }
+     * @param {Function} [inScope] - (url) => boolean, for rules limited to the target scope
+     * @returns {{request: Object, hits: Array<string>}} hits are the ids of rules that changed something
+     */
+    applyToRequest(request, inScope = () => true) {
+        const hits = [];
+        let result = { ...request, headers: [...(request.headers || [])] };
+
+        this.active('request', request.url, inScope).forEach(({ rule, compiled }) => {
+            const { pattern } = compiled;
+            let changed = false;
+
+            if (rule.target === 'request-header') {
+                const headers = rewriteHeaders(result.headers, rule, pattern);
+                changed = !sameHeaders(headers, result.headers);
+                result.headers = headers;
+            } else if (!pattern) {
+                return;
+            } else if (rule.target === 'request-line') {
+                const rewritten = rewriteRequestLine(result, rule, pattern);
+                changed = rewritten !== result;
+                result = rewritten;
+            } else if (rule.target === 'request-body' && result.body) {
+                const body = replaceText(result.body, rule, pattern);
+                changed = body !== result.body;
+                result.body = body;
+            }
+            if (changed) hits.push(rule.id);
+        });
+
+        hits.forEach(id => this.recordHit(id));
+        return { request: result, hits };
+    }
+
+    /**
+     * Apply the response rules
+     * @param {Object} response - { status, statusText, headers: [{name, value}], body }
+     * @param {string} url - Request URL (for the scope check)
+     * @param {Function} [inScope]
+     * @returns {{response: Object, hits: Array<string>}}
+     */
+    applyToResponse(response, url, inScope = () => true) {
+        const hits = [];
+        const result = { ...response, headers: [...(response.headers || [])] };
+
+        this.active('response', url, inScope).forEach(({ rule, compiled }) => {
+            const { pattern } = compiled;
+            let changed = false;
+
+            if (rule.target === 'response-header') {
+                const headers = rewriteHeaders(result.headers, rule, pattern);
+                changed = !sameHeaders(headers, result.headers);
+                result.headers = headers;
+            } else if (pattern && typeof result.body === 'string') {
+                const body = replaceText(result.body, rule, pattern);
+                changed = body !== result.body;
+                result.body = body;
+            }
+            if (changed) hits.push(rule.id);
+        });
+
+        hits.forEach(id => this.recordHit(id));
+        return { response: result, hits };
+    }
+
+    /**
+     * @param {string} ruleId
+     * @param {number} [at] - Timestamp
+     */
+    recordHit(ruleId, at = Date.now()) {
+        this.lastHits.set(ruleId, Math.max(at, this.lastHits.get(ruleId) || 0));
+        if (this.onHit) this.onHit(ruleId);
+    }
+}
+
+/**
+ * Rules used by the panel (loaded from localStorage by the match & replace feature)
+ */
+export const matchReplace = new MatchReplaceRules();
+
+/**
+ * Load saved rules into the panel instance
+ * @returns {Array<Object>}
+ */
+export function loadMatchReplaceRules() {
+    let rules = [];
+    try {
+        const saved = localStorage.getItem(MATCH_REPLACE_KEY);
+        if (saved) rules = JSON.parse(saved);
+    } catch (e) {
+        console.error('[Match & Replace] Failed to load rules:', e);
+    }
+    matchReplace.setRules(rules);
+    return matchReplace.rules;
+}
+
+/**
+ * Validate and save rules for the panel instance
+ * @param {Array<Object>} rules
+ * @throws {Error} When a regex is invalid
+ */
+export function saveMatchReplaceRules(rules) {
+    const normalized = rules.map(normalizeReplaceRule);
+    normalized.forEach(compileReplaceRule);
+    localStorage.setItem(MATCH_REPLACE_KEY, JSON.stringify(normalized));
+    matchReplace.setRules(normalized);
+}
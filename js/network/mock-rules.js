@@ -0,0 +1,203 @@
+// Mock Rules - Serve a user-defined response for matching URLs (Map Local)
+// The inspected tab's matching requests never reach the network: the debugger
+// interception layer answers them with Fetch.fulfillRequest. The first enabled
+// rule whose method and URL match wins.
+//   url: glob over the full URL (* and ?), or a regex when regex is set
+//   response: status, statusText, headers and a text body, or a local file
+
+import { globToRegExp } from './capture-rules.js';
+import { bytesToBase64, isUtf8, textToBase64 } from './body-bytes.js';
+
+export const MOCK_RULES_KEY = 'rep_mock_rules';
+
+/**
+ * Fill in missing fields of a rule
+ * @param {Object} rule
+ * @returns {Object}
+ */
+export function normalizeMockRule(rule = {}) {
+    const status = parseInt(rule.status, 10);
+    return {
+        id: rule.id || `mock_${Date.now().toString(36)}_${Math.random().toString(36).substr(2, 5)}`,
+        name: rule.name || '',
+        enabled: rule.enabled !== false,
+        method: (rule.method || '').trim().toUpperCase(),
+        url: (rule.url || '').trim(),
+        regex: !!rule.regex,
+        status: status >= 100 && status <= 999 ? status : 200,
+        statusText: rule.statusText || '',
+        headers: Array.isArray(rule.headers) ? rule.headers.filter(h => h && h.name) : [],
+        body: rule.body || '',
+        // { name, type, base64 } when the body is served from a local file
+        file: rule.file && rule.file.base64 !== undefined ? rule.file : null
+    };
+}
+
+/**
+ * Compile a rule's URL pattern
+ * @param {Object} rule
+ * @returns {RegExp|null} null for an empty pattern (the rule never matches)
+ * @throws {Error} When the regex is invalid
+ */
+export function compileMockRule(rule) {
+    if (!rule.url) return null;
+    if (!rule.regex) return globToRegExp(rule.url);
+    try {
+        return new RegExp(rule.url, 'i');
+    } catch (e) {
+        throw new Error(`Invalid URL regex in mock "${rule.name || rule.url}": ${e.message}`);
+    }
+}
+
+/**
+ * Response served for a rule, in the shape Fetch.fulfillRequest expects
+ * @param {Object} rule
+ * @returns {{status: number, statusText: string, headers: Array<{name, value}>, body: string}} body is base64
+ */
+export function buildMockResponse(rule) {
+    const headers = [...rule.headers];
+    if (rule.file && rule.file.type && !headers.some(h => h.name.toLowerCase() === 'content-type')) {
+        headers.push({ name: 'Content-Type', value: rule.file.type });
+    }
+    return {
+        status: rule.status,
+        statusText: rule.statusText,
+        headers,
+        body: rule.file ? rule.file.base64 : textToBase64(rule.body)
+    };
+}
+
+/**
+ * Start a mock rule from a captured request and the response shown for it
+ * @param {Object} request - { method, url }
+ * @param {Object} response - { status, statusText, headers: [{name, value}], body }
+ * @param {Uint8Array|null} [bodyBytes] - The body as received; served as a file when it isn't UTF-8
+ * @returns {Object} Normalized rule matching that method and URL
+ */
+export function createMockRule(request, response, bodyBytes = null) {
+    const url = request.url.split('#')[0];
+    let name = url;
+    try {
+        name = new URL(url).pathname;
+    } catch (e) {
+        // Keep the full URL
+    }
+    const headers = response.headers || [];
+    // The text of a binary body is lossy: the rule serves its bytes as a file instead
+    const contentType = headers.find(h => h.name.toLowerCase() === 'content-type');
+    const file = bodyBytes && !isUtf8(bodyBytes)
+        ? { name: name.split('/').pop() || 'response', type: contentType ? contentType.value : '', base64: bytesToBase64(bodyBytes) }
+        : null;
+    return normalizeMockRule({
+        name: `Mock ${request.method} ${name}`,
+        method: request.method,
+        url,
+        status: response.status,
+        statusText: response.statusText,
+        // The body is stored decoded: its length and encoding no longer apply
+        headers: headers.filter(h => !/^(content-length|content-encoding|transfer-encoding)$/i.test(h.name)),
+        body: file ? '' : response.body,
+        file
+    });
+}
+
+/**
+ * Ordered mock rules with the time of each rule's last hit
+ */
+export class MockRules {
+    /**
+     * @param {Array<Object>} [rules]
+     */
+    constructor(rules = []) {
+        this.lastHits = new Map(); // ruleId -> timestamp
+        this.onHit = null;
+        this.setRules(rules);
+    }
+
+    /**
+     * Replace the rule list (rules with an invalid regex are skipped)
+     * @param {Array<Object>} rules
+     */
+    setRules(rules) {
+        this.rules = (rules || []).map(normalizeMockRule);
+        this.compiled = this.rules.map(rule => {
+            try {
+                return compileMockRule(rule);
+            } catch (e) {
+                console.warn('[Mock Rules]', e.message);
+                return null;
+            }
+        });
+    }
+
+    /**
+     * @returns {boolean} Whether any enabled rule can match
+     */
+    hasRules() {
+        return this.rules.some((rule, i) => rule.enabled && this.compiled[i]);
+    }
+
+    /**
+     * Find the rule serving a request
+     * @param {Object} request - { method, url }
+     * @returns {Object|null} The matching rule
+     */
+    match(request) {
+        const method = (request.method || '').toUpperCase();
+        const index = this.rules.findIndex((rule, i) =>
+            rule.enabled &&
+            this.compiled[i] &&
+            (!rule.method || rule.method === method) &&
+            this.compiled[i].test(request.url)
+        );
+        if (index === -1) return null;
+        this.recordHit(this.rules[index].id);
+        return this.rules[index];
+    }
+
+    /**
+     * @param {string} ruleId
+     * @param {number} [at] - Timestamp
+     */
+    recordHit(ruleId, at = Date.now()) {
+        this.lastHits.set(ruleId, Math.max(at, this.lastHits.get(ruleId) || 0));
+        if (this.onHit) this.onHit(ruleId);
+    }
+}
+
+/**
+ * Rules used by the panel (loaded from localStorage by the mock rules feature)
+ */
+export const mockRules = new MockRules();
+
+/**
+ * Load saved rules into the panel instance
+ * @returns {Array<Object>}
+ */
+export function loadMockRules() {
+    let rules = [];
+    try {
+        const saved = localStorage.getItem(MOCK_RULES_KEY);
+        if (saved) rules = JSON.parse(saved);
+    } catch (e) {
+        console.error('[Mock Rules] Failed to load rules:', e);
+    }
+    mockRules.setRules(rules);
+    return mockRules.rules;
+}
+
+/**
+ * Validate and save rules for the panel instance
+ * @param {Array<Object>} rules
+ * @throws {Error} When a regex is invalid or the rules don't fit in storage
+ */
+export function saveMockRules(rules) {
+    const normalized = rules.map(normalizeMockRule);
+    normalized.forEach(compileMockRule);
+    try {
+        localStorage.setItem(MOCK_RULES_KEY, JSON.stringify(normalized));
+    } catch (e) {
+        throw new Error(`Mock rules could not be saved (local files may be too large): ${e.message}`);
+    }
+    mockRules.setRules(normalized);
+}
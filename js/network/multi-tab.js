@@ -1,11 +1,61 @@
 // Multi-tab Capture Module
-import { actions } from '../core/state.js';
+import { state, actions } from '../core/state.js';
 import { events, EVENT_NAMES } from '../core/events.js';
+import { escapeHtml } from '../core/utils/dom.js';
+import { isWebSocketUrl } from './websocket.js';
+import { captureRules } from './capture-rules.js';
+import { shouldCaptureInScope } from './scope.js';
+
+const MULTI_TAB_PERMISSIONS = { permissions: ['webRequest'], origins: ['<all_urls>'] };
+// Tab URLs/titles in the picker need host access as well
+const DEBUGGER_PERMISSIONS = { permissions: ['debugger'], origins: ['<all_urls>'] };
+
+/**
+ * Whether a request from another tab should be added to the list
+ * @param {Object} req - { url, tabId, method, mimeType, resourceType }
+ * @returns {boolean}
+ */
+function shouldCaptureFromOtherTab(req) {
+    // Skip requests from the current inspected tab (handled by setupNetworkListener)
+    if (isInspectedTab(req.tabId)) return false;
+
+    // Filter out non-HTTP requests (WebSocket connections are kept)
+    if (!req.url || (!req.url.startsWith('http') && !isWebSocketUrl(req.url))) return false;
+
+    // Filter out Chrome extension requests
+    // Extension IDs are 32-character alphanumeric strings
+    const extensionIdPattern = /^[a-z]{32}$/i;
+    try {
+        const urlObj = new URL(req.url);
+        const hostname = urlObj.hostname.toLowerCase();
+
+        // Check if hostname is an extension ID (32 alphanumeric chars)
+        // or contains chrome-extension:// scheme
+        if (extensionIdPattern.test(hostname) ||
+            req.url.startsWith('chrome-extension://') ||
+            req.url.startsWith('chrome://') ||
+            req.url.startsWith('moz-extension://')) {
+            return false;
+        }
+    } catch (e) {
+        // If URL parsing fails, continue with other checks
+    }
+
+    return shouldCaptureInScope(req.url) && captureRules.shouldCapture(req);
+}
+
+function isInspectedTab(tabId) {
+    return !!(chrome.devtools && chrome.devtools.inspectedWindow && tabId === chrome.devtools.inspectedWindow.tabId);
+}
 
 export function initMultiTabCapture() {
     const multiTabBtn = document.getElementById('multi-tab-btn');
+    const fullCaptureBtn = document.getElementById('full-capture-btn');
+    const fullCaptureModal = document.getElementById('full-capture-modal');
+    const fullCaptureList = document.getElementById('full-capture-tab-list');
     let backgroundPort = null;
     let isConnecting = false;
+    let debuggerTabIds = new Set();
 
     function updateMultiTabIcon(enabled) {
         if (!multiTabBtn) return;
@@ -28,35 +78,13 @@ export function initMultiTabCapture() {
             backgroundPort = chrome.runtime.connect({ name: "rep-panel" });
             console.log("Connected to background service worker");
             isConnecting = false;
+            backgroundPort.postMessage({ type: 'capture-rules', rules: captureRules.rules });
 
             backgroundPort.onMessage.addListener((msg) => {
                 if (msg.type === 'captured_request') {
                     const req = msg.data;
-
-                    // Skip requests from the current inspected tab (handled by setupNetworkListener)
-                    if (chrome.devtools && chrome.devtools.inspectedWindow && req.tabId === chrome.devtools.inspectedWindow.tabId) return;
-
-                    // Filter out non-HTTP requests
-                    if (!req.url || !req.url.startsWith('http')) return;
-
-                    // Filter out Chrome extension requests
-                    // Extension IDs are 32-character alphanumeric strings
-                    const extensionIdPattern = /^[a-z]{32}$/i;
-                    try {
-                        const urlObj = new URL(req.url);
-                        const hostname = urlObj.hostname.toLowerCase();
-                        
-                        // Check if hostname is an extension ID (32 alphanumeric chars)
-                        // or contains chrome-extension:// scheme
-                        if (extensionIdPattern.test(hostname) || 
-                            req.url.startsWith('chrome-extension://') ||
-                            req.url.startsWith('chrome://') ||
-                            req.url.startsWith('moz-extension://')) {
-                            return;
-                        }
-                    } catch (e) {
-                        // If URL parsing fails, continue with other checks
-                    }
+                    const mimeType = (req.responseHeaders || []).find(h => h.name.toLowerCase() === 'content-type')?.value || '';
+                    if (!shouldCaptureFromOtherTab({ url: req.url, tabId: req.tabId, method: req.method, mimeType, resourceType: req.type })) return;
 
                     // Convert to HAR-like format
                     const harEntry = {
@@ -71,7 +99,7 @@ export function initMultiTabCapture() {
                             statusText: req.statusLine || '',
                             headers: req.responseHeaders || [],
                             content: {
-                                mimeType: (req.responseHeaders || []).find(h => h.name.toLowerCase() === 'content-type')?.value || '',
+                                mimeType,
                                 text: '' // Response body not available for background requests
                             }
                         },
@@ -80,20 +108,48 @@ export function initMultiTabCapture() {
                         pageUrl: req.initiator || req.url // Use initiator as pageUrl for grouping
                     };
 
-                    // Filter static resources
-                    const url = req.url.toLowerCase();
-                    const staticExtensions = [
-                        '.css', '.jpg', '.jpeg', '.png', '.gif', '.svg', '.webp', '.ico',
-                        '.woff', '.woff2', '.ttf', '.eot', '.otf',
-                        '.mp4', '.webm', '.mp3', '.wav',
-                        '.pdf'
-                    ];
+                    // Use action to add request (automatically emits events)
+                    actions.request.add(harEntry);
+                } else if (msg.type === 'captured_debugger_request') {
+                    // Full entry (bodies + timings) from a tab captured through chrome.debugger
+                    const entry = msg.data;
+                    const accepted = shouldCaptureFromOtherTab({
+                        url: entry.request.url,
+                        tabId: entry.tabId,
+                        method: entry.request.method,
+                        mimeType: entry.response?.content?.mimeType || '',
+                        resourceType: entry._resourceType
+                    });
+                    if (!accepted) return;
 
-                    const isStatic = staticExtensions.some(ext => url.endsWith(ext) || url.includes(ext + '?'));
-                    if (isStatic) return;
+                    entry.fromOtherTab = true;
+                    actions.request.add(entry);
+                    events.emit(EVENT_NAMES.NETWORK_RESPONSE_RECEIVED, entry);
+                } else if (msg.type === 'captured_debugger_websocket') {
+                    // Live frames for a WebSocket entry added from captured_debugger_request
+                    const { socketId, frame, closed } = msg.data;
+                    const request = state.requests.find(r => r.webSocket && r.webSocket.socketId === socketId);
+                    if (!request) return;
 
-                    // Use action to add request (automatically emits events)
-                    const index = actions.request.add(harEntry);
+                    if (frame) request.webSocket.frames.push(frame);
+                    if (closed) request.webSocket.closed = true;
+                    events.emit(EVENT_NAMES.WEBSOCKET_FRAME, { request, frame: frame || null });
+                } else if (msg.type === 'capture-rule-hits') {
+                    // Requests the background dropped before they reached the panel
+                    msg.hits
+                        .filter(hit => !isInspectedTab(hit.tabId))
+                        .forEach(hit => captureRules.recordHit(hit.ruleId, hit.count));
+                } else if (msg.type === 'debugger-capture-tabs') {
+                    debuggerTabIds = new Set(msg.tabs.filter(tab => tab.attached).map(tab => tab.id));
+                    updateFullCaptureIcon();
+                    renderFullCaptureTabs(msg.tabs);
+                } else if (msg.type === 'debugger-capture-detached') {
+                    debuggerTabIds.delete(msg.tabId);
+                    updateFullCaptureIcon();
+                    if (isFullCaptureModalOpen()) requestFullCaptureTabs();
+                } else if (msg.type === 'debugger-capture-error') {
+                    alert('Full capture failed: ' + msg.error);
+                    requestFullCaptureTabs();
                 }
             });
 
@@ -102,11 +158,12 @@ export function initMultiTabCapture() {
                 backgroundPort = null;
                 isConnecting = false;
 
+                // The service worker detaches every debugger session once the last panel disconnects
+                debuggerTabIds.clear();
+                updateFullCaptureIcon();
+
                 // Only retry if permissions are still granted
-                chrome.permissions.contains({
-                    permissions: ['webRequest'],
-                    origins: ['<all_urls>']
-                }, (result) => {
+                chrome.permissions.contains(MULTI_TAB_PERMISSIONS, (result) => {
                     if (result) {
                         console.log("Retrying connection in 2s...");
                         setTimeout(connectToBackground, 2000);
@@ -125,17 +182,86 @@ export function initMultiTabCapture() {
     }
 
     function disconnectBackground() {
-        if (backgroundPort) {
+        // Keep the port open while tabs are being captured through the debugger
+        if (backgroundPort && debuggerTabIds.size === 0) {
             backgroundPort.disconnect();
             backgroundPort = null;
         }
     }
 
+    function updateFullCaptureIcon() {
+        if (!fullCaptureBtn) return;
+        const count = debuggerTabIds.size;
+        fullCaptureBtn.classList.toggle('active', count > 0);
+        fullCaptureBtn.style.color = count > 0 ? 'var(--accent-color)' : '';
+        fullCaptureBtn.title = count > 0
+            ? `Full capture active on ${count} tab${count === 1 ? '' : 's'}`
+            : 'Full Capture (response bodies from other tabs)';
+    }
+
+    function isFullCaptureModalOpen() {
+        return !!fullCaptureModal && fullCaptureModal.style.display === 'block';
+    }
+
+    function postToBackground(message) {
+        connectToBackground();
+        if (backgroundPort) backgroundPort.postMessage(message);
+    }
+
+    function requestFullCaptureTabs() {
+        postToBackground({ type: 'debugger-capture-tabs' });
+    }
+
+    function renderFullCaptureTabs(tabs) {
+        if (!fullCaptureList) return;
+        const inspectedTabId = chrome.devtools && chrome.devtools.inspectedWindow
+            ? chrome.devtools.inspectedWindow.tabId
+            : null;
+        const otherTabs = tabs.filter(tab => tab.id !== inspectedTabId);
+
+        if (otherTabs.length === 0) {
+            fullCaptureList.innerHTML = '<div class="full-capture-empty">No other http(s) tabs are open.</div>';
+            return;
+        }
+
+        fullCaptureList.innerHTML = otherTabs.map(tab => `
+            <label class="full-capture-tab">
+                <input type="checkbox" data-tab-id="${tab.id}" ${tab.attached ? 'checked' : ''}>
+                <span class="full-capture-tab-title">${escapeHtml(tab.title)}</span>
+                <span class="full-capture-tab-url">${escapeHtml(tab.url)}</span>
+            </label>
+        `).join('');
+    }
+
+    if (fullCaptureList) {
+        fullCaptureList.addEventListener('change', (e) => {
+            const checkbox = e.target.closest('input[data-tab-id]');
+            if (!checkbox) return;
+            postToBackground({
+                type: checkbox.checked ? 'debugger-capture-attach' : 'debugger-capture-detach',
+                tabId: parseInt(checkbox.dataset.tabId, 10)
+            });
+        });
+    }
+
+    if (fullCaptureBtn && fullCaptureModal) {
+        fullCaptureBtn.addEventListener('click', () => {
+            chrome.permissions.request(DEBUGGER_PERMISSIONS, (granted) => {
+                if (!granted) return;
+                if (fullCaptureList) fullCaptureList.innerHTML = '<div class="full-capture-empty">Loading tabs...</div>';
+                fullCaptureModal.style.display = 'block';
+                requestFullCaptureTabs();
+            });
+        });
+    }
+
+    // Keep the background's copy of the capture rules current
+    events.on(EVENT_NAMES.CAPTURE_RULES_CHANGED, () => {
+        if (backgroundPort) backgroundPort.postMessage({ type: 'capture-rules', rules: captureRules.rules });
+    });
+
     // Check initial status
-    chrome.permissions.contains({
-        permissions: ['webRequest'],
-        origins: ['<all_urls>']
-    }, (result) => {
+    chrome.permissions.contains(MULTI_TAB_PERMISSIONS, (result) => {
         if (result) {
             updateMultiTabIcon(true);
             connectToBackground();
@@ -147,16 +273,10 @@ export function initMultiTabCapture() {
     // Toggle button handler
     if (multiTabBtn) {
         multiTabBtn.addEventListener('click', () => {
-            chrome.permissions.contains({
-                permissions: ['webRequest'],
-                origins: ['<all_urls>']
-            }, (result) => {
+            chrome.permissions.contains(MULTI_TAB_PERMISSIONS, (result) => {
                 if (result) {
                     // Disable: Remove permissions
-                    chrome.permissions.remove({
-                        permissions: ['webRequest'],
-                        origins: ['<all_urls>']
-                    }, (removed) => {
+                    chrome.permissions.remove(MULTI_TAB_PERMISSIONS, (removed) => {
                         if (removed) {
                             updateMultiTabIcon(false);
                             disconnectBackground();
@@ -164,10 +284,7 @@ export function initMultiTabCapture() {
                     });
                 } else {
                     // Enable: Request permissions
-                    chrome.permissions.request({
-                        permissions: ['webRequest'],
-                        origins: ['<all_urls>']
-                    }, (granted) => {
+                    chrome.permissions.request(MULTI_TAB_PERMISSIONS, (granted) => {
                         if (granted) {
                             updateMultiTabIcon(true);
                             connectToBackground();
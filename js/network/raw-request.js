@@ -0,0 +1,162 @@
+// Raw Request - Lossless model of the request editor text
+// Headers are an ordered list of { name, value }: duplicates (Cookie, X-Forwarded-For, ...),
+// the casing typed and empty values are all kept. parseRequest, the senders, the copy-as
+// generators and the Auth Analyzer replayer work on this list instead of header objects.
+
+// Headers fetch() refuses to set; the browser sends its own values instead
+const FORBIDDEN_FETCH_HEADERS = [
+    'accept-charset', 'accept-encoding', 'access-control-request-headers',
+    'access-control-request-method', 'connection', 'content-length', 'cookie', 'cookie2',
+    'date', 'dnt', 'expect', 'host', 'keep-alive',
+    'origin', 'referer', 'te', 'trailer', 'transfer-encoding', 'upgrade', 'via'
+];
+
+// Set on every fetch replay so the browser cache never answers (typed values are replaced)
+const NO_CACHE_HEADERS = [
+    { name: 'Cache-Control', value: 'no-cache, no-store, must-revalidate' },
+    { name: 'Pragma', value: 'no-cache' },
+    { name: 'Expires', value: '0' }
+];
+
+// Removed from fetch replays: they could turn the response into a bodiless 304
+const CONDITIONAL_HEADERS = ['if-none-match', 'if-modified-since'];
+
+const TOKEN_REGEX = /^[!#$%&'*+.^_`|~0-9A-Za-z-]+$/;
+
+/**
+ * Parse one header line
+ * @param {string} line
+ * @returns {{name: string, value: string}|null} null for lines without a name (and HTTP/2 pseudo-headers)
+ */
+export function parseHeaderLine(line) {
+    const trimmed = line.trim();
+    if (trimmed.startsWith(':')) return null;
+    const colonIndex = line.indexOf(':');
+    if (colonIndex <= 0) return null;
+    const name = line.substring(0, colonIndex).trim();
+    if (!name) return null;
+    return { name, value: line.substring(colonIndex + 1).trim() };
+}
+
+/**
+ * Parse the raw request editor text
+ * @param {string} rawContent
+ * @returns {Object} { method, target, httpVersion, headers: [{name, value}], body (null when there is none) }
+ * @throws {Error} When the request line is invalid
+ */
+export function parseRawRequest(rawContent) {
+    const lines = rawContent.replace(/\r\n/g, '\n').split('\n');
+    const [method, target, httpVersion = 'HTTP/1.1'] = lines[0].trim().split(/\s+/);
+    if (!method || !target) {
+        throw new Error('Invalid Request Line. Format: METHOD PATH HTTP/1.1');
+    }
+
+    const headers = [];
+    let body = null;
+    let i = 1;
+    for (; i < lines.length; i++) {
+        if (lines[i].trim() === '') break;
+        const header = parseHeaderLine(lines[i]);
+        if (header) headers.push(header);
+    }
+    if (i < lines.length - 1) body = lines.slice(i + 1).join('\n');
+
+    return { method: method.toUpperCase(), target, httpVersion, headers, body };
+}
+
+/**
+ * @param {Array<{name, value}>} headers
+ * @param {string} name - Case-insensitive
+ * @returns {string|null} Value of the first header with that name
+ */
+export function getHeader(headers, name) {
+    const lower = name.toLowerCase();
+    const header = (headers || []).find(h => h.name.toLowerCase() === lower);
+    return header ? header.value : null;
+}
+
+/**
+ * Set a header: the first occurrence keeps its position (and casing), later ones are removed
+ * @param {Array<{name, value}>} headers
+ * @param {string} name
+ * @param {string} value
+ * @returns {Array<{name, value}>} New list
+ */
+export function setHeader(headers, name, value) {
+    const lower = name.toLowerCase();
+    let found = false;
+    const result = [];
+    (headers || []).forEach(h => {
+        if (h.name.toLowerCase() !== lower) {
+            result.push(h);
+        } else if (!found) {
+            found = true;
+            result.push({ name: h.name, value });
+        }
+    });
+    if (!found) result.push({ name, value });
+    return result;
+}
+
+/**
+ * @param {Array<{name, value}>} headers
+ * @param {string} name - Case-insensitive
+ * @returns {Array<{name, value}>} New list without that header
+ */
+export function removeHeader(headers, name) {
+    const lower = name.toLowerCase();
+    return (headers || []).filter(h => h.name.toLowerCase() !== lower);
+}
+
+/**
+ * Collapse a header list into an object (for code that needs one); duplicates are joined
+ * the way the browser joins them (cookies with "; ", everything else with ", ")
+ * @param {Array<{name, value}>} headers
+ * @returns {Object}
+ */
+export function headersToObject(headers) {
+    const result = {};
+    const names = {}; // lowercase -> first casing
+    (headers || []).forEach(({ name, value }) => {
+        const lower = name.toLowerCase();
+        if (!(lower in names)) {
+            names[lower] = name;
+            result[name] = value;
+        } else {
+            result[names[lower]] += (lower === 'cookie' ? '; ' : ', ') + value;
+        }
+    });
+    return result;
+}
+
+/**
+ * Headers for a fetch() replay, with what changes on the way
+ * @param {Array<{name, value}>} headers - As typed (Host included)
+ * @returns {{headers: Array<{name, value}>, warnings: Array<string>}} headers in order, ready for fetch
+ */
+export function buildFetchHeaders(headers) {
+    const sent = [];
+    const warnings = [];
+    const seen = new Set();
+
+    headers.forEach(h => {
+        const lower = h.name.toLowerCase();
+        if (lower === 'host') return;
+        if (FORBIDDEN_FETCH_HEADERS.includes(lower) || lower.startsWith('sec-') || lower.startsWith('proxy-')) {
+            warnings.push(`${h.name}: not sent by fetch (the browser sets its own value)`);
+        } else if (!TOKEN_REGEX.test(h.name)) {
+            warnings.push(`${h.name}: not sent (invalid header name)`);
+        } else if (CONDITIONAL_HEADERS.includes(lower)) {
+            warnings.push(`${h.name}: removed so the response isn't a cached 304`);
+        } else if (NO_CACHE_HEADERS.some(n => n.name.toLowerCase() === lower)) {
+            const replacement = NO_CACHE_HEADERS.find(n => n.name.toLowerCase() === lower).value;
+            if (h.value !== replacement) warnings.push(`${h.name}: replaced with "${replacement}" to bypass the cache`);
+        } else {
+            if (seen.has(lower)) warnings.push(`${h.name}: duplicate joined into one header by the browser`);
+            seen.add(lower);
+            sent.push(h);
+        }
+    });
+
+    return { headers: [...sent, ...NO_CACHE_HEADERS], warnings };
+}
@@ -1,13 +1,290 @@
 // Request Sender Module - Handles actual HTTP request execution
-import { executeRequest } from './capture.js';
+import { events, EVENT_NAMES } from '../core/events.js';
+import { executeRequest, applyResponseRules, canReadRedirects } from './capture.js';
+import {
+    executeDebuggerRequest, TRANSPORT_FETCH, TRANSPORT_DEBUGGER, DEBUGGER_TRANSPORT_PERMISSIONS
+} from './debugger-transport.js';
+import { bytesToBase64 } from './body-bytes.js';
+import { buildFetchHeaders } from './raw-request.js';
+import { followRedirects, REDIRECT_NEVER, REDIRECT_SAME_ORIGIN, REDIRECT_ALWAYS } from './response-parser.js';
+import { sendWithRetries, DEFAULT_TIMEOUT } from './send-control.js';
+import {
+    cookieHeaderFor, jarNameOf, jarMode, loadCookieJars, recordSetCookies, withCookieHeader, withCookieRule,
+    CREDENTIALS_BROWSER, CREDENTIALS_EDITOR, CREDENTIALS_NONE, COOKIE_RULE_PERMISSIONS
+} from './cookie-jar.js';
+
+const TRANSPORT_KEY = 'rep_send_transport';
+const REDIRECT_KEY = 'rep_follow_redirects';
+const TIMEOUT_KEY = 'rep_send_timeout';
+const RETRIES_KEY = 'rep_send_retries';
+const CREDENTIALS_KEY = 'rep_send_credentials';
+
+// Fetch replays read 3xx responses through webRequest
+const REDIRECT_PERMISSIONS = { permissions: ['webRequest'], origins: ['<all_urls>'] };
+
+/**
+ * One hop through the debugger transport (it never follows redirects itself)
+ * @param {Object} request - { url, method, headers: [{name, value}], body (string or Uint8Array) }
+ * @param {AbortSignal} signal
+ * @param {number} timeout - Also enforced by the background, which closes the helper tab
+ * @returns {Promise<Object>}
+ */
+async function sendDebuggerHop(request, signal, timeout) {
+    const binary = request.body && typeof request.body !== 'string';
+    const result = await executeDebuggerRequest(request.url, {
+        method: request.method,
+        headers: request.headers,
+        body: request.body && !binary ? request.body : undefined,
+        bodyBase64: binary ? bytesToBase64(request.body) : undefined,
+        timeout: timeout || undefined
+    }, signal);
+    return applyResponseRules(request.url, result);
+}
 
 /**
  * Sends an HTTP request and returns the raw response
  * @param {string} url - The URL to send the request to
  * @param {Object} options - Fetch options (method, headers, body, etc.)
- * @returns {Promise<Object>} Response object with status, headers, body, size, duration
+ * @param {Object} [raw] - Used by the debugger transport
+ * @param {string} [raw.transport] - TRANSPORT_FETCH (default) or TRANSPORT_DEBUGGER
+ * @param {Array<{name: string, value: string}>} [raw.rawHeaders] - Headers exactly as typed
+ * @param {string} [raw.bodyText]
+ * @param {Uint8Array} [raw.bodyBytes] - Binary body (from the hex editor); sent instead of bodyText
+ * @param {string} [raw.redirectMode] - REDIRECT_ALWAYS (default), REDIRECT_SAME_ORIGIN or REDIRECT_NEVER
+ * @param {AbortSignal} [raw.signal] - Cancels the send
+ * @param {number} [raw.timeout] - Milliseconds for the whole redirect chain; 0 waits forever
+ * @param {number} [raw.retries] - Retries after network errors (see sendWithRetries)
+ * @param {string} [raw.credentials] - Cookies sent: CREDENTIALS_BROWSER (default), CREDENTIALS_EDITOR,
+ *        CREDENTIALS_NONE or a jar (see cookie-jar.js); a jar stores the Set-Cookie of every hop
+ * @returns {Promise<Object>} Response object with status, headers, body, bodyBytes, size, duration,
+ *          and `redirects` (every hop, see followRedirects) when the hops could be read.
+ *          Rejects with a TimeoutError or AbortError DOMException when timed out or canceled.
+ */
+export async function sendRequest(url, options, {
+    transport = TRANSPORT_FETCH, rawHeaders = [], bodyText = null, bodyBytes = null, redirectMode = REDIRECT_ALWAYS,
+    signal = null, timeout = DEFAULT_TIMEOUT, retries = 0, credentials = CREDENTIALS_BROWSER
+} = {}) {
+    const method = options.method || 'GET';
+
+    // Cookie header of a hop (null: as typed, plus the browser's for fetch); jars learn from every response
+    const cookieFor = (hop) => cookieHeaderFor(credentials, hop.url, hop.headers);
+    const jarName = jarNameOf(credentials);
+    const keepCookies = (hopUrl, result) => {
+        if (jarName) recordSetCookies(jarName, result.setCookies || setCookiesOf(result.headers), hopUrl);
+        return result;
+    };
+
+    if (transport === TRANSPORT_DEBUGGER) {
+        const sendsBody = !['GET', 'HEAD'].includes(method);
+        const body = sendsBody ? (bodyBytes || bodyText || undefined) : undefined;
+        const sendHop = async (hop, attemptSignal) => {
+            const cookie = cookieFor(hop);
+            const sent = cookie === null ? hop : { ...hop, headers: withCookieHeader(hop.headers, cookie) };
+            return keepCookies(hop.url, await sendDebuggerHop(sent, attemptSignal, timeout));
+        };
+        return await sendWithRetries(
+            (attemptSignal) => followRedirects(
+                hop => sendHop(hop, attemptSignal),
+                { url, method, headers: rawHeaders, body },
+                redirectMode
+            ),
+            { signal, timeout, retries }
+        );
+    }
+
+    let fetchOptions = bodyBytes && options.body !== undefined ? { ...options, body: bodyBytes } : options;
+    if (credentials !== CREDENTIALS_BROWSER) fetchOptions = { ...fetchOptions, credentials: 'omit' };
+
+    // Hops carry the headers as typed (so each one opens as such in the editor); fetch gets what it can send
+    const pairs = Array.isArray(fetchOptions.headers) ? fetchOptions.headers : Object.entries(fetchOptions.headers || {});
+    const headers = rawHeaders.length ? rawHeaders : pairs.map(([name, value]) => ({ name, value }));
+    const first = { url, method, headers, body: fetchOptions.body };
+
+    if (redirectMode === REDIRECT_ALWAYS && !canReadRedirects()) {
+        // The browser follows the redirects; the hops can't be listed
+        return await sendWithRetries(
+            (attemptSignal) => withCookieRule(url, cookieFor(first), () => executeRequest(url, {
+                ...fetchOptions, headers: copyHeaders(fetchOptions.headers), signal: attemptSignal
+            })).then(result => keepCookies(url, result)),
+            { signal, timeout, retries }
+        );
+    }
+
+    return await sendWithRetries((attemptSignal) => {
+        const sendHop = async (hop) => {
+            const hopHeaders = hop === first ? pairs : buildFetchHeaders(hop.headers).headers.map(h => [h.name, h.value]);
+            const hopOptions = { ...fetchOptions, method: hop.method, headers: hopHeaders, body: hop.body, signal: attemptSignal };
+            // A 3xx whose headers never came ends the chain as "Redirect (headers unavailable)":
+            // sending the hop again to let the browser follow it could repeat a POST
+            const result = await withCookieRule(hop.url, cookieFor(hop), () => executeRequest(hop.url, {
+                ...hopOptions, headers: [...hopHeaders], redirect: 'manual'
+            }));
+            return keepCookies(hop.url, result);
+        };
+        return followRedirects(sendHop, first, redirectMode);
+    }, { signal, timeout, retries });
+}
+
+/**
+ * @param {Array|Headers} headers - Response headers
+ * @returns {Array<string>} Set-Cookie values (fetch's Headers never has them)
+ */
+function setCookiesOf(headers) {
+    if (!Array.isArray(headers)) return [];
+    return headers.filter(h => h.name.toLowerCase() === 'set-cookie').map(h => h.value);
+}
+
+/**
+ * executeRequest adds its marker header to the options it gets; retries start from a clean copy
+ * @param {Array|Object} [headers]
+ * @returns {Array|Object}
+ */
+function copyHeaders(headers) {
+    if (Array.isArray(headers)) return [...headers];
+    return { ...(headers || {}) };
+}
+
+/**
+ * @returns {{timeout: number, retries: number}} Send settings picked in the editor toolbar
+ */
+export function getSendSettings() {
+    const timeout = parseInt(localStorage.getItem(TIMEOUT_KEY), 10);
+    const retries = parseInt(localStorage.getItem(RETRIES_KEY), 10);
+    return {
+        timeout: Number.isFinite(timeout) && timeout >= 0 ? timeout : DEFAULT_TIMEOUT,
+        retries: Number.isFinite(retries) && retries >= 0 ? retries : 0
+    };
+}
+
+/**
+ * Wire the timeout and retries selectors
+ * @param {HTMLSelectElement} timeoutSelect - Values in milliseconds ("0" waits forever)
+ * @param {HTMLSelectElement} retriesSelect
  */
-export async function sendRequest(url, options) {
-    return await executeRequest(url, options);
+export function setupSendSettings(timeoutSelect, retriesSelect) {
+    const settings = getSendSettings();
+    if (timeoutSelect) {
+        timeoutSelect.value = String(settings.timeout);
+        timeoutSelect.addEventListener('change', () => localStorage.setItem(TIMEOUT_KEY, timeoutSelect.value));
+    }
+    if (retriesSelect) {
+        retriesSelect.value = String(settings.retries);
+        retriesSelect.addEventListener('change', () => localStorage.setItem(RETRIES_KEY, retriesSelect.value));
+    }
 }
 
+/**
+ * @returns {string} Transport picked in the editor toolbar
+ */
+export function getSelectedTransport() {
+    return localStorage.getItem(TRANSPORT_KEY) === TRANSPORT_DEBUGGER ? TRANSPORT_DEBUGGER : TRANSPORT_FETCH;
+}
+
+/**
+ * @returns {string} Redirect mode picked in the editor toolbar
+ */
+export function getRedirectMode() {
+    const mode = localStorage.getItem(REDIRECT_KEY);
+    return [REDIRECT_NEVER, REDIRECT_SAME_ORIGIN].includes(mode) ? mode : REDIRECT_ALWAYS;
+}
+
+/**
+ * @returns {string} Credential mode picked in the editor toolbar (a deleted jar falls back to the browser's cookies)
+ */
+export function getCredentialMode() {
+    const mode = localStorage.getItem(CREDENTIALS_KEY);
+    if ([CREDENTIALS_EDITOR, CREDENTIALS_NONE].includes(mode)) return mode;
+    const name = jarNameOf(mode);
+    if (name !== null && loadCookieJars().some(jar => jar.name === name)) return mode;
+    return CREDENTIALS_BROWSER;
+}
+
+/**
+ * Wire the cookies selector (browser, editor, none, then the project's jars). Cookies fetch can't
+ * set need declarativeNetRequest; jars also ask for webRequest to read Set-Cookie.
+ * @param {HTMLSelectElement} select
+ */
+export function setupCredentialsSelect(select) {
+    if (!select) return;
+
+    const render = () => {
+        select.innerHTML = '';
+        select.append(
+            new Option('Cookies: browser', CREDENTIALS_BROWSER),
+            new Option('Cookies: editor only', CREDENTIALS_EDITOR),
+            new Option('Cookies: none', CREDENTIALS_NONE),
+            ...loadCookieJars().map(jar => new Option(`Jar: ${jar.name}`, jarMode(jar.name)))
+        );
+        select.value = getCredentialMode();
+    };
+    render();
+    events.on(EVENT_NAMES.COOKIE_JARS_CHANGED, render);
+    events.on(EVENT_NAMES.PROJECT_SWITCHED, render);
+
+    select.addEventListener('change', () => {
+        const mode = select.value;
+        if (mode === CREDENTIALS_BROWSER || mode === CREDENTIALS_NONE) {
+            localStorage.setItem(CREDENTIALS_KEY, mode);
+            return;
+        }
+        const permissions = jarNameOf(mode) === null
+            ? COOKIE_RULE_PERMISSIONS
+            : { ...COOKIE_RULE_PERMISSIONS, permissions: [...COOKIE_RULE_PERMISSIONS.permissions, 'webRequest'] };
+        chrome.permissions.request(permissions, (granted) => {
+            if (!granted) {
+                select.value = getCredentialMode();
+                alert('Sending your own cookies needs the "declarativeNetRequestWithHostAccess" permission (fetch can\'t set Cookie).');
+                return;
+            }
+            localStorage.setItem(CREDENTIALS_KEY, mode);
+        });
+    });
+}
+
+/**
+ * Wire the redirect mode selector; stopping at redirects asks for webRequest (fetch hides 3xx responses)
+ * @param {HTMLSelectElement} select
+ */
+export function setupRedirectSelect(select) {
+    if (!select) return;
+    select.value = getRedirectMode();
+
+    select.addEventListener('change', () => {
+        if (select.value === REDIRECT_ALWAYS) {
+            localStorage.setItem(REDIRECT_KEY, REDIRECT_ALWAYS);
+            return;
+        }
+        chrome.permissions.request(REDIRECT_PERMISSIONS, (granted) => {
+            if (!granted) {
+                select.value = getRedirectMode();
+                alert('Stopping at redirects needs the "webRequest" permission to read 3xx responses.');
+                return;
+            }
+            localStorage.setItem(REDIRECT_KEY, select.value);
+        });
+    });
+}
+
+/**
+ * Wire the transport selector; the debugger transport asks for its permission on first use
+ * @param {HTMLSelectElement} select
+ */
+export function setupTransportSelect(select) {
+    if (!select) return;
+    select.value = getSelectedTransport();
+
+    select.addEventListener('change', () => {
+        if (select.value !== TRANSPORT_DEBUGGER) {
+            localStorage.setItem(TRANSPORT_KEY, TRANSPORT_FETCH);
+            return;
+        }
+        chrome.permissions.request(DEBUGGER_TRANSPORT_PERMISSIONS, (granted) => {
+            if (!granted) {
+                select.value = TRANSPORT_FETCH;
+                alert('The raw transport needs the "debugger" permission.');
+                return;
+            }
+            localStorage.setItem(TRANSPORT_KEY, TRANSPORT_DEBUGGER);
+        });
+    });
+}
@@ -1,13 +1,30 @@
 // Response Parser Module - Formats and processes HTTP responses
+// formatRawResponse keeps the body exactly as received: the Raw/Hex tabs, sizes and diffs
+// work on it. Only the Pretty view reformats it (prettyPrintResponse); the JSON view formats
+// the body itself. followRedirects sends a request hop by hop for the redirect modes.
+import { getHeader, setHeader, removeHeader } from './raw-request.js';
+
+/**
+ * Normalize a protocol as reported by HAR entries, CDP or resource timing
+ * @param {string} [protocol] - 'HTTP/1.1', 'http/2.0', 'h2', 'h3', ...
+ * @returns {string} Status line version ('HTTP/1.1' when unknown)
+ */
+export function formatHttpVersion(protocol) {
+    const value = (protocol || '').trim().toLowerCase();
+    if (value === 'h2' || value === 'http/2' || value === 'http/2.0') return 'HTTP/2';
+    if (value === 'h3' || value.startsWith('h3-') || value === 'http/3' || value === 'http/3.0') return 'HTTP/3';
+    const match = value.match(/^http\/(\d(?:\.\d)?)$/);
+    return match ? `HTTP/${match[1]}` : 'HTTP/1.1';
+}
 
 /**
  * Formats a response object into a raw HTTP response string
- * @param {Object} result - Response object from fetch
- * @returns {string} Formatted raw HTTP response
+ * @param {Object} result - Response object from fetch, with an optional httpVersion
+ * @returns {string} Formatted raw HTTP response (body untouched)
  */
 export function formatRawResponse(result) {
     // Build raw HTTP response
-    const statusLine = `HTTP/1.1 ${result.status || ''} ${result.statusText || ''}`.trim();
+    const statusLine = `${formatHttpVersion(result.httpVersion)} ${result.status || ''} ${result.statusText || ''}`.trim();
     let rawResponse = `${statusLine}\n`;
     
     // Add headers (supports array of objects or iterable entries)
@@ -21,17 +38,71 @@ export function formatRawResponse(result) {
         }
     }
     rawResponse += '\n';
+    rawResponse += result.body ?? '';
+
+    return rawResponse;
+}
+
+/**
+ * Size of a body in bytes
+ * @param {string} body
+ * @param {string} [encoding] - 'base64' for captured binary bodies
+ * @returns {number}
+ */
+export function getBodySize(body, encoding) {
+    if (!body) return 0;
+    if (encoding === 'base64') {
+        const base64 = body.replace(/\s/g, '');
+        const padding = base64.endsWith('==') ? 2 : base64.endsWith('=') ? 1 : 0;
+        return Math.floor(base64.length * 3 / 4) - padding;
+    }
+    return new TextEncoder().encode(body).length;
+}
 
-    // Format body (try to pretty-print JSON)
-    const body = result.body ?? '';
+/**
+ * Pretty-print a raw HTTP response for the Pretty view (JSON bodies are indented)
+ * @param {string} rawResponse - As built by formatRawResponse
+ * @returns {string}
+ */
+export function prettyPrintResponse(rawResponse) {
+    const text = rawResponse || '';
+    const headerEnd = text.indexOf('\n\n');
+    if (headerEnd === -1) return text;
+    const body = text.slice(headerEnd + 2);
     try {
-        const json = JSON.parse(body);
-        rawResponse += JSON.stringify(json, null, 2);
+        return `${text.slice(0, headerEnd + 2)}${JSON.stringify(JSON.parse(body), null, 2)}`;
     } catch (e) {
-        rawResponse += body;
+        return text;
     }
+}
 
-    return rawResponse;
+/**
+ * Parse a raw HTTP response (as edited in the response pane) back into its parts
+ * @param {string} rawText
+ * @returns {Object} { status, statusText, headers: [{name, value}], body }
+ * @throws {Error} When the status line is invalid
+ */
+export function parseRawResponse(rawText) {
+    const text = rawText.replace(/\r\n/g, '\n');
+    const headerEnd = text.indexOf('\n\n');
+    const head = headerEnd === -1 ? text : text.slice(0, headerEnd);
+    const body = headerEnd === -1 ? '' : text.slice(headerEnd + 2);
+
+    const [statusLine, ...headerLines] = head.split('\n');
+    const match = statusLine.trim().match(/^HTTP\/[\d.]+\s+(\d{3})\s*(.*)$/i);
+    if (!match) {
+        throw new Error('Invalid Status Line. Format: HTTP/1.1 200 OK');
+    }
+
+    const headers = [];
+    headerLines.forEach(line => {
+        const colonIndex = line.indexOf(':');
+        if (colonIndex > 0) {
+            headers.push({ name: line.substring(0, colonIndex).trim(), value: line.substring(colonIndex + 1).trim() });
+        }
+    });
+
+    return { status: parseInt(match[1], 10), statusText: match[2].trim(), headers, body };
 }
 
 /**
@@ -50,15 +121,88 @@ export function getStatusClass(status) {
     return 'status-badge';
 }
 
+export const REDIRECT_NEVER = 'never';
+export const REDIRECT_SAME_ORIGIN = 'same-origin';
+export const REDIRECT_ALWAYS = 'always';
+
+const REDIRECT_STATUSES = [301, 302, 303, 307, 308];
+const MAX_REDIRECTS = 20; // Chrome's limit
+
+// Dropped when a redirect turns the request into a GET
+const BODY_HEADERS = ['content-type', 'content-length', 'content-encoding', 'content-language', 'content-location'];
+
+function toHeaderList(headers) {
+    if (Array.isArray(headers)) return headers;
+    return Array.from(headers || [], ([name, value]) => ({ name, value }));
+}
+
 /**
- * Handles redirects (future enhancement)
- * @param {Object} response - Response object
- * @param {Object} options - Original request options
- * @returns {Promise<Object>} Final response after following redirects
+ * Request for the next hop of a redirect, built the way browsers build it
+ * @param {Object} request - { url, method, headers: [{name, value}], body }
+ * @param {number} status - Redirect status
+ * @param {string} location - Absolute URL of the next hop
+ * @returns {Object} { url, method, headers, body }
  */
-export async function followRedirects(response, options) {
-    // TODO: Implement redirect following logic
-    // For now, just return the response as-is
-    return response;
+export function nextRedirectRequest(request, status, location) {
+    let { method, headers, body } = request;
+    // 303 turns any request but HEAD into a GET; 301/302 only turn POSTs into one
+    if ((status === 303 && method !== 'HEAD') || ([301, 302].includes(status) && method === 'POST')) {
+        method = 'GET';
+        body = undefined;
+        headers = headers.filter(h => !BODY_HEADERS.includes(h.name.toLowerCase()));
+    }
+    const from = new URL(request.url);
+    const to = new URL(location);
+    if (getHeader(headers, 'host') !== null) headers = setHeader(headers, 'Host', to.host);
+    if (from.origin !== to.origin) headers = removeHeader(headers, 'authorization');
+    return { url: to.href, method, headers, body };
+}
+
+/**
+ * Send a request hop by hop, following redirects according to the mode
+ * @param {Function} sendHop - async (request) => result; must return 3xx responses instead of following them
+ * @param {Object} request - { url, method, headers: [{name, value}], body }
+ * @param {string} [mode] - REDIRECT_NEVER, REDIRECT_SAME_ORIGIN (origin of the first request) or REDIRECT_ALWAYS
+ * @returns {Promise<Object>} Result of the last hop sent, with `redirects`: every hop as { request, httpVersion,
+ *          status, statusText, headers, body, bodyBytes, location (absolute, null when not a redirect), setCookies }
+ */
+export async function followRedirects(sendHop, request, mode = REDIRECT_ALWAYS) {
+    const origin = new URL(request.url).origin;
+    const redirects = [];
+    let current = request;
+
+    for (;;) {
+        const result = await sendHop(current);
+        const headers = toHeaderList(result.headers);
+        const location = getHeader(headers, 'location');
+        let target = null;
+        if (REDIRECT_STATUSES.includes(result.status) && location) {
+            try {
+                target = new URL(location, current.url).href;
+            } catch (e) {
+                // Unparseable Location: nothing to follow
+            }
+        }
+
+        redirects.push({
+            request: current,
+            httpVersion: result.httpVersion,
+            status: result.status,
+            statusText: result.statusText || '',
+            headers,
+            body: result.body ?? '',
+            bodyBytes: result.bodyBytes || null,
+            location: target,
+            // fetch responses hide Set-Cookie; executeRequest reads them through webRequest
+            setCookies: result.setCookies || headers.filter(h => h.name.toLowerCase() === 'set-cookie').map(h => h.value)
+        });
+
+        const follow = target &&
+            mode !== REDIRECT_NEVER &&
+            (mode !== REDIRECT_SAME_ORIGIN || new URL(target).origin === origin) &&
+            redirects.length <= MAX_REDIRECTS;
+        if (!follow) return { ...result, redirects };
+        current = nextRedirectRequest(current, result.status, target);
+    }
 }
 
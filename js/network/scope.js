@@ -0,0 +1,219 @@
+// Target Scope - One include/exclude scope per project, consulted by capture,
+// the Auth Analyzer, the extractors and every send path.
+// A scope entry matches when all of its filled-in parts match:
+//   { protocol: 'any'|'http'|'https'|'ws'|'wss', host: glob, pathPrefix, regex (full URL) }
+// A URL is in scope when it matches an include entry (or there are none) and no exclude entry.
+
+import { events, EVENT_NAMES } from '../core/events.js';
+import { getActiveProjectId, projectStorageKey } from '../core/utils/storage.js';
+import { globToRegExp } from './capture-rules.js';
+
+export const SCOPE_KEY = 'rep_target_scope';
+export const SCOPE_PROTOCOLS = ['any', 'http', 'https', 'ws', 'wss'];
+
+let cached = null; // { projectId, scope, compiled }
+
+// Archives can rewrite a project's stored scope; reload it on the next lookup
+events.on(EVENT_NAMES.PROJECT_SWITCHED, () => {
+    cached = null;
+});
+
+/**
+ * @returns {Object} A scope with no entries (everything is in scope)
+ */
+export function emptyScope() {
+    return { include: [], exclude: [], captureInScopeOnly: false, warnOnSend: true };
+}
+
+/**
+ * Fill in missing fields of a scope entry
+ * @param {Object} entry
+ * @returns {Object}
+ */
+export function normalizeScopeEntry(entry = {}) {
+    return {
+        protocol: SCOPE_PROTOCOLS.includes(entry.protocol) ? entry.protocol : 'any',
+        host: (entry.host || '').trim(),
+        pathPrefix: (entry.pathPrefix || '').trim(),
+        regex: (entry.regex || '').trim()
+    };
+}
+
+/**
+ * Fill in missing fields of a scope and drop empty entries
+ * @param {Object} scope
+ * @returns {Object}
+ */
+export function normalizeScope(scope = {}) {
+    const isSet = e => e.protocol !== 'any' || e.host || e.pathPrefix || e.regex;
+    return {
+        include: (scope.include || []).map(normalizeScopeEntry).filter(isSet),
+        exclude: (scope.exclude || []).map(normalizeScopeEntry).filter(isSet),
+        captureInScopeOnly: !!scope.captureInScopeOnly,
+        warnOnSend: scope.warnOnSend !== false
+    };
+}
+
+/**
+ * Compile a scope entry
+ * @param {Object} entry
+ * @returns {Object}
+ * @throws {Error} When the regex is invalid
+ */
+export function compileScopeEntry(entry) {
+    let regex = null;
+    if (entry.regex) {
+        try {
+            regex = new RegExp(entry.regex, 'i');
+        } catch (e) {
+            throw new Error(`Invalid scope regex "${entry.regex}": ${e.message}`);
+        }
+    }
+    return {
+        protocol: entry.protocol && entry.protocol !== 'any' ? entry.protocol : null,
+        host: entry.host ? globToRegExp(entry.host) : null,
+        pathPrefix: entry.pathPrefix || null,
+        regex
+    };
+}
+
+function matchEntry(compiled, url) {
+    if (compiled.protocol && url.protocol !== `${compiled.protocol}:`) return false;
+    if (compiled.host && !compiled.host.test(url.hostname)) return false;
+    if (compiled.pathPrefix && !url.pathname.startsWith(compiled.pathPrefix)) return false;
+    if (compiled.regex && !compiled.regex.test(url.href)) return false;
+    return true;
+}
+
+function compileScope(scope) {
+    return {
+        include: scope.include.map(compileScopeEntry),
+        exclude: scope.exclude.map(compileScopeEntry)
+    };
+}
+
+/**
+ * Whether a scope has any entries
+ * @param {Object} scope
+ * @returns {boolean}
+ */
+export function isScopeDefined(scope) {
+    return scope.include.length > 0 || scope.exclude.length > 0;
+}
+
+/**
+ * Test a URL against a scope
+ * @param {string} url
+ * @param {Object} scope
+ * @param {Object} [compiled] - From an earlier compile of the same scope
+ * @returns {boolean}
+ */
+export function matchScope(url, scope, compiled = compileScope(scope)) {
+    if (!isScopeDefined(scope)) return true;
+
+    let parsed;
+    try {
+        parsed = new URL(url);
+    } catch (e) {
+        return false;
+    }
+
+    if (compiled.include.length && !compiled.include.some(c => matchEntry(c, parsed))) return false;
+    return !compiled.exclude.some(c => matchEntry(c, parsed));
+}
+
+function loadScope(projectId) {
+    let scope = emptyScope();
+    try {
+        const saved = localStorage.getItem(projectStorageKey(SCOPE_KEY, projectId));
+        if (saved) scope = normalizeScope(JSON.parse(saved));
+    } catch (e) {
+        console.error('[Scope] Failed to load scope:', e);
+    }
+
+    let compiled;
+    try {
+        compiled = compileScope(scope);
+    } catch (e) {
+        console.error('[Scope]', e.message);
+        scope = emptyScope();
+        compiled = compileScope(scope);
+    }
+    return { projectId, scope, compiled };
+}
+
+function current() {
+    const projectId = getActiveProjectId();
+    if (!cached || cached.projectId !== projectId) {
+        cached = loadScope(projectId);
+    }
+    return cached;
+}
+
+/**
+ * Scope of the active project
+ * @returns {Object}
+ */
+export function getScope() {
+    return current().scope;
+}
+
+/**
+ * Validate and save the active project's scope
+ * @param {Object} scope
+ * @throws {Error} When a regex is invalid
+ */
+export function saveScope(scope) {
+    const normalized = normalizeScope(scope);
+    const compiled = compileScope(normalized);
+    const projectId = getActiveProjectId();
+    localStorage.setItem(projectStorageKey(SCOPE_KEY, projectId), JSON.stringify(normalized));
+    cached = { projectId, scope: normalized, compiled };
+    events.emit(EVENT_NAMES.SCOPE_CHANGED, { scope: normalized });
+}
+
+/**
+ * Add an entry to the active project's scope
+ * @param {'include'|'exclude'} list
+ * @param {Object} entry
+ */
+export function addScopeEntry(list, entry) {
+    const scope = getScope();
+    saveScope({ ...scope, [list]: [...scope[list], normalizeScopeEntry(entry)] });
+}
+
+/**
+ * Whether a URL is in the active project's scope (true when no scope is defined)
+ * @param {string} url
+ * @returns {boolean}
+ */
+export function isInScope(url) {
+    const { scope, compiled } = current();
+    return matchScope(url, scope, compiled);
+}
+
+/**
+ * Whether capture should keep a request, given the "capture in-scope only" setting
+ * @param {string} url
+ * @returns {boolean}
+ */
+export function shouldCaptureInScope(url) {
+    return !getScope().captureInScopeOnly || isInScope(url);
+}
+
+/**
+ * Ask before sending requests to out-of-scope URLs
+ * @param {Array<string>} urls
+ * @returns {boolean} true when sending may go ahead
+ */
+export function confirmScopeSend(urls) {
+    const scope = getScope();
+    if (!scope.warnOnSend || !isScopeDefined(scope)) return true;
+
+    const outOfScope = [...new Set(urls.filter(url => !isInScope(url)))];
+    if (outOfScope.length === 0) return true;
+
+    const listed = outOfScope.slice(0, 5).join('\n');
+    const more = outOfScope.length > 5 ? `\n...and ${outOfScope.length - 5} more` : '';
+    return confirm(`⚠️ Out of scope\n\nThese URLs are outside the project's target scope:\n${listed}${more}\n\nSend anyway?`);
+}
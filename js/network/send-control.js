@@ -0,0 +1,112 @@
+// Send Control - Timeouts, retries and cancelation for replays
+// Every attempt gets its own AbortController, tied to the caller's signal (the Cancel button)
+// and to the timeout. The abort reason tells them apart: a DOMException named 'TimeoutError'
+// for timeouts and 'AbortError' for cancels. Only network errors are retried; an HTTP error
+// status is a response like any other.
+
+export const DEFAULT_TIMEOUT = 30000;
+export const DEFAULT_BACKOFF = 500;
+
+/**
+ * @param {Error} error
+ * @returns {boolean} Whether the send ran out of time
+ */
+export function isTimeoutError(error) {
+    return !!error && error.name === 'TimeoutError';
+}
+
+/**
+ * @param {Error} error
+ * @returns {boolean} Whether the send was canceled
+ */
+export function isCancelError(error) {
+    return !!error && error.name === 'AbortError';
+}
+
+/**
+ * fetch rejects with a TypeError when no response came at all (DNS, refused, reset, CORS)
+ * @param {Error} error
+ * @returns {boolean}
+ */
+export function isNetworkError(error) {
+    return error instanceof TypeError;
+}
+
+function cancelError() {
+    return new DOMException('Request canceled.', 'AbortError');
+}
+
+/**
+ * Resolve after a delay, or reject as soon as the signal aborts
+ * @param {number} ms
+ * @param {AbortSignal} [signal]
+ * @returns {Promise<void>}
+ */
+function wait(ms, signal) {
+    return new Promise((resolve, reject) => {
+        if (signal && signal.aborted) {
+            reject(cancelError());
+            return;
+        }
+        const onAbort = () => {
+            clearTimeout(timer);
+            reject(cancelError());
+        };
+        const timer = setTimeout(() => {
+            if (signal) signal.removeEventListener('abort', onAbort);
+            resolve();
+        }, ms);
+        if (signal) signal.addEventListener('abort', onAbort, { once: true });
+    });
+}
+
+/**
+ * One attempt: settles with the send, or rejects with the abort reason as soon as the
+ * attempt is aborted (even when the send itself ignores its signal)
+ */
+function attempt(send, signal, timeout, index) {
+    const controller = new AbortController();
+    const onAbort = () => controller.abort(cancelError());
+    if (signal) signal.addEventListener('abort', onAbort, { once: true });
+    const timer = timeout > 0
+        ? setTimeout(() => controller.abort(new DOMException(`No response after ${timeout / 1000}s.`, 'TimeoutError')), timeout)
+        : null;
+
+    const aborted = new Promise((resolve, reject) => {
+        controller.signal.addEventListener('abort', () => reject(controller.signal.reason), { once: true });
+    });
+    return Promise.race([send(controller.signal, index), aborted])
+        .catch(error => {
+            // fetch may reject with its own AbortError; report why it was aborted
+            throw controller.signal.aborted ? controller.signal.reason : error;
+        })
+        .finally(() => {
+            clearTimeout(timer);
+            if (signal) signal.removeEventListener('abort', onAbort);
+        });
+}
+
+/**
+ * Run a send with a timeout per attempt, retrying network errors with exponential backoff
+ * @param {function(AbortSignal, number): Promise<*>} send - Gets the attempt's signal and index
+ * @param {Object} [options]
+ * @param {AbortSignal} [options.signal] - Aborting cancels the send (and any pending retry)
+ * @param {number} [options.timeout] - Milliseconds per attempt; 0 waits forever
+ * @param {number} [options.retries] - Extra attempts after a network error
+ * @param {number} [options.backoff] - Delay before the first retry, doubled for each next one
+ * @returns {Promise<*>} What send resolved with; rejects with a TimeoutError, AbortError or the last error
+ */
+export async function sendWithRetries(send, {
+    signal = null, timeout = DEFAULT_TIMEOUT, retries = 0, backoff = DEFAULT_BACKOFF
+} = {}) {
+    for (let index = 0; ; index++) {
+        if (signal && signal.aborted) throw cancelError();
+        try {
+            return await attempt(send, signal, timeout, index);
+        } catch (error) {
+            if (index >= retries || !isNetworkError(error)) throw error;
+            console.warn(`[Send] Attempt ${index + 1} failed (${error.message}), retrying`);
+            await wait(backoff * 2 ** index, signal);
+        }
+    }
+}
@@ -0,0 +1,151 @@
+// WebSocket Helpers - Frame model shared by capture, persistence and the inspector
+// A WebSocket connection is stored like any other entry (the handshake is the request)
+// with an extra `webSocket` object: { socketId, frames: [Frame], closed }.
+// Frame: { direction: 'sent'|'received', timestamp (ms), opcode, payload, base64 }
+// Binary payloads are kept base64-encoded (base64: true), as Chrome reports them.
+
+import { base64ToBytes, bytesToText } from './body-bytes.js';
+
+export { bytesToBase64 } from './body-bytes.js';
+
+export const WS_OPCODES = {
+    0: 'continuation',
+    1: 'text',
+    2: 'binary',
+    8: 'close',
+    9: 'ping',
+    10: 'pong'
+};
+
+/**
+ * Whether a URL uses the ws:// or wss:// scheme
+ * @param {string} url
+ * @returns {boolean}
+ */
+export function isWebSocketUrl(url) {
+    return /^wss?:\/\//i.test(url || '');
+}
+
+/**
+ * Whether a captured entry is a WebSocket connection
+ * @param {Object} entry
+ * @returns {boolean}
+ */
+export function isWebSocketEntry(entry) {
+    if (!entry || !entry.request) return false;
+    return !!entry.webSocket ||
+        entry._resourceType === 'websocket' ||
+        isWebSocketUrl(entry.request.url);
+}
+
+/**
+ * Create a normalized frame
+ * @param {Object} parts
+ * @returns {Object}
+ */
+export function createFrame({ direction, opcode = 1, payload = '', timestamp = Date.now(), base64 }) {
+    return {
+        direction: direction === 'sent' || direction === 'send' ? 'sent' : 'received',
+        timestamp,
+        opcode,
+        payload: payload == null ? '' : String(payload),
+        base64: base64 !== undefined ? !!base64 : opcode === 2
+    };
+}
+
+/**
+ * Convert Chrome's HAR `_webSocketMessages` into frames
+ * @param {Array<{type: string, time: number, opcode: number, data: string}>} messages - time in seconds
+ * @returns {Array<Object>}
+ */
+export function framesFromHAR(messages) {
+    return (messages || []).map(message => createFrame({
+        direction: message.type,
+        opcode: message.opcode,
+        payload: message.data,
+        timestamp: Math.round((message.time || 0) * 1000)
+    }));
+}
+
+/**
+ * Convert frames back into HAR `_webSocketMessages`
+ * @param {Array<Object>} frames
+ * @returns {Array<Object>}
+ */
+export function framesToHAR(frames) {
+    return (frames || []).map(frame => ({
+        type: frame.direction === 'sent' ? 'send' : 'receive',
+        time: frame.timestamp / 1000,
+        opcode: frame.opcode,
+        data: frame.payload
+    }));
+}
+
+/**
+ * Raw bytes of a frame payload
+ * @param {Object} frame
+ * @returns {Uint8Array}
+ */
+export function payloadBytes(frame) {
+    if (frame.base64) return base64ToBytes(frame.payload);
+    return new TextEncoder().encode(frame.payload);
+}
+
+/**
+ * Frame payload as display text (binary payloads are decoded as UTF-8 when possible)
+ * @param {Object} frame
+ * @returns {string}
+ */
+export function payloadText(frame) {
+    if (!frame.base64) return frame.payload;
+    return bytesToText(payloadBytes(frame));
+}
+
+/**
+ * Parse a frame payload as JSON
+ * @param {Object} frame
+ * @returns {*} Parsed value, or undefined when not JSON
+ */
+export function payloadJSON(frame) {
+    const text = payloadText(frame).trim();
+    if (!text || !/^[[{"]/.test(text)) return undefined;
+    try {
+        return JSON.parse(text);
+    } catch (e) {
+        return undefined;
+    }
+}
+
+/**
+ * Parse a hex string ("de ad be ef" / "deadbeef") into bytes
+ * @param {string} hex
+ * @returns {Uint8Array}
+ */
+export function hexToBytes(hex) {
+    const clean = hex.replace(/0x/gi, '').replace(/[\s,:]/g, '');
+    if (clean.length % 2 !== 0 || /[^0-9a-f]/i.test(clean)) {
+        throw new Error('Invalid hex payload.');
+    }
+    const bytes = new Uint8Array(clean.length / 2);
+    for (let i = 0; i < bytes.length; i++) {
+        bytes[i] = parseInt(clean.substr(i * 2, 2), 16);
+    }
+    return bytes;
+}
+
+/**
+ * Attach frames from a HAR entry to the entry's `webSocket` field
+ * @param {Object} entry - Entry with `_webSocketMessages` (Chrome HAR)
+ * @returns {Object} The same entry
+ */
+export function attachHARFrames(entry) {
+    const frames = framesFromHAR(entry._webSocketMessages);
+    delete entry._webSocketMessages;
+    entry.webSocket = {
+        ...(entry.webSocket || {}),
+        frames: (entry.webSocket && entry.webSocket.frames) || frames,
+        closed: true
+    };
+    entry._resourceType = 'websocket';
+    return entry;
+}
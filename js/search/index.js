@@ -1,6 +1,7 @@
 // Search Module
 import { elements } from '../ui/main-ui.js';
 import { highlightHTTP } from '../core/utils/network.js';
+import { events, EVENT_NAMES } from '../core/events.js';
 
 export function initSearch() {
     // In-pane search functionality
@@ -254,4 +255,33 @@ export function initSearch() {
             responseCurrentMatch = navigateMatch(elements.rawResponseDisplay, responseMatches, responseCurrentMatch, 1, responseSearchCount);
         });
     }
+
+    // Jump from a workspace search match: search the pane for its text, then move to the
+    // occurrence with the same surrounding text (the first one when the pane shows it reformatted)
+    events.on(EVENT_NAMES.UI_FIND_IN_PANE, ({ pane, text, before = '', after = '' }) => {
+        const isResponse = pane === 'response';
+        const input = isResponse ? responseSearchInput : requestSearchInput;
+        const element = isResponse ? elements.rawResponseDisplay : elements.rawRequestInput;
+        if (!input || !element) return;
+
+        input.value = text;
+        input.dispatchEvent(new Event('input'));
+
+        const content = element.textContent || '';
+        const at = content.indexOf(before + text + after);
+        if (at === -1) return;
+        const lowerContent = content.toLowerCase();
+        const needle = text.toLowerCase();
+        let occurrence = 0;
+        for (let i = lowerContent.indexOf(needle); i !== -1 && i < at + before.length; i = lowerContent.indexOf(needle, i + needle.length)) {
+            occurrence++;
+        }
+        if (occurrence === 0) return;
+
+        if (isResponse) {
+            responseCurrentMatch = navigateMatch(element, responseMatches, occurrence - 1, 1, responseSearchCount);
+        } else {
+            requestCurrentMatch = navigateMatch(element, requestMatches, occurrence - 1, 1, requestSearchCount);
+        }
+    });
 }
@@ -2,6 +2,9 @@
 import { state, actions } from '../core/state.js';
 import { events } from '../core/events.js';
 import { clearAllRequestsUI, elements } from './main-ui.js';
+import {
+    startIntercept, stopIntercept, isIntercepting, forwardIntercepted, dropIntercepted
+} from '../features/intercept/index.js';
 
 /**
  * Sets up block/forward controls for request interception
@@ -10,9 +13,19 @@ import { clearAllRequestsUI, elements } from './main-ui.js';
 export function setupBlockControls(processCapturedRequest) {
     if (!elements.blockToggleBtn || !elements.forwardBtn || !elements.forwardMenu) return;
     
-    const forwardMenuItems = Array.from(elements.forwardMenu.querySelectorAll('.forward-menu-item'));
+    const forwardMenuItems = Array.from(elements.forwardMenu.querySelectorAll('.forward-menu-item[data-mode]'));
+    const forwardActionItems = Array.from(elements.forwardMenu.querySelectorAll('.forward-menu-item[data-action]'));
     let forwardMode = 'next';
 
+    // Intercepted requests are released through the debugger, held ones are just added to the list
+    function forwardRequest(req, options) {
+        if (req.intercepted) return forwardIntercepted(req, options);
+        state.blockedQueue = state.blockedQueue.filter(r => r !== req);
+        events.emit('block-queue:updated');
+        processCapturedRequest(req);
+        return true;
+    }
+
     function updateBlockButtons() {
         if (elements.blockToggleBtn) {
             elements.blockToggleBtn.classList.toggle('active', state.blockRequests);
@@ -34,11 +47,26 @@ export function setupBlockControls(processCapturedRequest) {
             }
             elements.forwardBtn.disabled = count === 0;
         }
+        // Drop / intercept response only apply to a request paused by interception
+        const head = state.blockedQueue[0];
+        forwardActionItems.forEach(item => item.classList.toggle('disabled', !(head && head.intercepted)));
     }
 
-    elements.blockToggleBtn.addEventListener('click', () => {
+    elements.blockToggleBtn.addEventListener('click', async () => {
         const newBlockingState = !state.blockRequests;
-        
+
+        if (newBlockingState) {
+            // Pause requests before they are sent when the debugger may be used;
+            // otherwise fall back to holding them after the fact
+            const intercepting = await startIntercept();
+            if (!intercepting) {
+                console.warn('[Block] "debugger" permission declined: holding requests after they are sent');
+            }
+        } else if (isIntercepting()) {
+            // Paused requests continue unchanged
+            stopIntercept();
+        }
+
         // Use action to set blocking (automatically emits events)
         actions.blocking.setBlocking(newBlockingState);
         
@@ -73,16 +101,10 @@ export function setupBlockControls(processCapturedRequest) {
         const mode = forwardMode;
         if (mode === 'all') {
             const queued = [...state.blockedQueue];
-            actions.blocking.clearBlockedQueue();
-            queued.forEach(req => processCapturedRequest(req));
+            queued.forEach(req => forwardRequest(req));
         } else {
-            const next = state.blockedQueue.shift();
-            if (next) {
-                // Remove from queue (manually since shift() already removed it)
-                state.blockedQueue = state.blockedQueue.filter(r => r !== next);
-                events.emit('block-queue:updated');
-                processCapturedRequest(next);
-            }
+            const next = state.blockedQueue[0];
+            if (next) forwardRequest(next);
         }
         updateBlockButtons();
     });
@@ -102,6 +124,21 @@ export function setupBlockControls(processCapturedRequest) {
             });
         });
 
+        forwardActionItems.forEach(item => {
+            item.addEventListener('click', (e) => {
+                e.stopPropagation();
+                elements.forwardMenu.classList.remove('open');
+                const head = state.blockedQueue[0];
+                if (!head || !head.intercepted) return;
+                if (item.dataset.action === 'drop') {
+                    dropIntercepted(head);
+                } else if (item.dataset.action === 'intercept-response') {
+                    forwardRequest(head, { interceptResponse: true });
+                }
+                updateBlockButtons();
+            });
+        });
+
         document.addEventListener('click', (e) => {
             if (elements.forwardMenu.contains(e.target) || elements.forwardBtn?.contains(e.target)) return;
             elements.forwardMenu.classList.remove('open');
@@ -1,7 +1,9 @@
-// Filters Module - Handles search, regex, method, star, and color filtering
+// Filters Module - Handles search, regex, method, star, color, and tag filtering
 import { state, actions } from '../core/state.js';
 import { elements } from './main-ui.js';
 import { events, EVENT_NAMES } from '../core/events.js';
+import { collectTags } from '../core/utils/metadata.js';
+import { setupQueryBar } from './query-bar.js';
 
 const ALL_METHODS = ['GET', 'POST', 'PUT', 'DELETE', 'PATCH', 'HEAD', 'OPTIONS', 'TRACE', 'XHR'];
 
@@ -18,15 +20,20 @@ function setupSearchFilter() {
 
     if (elements.regexToggle) {
         elements.regexToggle.addEventListener('click', () => {
-            const newUseRegex = !state.useRegex;
             // Use action to set search with new regex flag
-            actions.filter.setSearch(state.currentSearchTerm, newUseRegex);
-            elements.regexToggle.classList.toggle('active', newUseRegex);
-            elements.regexToggle.title = newUseRegex
+            actions.filter.setSearch(state.currentSearchTerm, !state.useRegex);
+        });
+
+        // Saved queries switch regex mode off too
+        events.on(EVENT_NAMES.STATE_SEARCH_CHANGED, ({ useRegex }) => {
+            elements.regexToggle.classList.toggle('active', useRegex);
+            elements.regexToggle.title = useRegex
                 ? 'Regex mode enabled (click to disable)'
                 : 'Toggle Regex Mode (enable to use regex patterns)';
         });
     }
+
+    setupQueryBar();
 }
 
 /**
@@ -246,6 +253,53 @@ function setupColorFilter() {
     });
 }
 
+/**
+ * Sets up the tag filter popover (lists the tags in use)
+ */
+function setupTagFilter() {
+    if (!elements.tagFilterBtn) return;
+
+    elements.tagFilterBtn.addEventListener('click', (e) => {
+        e.stopPropagation();
+        document.querySelectorAll('.tag-filter-popover').forEach(el => el.remove());
+
+        const popover = document.createElement('div');
+        popover.className = 'tag-filter-popover';
+
+        const tags = collectTags(state.requests);
+        ['all', ...tags].forEach(tag => {
+            const option = document.createElement('div');
+            option.className = `tag-filter-option ${state.currentTagFilter === tag ? 'active' : ''}`;
+            option.textContent = tag === 'all' ? 'All tags' : tag;
+            option.onclick = (e) => {
+                e.stopPropagation();
+                actions.filter.setTagFilter(tag);
+                elements.tagFilterBtn.classList.toggle('active', tag !== 'all');
+                elements.tagFilterBtn.title = tag === 'all' ? 'Filter by Tag' : `Tag: ${tag}`;
+                popover.remove();
+            };
+            popover.appendChild(option);
+        });
+        if (tags.length === 0) {
+            const empty = document.createElement('div');
+            empty.className = 'tag-filter-empty';
+            empty.textContent = 'No tags yet (right-click a request)';
+            popover.appendChild(empty);
+        }
+
+        elements.tagFilterBtn.appendChild(popover);
+        elements.tagFilterBtn.style.position = 'relative';
+
+        const closeHandler = (e) => {
+            if (!popover.contains(e.target) && e.target !== elements.tagFilterBtn) {
+                popover.remove();
+                document.removeEventListener('click', closeHandler);
+            }
+        };
+        setTimeout(() => document.addEventListener('click', closeHandler), 0);
+    });
+}
+
 /**
  * Initializes all filter controls
  */
@@ -254,5 +308,6 @@ export function setupFilters() {
     setupMethodFilter();
     setupStarFilter();
     setupColorFilter();
+    setupTagFilter();
 }
 
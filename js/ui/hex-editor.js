@@ -0,0 +1,104 @@
+// Hex Editor Module - Editable hex view of the request
+// Bytes can be changed, inserted or deleted in the hex columns. A body that isn't valid
+// UTF-8 can't live in the text editor, so its bytes are kept in state.requestBinaryBody and
+// sent instead of the editor text for as long as the body shown there is left unchanged.
+import { state } from '../core/state.js';
+import { events, EVENT_NAMES } from '../core/events.js';
+import { highlightHTTP } from '../core/utils/network.js';
+import { parseRawRequest } from '../network/raw-request.js';
+import { bytesToText, isUtf8, messageBytes, splitMessageBytes } from '../network/body-bytes.js';
+import { generateHexView, parseHexDump } from './hex-view.js';
+import { elements } from './main-ui.js';
+
+const HINT = 'Edit, insert or delete bytes in the hex columns; offsets and the ASCII column are ignored.';
+
+function bodyOf(rawText) {
+    try {
+        return parseRawRequest(rawText).body;
+    } catch (e) {
+        return null;
+    }
+}
+
+/**
+ * Binary body to send for the editor content
+ * @param {string} rawText - Request editor text
+ * @returns {Uint8Array|null} null when the body is plain text (or was edited as text since)
+ */
+export function getBinaryBody(rawText) {
+    const binary = state.requestBinaryBody;
+    if (!binary || bodyOf(rawText) !== binary.text) return null;
+    return binary.bytes;
+}
+
+/**
+ * @param {string} rawText - Request editor text
+ * @returns {Uint8Array} Bytes of the request, binary body included
+ */
+export function getRequestBytes(rawText) {
+    return messageBytes(rawText, getBinaryBody(rawText));
+}
+
+/**
+ * Fill the hex editor from the request editor
+ * @param {string} rawText
+ */
+export function renderRequestHex(rawText) {
+    const editor = elements.reqHexDisplay || document.getElementById('req-hex-display');
+    if (!editor) return;
+    editor.value = generateHexView(getRequestBytes(rawText));
+    showStatus(HINT, false);
+}
+
+function showStatus(message, isError) {
+    const status = document.getElementById('req-hex-status');
+    if (!status) return;
+    status.textContent = message;
+    status.classList.toggle('error', isError);
+}
+
+/**
+ * Write edited bytes back to the request editor
+ * @param {Uint8Array} bytes
+ */
+function applyRequestBytes(bytes) {
+    const { head, body } = splitMessageBytes(bytes);
+    const text = new TextDecoder().decode(head) + bytesToText(body);
+    events.emit(EVENT_NAMES.UI_UPDATE_REQUEST_CONTENT, { text, highlighted: highlightHTTP(text) });
+
+    const rawInput = elements.rawRequestInput || document.getElementById('raw-request-input');
+    const shown = rawInput ? rawInput.innerText : text;
+    // Keep the raw view in sync, or switching back to it would restore the old text
+    const textarea = elements.rawRequestTextarea || document.getElementById('raw-request-textarea');
+    if (textarea) textarea.value = shown;
+
+    state.requestBinaryBody = body.length && !isUtf8(body)
+        ? { bytes: Uint8Array.from(body), text: bodyOf(shown) }
+        : null;
+}
+
+/**
+ * Wire the request hex editor
+ */
+export function setupRequestHexEditor() {
+    const editor = elements.reqHexDisplay || document.getElementById('req-hex-display');
+    if (!editor) return;
+
+    editor.addEventListener('input', () => {
+        try {
+            applyRequestBytes(parseHexDump(editor.value));
+            showStatus(HINT, false);
+        } catch (error) {
+            showStatus(error.message, true);
+        }
+    });
+
+    // Re-align offsets and the ASCII column once editing is done
+    editor.addEventListener('change', () => {
+        try {
+            editor.value = generateHexView(parseHexDump(editor.value));
+        } catch (e) {
+            // Leave the invalid dump for the user to fix
+        }
+    });
+}
@@ -1,8 +1,8 @@
 export function generateHexView(content) {
     if (!content) return '';
 
-    const encoder = new TextEncoder();
-    const data = encoder.encode(content);
+    // Accept raw bytes (binary bodies and WebSocket frames) as well as text
+    const data = typeof content === 'string' ? new TextEncoder().encode(content) : content;
     let output = '';
     const length = data.length;
 
@@ -32,3 +32,28 @@ export function generateHexView(content) {
 
     return output;
 }
+
+/**
+ * Parse a hex dump (as generated above, after editing) back into bytes
+ * Offsets and the ASCII column are ignored, so bytes can be changed, inserted or deleted
+ * anywhere in the hex columns; lines may also hold bare hex ("de ad be ef" / "deadbeef").
+ * @param {string} dump
+ * @returns {Uint8Array}
+ * @throws {Error} When a line holds something other than hex bytes
+ */
+export function parseHexDump(dump) {
+    const bytes = [];
+    (dump || '').split('\n').forEach((line, index) => {
+        // Offset column, then everything from the ASCII column on
+        const hex = line.replace(/^\s*[0-9a-f]{8}(?=\s{2})/i, '').split('|')[0];
+        hex.trim().split(/\s+/).filter(Boolean).forEach(token => {
+            if (token.length % 2 !== 0 || /[^0-9a-f]/i.test(token)) {
+                throw new Error(`Line ${index + 1}: "${token}" is not a hex byte.`);
+            }
+            for (let i = 0; i < token.length; i += 2) {
+                bytes.push(parseInt(token.substr(i, 2), 16));
+            }
+        });
+    });
+    return Uint8Array.from(bytes);
+}
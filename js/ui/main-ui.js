@@ -5,6 +5,8 @@ import { events, EVENT_NAMES } from '../core/events.js';
 import { selectRequest, switchRequestView, switchResponseView, toggleLayout, initPreviewControls, updatePreview } from './request-editor.js';
 import { generateHexView } from './hex-view.js';
 import { generateJsonView } from './json-view.js';
+import { prettyPrintResponse } from '../network/response-parser.js';
+import { messageBytes } from '../network/body-bytes.js';
 
 // DOM Elements (initialized in initUI)
 export const elements = {};
@@ -16,6 +18,12 @@ export function initUI() {
     elements.rawRequestInput = document.getElementById('raw-request-input');
     elements.useHttpsCheckbox = document.getElementById('use-https');
     elements.sendBtn = document.getElementById('send-btn');
+    elements.cancelBtn = document.getElementById('cancel-btn');
+    elements.transportSelect = document.getElementById('transport-select');
+    elements.redirectSelect = document.getElementById('redirect-select');
+    elements.credentialsSelect = document.getElementById('credentials-select');
+    elements.timeoutSelect = document.getElementById('timeout-select');
+    elements.retriesSelect = document.getElementById('retries-select');
     elements.rawResponseDisplay = document.getElementById('raw-response-display');
     elements.rawResponseText = document.getElementById('raw-response-text');
     elements.hexResponseDisplay = document.getElementById('res-hex-display');
@@ -23,6 +31,7 @@ export function initUI() {
     elements.resStatus = document.getElementById('res-status');
     elements.resTime = document.getElementById('res-time');
     elements.resSize = document.getElementById('res-size');
+    elements.resWarnings = document.getElementById('res-warnings');
     elements.undoBtn = document.getElementById('undo-btn');
     elements.redoBtn = document.getElementById('redo-btn');
     elements.copyReqBtn = document.getElementById('copy-req-btn');
@@ -34,6 +43,7 @@ export function initUI() {
     elements.removeDuplicatesBtn = document.getElementById('remove-duplicates-btn');
     elements.clearAllBtn = document.getElementById('clear-all-btn');
     elements.exportBtn = document.getElementById('export-btn');
+    elements.exportHarBtn = document.getElementById('export-har-btn');
     elements.importBtn = document.getElementById('import-btn');
     elements.importFile = document.getElementById('import-file');
     elements.diffToggle = document.querySelector('.diff-toggle');
@@ -41,6 +51,7 @@ export function initUI() {
     elements.toggleGroupsBtn = document.getElementById('toggle-groups-btn');
     elements.toggleObjectsBtn = document.getElementById('toggle-objects-btn');
     elements.colorFilterBtn = document.getElementById('color-filter-btn');
+    elements.tagFilterBtn = document.getElementById('tag-filter-btn');
     elements.toggleSidebarBtn = document.getElementById('toggle-sidebar-btn');
     elements.showSidebarBtn = document.getElementById('show-sidebar-btn');
     elements.llmChatToggleBtn = document.getElementById('llm-chat-toggle-btn');
@@ -276,7 +287,7 @@ function setupEventListeners() {
     });
 
     // Update response view (captured or replayed)
-    events.on(EVENT_NAMES.UI_UPDATE_RESPONSE_VIEW, ({ status, statusClass, time, size, content }) => {
+    events.on(EVENT_NAMES.UI_UPDATE_RESPONSE_VIEW, ({ status, statusClass, time, size, content, bodyBytes }) => {
         if (elements.resStatus) {
             elements.resStatus.textContent = status || '';
             elements.resStatus.className = statusClass || 'status-badge';
@@ -287,15 +298,18 @@ function setupEventListeners() {
         if (elements.resSize) {
             elements.resSize.textContent = size || '';
         }
+        if (elements.resWarnings) {
+            elements.resWarnings.style.display = 'none';
+        }
         if (elements.rawResponseDisplay) {
-            elements.rawResponseDisplay.innerHTML = highlightHTTP(content || '');
+            elements.rawResponseDisplay.innerHTML = highlightHTTP(prettyPrintResponse(content || ''));
             elements.rawResponseDisplay.style.display = 'block';
             elements.rawResponseDisplay.style.visibility = 'visible';
         }
         if (elements.rawResponseText)
             elements.rawResponseText.textContent = content;
         if (elements.hexResponseDisplay)
-            elements.hexResponseDisplay.textContent = generateHexView(content);
+            elements.hexResponseDisplay.textContent = generateHexView(messageBytes(content, bodyBytes));
         if (elements.jsonResponseDisplay) {
             elements.jsonResponseDisplay.innerHTML = '';
             elements.jsonResponseDisplay.appendChild(generateJsonView(content));
@@ -360,13 +374,6 @@ function setupEventListeners() {
         }
     });
 
-    // Restore grouped view (from request-actions.js)
-    events.on('request:restore-grouped-view', () => {
-        state.requests.forEach((request, index) => {
-            events.emit(EVENT_NAMES.REQUEST_RENDERED, { request, index });
-        });
-    });
-
     // Clear all UI (from ui-utils.js)
     events.on(EVENT_NAMES.UI_CLEAR_ALL, () => {
         if (elements.rawRequestInput) {
@@ -389,7 +396,7 @@ function setupEventListeners() {
 }
 
 // Re-export everything from split modules
-export { renderRequestList, renderRequestItem, filterRequests, createRequestItemElement, createPageGroup, createDomainGroup } from './request-list.js';
+export { renderRequestList, renderRequestItem, filterRequests, createRequestItemElement, toggleAllGroups } from './request-list.js';
 export { selectRequest, switchRequestView, switchResponseView, toggleLayout, initPreviewControls, setupRawRequestEditor, initLayoutToggle } from './request-editor.js';
-export { toggleStar, toggleGroupStar, setTimelineFilter, toggleAllGroups, getFilteredRequests, setRequestColor } from './request-actions.js';
+export { toggleStar, toggleGroupStar, setTimelineFilter, getFilteredRequests, setRequestColor } from './request-actions.js';
 export { updateHistoryButtons, clearAllRequestsUI, setupResizeHandle, toggleAllObjects, setupSidebarResize, setupContextMenu, setupUndoRedo, captureScreenshot, exportRequests, importRequests } from './ui-utils.js';
@@ -0,0 +1,213 @@
+// Query Bar Module - Autocomplete, validation and saved presets for the request filter query
+import { state, actions } from '../core/state.js';
+import { events, EVENT_NAMES } from '../core/events.js';
+import { escapeHtml } from '../core/utils/dom.js';
+import { parseQuery, suggestQuery } from '../core/utils/query.js';
+import { elements } from './main-ui.js';
+
+const SAVED_QUERIES_KEY = 'rep_saved_queries';
+
+/**
+ * Saved filter queries, in the order they were saved
+ * @returns {Array<{name: string, query: string}>}
+ */
+export function loadSavedQueries() {
+    try {
+        const saved = JSON.parse(localStorage.getItem(SAVED_QUERIES_KEY) || '[]');
+        return Array.isArray(saved) ? saved.filter(item => item && item.name && typeof item.query === 'string') : [];
+    } catch (e) {
+        return [];
+    }
+}
+
+/**
+ * Save a query as a preset, replacing a preset with the same name
+ * @param {string} name
+ * @param {string} query
+ * @returns {Array<{name: string, query: string}>}
+ */
+export function saveQuery(name, query) {
+    const saved = loadSavedQueries();
+    const existing = saved.find(item => item.name === name);
+    if (existing) existing.query = query;
+    else saved.push({ name, query });
+    localStorage.setItem(SAVED_QUERIES_KEY, JSON.stringify(saved));
+    return saved;
+}
+
+/**
+ * @param {string} name
+ * @returns {Array<{name: string, query: string}>}
+ */
+export function deleteSavedQuery(name) {
+    const saved = loadSavedQueries().filter(item => item.name !== name);
+    localStorage.setItem(SAVED_QUERIES_KEY, JSON.stringify(saved));
+    return saved;
+}
+
+export function setupQueryBar() {
+    const searchBar = elements.searchBar;
+    const suggestionBox = document.getElementById('search-suggestions');
+    const saveBtn = document.getElementById('save-query-btn');
+    const presetBar = document.getElementById('query-presets');
+    if (!searchBar || !suggestionBox) return;
+
+    // Suggestions on screen: { start, end, items } from suggestQuery
+    let suggestions = null;
+    let activeIndex = -1;
+
+    function validate() {
+        const error = state.useRegex ? null : parseQuery(searchBar.value).error;
+        searchBar.classList.toggle('invalid', Boolean(error));
+        searchBar.title = error ? error.message : '';
+        return error;
+    }
+
+    function hideSuggestions() {
+        suggestions = null;
+        activeIndex = -1;
+        suggestionBox.style.display = 'none';
+    }
+
+    function showSuggestions() {
+        const error = validate();
+        if (state.useRegex || document.activeElement !== searchBar) {
+            hideSuggestions();
+            return;
+        }
+        suggestions = suggestQuery(searchBar.value, searchBar.selectionStart ?? searchBar.value.length, state.requests);
+        activeIndex = -1;
+        if (!error && suggestions.items.length === 0) {
+            hideSuggestions();
+            return;
+        }
+
+        suggestionBox.innerHTML = '';
+        if (error) {
+            const errorRow = document.createElement('div');
+            errorRow.className = 'search-suggestion-error';
+            errorRow.textContent = error.message;
+            suggestionBox.appendChild(errorRow);
+        }
+        suggestions.items.forEach((item, index) => {
+            const row = document.createElement('div');
+            row.className = 'search-suggestion';
+            row.dataset.index = index;
+            row.innerHTML = `<span class="search-suggestion-label">${escapeHtml(item.label)}</span>` +
+                (item.detail ? `<span class="search-suggestion-detail">${escapeHtml(item.detail)}</span>` : '');
+            suggestionBox.appendChild(row);
+        });
+        suggestionBox.style.display = 'block';
+    }
+
+    function highlight(index) {
+        activeIndex = index;
+        suggestionBox.querySelectorAll('.search-suggestion').forEach(row => {
+            const active = Number(row.dataset.index) === index;
+            row.classList.toggle('active', active);
+            if (active && row.scrollIntoView) row.scrollIntoView({ block: 'nearest' });
+        });
+    }
+
+    function accept(item) {
+        const { start, end } = suggestions;
+        const value = searchBar.value;
+        searchBar.value = value.slice(0, start) + item.insert + value.slice(end);
+        const cursor = start + item.insert.length;
+        searchBar.setSelectionRange(cursor, cursor);
+        // Same path as typing: filters.js sets the search
+        searchBar.dispatchEvent(new Event('input', { bubbles: true }));
+    }
+
+    function applyQuery(query) {
+        searchBar.value = query;
+        actions.filter.setSearch(query.toLowerCase(), false);
+        hideSuggestions();
+    }
+
+    function renderPresets() {
+        if (!presetBar) return;
+        const saved = loadSavedQueries();
+        presetBar.innerHTML = '';
+        presetBar.style.display = saved.length ? 'flex' : 'none';
+        const current = state.useRegex ? null : state.currentSearchTerm.trim();
+        saved.forEach(({ name, query }) => {
+            const chip = document.createElement('button');
+            chip.className = 'query-preset';
+            chip.classList.toggle('active', current === query.toLowerCase().trim());
+            chip.title = query;
+            chip.innerHTML = `<span>${escapeHtml(name)}</span><span class="query-preset-remove" title="Delete saved query">×</span>`;
+            chip.addEventListener('click', (e) => {
+                if (e.target.classList.contains('query-preset-remove')) {
+                    if (confirm(`Delete the saved query "${name}"?`)) {
+                        deleteSavedQuery(name);
+                        renderPresets();
+                    }
+                    return;
+                }
+                // Clicking the active preset clears it
+                applyQuery(chip.classList.contains('active') ? '' : query);
+            });
+            presetBar.appendChild(chip);
+        });
+    }
+
+    searchBar.addEventListener('input', showSuggestions);
+    searchBar.addEventListener('focus', showSuggestions);
+    searchBar.addEventListener('click', showSuggestions);
+    searchBar.addEventListener('blur', hideSuggestions);
+
+    searchBar.addEventListener('keydown', (e) => {
+        if (!suggestions) return;
+        const count = suggestions.items.length;
+        if (e.key === 'ArrowDown' && count) {
+            e.preventDefault();
+            highlight((activeIndex + 1) % count);
+        } else if (e.key === 'ArrowUp' && count) {
+            e.preventDefault();
+            highlight((activeIndex - 1 + count) % count);
+        } else if ((e.key === 'Tab' || e.key === 'Enter') && count) {
+            if (e.key === 'Enter' && activeIndex === -1) {
+                hideSuggestions();
+                return;
+            }
+            e.preventDefault();
+            accept(suggestions.items[Math.max(activeIndex, 0)]);
+        } else if (e.key === 'Escape') {
+            hideSuggestions();
+        }
+    });
+
+    // mousedown keeps the focus in the search bar
+    suggestionBox.addEventListener('mousedown', (e) => {
+        e.preventDefault();
+        const row = e.target.closest('.search-suggestion');
+        if (row && suggestions) accept(suggestions.items[Number(row.dataset.index)]);
+    });
+
+    if (saveBtn) {
+        saveBtn.addEventListener('click', () => {
+            const query = searchBar.value.trim();
+            if (!query || state.useRegex) {
+                alert('Type a filter query to save first (regex mode off).');
+                return;
+            }
+            const { error } = parseQuery(query);
+            if (error) {
+                alert(`This query is not valid: ${error.message}`);
+                return;
+            }
+            const name = prompt('Name for this query:', query);
+            if (!name || !name.trim()) return;
+            saveQuery(name.trim(), query);
+            renderPresets();
+        });
+    }
+
+    events.on(EVENT_NAMES.STATE_SEARCH_CHANGED, () => {
+        validate();
+        renderPresets();
+    });
+
+    renderPresets();
+}
@@ -0,0 +1,93 @@
+// Redirect Chain Module - Hops of the last replay (status, Location, Set-Cookie)
+// Clicking a hop opens its request in the editor with the response it got.
+import { state } from '../core/state.js';
+import { events, EVENT_NAMES } from '../core/events.js';
+import { escapeHtml } from '../core/utils/dom.js';
+import { formatBytes } from '../core/utils/format.js';
+import { bytesToText } from '../network/body-bytes.js';
+import { formatRawResponse, getStatusClass } from '../network/response-parser.js';
+import { buildRawRequest, openDetachedRequest } from './request-editor.js';
+
+let hops = [];
+
+function getContainer() {
+    return document.getElementById('redirect-chain');
+}
+
+/**
+ * Show the hops of a replay (hidden when nothing redirected)
+ * @param {Array<Object>} [redirects] - As returned by followRedirects
+ * @param {number} [selected] - Hop shown in the editor
+ */
+export function renderRedirectChain(redirects = [], selected = redirects.length - 1) {
+    const container = getContainer();
+    if (!container) return;
+    hops = redirects;
+    if (!hops.some(hop => hop.location)) {
+        container.style.display = 'none';
+        container.innerHTML = '';
+        return;
+    }
+
+    const last = hops[hops.length - 1];
+    const stopped = last.location ? ' — stopped here' : '';
+    container.innerHTML = `
+        <div class="redirect-chain-title">Redirect chain (${hops.length - 1} redirect${hops.length === 2 ? '' : 's'}${stopped})</div>
+        ${hops.map((hop, index) => `
+            <div class="redirect-hop ${index === selected ? 'selected' : ''}" data-index="${index}" title="Open this hop in the editor">
+                <span class="${getStatusClass(hop.status)}">${escapeHtml(`${hop.status} ${hop.statusText}`.trim())}</span>
+                <span class="redirect-hop-url">${escapeHtml(`${hop.request.method} ${hop.request.url}`)}</span>
+                ${hop.location ? `<span class="redirect-hop-location">→ ${escapeHtml(hop.location)}</span>` : ''}
+                ${hop.setCookies.map(cookie => `<div class="redirect-hop-cookie">Set-Cookie: ${escapeHtml(cookie)}</div>`).join('')}
+            </div>
+        `).join('')}
+    `;
+    container.style.display = 'block';
+}
+
+/**
+ * Hide the chain (another request was opened)
+ */
+export function clearRedirectChain() {
+    renderRedirectChain([]);
+}
+
+function openHop(index) {
+    const hop = hops[index];
+    if (!hop) return;
+    const { request } = hop;
+    const body = request.body === undefined || typeof request.body === 'string' ? request.body : bytesToText(request.body);
+
+    const chain = hops;
+    openDetachedRequest(buildRawRequest({
+        method: request.method,
+        url: request.url,
+        headers: request.headers,
+        postData: body ? { text: body } : undefined
+    }), request.url.startsWith('https:'));
+
+    const rawResponse = formatRawResponse(hop);
+    state.currentResponse = rawResponse;
+    state.currentResponseBody = hop.bodyBytes;
+    events.emit(EVENT_NAMES.UI_UPDATE_RESPONSE_VIEW, {
+        status: `${hop.status} ${hop.statusText}`.trim(),
+        statusClass: getStatusClass(hop.status),
+        time: '',
+        size: hop.bodyBytes ? formatBytes(hop.bodyBytes.length) : '',
+        content: rawResponse,
+        bodyBytes: hop.bodyBytes
+    });
+    renderRedirectChain(chain, index);
+}
+
+/**
+ * Wire clicks on the hops
+ */
+export function setupRedirectChain() {
+    const container = getContainer();
+    if (!container) return;
+    container.addEventListener('click', (e) => {
+        const row = e.target.closest('.redirect-hop');
+        if (row) openHop(parseInt(row.dataset.index, 10));
+    });
+}
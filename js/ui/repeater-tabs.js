@@ -0,0 +1,280 @@
+// Repeater Tabs - Named working copies of requests, each with its own editor state
+// A tab keeps the same state a selected request keeps (undo/redo, history, response,
+// diff baseline); it is saved when the editor leaves the tab and restored when it comes back.
+// Tabs belong to the project: workspace persistence stores them with its requests.
+import { state } from '../core/state.js';
+import { events, EVENT_NAMES } from '../core/events.js';
+import { elements } from './main-ui.js';
+import { buildRawRequest, snapshotEditorState, openSavedEditor, openDetachedRequest } from './request-editor.js';
+
+const TAB_NAME_MAX = 40;
+
+let tabs = []; // Array<{ id, name, requestId, original, useHttps, state }>
+let activeTabId = null;
+let nextTabId = 1;
+
+// Copy the editor into the tab it shows
+function saveActiveTab() {
+    const tab = tabs.find(t => t.id === activeTabId);
+    if (tab && elements.rawRequestInput) {
+        tab.state = snapshotEditorState(tab.original);
+        if (elements.useHttpsCheckbox) tab.useHttps = elements.useHttpsCheckbox.checked;
+    }
+}
+
+// Redraw the strip and let workspace persistence save the tabs
+function tabsChanged() {
+    renderRepeaterTabs();
+    events.emit(EVENT_NAMES.REPEATER_TABS_CHANGED);
+}
+
+// Leaving a tab (for another tab, a request or a detached one) saves it
+events.on(EVENT_NAMES.UI_EDITOR_LEAVING, () => {
+    saveActiveTab();
+    activeTabId = null;
+    tabsChanged();
+});
+
+/**
+ * Default tab name: method and path of the request line
+ * @param {string} rawText
+ * @returns {string}
+ */
+export function tabNameFor(rawText) {
+    const [method = '', target = ''] = (rawText || '').split('\n')[0].trim().split(/\s+/);
+    const name = `${method} ${target.split('?')[0]}`.trim() || 'Untitled';
+    return name.length > TAB_NAME_MAX ? `${name.slice(0, TAB_NAME_MAX - 1)}…` : name;
+}
+
+/**
+ * @returns {Array<Object>} Open tabs, in strip order
+ */
+export function getRepeaterTabs() {
+    return tabs;
+}
+
+/**
+ * @returns {number|null} Id of the tab shown in the editor
+ */
+export function getActiveRepeaterTab() {
+    return activeTabId;
+}
+
+/**
+ * Open tabs as kept by workspace persistence (the tab in the editor is saved first)
+ * @returns {Array<Object>} { id, name, requestId, original, useHttps, state }
+ */
+export function serializeRepeaterTabs() {
+    saveActiveTab();
+    return tabs.map(({ id, name, requestId, original, useHttps, state }) => ({ id, name, requestId, original, useHttps, state }));
+}
+
+/**
+ * Replace the open tabs with a project's saved tabs; none of them is shown in the editor
+ * @param {Array<Object>} saved - From serializeRepeaterTabs
+ */
+export function restoreRepeaterTabs(saved) {
+    tabs = (Array.isArray(saved) ? saved : []).filter(tab => tab && tab.state).map(tab => ({ ...tab }));
+    activeTabId = null;
+    nextTabId = tabs.reduce((next, tab) => Math.max(next, tab.id + 1), 1);
+    renderRepeaterTabs();
+}
+
+/**
+ * Open a new tab and show it in the editor
+ * @param {string} rawText
+ * @param {boolean} useHttps
+ * @param {Object} [options]
+ * @param {string} [options.name]
+ * @param {string} [options.requestId] - Captured request the tab was sent from
+ * @returns {Object} The tab
+ */
+export function openRepeaterTab(rawText, useHttps, { name = null, requestId = null } = {}) {
+    const tab = {
+        id: nextTabId++,
+        name: name || tabNameFor(rawText),
+        requestId,
+        original: rawText,
+        useHttps,
+        state: { content: rawText, undoStack: [rawText], redoStack: [], history: [], historyIndex: -1, binaryBody: null }
+    };
+    tabs.push(tab);
+    activateRepeaterTab(tab.id);
+    return tab;
+}
+
+/**
+ * Open a tab with the captured version of a request
+ * @param {number} index - Request index
+ * @returns {Object|null} The tab
+ */
+export function sendToNewTab(index) {
+    const request = state.requests[index];
+    if (!request || !request.request) return null;
+
+    const url = new URL(request.request.url);
+    const rawText = buildRawRequest(request.request);
+    return openRepeaterTab(rawText, url.protocol === 'https:' || url.protocol === 'wss:', {
+        name: request.name ? request.name.trim() : null,
+        requestId: request.id || null
+    });
+}
+
+/**
+ * Show a tab in the editor (the working copy it replaces is saved first)
+ * @param {number} id
+ */
+export function activateRepeaterTab(id) {
+    const tab = tabs.find(t => t.id === id);
+    if (!tab || id === activeTabId) return;
+
+    openSavedEditor(tab.state, tab.useHttps, tab.original);
+    activeTabId = id;
+    tabsChanged();
+}
+
+/**
+ * Close a tab; closing the one in the editor shows its neighbour, or its request when it was the last
+ * @param {number} id
+ */
+export function closeRepeaterTab(id) {
+    const index = tabs.findIndex(t => t.id === id);
+    if (index === -1) return;
+    const [tab] = tabs.splice(index, 1);
+
+    if (id === activeTabId) {
+        activeTabId = null;
+        const neighbour = tabs[index] || tabs[index - 1];
+        if (neighbour) {
+            activateRepeaterTab(neighbour.id);
+            return;
+        }
+        const requestIndex = tab.requestId ? state.requests.findIndex(r => r && r.id === tab.requestId) : -1;
+        if (requestIndex !== -1) {
+            events.emit(EVENT_NAMES.REQUEST_SELECTED, requestIndex);
+        } else {
+            openDetachedRequest('', tab.useHttps);
+        }
+    }
+    tabsChanged();
+}
+
+/**
+ * @param {number} id
+ * @param {string} name - Ignored when blank
+ */
+export function renameRepeaterTab(id, name) {
+    const tab = tabs.find(t => t.id === id);
+    const trimmed = (name || '').trim();
+    if (!tab || !trimmed) return;
+    tab.name = trimmed;
+    tabsChanged();
+}
+
+/**
+ * Move a tab to another position of the strip
+ * @param {number} id
+ * @param {number} toIndex - Position among the tabs once it is moved
+ */
+export function moveRepeaterTab(id, toIndex) {
+    const index = tabs.findIndex(t => t.id === id);
+    if (index === -1) return;
+    const [tab] = tabs.splice(index, 1);
+    tabs.splice(Math.max(0, Math.min(toIndex, tabs.length)), 0, tab);
+    tabsChanged();
+}
+
+export function renderRepeaterTabs() {
+    const strip = document.getElementById('repeater-tabs');
+    if (!strip) return;
+
+    strip.style.display = tabs.length ? '' : 'none';
+    strip.innerHTML = '';
+    tabs.forEach(tab => {
+        const el = document.createElement('div');
+        el.className = `repeater-tab${tab.id === activeTabId ? ' active' : ''}`;
+        el.dataset.id = tab.id;
+        el.draggable = true;
+        el.title = `${tab.name}\nDouble-click to rename, drag to reorder`;
+
+        const label = document.createElement('span');
+        label.className = 'repeater-tab-name';
+        label.textContent = tab.name;
+
+        const closeBtn = document.createElement('button');
+        closeBtn.className = 'repeater-tab-close';
+        closeBtn.dataset.action = 'close';
+        closeBtn.title = 'Close tab';
+        closeBtn.textContent = '×';
+
+        el.append(label, closeBtn);
+        strip.appendChild(el);
+    });
+
+    const addBtn = document.createElement('button');
+    addBtn.className = 'repeater-tab-add';
+    addBtn.dataset.action = 'duplicate';
+    addBtn.title = 'New tab with the request in the editor';
+    addBtn.textContent = '+';
+    strip.appendChild(addBtn);
+}
+
+export function setupRepeaterTabs() {
+    const strip = document.getElementById('repeater-tabs');
+    if (!strip) return;
+
+    events.on(EVENT_NAMES.REQUEST_ACTION_SEND_TO_TAB, ({ index }) => sendToNewTab(index));
+
+    const tabIdOf = (target) => {
+        const el = target.closest('.repeater-tab');
+        return el ? parseInt(el.dataset.id, 10) : null;
+    };
+
+    strip.addEventListener('click', (e) => {
+        const action = e.target.closest('button[data-action]')?.dataset.action;
+        if (action === 'duplicate') {
+            const rawText = elements.rawRequestInput ? elements.rawRequestInput.innerText : '';
+            openRepeaterTab(rawText, elements.useHttpsCheckbox ? elements.useHttpsCheckbox.checked : true);
+            return;
+        }
+        const id = tabIdOf(e.target);
+        if (id === null) return;
+        if (action === 'close') closeRepeaterTab(id);
+        else activateRepeaterTab(id);
+    });
+
+    strip.addEventListener('dblclick', (e) => {
+        const id = tabIdOf(e.target);
+        const tab = tabs.find(t => t.id === id);
+        if (!tab || e.target.closest('button')) return;
+        const name = prompt('Tab name:', tab.name);
+        if (name !== null) renameRepeaterTab(id, name);
+    });
+
+    // Drag to reorder: dropping on the right half of a tab puts the dragged one after it
+    let draggedId = null;
+    strip.addEventListener('dragstart', (e) => {
+        draggedId = tabIdOf(e.target);
+        if (draggedId === null) return;
+        e.dataTransfer.effectAllowed = 'move';
+        e.dataTransfer.setData('text/plain', String(draggedId));
+    });
+    strip.addEventListener('dragover', (e) => {
+        if (draggedId !== null && tabIdOf(e.target) !== null) e.preventDefault();
+    });
+    strip.addEventListener('drop', (e) => {
+        const targetId = tabIdOf(e.target);
+        if (draggedId === null || targetId === null || targetId === draggedId) return;
+        e.preventDefault();
+        const rect = e.target.closest('.repeater-tab').getBoundingClientRect();
+        const after = e.clientX > rect.left + rect.width / 2;
+        const withoutDragged = tabs.filter(t => t.id !== draggedId);
+        const targetIndex = withoutDragged.findIndex(t => t.id === targetId);
+        moveRepeaterTab(draggedId, after ? targetIndex + 1 : targetIndex);
+    });
+    strip.addEventListener('dragend', () => {
+        draggedId = null;
+    });
+
+    renderRepeaterTabs();
+}
@@ -3,26 +3,31 @@ import { escapeHtml } from '../core/utils/dom.js';
 import { state, actions } from '../core/state.js';
 import { highlightHTTP } from '../core/utils/network.js';
 import { generateHexView } from './hex-view.js';
+import { renderRequestHex } from './hex-editor.js';
+import { clearRedirectChain } from './redirect-chain.js';
 import { generateJsonView } from './json-view.js';
 import { events, EVENT_NAMES } from '../core/events.js';
-import { getStatusClass, formatRawResponse } from '../network/response-parser.js';
+import { getStatusClass, formatRawResponse, getBodySize } from '../network/response-parser.js';
+import { base64ToBytes, bytesToBase64, bytesToText, messageBytes } from '../network/body-bytes.js';
 import { elements } from './main-ui.js';
 
 // Store editor content per request to preserve modifications
 let editorContentByRequest = new Map(); // Map<requestIndex, { content: string, undoStack: string[], redoStack: string[], response?: {...} }>
 let lastSelectedRequestIndex = -1; // Track last selected request to save state
 
+// Saved editor states are keyed by index, so they are meaningless once the list is cleared
+events.on(EVENT_NAMES.STATE_REQUESTS_CLEARED, () => {
+    clearEditorStates();
+});
+
 /**
- * Save current editor state for the given request index (including response)
+ * Copy of what the editor currently shows (request, stacks, history and response)
+ * @param {string|null} originalContent - Kept as the first undo entry
+ * @returns {Object} Saved editor state
  */
-export function saveEditorState(requestIndex) {
-    if (requestIndex === -1 || !elements.rawRequestInput) return;
-    
+export function snapshotEditorState(originalContent = null) {
     const currentContent = elements.rawRequestInput.innerText || elements.rawRequestInput.textContent || '';
     
-    // Get original request content to ensure it's in the undo stack
-    const originalContent = getOriginalRequestContent(requestIndex);
-    
     // Build undo stack - ensure original is first, then current stack (without duplicates)
     let undoStack = [...state.undoStack];
     if (originalContent) {
@@ -36,13 +41,21 @@ export function saveEditorState(requestIndex) {
     const savedState = {
         content: currentContent,
         undoStack: undoStack,
-        redoStack: [...state.redoStack]
+        redoStack: [...state.redoStack],
+        history: [...state.requestHistory],
+        historyIndex: state.historyIndex,
+        sends: [...state.sendHistory],
+        // Bytes are kept as base64 so the state stays JSON (workspace persistence)
+        binaryBody: state.requestBinaryBody
+            ? { base64: bytesToBase64(state.requestBinaryBody.bytes), text: state.requestBinaryBody.text }
+            : null
     };
     
     // Also save response if available
     if (state.currentResponse || (elements.resStatus && elements.resStatus.textContent)) {
         savedState.response = {
             content: state.currentResponse || '',
+            bodyBase64: state.currentResponseBody ? bytesToBase64(state.currentResponseBody) : null,
             status: elements.resStatus ? elements.resStatus.textContent : '',
             statusClass: elements.resStatus ? elements.resStatus.className : 'status-badge',
             time: elements.resTime ? elements.resTime.textContent : '',
@@ -51,10 +64,47 @@ export function saveEditorState(requestIndex) {
         };
     }
     
+    return savedState;
+}
+
+/**
+ * Save current editor state for the given request index (including response)
+ */
+export function saveEditorState(requestIndex) {
+    if (requestIndex === -1 || !elements.rawRequestInput) return;
+    
+    // Get original request content to ensure it's in the undo stack
     // Save state even if content is empty (to preserve response)
+    editorContentByRequest.set(requestIndex, snapshotEditorState(getOriginalRequestContent(requestIndex)));
+}
+
+/**
+ * Get the saved editor state for a request index (used by workspace persistence)
+ * @param {number} requestIndex
+ * @returns {Object|null}
+ */
+export function getEditorState(requestIndex) {
+    return editorContentByRequest.get(requestIndex) || null;
+}
+
+/**
+ * Replace the saved editor state for a request index (used when rehydrating a workspace)
+ * @param {number} requestIndex
+ * @param {Object} savedState - Same shape as produced by saveEditorState
+ */
+export function setEditorState(requestIndex, savedState) {
+    if (requestIndex < 0 || !savedState) return;
     editorContentByRequest.set(requestIndex, savedState);
 }
 
+/**
+ * Forget all saved editor states
+ */
+export function clearEditorStates() {
+    editorContentByRequest.clear();
+    lastSelectedRequestIndex = -1;
+}
+
 /**
  * Get the original request content for a given request index
  */
@@ -69,14 +119,22 @@ function getOriginalRequestContent(requestIndex) {
     }
     
     // Reconstruct original request from captured data
-    const urlObj = new URL(request.request.url);
+    return buildRawRequest(request.request);
+}
+
+/**
+ * Build the editor text for a captured request
+ * @param {Object} request - HAR-style request { method, url, httpVersion, headers, postData }
+ * @returns {string} Raw HTTP request
+ */
+export function buildRawRequest(request) {
+    const urlObj = new URL(request.url);
     const path = urlObj.pathname + urlObj.search;
-    const method = request.request.method;
-    const httpVersion = request.request.httpVersion || 'HTTP/1.1';
+    const httpVersion = request.httpVersion || 'HTTP/1.1';
 
-    let rawText = `${method} ${path} ${httpVersion}\n`;
+    let rawText = `${request.method} ${path} ${httpVersion}\n`;
 
-    let headers = request.request.headers;
+    const headers = request.headers || [];
     const hasHost = headers.some(h => h.name.toLowerCase() === 'host');
     if (!hasHost) {
         rawText += `Host: ${urlObj.host}\n`;
@@ -88,8 +146,8 @@ function getOriginalRequestContent(requestIndex) {
         .join('\n');
 
     // Body
-    if (request.request.postData && request.request.postData.text) {
-        let bodyText = request.request.postData.text;
+    if (request.postData && request.postData.text) {
+        let bodyText = request.postData.text;
         try {
             const jsonBody = JSON.parse(bodyText);
             bodyText = JSON.stringify(jsonBody, null, 2);
@@ -98,10 +156,127 @@ function getOriginalRequestContent(requestIndex) {
         }
         rawText += '\n\n' + bodyText;
     }
-    
+
     return rawText;
 }
 
+/**
+ * Show a request that is not in the list (e.g. one paused by interception) in the editor
+ * The selected request keeps its saved editor state and is deselected.
+ * @param {string} rawText
+ * @param {boolean} useHttps
+ */
+export function openDetachedRequest(rawText, useHttps) {
+    events.emit(EVENT_NAMES.UI_EDITOR_LEAVING);
+    if (lastSelectedRequestIndex !== -1 && elements.rawRequestInput) {
+        saveEditorState(lastSelectedRequestIndex);
+    }
+    lastSelectedRequestIndex = -1;
+    state.selectedRequest = null;
+    state.currentResponse = null;
+    state.currentResponseBody = null;
+    state.requestBinaryBody = null;
+    state.regularRequestBaseline = null;
+    clearRedirectChain();
+    document.querySelectorAll('.request-item.selected').forEach(el => el.classList.remove('selected'));
+
+    state.requestHistory = [];
+    state.historyIndex = -1;
+    state.sendHistory = [];
+    actions.history.add(rawText, useHttps);
+    state.undoStack = [rawText];
+    state.redoStack = [];
+
+    if (elements.rawRequestInput) elements.rawRequestInput.innerHTML = highlightHTTP(rawText);
+    if (elements.useHttpsCheckbox) elements.useHttpsCheckbox.checked = useHttps;
+    events.emit(EVENT_NAMES.UI_UPDATE_HISTORY_BUTTONS);
+}
+
+/**
+ * Show a saved working copy that is not in the list (e.g. a repeater tab) in the editor
+ * @param {Object} savedState - Same shape as produced by snapshotEditorState
+ * @param {boolean} useHttps
+ * @param {string|null} originalContent - Kept as the first undo entry
+ */
+export function openSavedEditor(savedState, useHttps, originalContent = null) {
+    openDetachedRequest(savedState.content || '', useHttps);
+    applyEditorState(savedState, originalContent);
+    if (state.requestHistory.length === 0) {
+        actions.history.add(savedState.content || '', useHttps);
+    }
+
+    if (elements.diffToggle) elements.diffToggle.style.display = 'none';
+    if (!savedState.response) {
+        events.emit(EVENT_NAMES.UI_UPDATE_RESPONSE_VIEW, { status: '', statusClass: 'status-badge', time: '', size: '', content: '' });
+    }
+    events.emit(EVENT_NAMES.UI_UPDATE_HISTORY_BUTTONS);
+}
+
+/**
+ * Put a saved editor state back into state (stacks, history, body bytes, response)
+ * @param {Object} savedState - Same shape as produced by snapshotEditorState
+ * @param {string|null} originalContent - Kept as the first undo entry
+ * @returns {string|null} The restored content
+ */
+function applyEditorState(savedState, originalContent = null) {
+    // Restore undo/redo stacks, but ensure original content is first in undo stack
+    if (savedState.undoStack && savedState.undoStack.length > 0) {
+        // If the first item in the saved stack is not the original, prepend it
+        if (originalContent && savedState.undoStack[0] !== originalContent) {
+            state.undoStack = [originalContent, ...savedState.undoStack];
+        } else {
+            state.undoStack = [...savedState.undoStack];
+        }
+    } else if (originalContent) {
+        // No saved stack, initialize with original
+        state.undoStack = [originalContent];
+    } else {
+        state.undoStack = [];
+    }
+    
+    // Restore redo stack
+    if (savedState.redoStack) {
+        state.redoStack = [...savedState.redoStack];
+    } else {
+        state.redoStack = [];
+    }
+
+    // Restore request history
+    if (savedState.history && savedState.history.length > 0) {
+        state.requestHistory = [...savedState.history];
+        state.historyIndex = typeof savedState.historyIndex === 'number'
+            ? savedState.historyIndex
+            : savedState.history.length - 1;
+    } else {
+        state.requestHistory = [];
+        state.historyIndex = -1;
+    }
+    state.sendHistory = savedState.sends ? [...savedState.sends] : [];
+    
+    state.requestBinaryBody = savedState.binaryBody
+        ? { bytes: base64ToBytes(savedState.binaryBody.base64), text: savedState.binaryBody.text }
+        : null;
+
+    // Restore response if available
+    if (savedState.response) {
+        state.currentResponse = savedState.response.content || '';
+        state.currentResponseBody = savedState.response.bodyBase64 ? base64ToBytes(savedState.response.bodyBase64) : null;
+        state.regularRequestBaseline = savedState.response.baseline || null;
+        
+        // Emit event to update response UI (this will update all response views)
+        events.emit(EVENT_NAMES.UI_UPDATE_RESPONSE_VIEW, {
+            status: savedState.response.status || '',
+            statusClass: savedState.response.statusClass || 'status-badge',
+            time: savedState.response.time || '',
+            size: savedState.response.size || '',
+            content: savedState.response.content || '',
+            bodyBytes: state.currentResponseBody
+        });
+    }
+    
+    return savedState.content || null;
+}
+
 /**
  * Restore editor state for the given request index
  * @returns {string|null} The restored content, or null if no saved state
@@ -114,46 +289,7 @@ function restoreEditorState(requestIndex) {
     const savedState = editorContentByRequest.get(requestIndex);
     if (savedState) {
         // Get original request content to ensure it's the first item in undo stack
-        const originalContent = getOriginalRequestContent(requestIndex);
-        
-        // Restore undo/redo stacks, but ensure original content is first in undo stack
-        if (savedState.undoStack && savedState.undoStack.length > 0) {
-            // If the first item in the saved stack is not the original, prepend it
-            if (originalContent && savedState.undoStack[0] !== originalContent) {
-                state.undoStack = [originalContent, ...savedState.undoStack];
-            } else {
-                state.undoStack = [...savedState.undoStack];
-            }
-        } else if (originalContent) {
-            // No saved stack, initialize with original
-            state.undoStack = [originalContent];
-        } else {
-            state.undoStack = [];
-        }
-        
-        // Restore redo stack
-        if (savedState.redoStack) {
-            state.redoStack = [...savedState.redoStack];
-        } else {
-            state.redoStack = [];
-        }
-        
-        // Restore response if available
-        if (savedState.response) {
-            state.currentResponse = savedState.response.content || '';
-            state.regularRequestBaseline = savedState.response.baseline || null;
-            
-            // Emit event to update response UI (this will update all response views)
-            events.emit(EVENT_NAMES.UI_UPDATE_RESPONSE_VIEW, {
-                status: savedState.response.status || '',
-                statusClass: savedState.response.statusClass || 'status-badge',
-                time: savedState.response.time || '',
-                size: savedState.response.size || '',
-                content: savedState.response.content || ''
-            });
-        }
-        
-        return savedState.content || null;
+        return applyEditorState(savedState, getOriginalRequestContent(requestIndex));
     }
     
     return null;
@@ -167,6 +303,9 @@ export function selectRequest(index) {
     }
     
     // Save current editor state before switching (if we had a previous selection)
+    if (lastSelectedRequestIndex !== index) {
+        events.emit(EVENT_NAMES.UI_EDITOR_LEAVING);
+    }
     if (lastSelectedRequestIndex !== -1 && lastSelectedRequestIndex !== index && elements.rawRequestInput) {
         saveEditorState(lastSelectedRequestIndex);
     }
@@ -186,48 +325,23 @@ export function selectRequest(index) {
     lastSelectedRequestIndex = index;
 
     // Try to restore saved editor state, otherwise reconstruct from original
+    state.requestBinaryBody = null;
+    state.currentResponseBody = null;
+    clearRedirectChain();
     let rawText = restoreEditorState(index);
     let useHttps = false;
     
     if (!rawText) {
         // No saved state - reconstruct from original captured request
-        // Parse URL
         const urlObj = new URL(state.selectedRequest.request.url);
-        const path = urlObj.pathname + urlObj.search;
-        const method = state.selectedRequest.request.method;
-        const httpVersion = state.selectedRequest.request.httpVersion || 'HTTP/1.1';
-
-        // Construct Raw Request
-        rawText = `${method} ${path} ${httpVersion}\n`;
-
-        let headers = state.selectedRequest.request.headers;
-        const hasHost = headers.some(h => h.name.toLowerCase() === 'host');
-        if (!hasHost) {
-            rawText += `Host: ${urlObj.host}\n`;
-        }
-
-        rawText += headers
-            .filter(h => !h.name.startsWith(':'))
-            .map(h => `${h.name}: ${h.value}`)
-            .join('\n');
-
-        // Body
-        if (state.selectedRequest.request.postData && state.selectedRequest.request.postData.text) {
-            let bodyText = state.selectedRequest.request.postData.text;
-            try {
-                const jsonBody = JSON.parse(bodyText);
-                bodyText = JSON.stringify(jsonBody, null, 2);
-            } catch (e) {
-                // Not JSON or invalid JSON, use as-is
-            }
-            rawText += '\n\n' + bodyText;
-        }
+        rawText = buildRawRequest(state.selectedRequest.request);
 
-        useHttps = urlObj.protocol === 'https:';
+        useHttps = urlObj.protocol === 'https:' || urlObj.protocol === 'wss:';
 
         // Initialize History (only for new/original requests)
         state.requestHistory = [];
         state.historyIndex = -1;
+        state.sendHistory = [];
         // Use action to add to history (automatically emits events)
         actions.history.add(rawText, useHttps);
 
@@ -237,7 +351,7 @@ export function selectRequest(index) {
     } else {
         // Restored from saved state - determine useHttps from URL
         const urlObj = new URL(state.selectedRequest.request.url);
-        useHttps = urlObj.protocol === 'https:';
+        useHttps = urlObj.protocol === 'https:' || urlObj.protocol === 'wss:';
         
         // History and undo/redo stacks were already restored by restoreEditorState
         // But we need to ensure history is initialized if it wasn't saved
@@ -274,18 +388,22 @@ export function selectRequest(index) {
         const statusText = state.selectedRequest.responseStatusText || '';
         const responseHeaders = state.selectedRequest.responseHeaders || [];
         const responseBody = state.selectedRequest.responseBody || '';
+        // getContent reports binary bodies as base64: show them decoded, keep their bytes
+        const bodyBytes = state.selectedRequest.responseEncoding === 'base64' ? base64ToBytes(responseBody) : null;
 
         const rawResponse = formatRawResponse({
+            httpVersion: state.selectedRequest.response?.httpVersion,
             status,
             statusText,
             headers: responseHeaders,
-            body: responseBody
+            body: bodyBytes ? bytesToText(bodyBytes) : responseBody
         });
 
         state.currentResponse = rawResponse;
+        state.currentResponseBody = bodyBytes;
 
-        // Estimate size from body length
-        const sizeBytes = new TextEncoder().encode(responseBody || '').length;
+        // Size of the body as received (base64 bodies are binary)
+        const sizeBytes = getBodySize(responseBody, state.selectedRequest.responseEncoding);
         const sizeLabel = sizeBytes ? `${sizeBytes} bytes` : '';
 
         events.emit(EVENT_NAMES.UI_UPDATE_RESPONSE_VIEW, {
@@ -294,6 +412,7 @@ export function selectRequest(index) {
             time: '', // devtools listener doesn't provide timing per request; leave empty
             size: sizeLabel,
             content: rawResponse,
+            bodyBytes,
             diffEnabled: false,
             baseline: null,
             showDiff: false
@@ -422,8 +541,7 @@ export function switchRequestView(view) {
         const textarea = elements.rawRequestTextarea || document.getElementById('raw-request-textarea');
         if (textarea) textarea.value = content;
     } else if (view === 'hex') {
-        const hexDisplay = elements.reqHexDisplay || document.getElementById('req-hex-display');
-        if (hexDisplay) hexDisplay.textContent = generateHexView(content);
+        renderRequestHex(content);
     } else if (view === 'pretty') {
         // Ensure pretty view is up to date if coming from raw
         const textarea = elements.rawRequestTextarea || document.getElementById('raw-request-textarea');
@@ -461,7 +579,7 @@ export function switchResponseView(view) {
         if (pre) pre.textContent = content;
     } else if (view === 'hex') {
         const hexDisplay = elements.hexResponseDisplay || document.getElementById('res-hex-display');
-        if (hexDisplay) hexDisplay.textContent = generateHexView(content);
+        if (hexDisplay) hexDisplay.textContent = generateHexView(messageBytes(content, state.currentResponseBody));
     } else if (view === 'json') {
         const jsonDisplay = elements.jsonResponseDisplay || document.getElementById('res-json-display');
         if (jsonDisplay) {
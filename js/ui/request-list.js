@@ -1,22 +1,136 @@
-// Request List Rendering Module
+// Request List Rendering Module - Grouped and timeline views, virtualized:
+// only the rows in view are in the DOM, built from state on every redraw
 import { state } from '../core/state.js';
 import { formatTime } from '../core/utils/format.js';
 import { escapeHtml } from '../core/utils/dom.js';
 import { getHostname } from '../core/utils/network.js';
+import { parseQuery, matchesQuery, getRequestFields } from '../core/utils/query.js';
 import { events, EVENT_NAMES } from '../core/events.js';
+import { isWebSocketEntry } from '../network/websocket.js';
+import { VirtualList } from './virtual-list.js';
 
 const STAR_ICON_FILLED = '<svg viewBox="0 0 24 24" width="14" height="14" fill="currentColor"><path d="M12 17.27L18.18 21l-1.64-7.03L22 9.24l-7.19-.61L12 2 9.19 8.63 2 9.24l5.46 4.73L5.82 21z"/></svg>';
 const STAR_ICON_OUTLINE = '<svg viewBox="0 0 24 24" width="14" height="14" fill="currentColor"><path d="M22 9.24l-7.19-.62L12 2 9.19 8.63 2 9.24l5.46 4.73L5.82 21 12 17.27 18.18 21l-1.63-7.03L22 9.24zM12 15.4l-3.76 2.27 1-4.28-3.32-2.88 4.38-.38L12 6.1l1.71 4.01 4.38.38-3.32 2.88 1 4.28L12 15.4z"/></svg>';
 
-export function createPageGroup(pageUrl) {
-    const pageHostname = getHostname(pageUrl);
-    const group = document.createElement('div');
-    group.className = 'page-group';
-    group.id = `page-${pageHostname.replace(/[^a-zA-Z0-9-]/g, '-')}`;
-    group.dataset.pageUrl = pageUrl;
+// Actions of the request item context menu
+const REQUEST_MENU_ACTIONS = {
+    'send-to-tab': EVENT_NAMES.REQUEST_ACTION_SEND_TO_TAB,
+    'edit-notes': EVENT_NAMES.REQUEST_ACTION_EDIT_NOTES
+};
 
+function getRequestMenu() {
+    const menu = document.getElementById('request-list-menu');
+    if (!menu || menu.dataset.bound) return menu;
+
+    menu.dataset.bound = 'true';
+    menu.addEventListener('click', (e) => {
+        const item = e.target.closest('.context-menu-item[data-action]');
+        if (!item) return;
+        e.stopPropagation();
+        menu.classList.remove('show');
+        const eventName = REQUEST_MENU_ACTIONS[item.dataset.action];
+        if (eventName) events.emit(eventName, { index: parseInt(menu.dataset.index, 10) });
+    });
+    document.addEventListener('click', (e) => {
+        if (!menu.contains(e.target)) menu.classList.remove('show');
+    });
+    return menu;
+}
+
+/**
+ * Open the context menu of a request item
+ * @param {number} x
+ * @param {number} y
+ * @param {number} index - Request index
+ */
+function showRequestMenu(x, y, index) {
+    const menu = getRequestMenu();
+    if (!menu) return;
+    menu.dataset.index = index;
+
+    // Show first to measure, but keep invisible
+    menu.style.visibility = 'hidden';
+    menu.classList.add('show');
+    const left = x + menu.offsetWidth > window.innerWidth ? x - menu.offsetWidth : x;
+    const top = y + menu.offsetHeight > window.innerHeight ? y - menu.offsetHeight : y;
+    menu.style.left = `${left}px`;
+    menu.style.top = `${top}px`;
+    menu.style.visibility = 'visible';
+}
+
+/**
+ * Finding, tag and note badges of a request item
+ * @param {Object} request
+ * @returns {HTMLElement|null} null when the request has none
+ */
+export function createMetadataBadges(request) {
+    const tags = request.tags || [];
+    if (!request.finding && tags.length === 0 && !request.notes) return null;
+
+    const container = document.createElement('span');
+    container.className = 'req-meta';
+
+    if (request.finding) {
+        const finding = document.createElement('span');
+        finding.className = `finding-badge severity-${request.finding}`;
+        finding.textContent = request.finding;
+        finding.title = `Finding: ${request.finding}`;
+        container.appendChild(finding);
+    }
+
+    tags.forEach(tag => {
+        const badge = document.createElement('span');
+        badge.className = 'req-tag';
+        badge.textContent = tag;
+        container.appendChild(badge);
+    });
+
+    if (request.notes) {
+        const note = document.createElement('span');
+        note.className = 'req-note-icon';
+        note.textContent = '✎';
+        note.title = request.notes;
+        container.appendChild(note);
+    }
+
+    return container;
+}
+
+// Heights of the list rows (px). Rows are sized to them, so scroll offsets stay exact.
+const ROW_HEIGHTS = {
+    page: 38,
+    path: 30,
+    domain: 32,
+    category: 26,
+    timeline: 30,
+    request: 36
+};
+
+// Expanded and collapsed groups: pages by hostname, the rest by page hostname + name
+const groupState = {
+    expandedPages: new Set(),
+    expandedDomains: new Set(),
+    collapsedPaths: new Set(),
+    collapsedCategories: new Set()
+};
+
+// Groups in the last rows built (for collapse/expand all)
+let knownGroups = { pages: [], domains: [], categories: [] };
+
+function groupKey(pageHostname, name) {
+    return `${pageHostname}\n${name}`;
+}
+
+/**
+ * Header row of a page group (requests made while the page was open)
+ * @param {Object} page - Page group of the row model
+ */
+function createPageHeader(page) {
+    const pageHostname = page.hostname;
     const header = document.createElement('div');
     header.className = 'page-header';
+    if (groupState.expandedPages.has(pageHostname)) header.classList.add('expanded');
+    header.dataset.pageUrl = page.pageUrl;
 
     const hasAnalysis = state.domainsWithAttackSurface.has(pageHostname);
 
@@ -24,7 +138,7 @@ export function createPageGroup(pageUrl) {
         <span class="page-toggle-btn">▶</span>
         <span class="page-icon">📄</span>
         <span class="page-name">${escapeHtml(pageHostname)}</span>
-        <span class="page-count">(0)</span>
+        <span class="page-count">(${page.total})</span>
         <button class="group-ai-btn ${hasAnalysis ? 'analyzed' : ''}" title="${hasAnalysis ? 'Show Normal View' : 'Analyze Attack Surface'}">
             ${hasAnalysis ? '📋' : '⚡'}
         </button>
@@ -36,24 +150,18 @@ export function createPageGroup(pageUrl) {
         </button>
     `;
 
-    const content = document.createElement('div');
-    content.className = 'page-content';
-
     header.addEventListener('click', (e) => {
         // Don't toggle if clicking on buttons
         if (e.target.closest('.group-ai-btn') || e.target.closest('.group-star-btn') || e.target.closest('.group-delete-btn')) return;
 
-        group.classList.toggle('expanded');
-
-        // If collapsing the page, also collapse third-party domain groups for cleanliness
-        if (!group.classList.contains('expanded')) {
-            const domainGroups = group.querySelectorAll('.domain-group');
-            domainGroups.forEach(domainGroup => {
-                domainGroup.classList.remove('expanded');
-                const toggle = domainGroup.querySelector('.group-toggle');
-                if (toggle) toggle.textContent = '▶';
-            });
+        if (groupState.expandedPages.has(pageHostname)) {
+            groupState.expandedPages.delete(pageHostname);
+            // Collapsing the page also collapses its third-party domain groups for cleanliness
+            page.domains.forEach(domain => groupState.expandedDomains.delete(groupKey(pageHostname, domain.hostname)));
+        } else {
+            groupState.expandedPages.add(pageHostname);
         }
+        rebuildRequestList();
     });
 
     // AI button handler
@@ -61,23 +169,13 @@ export function createPageGroup(pageUrl) {
     aiBtn.addEventListener('click', async (e) => {
         e.stopPropagation();
 
-        const hasAnalysis = state.domainsWithAttackSurface.has(pageHostname);
-
-        if (hasAnalysis) {
+        if (state.domainsWithAttackSurface.has(pageHostname)) {
             // Toggle back to normal view
             state.domainsWithAttackSurface.delete(pageHostname);
-            aiBtn.classList.remove('analyzed');
-            aiBtn.title = 'Analyze Attack Surface';
-            aiBtn.textContent = '⚡';
-
-            // Re-render requests for this domain
-            reRenderDomainRequests(pageHostname);
             events.emit(EVENT_NAMES.UI_UPDATE_REQUEST_LIST);
-        } else {
-            // Analyze - use window function to avoid circular dependency
-            if (window.analyzeDomainAttackSurface) {
-                await window.analyzeDomainAttackSurface(pageHostname, group);
-            }
+        } else if (window.analyzeDomainAttackSurface) {
+            // Use window function to avoid circular dependency
+            await window.analyzeDomainAttackSurface(pageHostname, header);
         }
     });
 
@@ -90,58 +188,45 @@ export function createPageGroup(pageUrl) {
     const deleteBtn = header.querySelector('.group-delete-btn');
     deleteBtn.addEventListener('click', (e) => {
         e.stopPropagation();
-        events.emit(EVENT_NAMES.REQUEST_ACTION_DELETE_GROUP, { type: 'page', hostname: pageHostname, groupElement: group });
+        events.emit(EVENT_NAMES.REQUEST_ACTION_DELETE_GROUP, { type: 'page', hostname: pageHostname, groupElement: header });
     });
 
-    group.appendChild(header);
-    group.appendChild(content);
-
-    return group;
+    return header;
 }
 
 // Root path group for first-party requests under a page
-function createPathGroup() {
-    const group = document.createElement('div');
-    group.className = 'path-group expanded'; // default expanded
-    group.id = 'path-root';
-
+function createPathHeader(page) {
+    const collapsed = groupState.collapsedPaths.has(page.hostname);
     const header = document.createElement('div');
     header.className = 'path-header';
     header.innerHTML = `
-        <span class="group-toggle">▼</span>
+        <span class="group-toggle">${collapsed ? '▶' : '▼'}</span>
         <span class="path-icon">🗂️</span>
         <span class="path-name">/</span>
-        <span class="path-count">(0)</span>
+        <span class="path-count">(${page.path.total})</span>
     `;
 
-    const content = document.createElement('div');
-    content.className = 'path-content';
-
-    header.addEventListener('click', (e) => {
+    header.addEventListener('click', () => {
         // No buttons to skip; entire header toggles
-        group.classList.toggle('expanded');
-        const toggle = header.querySelector('.group-toggle');
-        const isExpanded = group.classList.contains('expanded');
-        if (toggle) toggle.textContent = isExpanded ? '▼' : '▶';
+        if (collapsed) groupState.collapsedPaths.delete(page.hostname);
+        else groupState.collapsedPaths.add(page.hostname);
+        rebuildRequestList();
     });
 
-    group.appendChild(header);
-    group.appendChild(content);
-    return group;
+    return header;
 }
 
-export function createDomainGroup(hostname, isThirdParty = false) {
-    const group = document.createElement('div');
-    group.className = `domain-group${isThirdParty ? ' third-party' : ''}`;
-    group.id = `domain-${hostname.replace(/[^a-zA-Z0-9-]/g, '-')}`;
-
+function createDomainHeader(page, domain) {
+    const hostname = domain.hostname;
+    const key = groupKey(page.hostname, hostname);
+    const expanded = groupState.expandedDomains.has(key);
     const header = document.createElement('div');
     header.className = 'domain-header';
     header.innerHTML = `
-        <span class="group-toggle">▶</span>
+        <span class="group-toggle">${expanded ? '▼' : '▶'}</span>
         <span class="domain-icon">🌐</span>
         <span class="domain-name">${escapeHtml(hostname)}</span>
-        <span class="domain-count">(0)</span>
+        <span class="domain-count">(${domain.total})</span>
         <button class="group-star-btn ${state.starredDomains.has(hostname) ? 'active' : ''}" title="${state.starredDomains.has(hostname) ? 'Unstar Group' : 'Star Group'}">
             ${state.starredDomains.has(hostname) ? STAR_ICON_FILLED : STAR_ICON_OUTLINE}
         </button>
@@ -150,16 +235,13 @@ export function createDomainGroup(hostname, isThirdParty = false) {
         </button>
     `;
 
-    const content = document.createElement('div');
-    content.className = 'domain-content';
-
     header.addEventListener('click', (e) => {
         // Don't toggle if clicking on buttons
         if (e.target.closest('.group-star-btn') || e.target.closest('.group-delete-btn')) return;
-        
-        group.classList.toggle('expanded');
-        const toggle = header.querySelector('.group-toggle');
-        toggle.textContent = group.classList.contains('expanded') ? '▼' : '▶';
+
+        if (expanded) groupState.expandedDomains.delete(key);
+        else groupState.expandedDomains.add(key);
+        rebuildRequestList();
     });
 
     const starBtn = header.querySelector('.group-star-btn');
@@ -171,26 +253,96 @@ export function createDomainGroup(hostname, isThirdParty = false) {
     const deleteBtn = header.querySelector('.group-delete-btn');
     deleteBtn.addEventListener('click', (e) => {
         e.stopPropagation();
-        events.emit(EVENT_NAMES.REQUEST_ACTION_DELETE_GROUP, { type: 'domain', hostname, groupElement: group });
+        events.emit(EVENT_NAMES.REQUEST_ACTION_DELETE_GROUP, { type: 'domain', hostname, groupElement: header });
+    });
+
+    return header;
+}
+
+// Attack surface category of an analyzed page
+function createCategoryHeader(page, category) {
+    const key = groupKey(page.hostname, category.name);
+    const collapsed = groupState.collapsedCategories.has(key);
+    const header = document.createElement('div');
+    header.className = 'attack-surface-category';
+    header.style.cssText = `
+        padding: 4px 8px;
+        font-size: 11px;
+        font-weight: 600;
+        color: ${category.color};
+        border-left: 3px solid ${category.color};
+        background: ${category.color}10;
+        cursor: pointer;
+        display: flex;
+        align-items: center;
+        gap: 6px;
+    `;
+    header.innerHTML = `
+        <span class="category-toggle">${collapsed ? '▶' : '▼'}</span>
+        <span>${category.icon}</span>
+        <span>${escapeHtml(category.name)}</span>
+        <span style="opacity: 0.6; margin-left: auto;">(${category.total})</span>
+    `;
+
+    header.addEventListener('click', () => {
+        if (collapsed) groupState.collapsedCategories.delete(key);
+        else groupState.collapsedCategories.add(key);
+        rebuildRequestList();
     });
 
-    group.appendChild(header);
-    group.appendChild(content);
+    return header;
+}
 
-    return group;
+function createTimelineHeader(count) {
+    const header = document.createElement('div');
+    header.className = 'timeline-view-header';
+    header.style.cssText = 'padding: 8px 12px; background: rgba(138, 180, 248, 0.1); border-bottom: 1px solid var(--border-color); font-size: 11px; color: var(--accent-color); font-weight: 500;';
+    header.textContent = `📋 Timeline View (${count} requests)`;
+    return header;
 }
 
-export function createRequestItemElement(request, index, categoryData) {
+/**
+ * Row of a request
+ * @param {Object} request
+ * @param {number} index - Index in state.requests
+ * @param {Object} [categoryData] - Attack surface category (confidence badge)
+ * @param {Object} [options]
+ * @param {string} [options.group] - 'path', 'domain', 'category' or 'timeline' (indent, domain badge)
+ * @returns {HTMLElement}
+ */
+export function createRequestItemElement(request, index, categoryData, { group = null } = {}) {
     const item = document.createElement('div');
     item.className = 'request-item';
+    if (group) item.classList.add(`in-${group}`);
     if (request.starred) item.classList.add('starred');
     if (request.color) item.classList.add(`color-${request.color}`);
+    // Selection follows the request, not the row (rows are rebuilt as the list scrolls)
+    if (request === state.selectedRequest) item.classList.add('selected');
     item.dataset.index = index;
     item.dataset.method = request.request.method;
 
     const methodSpan = document.createElement('span');
-    methodSpan.className = `req-method ${request.request.method}`;
-    methodSpan.textContent = request.request.method;
+    const methodLabel = isWebSocketEntry(request) ? 'WS' : request.request.method;
+    methodSpan.className = `req-method ${methodLabel}`;
+    methodSpan.textContent = methodLabel;
+
+    // Add domain badge in timeline view
+    let domainBadge = null;
+    if (group === 'timeline') {
+        domainBadge = document.createElement('span');
+        domainBadge.className = 'domain-badge';
+        const hostname = getHostname(request.request.url);
+        domainBadge.textContent = hostname;
+        domainBadge.title = `Domain: ${hostname}`;
+
+        // Generate a consistent color based on hostname
+        const hashCode = hostname.split('').reduce((acc, char) => {
+            return char.charCodeAt(0) + ((acc << 5) - acc);
+        }, 0);
+        const hue = Math.abs(hashCode % 360);
+        domainBadge.style.backgroundColor = `hsla(${hue}, 60%, 50%, 0.15)`;
+        domainBadge.style.color = `hsl(${hue}, 60%, 70%)`;
+    }
 
     const urlSpan = document.createElement('span');
     urlSpan.className = 'req-url';
@@ -299,6 +451,9 @@ export function createRequestItemElement(request, index, categoryData) {
     // Timeline Filter Button
     const timelineBtn = document.createElement('button');
     timelineBtn.className = 'timeline-btn';
+    if (index === state.timelineFilterRequestIndex) {
+        timelineBtn.classList.add('active');
+    }
     timelineBtn.innerHTML = `<svg viewBox="0 0 24 24" width="14" height="14">
         <path d="M11.99 2C6.47 2 2 6.48 2 12s4.47 10 9.99 10C17.52 22 22 17.52 22 12S17.52 2 11.99 2zM12 20c-4.42 0-8-3.58-8-8s3.58-8 8-8 8 3.58 8 8-3.58 8-8 8zm.5-13H11v6l5.25 3.15.75-1.23-4.5-2.67z" fill="currentColor"/>
     </svg>`;
@@ -325,7 +480,10 @@ export function createRequestItemElement(request, index, categoryData) {
 
     item.appendChild(numberSpan);
     item.appendChild(methodSpan);
+    if (domainBadge) item.appendChild(domainBadge);
     item.appendChild(urlSpan);
+    const metadataBadges = createMetadataBadges(request);
+    if (metadataBadges) item.appendChild(metadataBadges);
     item.appendChild(timeSpan);
     item.appendChild(actionsDiv);
 
@@ -333,6 +491,11 @@ export function createRequestItemElement(request, index, categoryData) {
         events.emit(EVENT_NAMES.REQUEST_SELECTED, index);
     });
 
+    item.addEventListener('contextmenu', (e) => {
+        e.preventDefault();
+        showRequestMenu(e.clientX, e.clientY, index);
+    });
+
     // Inline rename: double-click the URL/label to edit request.name
     urlSpan.addEventListener('dblclick', (e) => {
         e.stopPropagation();
@@ -373,6 +536,7 @@ export function createRequestItemElement(request, index, categoryData) {
             }
             // Update state
             request.name = newName || null;
+            events.emit(EVENT_NAMES.REQUEST_RENAMED, { request, index });
 
             // Re-render label
             urlSpan.innerHTML = '';
@@ -440,197 +604,6 @@ function getRequestList() {
     return document.getElementById('request-list');
 }
 
-export function renderRequestItem(request, index) {
-    const item = createRequestItemElement(request, index);
-    const requestList = getRequestList();
-    if (!requestList) return;
-
-    // Remove empty state if present
-    const emptyState = requestList.querySelector('.empty-state');
-    if (emptyState) emptyState.remove();
-
-    // Hierarchical Grouping Logic
-    const pageUrl = request.pageUrl || request.request.url;
-    const pageHostname = getHostname(pageUrl);
-    const requestHostname = getHostname(request.request.url);
-
-    // Find or create page group
-    const pageGroupId = `page-${pageHostname.replace(/[^a-zA-Z0-9-]/g, '-')}`;
-    let pageGroup = document.getElementById(pageGroupId);
-
-    if (!pageGroup) {
-        pageGroup = createPageGroup(pageUrl);
-        requestList.appendChild(pageGroup);
-    }
-
-    const pageContent = pageGroup.querySelector('.page-content');
-
-    // Check if this is a third-party request (different domain from page)
-    const isThirdParty = requestHostname !== pageHostname;
-
-    if (isThirdParty) {
-        // Find or create domain subgroup within page group
-        const domainGroupId = `domain-${requestHostname.replace(/[^a-zA-Z0-9-]/g, '-')}`;
-        let domainGroup = pageGroup.querySelector(`#${domainGroupId}`);
-
-        if (!domainGroup) {
-            domainGroup = createDomainGroup(requestHostname, true);
-            // Append third-party groups at the end (after first-party requests)
-            pageContent.appendChild(domainGroup);
-        }
-
-        const domainContent = domainGroup.querySelector('.domain-content');
-        // Prepend to show most recent first
-        domainContent.insertBefore(item, domainContent.firstChild);
-
-        // Update domain count
-        const domainCountSpan = domainGroup.querySelector('.domain-count');
-        const domainCount = parseInt(domainCountSpan.textContent.replace(/[()]/g, '')) || 0;
-        domainCountSpan.textContent = `(${domainCount + 1})`;
-    } else {
-        // First-party request - place under root path group
-        let pathGroup = pageContent.querySelector('.path-group');
-        if (!pathGroup) {
-            pathGroup = createPathGroup();
-            // Insert path group before domain groups (if any)
-        const firstDomainGroup = pageContent.querySelector('.domain-group');
-            if (firstDomainGroup) {
-                pageContent.insertBefore(pathGroup, firstDomainGroup);
-        } else {
-                pageContent.appendChild(pathGroup);
-            }
-        }
-        const pathContent = pathGroup.querySelector('.path-content');
-        // Prepend to show most recent first
-        pathContent.insertBefore(item, pathContent.firstChild);
-
-        // Update path count
-        const pathCountSpan = pathGroup.querySelector('.path-count');
-        const pathCount = parseInt(pathCountSpan.textContent.replace(/[()]/g, '')) || 0;
-        pathCountSpan.textContent = `(${pathCount + 1})`;
-    }
-
-    // Update page count
-    const pageCountSpan = pageGroup.querySelector('.page-count');
-    const pageCount = parseInt(pageCountSpan.textContent.replace(/[()]/g, '')) || 0;
-    pageCountSpan.textContent = `(${pageCount + 1})`;
-
-    events.emit(EVENT_NAMES.UI_UPDATE_REQUEST_LIST);
-}
-
-/**
- * Render attack surface categories for a specific domain
- */
-function renderDomainAttackSurface(pageContent, pageHostname) {
-    // Clear existing content
-    pageContent.innerHTML = '';
-
-    // Get all requests for this domain (page group)
-    const domainRequests = state.requests
-        .map((req, idx) => ({ req, idx }))
-        .filter(({ req }) => {
-            const requestPageHostname = getHostname(req.pageUrl || req.request.url);
-            return requestPageHostname === pageHostname;
-        });
-
-    // Group by category
-    const categoryGroups = {};
-    domainRequests.forEach(({ req, idx }) => {
-        const categoryData = state.attackSurfaceCategories[idx];
-        const categoryName = categoryData?.category || 'Uncategorized';
-
-        if (!categoryGroups[categoryName]) {
-            categoryGroups[categoryName] = {
-                items: [],
-                icon: categoryData?.icon || '❓',
-                color: getCategoryColor(categoryName)
-            };
-        }
-
-        categoryGroups[categoryName].items.push({ req, idx, categoryData });
-    });
-
-    // Render each category
-    Object.entries(categoryGroups).forEach(([categoryName, groupData]) => {
-        const categoryDiv = document.createElement('div');
-        categoryDiv.className = 'attack-surface-category';
-        categoryDiv.style.cssText = `
-            margin: 4px 0;
-            border-left: 3px solid ${groupData.color};
-            background: ${groupData.color}10;
-        `;
-
-        const categoryHeader = document.createElement('div');
-        categoryHeader.style.cssText = `
-            padding: 4px 8px;
-            font-size: 11px;
-            font-weight: 600;
-            color: ${groupData.color};
-            cursor: pointer;
-            display: flex;
-            align-items: center;
-            gap: 6px;
-        `;
-        categoryHeader.innerHTML = `
-            <span class="category-toggle">▼</span>
-            <span>${groupData.icon}</span>
-            <span>${categoryName}</span>
-            <span style="opacity: 0.6; margin-left: auto;">(${groupData.items.length})</span>
-        `;
-
-        const categoryContent = document.createElement('div');
-        categoryContent.className = 'category-content';
-
-        groupData.items.forEach(({ req, idx, categoryData }) => {
-            // Create request item element without DOM insertion
-            const item = createRequestItemElement(req, idx, categoryData);
-
-            categoryContent.appendChild(item);
-        });
-
-        // Toggle functionality
-        categoryHeader.addEventListener('click', () => {
-            const isExpanded = categoryContent.style.display !== 'none';
-            categoryContent.style.display = isExpanded ? 'none' : 'block';
-            categoryHeader.querySelector('.category-toggle').textContent = isExpanded ? '▶' : '▼';
-        });
-
-        categoryDiv.appendChild(categoryHeader);
-        categoryDiv.appendChild(categoryContent);
-        pageContent.appendChild(categoryDiv);
-    });
-}
-
-/**
- * Re-render requests for a specific domain (restore normal view)
- */
-function reRenderDomainRequests(pageHostname) {
-    const pageGroupId = `page-${pageHostname.replace(/[^a-zA-Z0-9-]/g, '-')}`;
-    const pageGroup = document.getElementById(pageGroupId);
-
-    if (pageGroup) {
-        const pageContent = pageGroup.querySelector('.page-content');
-        if (pageContent) {
-            pageContent.innerHTML = ''; // Clear attack surface view
-
-            // Find all requests for this domain and re-render them
-            state.requests.forEach((req, idx) => {
-                const reqHostname = getHostname(req.request?.url || req.pageUrl || '');
-                // Check if request belongs to this page group (either as first-party or third-party)
-                const requestPageHostname = getHostname(req.pageUrl || req.request.url);
-
-                if (requestPageHostname === pageHostname) {
-                    // This request belongs to this page group
-                    // We need to use the original render logic which appends to the correct group
-                    // But renderRequestItem appends to DOM based on pageUrl/hostname
-                    // So we can just call it
-                    events.emit(EVENT_NAMES.REQUEST_RENDERED, { request: req, index: idx });
-                }
-            });
-        }
-    }
-}
-
 /**
  * Generate a color for a category based on its name
  */
@@ -647,313 +620,447 @@ function getCategoryColor(categoryName) {
     return colors[Math.abs(hash) % colors.length];
 }
 
+// XHR filter: exclude images, fonts, and text files based on Content-Type and extension
+const XHR_EXCLUDED_TYPES = [
+    'image/', 'font/', 'text/html', 'text/plain', 'text/xml',
+    'application/font', 'application/x-font'
+];
+const XHR_EXCLUDED_EXTENSIONS = [
+    '.jpg', '.jpeg', '.png', '.gif', '.svg', '.webp', '.ico', '.bmp',
+    '.woff', '.woff2', '.ttf', '.eot', '.otf',
+    '.txt', '.xml', '.html', '.htm'
+];
+
+function isXhrLike(request, urlLower) {
+    let contentType = '';
+    if (request.response && request.response.headers) {
+        const ctHeader = request.response.headers.find(h => h.name.toLowerCase() === 'content-type');
+        if (ctHeader) contentType = ctHeader.value.toLowerCase();
+    }
+    const isExcludedByContentType = XHR_EXCLUDED_TYPES.some(type => contentType.includes(type));
+    const isExcludedByExtension = XHR_EXCLUDED_EXTENSIONS.some(ext => urlLower.endsWith(ext) || urlLower.includes(ext + '?'));
+    return !isExcludedByContentType && !isExcludedByExtension;
+}
+
+// Grouping of each request, built once: captured requests don't change
+// (names, stars, colors and tags are read live)
+const requestInfo = new WeakMap();
+
+function getRequestInfo(request) {
+    let info = requestInfo.get(request);
+    if (info) return info;
+
+    const url = request.request.url;
+    info = {
+        method: request.request.method.toUpperCase(),
+        hostname: getHostname(url),
+        pageHostname: getHostname(request.pageUrl || url),
+        isXhr: isXhrLike(request, url.toLowerCase())
+    };
+    requestInfo.set(request, info);
+    return info;
+}
+
 /**
- * Main function to render request list
+ * Compile the search bar for a filter pass: a regex in regex mode, a filter query otherwise
+ * @returns {{regex: RegExp|null, query: Object|null, invalid: boolean}}
  */
-export function renderRequestList() {
-    events.emit(EVENT_NAMES.UI_UPDATE_REQUEST_LIST); // Always use normal page-based view with optional attack surface per domain
+function compileSearch() {
+    if (state.currentSearchTerm === '') return { regex: null, query: null, invalid: false };
+    if (!state.useRegex) {
+        const { ast, error } = parseQuery(state.currentSearchTerm);
+        return { regex: null, query: ast, invalid: Boolean(error) };
+    }
+    try {
+        return { regex: new RegExp(state.currentSearchTerm), query: null, invalid: false };
+    } catch (e) {
+        return { regex: null, query: null, invalid: true };
+    }
 }
 
-// Set up event listeners for decoupled communication
-events.on(EVENT_NAMES.UI_UPDATE_REQUEST_LIST, () => {
-    filterRequests();
-});
+function matchesSearch(request, search) {
+    if (search.invalid) return false;
+    if (!search.regex) return matchesQuery(search.query, request);
+
+    const fields = getRequestFields(request);
+    const name = (request.name && typeof request.name === 'string') ? request.name : '';
+    const regex = search.regex;
+    return regex.test(fields.url) ||
+        regex.test(fields.method) ||
+        regex.test(fields.host) ||
+        regex.test(fields.headers) ||
+        regex.test(fields.body) ||
+        regex.test(name);
+}
 
-events.on(EVENT_NAMES.REQUEST_RENDERED, (data) => {
-    if (data && data.request && typeof data.index === 'number') {
-        renderRequestItem(data.request, data.index);
+/**
+ * Whether a request passes the search, method, star, color, tag and timeline filters
+ * (all filters work together with AND logic)
+ * @param {Object} request
+ * @param {Object} [search] - From compileSearch
+ * @returns {boolean}
+ */
+export function requestMatchesFilters(request, search = compileSearch()) {
+    if (!matchesSearch(request, search)) return false;
+    const info = getRequestInfo(request);
+
+    // Check if method filter is active (multi-select)
+    if (state.selectedMethods && state.selectedMethods.size > 0) {
+        // Match if method is selected OR (XHR is selected AND request matches XHR criteria)
+        if (!state.selectedMethods.has(info.method) && !(state.selectedMethods.has('XHR') && info.isXhr)) return false;
+    } else if (state.currentFilter !== 'all') {
+        // Legacy single-select filter support (for backward compatibility)
+        if (state.currentFilter === 'starred') {
+            if (!request.starred) return false;
+        } else if (state.currentFilter === 'XHR') {
+            if (!info.isXhr) return false;
+        } else if (info.method !== state.currentFilter) {
+            return false;
+        }
     }
-});
 
-export function filterRequests() {
-    const requestList = getRequestList();
-    if (!requestList) return;
-
-    // First, check if any domains have been analyzed and render them with attack surface view
-    state.domainsWithAttackSurface.forEach(domain => {
-        const pageGroupId = `page-${domain.replace(/[^a-zA-Z0-9-]/g, '-')}`;
-        const pageGroup = document.getElementById(pageGroupId);
-        if (pageGroup) {
-            const pageContent = pageGroup.querySelector('.page-content');
-            if (pageContent) {
-                // Only re-render if not already showing attack surface
-                if (!pageContent.querySelector('.attack-surface-category')) {
-                    renderDomainAttackSurface(pageContent, domain);
-                }
-            }
-        }
-    });
+    // Check star filter (independent, works with AND logic)
+    if (state.starFilterActive && request.starred !== true) return false;
+    if (state.currentColorFilter !== 'all' && request.color !== state.currentColorFilter) return false;
+    if (state.currentTagFilter !== 'all' && !(request.tags || []).includes(state.currentTagFilter)) return false;
+    if (state.timelineFilterTimestamp !== null && !(request.capturedAt <= state.timelineFilterTimestamp)) return false;
+    return true;
+}
+
+// Filter results stay valid until the filters change, so new captures only filter themselves
+let filterGeneration = 0;
+let currentSearch = { regex: null, query: null, invalid: false };
+const filterResults = new WeakMap();
+
+function isRequestVisible(request) {
+    const cached = filterResults.get(request);
+    if (cached && cached.generation === filterGeneration) return cached.visible;
+    const visible = requestMatchesFilters(request, currentSearch);
+    filterResults.set(request, { generation: filterGeneration, visible });
+    return visible;
+}
 
-    const items = requestList.querySelectorAll('.request-item');
+function hasActiveFilters() {
+    return (state.selectedMethods && state.selectedMethods.size > 0) ||
+        state.starFilterActive ||
+        state.currentColorFilter !== 'all' ||
+        state.currentTagFilter !== 'all' ||
+        state.currentSearchTerm ||
+        (state.currentFilter !== 'all' && state.currentFilter !== 'starred');
+}
+
+function requestRow(request, index, group, categoryData = null) {
+    return { type: 'request', key: `request:${request.id || index}`, request, index, group, categoryData };
+}
+
+/**
+ * Rows of the grouped view: pages in capture order, then under each page its
+ * first-party requests and third-party domains, newest request first
+ * @returns {{rows: Array<Object>, visibleCount: number}}
+ */
+function buildGroupedRows() {
+    const pages = new Map();
     let visibleCount = 0;
-    let regexError = false;
-
-    items.forEach((item, index) => {
-        const request = state.requests[parseInt(item.dataset.index)];
-        if (!request) return;
-
-        const url = request.request.url;
-        const urlLower = url.toLowerCase();
-        const method = request.request.method.toUpperCase();
-
-        // Extract hostname for domain-based search
-        const hostname = getHostname(url);
-        const hostnameLower = hostname.toLowerCase();
-
-        // Build searchable text from headers
-        let headersText = '';
-        let headersTextLower = '';
-        if (request.request.headers) {
-            request.request.headers.forEach(header => {
-                const headerLine = `${header.name}: ${header.value} `;
-                headersText += headerLine;
-                headersTextLower += headerLine.toLowerCase();
-            });
-        }
 
-        // Get request body if available
-        let bodyText = '';
-        let bodyTextLower = '';
-        if (request.request.postData && request.request.postData.text) {
-            bodyText = request.request.postData.text;
-            bodyTextLower = bodyText.toLowerCase();
+    state.requests.forEach((request, index) => {
+        const info = getRequestInfo(request);
+        let page = pages.get(info.pageHostname);
+        if (!page) {
+            page = {
+                hostname: info.pageHostname,
+                pageUrl: request.pageUrl || request.request.url,
+                total: 0,
+                path: { total: 0, visible: [] },
+                domains: new Map(),
+                entries: []
+            };
+            pages.set(info.pageHostname, page);
         }
 
-        // Prepare name for search (user-defined request label)
-        const name = (request.name && typeof request.name === 'string') ? request.name : '';
-        const nameLower = name.toLowerCase();
-
-        // Check search term
-        let matchesSearch = false;
-        if (state.currentSearchTerm === '') {
-            matchesSearch = true;
-        } else if (state.useRegex) {
-            try {
-                const regex = new RegExp(state.currentSearchTerm);
-                matchesSearch =
-                    regex.test(url) ||
-                    regex.test(method) ||
-                    regex.test(hostname) ||
-                    regex.test(headersText) ||
-                    regex.test(bodyText) ||
-                    regex.test(name);
-            } catch (e) {
-                if (!regexError) {
-                    regexError = true;
-                }
-                matchesSearch = false;
+        const visible = isRequestVisible(request);
+        if (visible) visibleCount++;
+        page.total++;
+        page.entries.push({ index, visible });
+
+        // Check if this is a third-party request (different domain from page)
+        let group = page.path;
+        if (info.hostname !== page.hostname) {
+            group = page.domains.get(info.hostname);
+            if (!group) {
+                group = { hostname: info.hostname, total: 0, visible: [] };
+                page.domains.set(info.hostname, group);
             }
-        } else {
-            matchesSearch =
-                urlLower.includes(state.currentSearchTerm) ||
-                method.includes(state.currentSearchTerm.toUpperCase()) ||
-                hostnameLower.includes(state.currentSearchTerm) ||
-                headersTextLower.includes(state.currentSearchTerm) ||
-                bodyTextLower.includes(state.currentSearchTerm) ||
-                nameLower.includes(state.currentSearchTerm);
         }
+        group.total++;
+        if (visible) group.visible.push(index);
+    });
 
-        // Check filter
-        let matchesFilter = true;
-        
-        // Check if method filter is active (multi-select)
-        if (state.selectedMethods && state.selectedMethods.size > 0) {
-            // First check if the method itself is selected
-            const methodMatches = state.selectedMethods.has(method);
-            
-            // If XHR is selected, also check if request matches XHR criteria
-            let xhrMatches = false;
-            if (state.selectedMethods.has('XHR')) {
-                // XHR filter: exclude images, fonts, and text files based on Content-Type and extension
-                let contentType = '';
-                if (request.response && request.response.headers) {
-                    const ctHeader = request.response.headers.find(h =>
-                        h.name.toLowerCase() === 'content-type'
-                    );
-                    if (ctHeader) {
-                        contentType = ctHeader.value.toLowerCase();
-                    }
-                }
-
-                // Exclude image, font, and text content types
-                const excludeTypes = [
-                    'image/', 'font/', 'text/html', 'text/plain', 'text/xml',
-                    'application/font', 'application/x-font'
-                ];
-
-                const isExcludedByContentType = excludeTypes.some(type => contentType.includes(type));
-
-                // Also check by extension
-                const excludeExtensions = [
-                    '.jpg', '.jpeg', '.png', '.gif', '.svg', '.webp', '.ico', '.bmp',
-                    '.woff', '.woff2', '.ttf', '.eot', '.otf',
-                    '.txt', '.xml', '.html', '.htm'
-                ];
-                const isExcludedByExtension = excludeExtensions.some(ext => {
-                    return urlLower.endsWith(ext) || urlLower.includes(ext + '?');
-                });
-
-                xhrMatches = !isExcludedByContentType && !isExcludedByExtension;
-            }
-            
-            // Match if method is selected OR (XHR is selected AND request matches XHR criteria)
-            matchesFilter = methodMatches || xhrMatches;
-        } else if (state.currentFilter !== 'all') {
-            // Legacy single-select filter support (for backward compatibility)
-            if (state.currentFilter === 'starred') {
-                matchesFilter = request.starred;
-            } else if (state.currentFilter === 'XHR') {
-                // XHR filter: exclude images, fonts, and text files based on Content-Type and extension
-                let contentType = '';
-                if (request.response && request.response.headers) {
-                    const ctHeader = request.response.headers.find(h =>
-                        h.name.toLowerCase() === 'content-type'
-                    );
-                    if (ctHeader) {
-                        contentType = ctHeader.value.toLowerCase();
-                    }
-                }
+    // Auto-expand groups with matches when filtering (unless manually collapsed)
+    const autoExpand = hasActiveFilters() && !state.manuallyCollapsed;
+    const rows = [];
+    knownGroups = { pages: [], domains: [], categories: [] };
 
-                // Exclude image, font, and text content types
-                const excludeTypes = [
-                    'image/', 'font/', 'text/html', 'text/plain', 'text/xml',
-                    'application/font', 'application/x-font'
-                ];
-
-                const isExcludedByContentType = excludeTypes.some(type => contentType.includes(type));
-
-                // Also check by extension
-                const excludeExtensions = [
-                    '.jpg', '.jpeg', '.png', '.gif', '.svg', '.webp', '.ico', '.bmp',
-                    '.woff', '.woff2', '.ttf', '.eot', '.otf',
-                    '.txt', '.xml', '.html', '.htm'
-                ];
-                const isExcludedByExtension = excludeExtensions.some(ext => {
-                    return urlLower.endsWith(ext) || urlLower.includes(ext + '?');
-                });
-
-                matchesFilter = !isExcludedByContentType && !isExcludedByExtension;
-            } else {
-                matchesFilter = method === state.currentFilter;
-            }
+    const pushRequests = (indices, group) => {
+        // Most recent first
+        for (let i = indices.length - 1; i >= 0; i--) {
+            rows.push(requestRow(state.requests[indices[i]], indices[i], group));
         }
+    };
 
-        // Check star filter (independent, works with AND logic)
-        let matchesStar = true;
-        if (state.starFilterActive) {
-            matchesStar = request.starred === true;
-        }
+    pages.forEach(page => {
+        knownGroups.pages.push(page.hostname);
+        page.domains.forEach(domain => knownGroups.domains.push(groupKey(page.hostname, domain.hostname)));
 
-        // Check color filter
-        let matchesColor = true;
-        if (state.currentColorFilter !== 'all') {
-            matchesColor = request.color === state.currentColorFilter;
+        if (state.domainsWithAttackSurface.has(page.hostname)) {
+            pushAttackSurfaceRows(rows, page, autoExpand);
+            return;
         }
 
-        // Check timeline filter
-        let matchesTimeline = true;
-        if (state.timelineFilterTimestamp !== null) {
-            matchesTimeline = request.capturedAt <= state.timelineFilterTimestamp;
-        }
+        const domains = Array.from(page.domains.values()).filter(domain => domain.visible.length > 0);
+        if (page.path.visible.length === 0 && domains.length === 0) return;
 
-        // All filters work together with AND logic
-        if (matchesSearch && matchesFilter && matchesStar && matchesColor && matchesTimeline) {
-            item.style.display = 'flex';
-            visibleCount++;
-        } else {
-            item.style.display = 'none';
+        if (autoExpand) {
+            groupState.expandedPages.add(page.hostname);
+            groupState.collapsedPaths.delete(page.hostname);
+            domains.forEach(domain => groupState.expandedDomains.add(groupKey(page.hostname, domain.hostname)));
         }
-    });
 
-    // Check if any filters are active (for auto-expand logic)
-    const hasActiveFilters = (state.selectedMethods && state.selectedMethods.size > 0) || 
-                             state.starFilterActive || 
-                             state.currentColorFilter !== 'all' || 
-                             state.currentSearchTerm ||
-                             (state.currentFilter !== 'all' && state.currentFilter !== 'starred');
-
-    // Update domain groups visibility (third-party domains)
-    const domainGroups = requestList.querySelectorAll('.domain-group');
-    domainGroups.forEach(group => {
-        const hasVisibleItems = Array.from(group.querySelectorAll('.request-item')).some(item => item.style.display !== 'none');
-        group.style.display = hasVisibleItems ? 'block' : 'none';
-
-        // Auto-expand domain groups when filtering (unless manually collapsed)
-        if (hasVisibleItems && !state.manuallyCollapsed && hasActiveFilters) {
-            group.classList.add('expanded');
-            const toggle = group.querySelector('.group-toggle');
-            if (toggle) toggle.textContent = '▼';
+        rows.push({ type: 'page', key: `page:${page.hostname}`, page });
+        if (!groupState.expandedPages.has(page.hostname)) return;
+
+        if (page.path.visible.length > 0) {
+            rows.push({ type: 'path', key: `path:${page.hostname}`, page });
+            if (!groupState.collapsedPaths.has(page.hostname)) pushRequests(page.path.visible, 'path');
         }
+        domains.forEach(domain => {
+            const key = groupKey(page.hostname, domain.hostname);
+            rows.push({ type: 'domain', key: `domain:${key}`, page, domain });
+            if (groupState.expandedDomains.has(key)) pushRequests(domain.visible, 'domain');
+        });
     });
 
-    // Update path groups visibility (first-party root path)
-    const pathGroups = requestList.querySelectorAll('.path-group');
-    pathGroups.forEach(group => {
-        const hasVisibleItems = Array.from(group.querySelectorAll('.request-item')).some(item => item.style.display !== 'none');
-        group.style.display = hasVisibleItems ? 'block' : 'none';
-
-        // Auto-expand path group when filtering (unless manually collapsed)
-        if (hasVisibleItems && !state.manuallyCollapsed && hasActiveFilters) {
-            group.classList.add('expanded');
-            const toggle = group.querySelector('.group-toggle');
-            if (toggle) toggle.textContent = '▼';
+    return { rows, visibleCount };
+}
+
+/**
+ * Attack surface view of an analyzed page: its requests by category, in capture order
+ */
+function pushAttackSurfaceRows(rows, page, autoExpand) {
+    const categories = new Map();
+    page.entries.forEach(({ index, visible }) => {
+        const categoryData = state.attackSurfaceCategories[index];
+        const name = categoryData?.category || 'Uncategorized';
+        let category = categories.get(name);
+        if (!category) {
+            category = { name, icon: categoryData?.icon || '❓', color: getCategoryColor(name), total: 0, visible: [] };
+            categories.set(name, category);
         }
+        category.total++;
+        if (visible) category.visible.push({ index, categoryData });
+    });
+    categories.forEach(category => knownGroups.categories.push(groupKey(page.hostname, category.name)));
+
+    // The analyzed page stays in the list even when the filters hide all of its requests
+    if (autoExpand) groupState.expandedPages.add(page.hostname);
+    rows.push({ type: 'page', key: `page:${page.hostname}`, page });
+    if (!groupState.expandedPages.has(page.hostname)) return;
+
+    categories.forEach(category => {
+        if (category.visible.length === 0) return;
+        const key = groupKey(page.hostname, category.name);
+        rows.push({ type: 'category', key: `category:${key}`, page, category });
+        if (groupState.collapsedCategories.has(key)) return;
+        category.visible.forEach(({ index, categoryData }) => {
+            rows.push(requestRow(state.requests[index], index, 'category', categoryData));
+        });
     });
+}
 
-    // Update page groups visibility
-    const pageGroups = requestList.querySelectorAll('.page-group');
-    pageGroups.forEach(group => {
-        const pageContent = group.querySelector('.page-content');
-        const hasVisibleFirstParty = Array.from(pageContent.querySelectorAll('.path-group .request-item')).some(item => item.style.display !== 'none');
-        const hasVisibleDomains = Array.from(pageContent.querySelectorAll('.domain-group')).some(domain => domain.style.display !== 'none');
-        const hasVisibleAttackSurface = pageContent.querySelector('.attack-surface-category') !== null;
-
-        group.style.display = (hasVisibleFirstParty || hasVisibleDomains || hasVisibleAttackSurface) ? 'block' : 'none';
-
-        // Auto-expand page groups when filtering (unless manually collapsed)
-        if ((hasVisibleFirstParty || hasVisibleDomains || hasVisibleAttackSurface) && !state.manuallyCollapsed && hasActiveFilters) {
-            group.classList.add('expanded');
-            const toggleBtn = group.querySelector('.page-toggle-btn');
-            if (toggleBtn) toggleBtn.classList.add('expanded');
-        }
+/**
+ * Rows of the timeline view: a flat list of the requests up to the selected one, newest first
+ * @returns {{rows: Array<Object>, visibleCount: number}}
+ */
+function buildTimelineRows() {
+    const entries = [];
+    state.requests.forEach((request, index) => {
+        if (isRequestVisible(request)) entries.push({ request, index });
+    });
+    entries.sort((a, b) => {
+        // Primary sort: by timestamp (newest first), then by request index (clicked request at top)
+        const timeA = a.request.capturedAt || 0;
+        const timeB = b.request.capturedAt || 0;
+        return timeA !== timeB ? timeB - timeA : b.index - a.index;
     });
 
-    // Show error state if regex is invalid
-    if (regexError && state.useRegex && state.currentSearchTerm) {
-        events.emit('ui:regex-error', { hasError: true, message: 'Invalid regex pattern' });
-    } else {
-        events.emit('ui:regex-error', { 
-            hasError: false, 
-            message: state.useRegex
-                ? 'Regex mode enabled (click to disable)'
-                : 'Toggle Regex Mode (enable to use regex patterns)'
+    const rows = [{ type: 'timeline', key: 'timeline', count: entries.length }];
+    entries.forEach(({ request, index }) => rows.push(requestRow(request, index, 'timeline')));
+    return { rows, visibleCount: entries.length };
+}
+
+function renderRow(row) {
+    switch (row.type) {
+        case 'page': return createPageHeader(row.page);
+        case 'path': return createPathHeader(row.page);
+        case 'domain': return createDomainHeader(row.page, row.domain);
+        case 'category': return createCategoryHeader(row.page, row.category);
+        case 'timeline': return createTimelineHeader(row.count);
+        default: return createRequestItemElement(row.request, row.index, row.categoryData, { group: row.group });
+    }
+}
+
+let virtualList = null;
+
+function getVirtualList() {
+    const requestList = getRequestList();
+    if (!requestList) return null;
+    if (!virtualList || virtualList.container !== requestList) {
+        virtualList = new VirtualList(requestList, {
+            renderRow,
+            getHeight: row => ROW_HEIGHTS[row.type],
+            getKey: row => row.key
         });
     }
+    return virtualList;
+}
 
-    // Show empty state if no results
-    const emptyState = requestList.querySelector('.empty-state');
-    if (visibleCount === 0 && items.length > 0) {
-        if (!emptyState) {
-            const es = document.createElement('div');
-            es.className = 'empty-state';
-            requestList.appendChild(es);
-        }
-        const es = requestList.querySelector('.empty-state');
+function updateEmptyState(requestList, visibleCount) {
+    let emptyState = requestList.querySelector('.empty-state');
+    if (visibleCount > 0) {
+        if (emptyState) emptyState.style.display = 'none';
+        return;
+    }
+    if (!emptyState) {
+        emptyState = document.createElement('div');
+        emptyState.className = 'empty-state';
+        requestList.insertBefore(emptyState, requestList.firstChild);
+    }
 
+    if (state.requests.length === 0) {
+        emptyState.textContent = 'Listening for requests...';
+    } else {
         let message = 'No requests match your filter.';
         const activeFilters = [];
         if (state.currentFilter !== 'all') activeFilters.push(`Method: ${state.currentFilter}`);
         if (state.currentColorFilter !== 'all') activeFilters.push(`Color: ${state.currentColorFilter}`);
+        if (state.currentTagFilter !== 'all') activeFilters.push(`Tag: ${state.currentTagFilter}`);
         if (state.currentSearchTerm) activeFilters.push(`Search: "${state.currentSearchTerm}"`);
         if (state.timelineFilterTimestamp) activeFilters.push('Timeline Selection');
 
         if (activeFilters.length > 0) {
             message += `\n(${activeFilters.join(', ')})`;
         }
-        es.textContent = message;
-        es.style.display = 'flex';
-    } else if (emptyState) {
-        emptyState.style.display = 'none';
+        emptyState.textContent = message;
     }
+    emptyState.style.display = 'flex';
+}
+
+/**
+ * Rebuild the rows (grouped or timeline view) and render those in view.
+ * Only requests not filtered since the filters last changed are filtered.
+ */
+function rebuildRequestList() {
+    const list = getVirtualList();
+    if (!list) return;
+    const { rows, visibleCount } = state.timelineFilterTimestamp !== null ? buildTimelineRows() : buildGroupedRows();
+    list.setRows(rows);
+    updateEmptyState(list.container, visibleCount);
+}
+
+let refreshScheduled = false;
+
+/**
+ * Show newly captured requests. Captures arriving together are drawn in one pass.
+ */
+export function renderRequestItem() {
+    if (refreshScheduled || !getRequestList()) return;
+    refreshScheduled = true;
+    const refresh = () => {
+        refreshScheduled = false;
+        rebuildRequestList();
+    };
+    if (typeof requestAnimationFrame === 'function') requestAnimationFrame(refresh);
+    else setTimeout(refresh, 0);
 }
 
+/**
+ * Main function to render request list
+ */
+export function renderRequestList() {
+    events.emit(EVENT_NAMES.UI_UPDATE_REQUEST_LIST); // Always use normal page-based view with optional attack surface per domain
+}
+
+/**
+ * Collapse every group when any is expanded, expand them all otherwise
+ */
+export function toggleAllGroups() {
+    const { pages, domains, categories } = knownGroups;
+    const anyExpanded = pages.some(hostname => groupState.expandedPages.has(hostname)) ||
+        domains.some(key => groupState.expandedDomains.has(key)) ||
+        categories.some(key => !groupState.collapsedCategories.has(key));
+    const shouldExpand = !anyExpanded;
+
+    // Set a flag to prevent auto-expand from overriding this manual action
+    state.manuallyCollapsed = !shouldExpand;
+
+    pages.forEach(hostname => {
+        if (shouldExpand) groupState.expandedPages.add(hostname);
+        else groupState.expandedPages.delete(hostname);
+    });
+    domains.forEach(key => {
+        if (shouldExpand) groupState.expandedDomains.add(key);
+        else groupState.expandedDomains.delete(key);
+    });
+    categories.forEach(key => {
+        if (shouldExpand) groupState.collapsedCategories.delete(key);
+        else groupState.collapsedCategories.add(key);
+    });
+    rebuildRequestList();
+}
+
+// Set up event listeners for decoupled communication
+events.on(EVENT_NAMES.UI_UPDATE_REQUEST_LIST, () => {
+    filterRequests();
+});
+
+// Badges follow notes, tags and finding edits (tags may change what the filter shows)
+events.on(EVENT_NAMES.REQUEST_METADATA_CHANGED, () => {
+    filterRequests();
+});
+
+events.on(EVENT_NAMES.REQUEST_RENDERED, () => {
+    renderRequestItem();
+});
+
+// Requests selected from elsewhere (tabs, search) are scrolled into view
+events.on(EVENT_NAMES.UI_REQUEST_SELECTED, ({ index }) => {
+    const request = state.requests[index];
+    if (request && virtualList) virtualList.scrollToKey(requestRow(request, index).key);
+});
+
+events.on(EVENT_NAMES.STATE_REQUESTS_CLEARED, () => {
+    Object.values(groupState).forEach(set => set.clear());
+    knownGroups = { pages: [], domains: [], categories: [] };
+});
+
+/**
+ * Filter all requests again (the filters changed) and redraw the list
+ */
+export function filterRequests() {
+    if (!getRequestList()) return;
+
+    filterGeneration++;
+    currentSearch = compileSearch();
+    rebuildRequestList();
+
+    // Show error state if regex is invalid (the query bar shows query errors itself)
+    if (currentSearch.invalid && state.useRegex) {
+        events.emit('ui:regex-error', { hasError: true, message: 'Invalid regex pattern' });
+    } else {
+        events.emit('ui:regex-error', {
+            hasError: false,
+            message: state.useRegex
+                ? 'Regex mode enabled (click to disable)'
+                : 'Toggle Regex Mode (enable to use regex patterns)'
+        });
+    }
+}
@@ -0,0 +1,155 @@
+// Send Timeline Module - Past sends of the working copy in the editor
+// Clicking an attempt shows the request it sent and the response it got;
+// Shift+click diffs an attempt against the one shown.
+import { state } from '../core/state.js';
+import { events, EVENT_NAMES } from '../core/events.js';
+import { escapeHtml } from '../core/utils/dom.js';
+import { formatBytes } from '../core/utils/format.js';
+import { renderDiff } from '../core/utils/misc.js';
+import { highlightHTTP } from '../core/utils/network.js';
+import { base64ToBytes } from '../network/body-bytes.js';
+import { getStatusClass } from '../network/response-parser.js';
+import { elements } from './main-ui.js';
+
+let shown = null; // Record in the panes (null: the latest send)
+let compared = null; // Record diffed against it
+
+function getContainer() {
+    return document.getElementById('send-timeline');
+}
+
+/**
+ * @param {Object} record - Send record
+ * @returns {string} Status code, or Timeout / Canceled / Error for sends without a response
+ */
+export function sendLabel(record) {
+    return record.status ? `${record.status} ${record.statusText || ''}`.trim() : record.statusText;
+}
+
+function statusClassOf(record) {
+    if (record.status) return getStatusClass(record.status);
+    return record.statusText === 'Error' ? 'status-badge status-5xx' : 'status-badge status-timeout';
+}
+
+function sendTooltip(record) {
+    const requestLine = record.rawText.split('\n')[0];
+    const details = [new Date(record.sentAt).toLocaleTimeString()];
+    if (record.duration !== null && record.duration !== undefined) details.push(`${record.duration}ms`);
+    if (record.status) details.push(formatBytes(record.size || 0));
+    if (record.error) details.push(record.error);
+    return `${requestLine}\n${details.join(' · ')}\nClick to view, Shift+click to diff with the attempt shown`;
+}
+
+/**
+ * Show the sends of the working copy (hidden before the first one)
+ */
+export function renderSendTimeline() {
+    const container = getContainer();
+    if (!container) return;
+    const sends = state.sendHistory;
+    if (sends.length === 0) {
+        container.style.display = 'none';
+        container.innerHTML = '';
+        return;
+    }
+
+    const current = sends.includes(shown) ? shown : sends[sends.length - 1];
+    container.innerHTML = `
+        <span class="send-timeline-title">Sends</span>
+        ${sends.map(record => `
+            <button class="send-attempt ${record === current ? 'shown' : ''} ${record === compared ? 'compared' : ''}"
+                data-number="${record.number}" title="${escapeHtml(sendTooltip(record))}">
+                #${record.number} <span class="${statusClassOf(record)}">${escapeHtml(record.status ? String(record.status) : record.statusText)}</span>
+            </button>
+        `).join('')}
+    `;
+    container.style.display = 'flex';
+    container.scrollLeft = container.scrollWidth;
+}
+
+function findSend(number) {
+    return state.sendHistory.find(record => record.number === number) || null;
+}
+
+/**
+ * Put an attempt's request in the editor (undoable) and its response in the response pane
+ * @param {number} number
+ */
+export function showSend(number) {
+    const record = findSend(number);
+    if (!record) return;
+    shown = record;
+    compared = null;
+
+    if (state.undoStack[state.undoStack.length - 1] !== record.rawText) {
+        state.undoStack.push(record.rawText);
+        state.redoStack = [];
+    }
+    events.emit(EVENT_NAMES.UI_UPDATE_REQUEST_CONTENT, { text: record.rawText, highlighted: highlightHTTP(record.rawText) });
+    if (elements.useHttpsCheckbox) elements.useHttpsCheckbox.checked = record.useHttps;
+
+    state.currentResponse = record.response || null;
+    state.currentResponseBody = record.bodyBase64 ? base64ToBytes(record.bodyBase64) : null;
+    events.emit(EVENT_NAMES.UI_UPDATE_RESPONSE_VIEW, {
+        status: sendLabel(record),
+        statusClass: statusClassOf(record),
+        time: record.duration !== null && record.duration !== undefined ? `${record.duration}ms` : '',
+        size: record.status ? formatBytes(record.size || 0) : '',
+        content: record.response || (record.error ? `Error: ${record.error}` : ''),
+        bodyBytes: state.currentResponseBody
+    });
+    events.emit(EVENT_NAMES.UI_UPDATE_HISTORY_BUTTONS);
+}
+
+/**
+ * Diff of two attempts, requests then responses
+ * @param {Object} base - Send record
+ * @param {Object} other - Send record
+ * @returns {string} HTML
+ */
+export function renderSendDiff(base, other) {
+    const title = (part) => `<div class="send-diff-title">#${base.number} → #${other.number}: ${part}</div>`;
+    const responseOf = (record) => record.response || (record.error ? `Error: ${record.error}` : '');
+    return `${title('request')}${renderDiff(base.rawText, other.rawText)}${title('response')}${renderDiff(responseOf(base), responseOf(other))}`;
+}
+
+/**
+ * Diff an attempt against the one shown in the response pane
+ * @param {number} number
+ */
+export function compareSend(number) {
+    const sends = state.sendHistory;
+    const base = sends.includes(shown) ? shown : sends[sends.length - 1];
+    const other = findSend(number);
+    if (!base || !other || base === other) return;
+
+    compared = other;
+    if (elements.rawResponseDisplay) {
+        elements.rawResponseDisplay.innerHTML = renderSendDiff(base, other);
+        elements.rawResponseDisplay.style.display = 'block';
+    }
+    renderSendTimeline();
+}
+
+/**
+ * Wire clicks on the attempts and follow the working copy in the editor
+ */
+export function setupSendTimeline() {
+    const container = getContainer();
+    if (!container) return;
+    container.addEventListener('click', (e) => {
+        const attempt = e.target.closest('.send-attempt');
+        if (!attempt) return;
+        const number = parseInt(attempt.dataset.number, 10);
+        if (e.shiftKey) compareSend(number);
+        else showSend(number);
+    });
+
+    // A new send (or another working copy) shows the latest attempt again
+    events.on(EVENT_NAMES.HISTORY_UPDATED, () => {
+        shown = null;
+        compared = null;
+        renderSendTimeline();
+    });
+    events.on(EVENT_NAMES.UI_UPDATE_HISTORY_BUTTONS, renderSendTimeline);
+}
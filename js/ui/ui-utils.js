@@ -4,6 +4,10 @@ import { highlightHTTP } from '../core/utils/network.js';
 import { decodeJWT } from '../core/utils/misc.js';
 import { events, EVENT_NAMES } from '../core/events.js';
 import { elements } from './main-ui.js'; // Keep for context menu and undo/redo which need direct element access
+import { downloadJSON } from '../core/utils/dom.js';
+import { parseQuery, matchesQuery } from '../core/utils/query.js';
+import { toHAR, fromHAR, isHAR } from '../network/har.js';
+import { parseRawRequest, getHeader, headersToObject } from '../network/raw-request.js';
 
 export function updateHistoryButtons() {
     // Update undo/redo buttons (renamed from history buttons)
@@ -885,6 +889,38 @@ function handleEncodeDecode(action) {
     }
 }
 
+/**
+ * The request to copy: the editor text as typed (ordered headers, duplicates included),
+ * or the captured request when the editor can't be parsed
+ * @returns {Object|null} { method, url, headers: [{name, value}], body }
+ */
+function getCopyAsRequest() {
+    try {
+        const parsed = parseRawRequest(elements.rawRequestInput.innerText);
+        const host = getHeader(parsed.headers, 'host');
+        if (host) {
+            const scheme = elements.useHttpsCheckbox.checked ? 'https' : 'http';
+            return {
+                method: parsed.method,
+                url: `${scheme}://${host}${parsed.target}`,
+                headers: parsed.headers.filter(h => h.name.toLowerCase() !== 'host'),
+                body: parsed.body || ''
+            };
+        }
+    } catch (e) {
+        // Fall back to the captured request
+    }
+
+    if (!state.selectedRequest || !state.selectedRequest.request) return null;
+    const req = state.selectedRequest.request;
+    return {
+        method: (req.method || 'GET').toUpperCase(),
+        url: req.url,
+        headers: (req.headers || []).filter(h => !h.name.startsWith(':')),
+        body: req.postData && typeof req.postData.text === 'string' ? req.postData.text : ''
+    };
+}
+
 /**
  * Handle "Copy as ..." actions from the context menu.
  * These operate only on the request editor and require full selection of the request.
@@ -897,15 +933,15 @@ function handleCopyAs(action) {
         return;
     }
 
-    if (!state.selectedRequest || !state.selectedRequest.request) {
+    const req = getCopyAsRequest();
+    if (!req) {
         console.warn('No selected request to copy as curl/bash');
         return;
     }
 
-    const req = state.selectedRequest.request;
-    const method = (req.method || 'GET').toUpperCase();
-    const headers = (req.headers || []).filter(h => !h.name.startsWith(':'));
-    const body = req.postData && typeof req.postData.text === 'string' ? req.postData.text : '';
+    const { method, headers, body } = req;
+    // Languages whose header maps can't repeat a name get duplicates joined
+    const joinedHeaders = Object.entries(headersToObject(headers)).map(([name, value]) => ({ name, value }));
 
     // Build base curl command
     const parts = [`curl '${shellEscapeSingle(req.url)}'`];
@@ -913,7 +949,8 @@ function handleCopyAs(action) {
         parts.push(`-X ${method}`);
     }
     headers.forEach(h => {
-        parts.push(`-H '${shellEscapeSingle(`${h.name}: ${h.value}`)}'`);
+        // "Name;" is how curl sends a header with an empty value
+        parts.push(`-H '${shellEscapeSingle(h.value === '' ? `${h.name};` : `${h.name}: ${h.value}`)}'`);
     });
     if (body && (method === 'POST' || method === 'PUT' || method === 'PATCH' || method === 'DELETE')) {
         parts.push(`--data-raw '${shellEscapeSingle(body)}'`);
@@ -927,7 +964,7 @@ function handleCopyAs(action) {
         // PowerShell snippet using Invoke-WebRequest with headers and body
         const psLines = [];
         psLines.push(`$headers = @{`);
-        headers.forEach(h => {
+        joinedHeaders.forEach(h => {
             const key = h.name.replace(/'/g, "''");
             const val = String(h.value).replace(/'/g, "''");
             psLines.push(`    '${key}' = '${val}'`);
@@ -948,7 +985,7 @@ function handleCopyAs(action) {
         pyLines.push(`url = '${req.url.replace(/'/g, "\\'")}'`);
         pyLines.push('');
         pyLines.push('headers = {');
-        headers.forEach(h => {
+        joinedHeaders.forEach(h => {
             const key = h.name.replace(/'/g, "\\'");
             const val = String(h.value).replace(/'/g, "\\'");
             pyLines.push(`    '${key}': '${val}',`);
@@ -983,7 +1020,7 @@ function handleCopyAs(action) {
         // JavaScript fetch snippet (clean, browser-like)
         const urlEsc = req.url.replace(/'/g, "\\'");
         const ignoreHeaders = ['host', 'connection', 'content-length'];
-        const filteredHeaders = headers.filter(h => !ignoreHeaders.includes(h.name.toLowerCase()));
+        const filteredHeaders = joinedHeaders.filter(h => !ignoreHeaders.includes(h.name.toLowerCase()));
         const hasBody = body && (method === 'POST' || method === 'PUT' || method === 'PATCH' || method === 'DELETE');
         const hasCookie = headers.some(h => h.name.toLowerCase() === 'cookie');
         const refererHeader = headers.find(h => h.name.toLowerCase() === 'referer');
@@ -1627,26 +1664,22 @@ function openScreenshotEditor(imageCanvas) {
 }
 
 function getFilteredRequests() {
+    // Outside regex mode the search bar holds a filter query
+    const search = state.useRegex ? { ast: null, error: null } : parseQuery(state.currentSearchTerm);
     return state.requests.filter(request => {
         const url = request.request.url;
-        const urlLower = url.toLowerCase();
         const method = request.request.method.toUpperCase();
 
         let headersText = '';
-        let headersTextLower = '';
         if (request.request.headers) {
             request.request.headers.forEach(header => {
-                const headerLine = `${header.name}: ${header.value} `;
-                headersText += headerLine;
-                headersTextLower += headerLine.toLowerCase();
+                headersText += `${header.name}: ${header.value} `;
             });
         }
 
         let bodyText = '';
-        let bodyTextLower = '';
         if (request.request.postData && request.request.postData.text) {
             bodyText = request.request.postData.text;
-            bodyTextLower = bodyText.toLowerCase();
         }
 
         let matchesSearch = false;
@@ -1664,11 +1697,7 @@ function getFilteredRequests() {
                 matchesSearch = false;
             }
         } else {
-            matchesSearch =
-                urlLower.includes(state.currentSearchTerm) ||
-                method.includes(state.currentSearchTerm.toUpperCase()) ||
-                headersTextLower.includes(state.currentSearchTerm) ||
-                bodyTextLower.includes(state.currentSearchTerm);
+            matchesSearch = !search.error && matchesQuery(search.ast, request);
         }
 
         let matchesFilter = true;
@@ -1684,7 +1713,11 @@ function getFilteredRequests() {
     });
 }
 
-export function exportRequests() {
+/**
+ * Export the filtered requests
+ * @param {string} [format='rep'] - 'rep' (rep+ JSON) or 'har' (HAR 1.2)
+ */
+export function exportRequests(format = 'rep') {
     const requestsToExport = getFilteredRequests();
 
     if (requestsToExport.length === 0) {
@@ -1692,6 +1725,15 @@ export function exportRequests() {
         return;
     }
 
+    if (format === 'har') {
+        const version = typeof chrome !== 'undefined' && chrome.runtime && chrome.runtime.getManifest
+            ? chrome.runtime.getManifest().version
+            : '';
+        downloadJSON(toHAR(requestsToExport, version), `rep_export_${new Date().toISOString().slice(0, 10)}.har`);
+        events.emit(EVENT_NAMES.REQUESTS_EXPORTED, { format, count: requestsToExport.length });
+        return;
+    }
+
     const exportData = {
         version: "1.0",
         exported_at: new Date().toISOString(),
@@ -1715,7 +1757,10 @@ export function exportRequests() {
                     headers: resHeadersObj,
                     body: req.response?.content?.text || req.responseBody || ""
                 },
-                timestamp: req.capturedAt
+                timestamp: req.capturedAt,
+                notes: req.notes || null,
+                tags: req.tags || [],
+                finding: req.finding || null
             };
         })
     };
@@ -1737,6 +1782,15 @@ export function importRequests(file) {
         try {
             const data = JSON.parse(e.target.result);
 
+            // HAR 1.2 (Chrome/Firefox Network panel, Burp, ZAP, rep+ HAR export)
+            if (isHAR(data)) {
+                const imported = fromHAR(data);
+                imported.forEach(req => actions.request.add(req, { restore: true }));
+                events.emit(EVENT_NAMES.REQUESTS_IMPORTED, { format: 'har', count: imported.length });
+                alert(`Imported ${imported.length} requests.`);
+                return;
+            }
+
             if (!data.requests || !Array.isArray(data.requests)) {
                 throw new Error('Invalid format: "requests" array missing.');
             }
@@ -1770,7 +1824,10 @@ export function importRequests(file) {
                         content: { text: item.response ? item.response.body : '' }
                     },
                     capturedAt: item.timestamp || Date.now(),
-                    starred: false
+                    starred: false,
+                    notes: item.notes,
+                    tags: item.tags,
+                    finding: item.finding
                 };
 
                 // Use action to add request (automatically emits events)
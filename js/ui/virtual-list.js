@@ -0,0 +1,177 @@
+// Virtual List Module - Renders only the rows of a long list that are in view
+// Every row has a fixed height, so row tops are a running sum and the first row in
+// view is found by binary search; spacers above and below stand in for the rest.
+
+const DEFAULT_OVERSCAN = 8;
+const FALLBACK_VIEWPORT_HEIGHT = 600; // Before layout (hidden panel, tests)
+
+/**
+ * Top of every row, followed by the total height
+ * @param {Array<Object>} rows
+ * @param {Function} getHeight - (row) => height in px
+ * @returns {Array<number>} rows.length + 1 offsets
+ */
+export function computeOffsets(rows, getHeight) {
+    const offsets = new Array(rows.length + 1);
+    offsets[0] = 0;
+    for (let i = 0; i < rows.length; i++) {
+        offsets[i + 1] = offsets[i] + getHeight(rows[i]);
+    }
+    return offsets;
+}
+
+/**
+ * Index of the row covering a vertical position
+ * @param {Array<number>} offsets - From computeOffsets
+ * @param {number} y
+ * @returns {number} -1 when there are no rows
+ */
+export function findRowAt(offsets, y) {
+    let low = 0;
+    let high = offsets.length - 2;
+    if (high < 0) return -1;
+    while (low < high) {
+        const mid = (low + high + 1) >> 1;
+        if (offsets[mid] <= y) low = mid;
+        else high = mid - 1;
+    }
+    return low;
+}
+
+export class VirtualList {
+    /**
+     * @param {HTMLElement} container - The scrolling element
+     * @param {Object} options
+     * @param {Function} options.renderRow - (row) => HTMLElement
+     * @param {Function} options.getHeight - (row) => height in px
+     * @param {Function} options.getKey - (row) => string identifying the row across updates
+     * @param {number} [options.overscan] - Rows rendered beyond each edge of the view
+     */
+    constructor(container, { renderRow, getHeight, getKey, overscan = DEFAULT_OVERSCAN }) {
+        this.container = container;
+        this.renderRow = renderRow;
+        this.getHeight = getHeight;
+        this.getKey = getKey;
+        this.overscan = overscan;
+
+        this.rows = [];
+        this.offsets = [0];
+        this.keyIndex = new Map();
+        this.rendered = new Map(); // Key -> element in the DOM
+        this.start = 0;
+        this.end = 0;
+
+        this.topSpacer = document.createElement('div');
+        this.topSpacer.className = 'virtual-spacer';
+        this.bottomSpacer = document.createElement('div');
+        this.bottomSpacer.className = 'virtual-spacer';
+
+        container.addEventListener('scroll', () => this.render(), { passive: true });
+        if (typeof ResizeObserver !== 'undefined') {
+            new ResizeObserver(() => this.render()).observe(container);
+        }
+    }
+
+    // Code that empties the container (clear all, project switch) takes the spacers with it
+    attach() {
+        if (this.topSpacer.parentNode === this.container && this.bottomSpacer.parentNode === this.container) return;
+        this.container.appendChild(this.topSpacer);
+        this.container.appendChild(this.bottomSpacer);
+        this.rendered.clear();
+        this.start = 0;
+        this.end = 0;
+    }
+
+    /**
+     * Replace the rows. Unless the list is scrolled to the top, the first row in
+     * view stays where it is when it is still in the list.
+     * @param {Array<Object>} rows
+     */
+    setRows(rows) {
+        const anchor = this.getAnchor();
+        this.rows = rows;
+        this.offsets = computeOffsets(rows, this.getHeight);
+        this.keyIndex = new Map(rows.map((row, index) => [this.getKey(row), index]));
+
+        this.attach();
+        this.topSpacer.style.height = '0px';
+        this.bottomSpacer.style.height = `${this.getTotalHeight()}px`;
+        if (anchor && this.keyIndex.has(anchor.key)) {
+            this.container.scrollTop = this.offsets[this.keyIndex.get(anchor.key)] + anchor.delta;
+        }
+        this.render(true);
+    }
+
+    getAnchor() {
+        const scrollTop = this.container.scrollTop;
+        if (scrollTop <= 0 || this.rows.length === 0) return null;
+        const index = findRowAt(this.offsets, scrollTop);
+        return { key: this.getKey(this.rows[index]), delta: scrollTop - this.offsets[index] };
+    }
+
+    getTotalHeight() {
+        return this.offsets[this.offsets.length - 1];
+    }
+
+    /**
+     * Render the rows in view
+     * @param {boolean} [force=false] - Rebuild rows already rendered (their data changed)
+     */
+    render(force = false) {
+        this.attach();
+        const scrollTop = this.container.scrollTop;
+        const viewportHeight = this.container.clientHeight || FALLBACK_VIEWPORT_HEIGHT;
+        const first = findRowAt(this.offsets, scrollTop);
+        const last = findRowAt(this.offsets, scrollTop + viewportHeight);
+        const start = first === -1 ? 0 : Math.max(0, first - this.overscan);
+        const end = last === -1 ? 0 : Math.min(this.rows.length, last + 1 + this.overscan);
+        if (!force && start === this.start && end === this.end) return;
+
+        // Rows being edited (inline rename) survive a rebuild
+        const active = document.activeElement;
+        const previous = this.rendered;
+        this.rendered = new Map();
+        const fragment = document.createDocumentFragment();
+        for (let i = start; i < end; i++) {
+            const row = this.rows[i];
+            const key = this.getKey(row);
+            let element = previous.get(key);
+            if (!element || (force && !(active && element.contains(active)))) {
+                if (element) element.remove();
+                element = this.renderRow(row);
+                element.classList.add('virtual-row');
+                element.style.height = `${this.getHeight(row)}px`;
+            }
+            previous.delete(key);
+            this.rendered.set(key, element);
+            fragment.appendChild(element);
+        }
+        previous.forEach(element => element.remove());
+
+        this.topSpacer.style.height = `${this.offsets[start]}px`;
+        this.bottomSpacer.style.height = `${this.getTotalHeight() - this.offsets[end]}px`;
+        this.container.insertBefore(fragment, this.bottomSpacer);
+        this.start = start;
+        this.end = end;
+    }
+
+    /**
+     * Scroll just enough to bring a row into view
+     * @param {string} key
+     * @returns {boolean} false when no row has this key
+     */
+    scrollToKey(key) {
+        const index = this.keyIndex.get(key);
+        if (index === undefined) return false;
+        const viewportHeight = this.container.clientHeight || FALLBACK_VIEWPORT_HEIGHT;
+        const top = this.offsets[index];
+        const bottom = this.offsets[index + 1];
+        if (top < this.container.scrollTop) {
+            this.container.scrollTop = top;
+        } else if (bottom > this.container.scrollTop + viewportHeight) {
+            this.container.scrollTop = bottom - viewportHeight;
+        }
+        this.render();
+        return true;
+    }
+}
@@ -0,0 +1,78 @@
+// Tests for binary-safe bodies and the editable hex view
+import { describe, it, expect, vi, afterEach } from 'vitest';
+import {
+  base64ToBytes,
+  bytesToBase64,
+  bytesToText,
+  isUtf8,
+  textToBase64,
+  splitMessageBytes,
+  messageBytes
+} from '../js/network/body-bytes.js';
+import { generateHexView, parseHexDump } from '../js/ui/hex-view.js';
+import { sendRequest } from '../js/network/request-sender.js';
+import { parseRequest } from '../js/network/capture.js';
+
+const BINARY = Uint8Array.from([0x08, 0x96, 0x01, 0xff, 0x00, 0x0a]);
+// TextEncoder and jsdom don't share a Uint8Array, so bytes are compared as plain arrays
+const list = (bytes) => Array.from(bytes);
+
+describe('Body bytes', () => {
+  afterEach(() => {
+    delete global.fetch;
+  });
+
+  it('should round-trip base64 and decode text', () => {
+    expect(list(base64ToBytes(bytesToBase64(BINARY)))).toEqual(list(BINARY));
+    expect(list(base64ToBytes('not base64!'))).toEqual([]);
+    expect(isUtf8(BINARY)).toBe(false);
+    expect(bytesToText(new TextEncoder().encode('héllo'))).toBe('héllo');
+    expect(textToBase64('héllo')).toBe('aMOpbGxv');
+    expect(bytesToText(base64ToBytes(textToBase64('héllo')))).toBe('héllo');
+    // One character per byte for binary bodies
+    expect(Array.from(bytesToText(BINARY), c => c.charCodeAt(0))).toEqual(list(BINARY));
+  });
+
+  it('should split messages and swap in the body bytes', () => {
+    const crlf = new TextEncoder().encode('HTTP/1.1 200 OK\r\nA: b\r\n\r\nbody');
+    expect(new TextDecoder().decode(splitMessageBytes(crlf).body)).toBe('body');
+    expect(splitMessageBytes(new TextEncoder().encode('GET / HTTP/1.1')).body.length).toBe(0);
+
+    const bytes = messageBytes('HTTP/1.1 200 OK\n\n\u0008\u0096', BINARY);
+    expect(list(bytes.subarray(-BINARY.length))).toEqual(list(BINARY));
+    expect(new TextDecoder().decode(bytes.subarray(0, 17))).toBe('HTTP/1.1 200 OK\n\n');
+    expect(list(messageBytes('GET / HTTP/1.1\n\nhé'))).toEqual(list(new TextEncoder().encode('GET / HTTP/1.1\n\nhé')));
+  });
+
+  it('should parse an edited hex dump with inserted and deleted bytes', () => {
+    const bytes = new TextEncoder().encode('0123456789abcdefXYZ');
+    const dump = generateHexView(bytes);
+    expect(list(parseHexDump(dump))).toEqual(list(bytes));
+
+    // Replace "0", delete "1", insert two bytes on the second line, add a bare hex line
+    const edited = dump
+      .replace('30 31 32', 'ff 32')
+      .replace('58 59', '58 00 01 59')
+      .concat('0d0a\n');
+    expect(list(parseHexDump(edited))).toEqual([
+      0xff, ...list(bytes.subarray(2, 17)), 0x00, 0x01, ...list(bytes.subarray(17)), 0x0d, 0x0a
+    ]);
+    expect(() => parseHexDump('00000000  41 4g')).toThrow('Line 1: "4g" is not a hex byte.');
+  });
+
+  it('should send binary bodies as bytes', async () => {
+    global.fetch = vi.fn(async () => new Response(BINARY, { status: 200 }));
+    const { url, options } = parseRequest('POST /upload HTTP/1.1\nHost: a.test\n\ntext', true);
+
+    const result = await sendRequest(url, options, { bodyBytes: BINARY });
+    expect(global.fetch.mock.calls[0][1].body).toBe(BINARY);
+    expect(options.body).toBe('text');
+    expect(list(result.bodyBytes)).toEqual(list(BINARY));
+    expect(result.size).toBe(BINARY.length);
+
+    // GET requests don't send a body at all
+    const get = parseRequest('GET / HTTP/1.1\nHost: a.test', true);
+    await sendRequest(get.url, get.options, { bodyBytes: BINARY });
+    expect(global.fetch.mock.calls[1][1].body).toBeUndefined();
+  });
+});
@@ -0,0 +1,82 @@
+// Tests for the capture rules engine
+import { describe, it, expect, beforeEach } from 'vitest';
+import {
+  CaptureRules,
+  DEFAULT_CAPTURE_RULES,
+  CAPTURE_RULES_KEY,
+  globToRegExp,
+  normalizeResourceType,
+  compileRule,
+  captureRules,
+  loadCaptureRules,
+  saveCaptureRules
+} from '../js/network/capture-rules.js';
+
+const get = (url, extra = {}) => ({ url, method: 'GET', mimeType: '', resourceType: 'xhr', ...extra });
+
+describe('Capture rules', () => {
+  beforeEach(() => {
+    localStorage.clear();
+  });
+
+  it('should exclude static assets by default and capture everything else', () => {
+    const rules = new CaptureRules();
+    expect(rules.shouldCapture(get('https://a.test/app.css'))).toBe(false);
+    expect(rules.shouldCapture(get('https://a.test/logo.PNG?v=2'))).toBe(false);
+    expect(rules.shouldCapture(get('https://a.test/app.js'))).toBe(true);
+    expect(rules.shouldCapture(get('https://a.test/api/users.json'))).toBe(true);
+    expect(rules.hits.get('static-assets')).toBe(2);
+  });
+
+  it('should let the first matching rule win', () => {
+    const rules = new CaptureRules([
+      { id: 'keep-api-images', action: 'include', host: 'api.test', mime: 'image/*' },
+      { id: 'no-images', action: 'exclude', mime: 'image/*' }
+    ]);
+    expect(rules.shouldCapture(get('https://api.test/avatar', { mimeType: 'image/png' }))).toBe(true);
+    expect(rules.shouldCapture(get('https://cdn.test/avatar', { mimeType: 'image/png; q=1' }))).toBe(false);
+    expect(rules.shouldCapture(get('https://cdn.test/data', { mimeType: 'application/json' }))).toBe(true);
+    expect(Object.fromEntries(rules.hits)).toEqual({ 'keep-api-images': 1, 'no-images': 1 });
+  });
+
+  it('should require every condition of a rule and skip disabled rules', () => {
+    const rules = new CaptureRules([
+      { id: 'off', enabled: false, action: 'exclude', host: '*' },
+      { id: 'beacons', action: 'exclude', host: '*.analytics.test', method: 'post', resourceType: 'ping, xhr' }
+    ]);
+    expect(rules.shouldCapture(get('https://eu.analytics.test/collect', { method: 'POST', resourceType: 'ping' }))).toBe(false);
+    expect(rules.shouldCapture(get('https://eu.analytics.test/collect', { method: 'GET', resourceType: 'ping' }))).toBe(true);
+    expect(rules.shouldCapture(get('https://eu.analytics.test/collect', { method: 'POST', resourceType: 'xmlhttprequest' }))).toBe(false);
+    expect(rules.shouldCapture(get('https://analytics.test/collect', { method: 'POST', resourceType: 'ping' }))).toBe(true);
+    expect(rules.hits.has('off')).toBe(false);
+  });
+
+  it('should defer rules that need the MIME type when it is not known yet', () => {
+    const rules = new CaptureRules([
+      { id: 'html', action: 'exclude', mime: 'text/html' },
+      { id: 'static', action: 'exclude', path: '\\.css$' }
+    ]);
+    expect(rules.evaluate({ url: 'https://a.test/x.css', method: 'GET' })).toEqual({ capture: true, rule: null, deferred: true });
+    expect(rules.evaluate({ url: 'https://a.test/x.css', method: 'GET', mimeType: 'text/css' }).rule.id).toBe('static');
+  });
+
+  it('should normalize webRequest and CDP resource types and compile globs', () => {
+    expect(normalizeResourceType('main_frame')).toBe('document');
+    expect(normalizeResourceType('XHR')).toBe('xhr');
+    expect(normalizeResourceType('xmlhttprequest')).toBe('xhr');
+    expect(globToRegExp('*.example.com').test('api.example.com')).toBe(true);
+    expect(globToRegExp('*.example.com').test('example.com')).toBe(false);
+    expect(globToRegExp('api-?.test').test('api-1.test')).toBe(true);
+  });
+
+  it('should reject invalid regexes on save and keep the saved rules', () => {
+    expect(() => compileRule({ name: 'Broken', path: '(' })).toThrow('Invalid path regex in rule "Broken"');
+    expect(() => saveCaptureRules([{ name: 'Broken', path: '(' }])).toThrow();
+    expect(localStorage.getItem(CAPTURE_RULES_KEY)).toBeNull();
+
+    saveCaptureRules([{ id: 'only', name: 'Only', action: 'exclude', host: 'x.test' }]);
+    captureRules.setRules(DEFAULT_CAPTURE_RULES);
+    expect(loadCaptureRules().map(r => r.id)).toEqual(['only']);
+    expect(captureRules.shouldCapture(get('https://x.test/'))).toBe(false);
+  });
+});
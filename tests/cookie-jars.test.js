@@ -0,0 +1,141 @@
+// Tests for credential modes and cookie jars
+import { describe, it, expect, vi, beforeEach, afterEach } from 'vitest';
+import {
+  storeSetCookies,
+  jarCookieHeader,
+  mergeCookieHeaders,
+  cookieHeaderFor,
+  saveCookieJars,
+  getCookieJar,
+  jarMode,
+  buildCookieRule
+} from '../js/network/cookie-jar.js';
+import { parseSetCookie } from '../js/network/har.js';
+import { sendRequest } from '../js/network/request-sender.js';
+import { parseRequest } from '../js/network/capture.js';
+
+const NOW = Date.UTC(2026, 0, 1);
+
+// chrome.webRequest and declarativeNetRequest for the panel's own requests
+function fakeChrome(responseHeadersFor) {
+  const rules = new Map();
+  const installed = [];
+  let listener = null;
+  global.chrome = {
+    webRequest: {
+      onHeadersReceived: {
+        addListener: (fn) => { listener = fn; },
+        removeListener: () => { listener = null; }
+      }
+    },
+    declarativeNetRequest: {
+      updateSessionRules: async ({ removeRuleIds = [], addRules = [] }) => {
+        removeRuleIds.forEach(id => rules.delete(id));
+        addRules.forEach(rule => {
+          rules.set(rule.id, rule);
+          installed.push(rule);
+        });
+      }
+    }
+  };
+  global.fetch = vi.fn(async (url, options) => {
+    const { status, headers } = responseHeadersFor(url);
+    listener({ url, method: options.method, statusCode: status, statusLine: `HTTP/1.1 ${status} X`, responseHeaders: headers });
+    if (status >= 300 && status < 400) {
+      return { type: 'opaqueredirect', status: 0, headers: new Headers(), arrayBuffer: async () => new ArrayBuffer(0) };
+    }
+    return new Response('ok', { status });
+  });
+  return { rules, installed };
+}
+
+describe('Cookie jars', () => {
+  beforeEach(() => {
+    localStorage.clear();
+  });
+
+  afterEach(() => {
+    delete global.fetch;
+    delete global.chrome;
+  });
+
+  it('should store and send cookies the way browsers do', () => {
+    expect(parseSetCookie('sid=1; Domain=.a.test; Path=/app; Secure; HttpOnly', 'https://www.a.test/login', NOW)).toEqual({
+      name: 'sid', value: '1', domain: 'a.test', hostOnly: false, path: '/app', secure: true, httpOnly: true
+    });
+    expect(parseSetCookie('x=1; Domain=evil.test', 'https://a.test/', NOW)).toBeNull();
+    expect(parseSetCookie('x=1; Max-Age=60', 'https://a.test/a/b', NOW)).toMatchObject({
+      domain: 'a.test', hostOnly: true, path: '/a', expires: new Date(NOW + 60000).toISOString()
+    });
+
+    const jar = { name: 'low', cookies: [] };
+    storeSetCookies(jar, ['sid=1; Domain=a.test; Path=/', 'pref=dark', 'admin=1; Path=/admin; Secure'], 'https://a.test/', NOW);
+    expect(jar.cookies[0]).toEqual({
+      name: 'sid', value: '1', domain: 'a.test', hostOnly: false, path: '/', secure: false, httpOnly: false, expires: null
+    });
+    storeSetCookies(jar, ['tmp=1; Max-Age=60'], 'https://a.test/', NOW);
+    expect(jar.cookies.pop().expires).toBe(NOW + 60000);
+    expect(jarCookieHeader(jar, 'https://api.a.test/x', NOW)).toBe('sid=1');
+    expect(jarCookieHeader(jar, 'https://a.test/admin/users', NOW)).toBe('admin=1; sid=1; pref=dark');
+    expect(jarCookieHeader(jar, 'http://a.test/admin', NOW)).toBe('sid=1; pref=dark');
+    expect(jarCookieHeader(jar, 'https://a.test/administrator', NOW)).toBe('sid=1; pref=dark');
+
+    // Expired cookies delete their match
+    storeSetCookies(jar, ['sid=; Domain=a.test; Path=/; Max-Age=0'], 'https://a.test/', NOW);
+    expect(jar.cookies.map(c => c.name)).toEqual(['pref', 'admin']);
+  });
+
+  it('should pick the Cookie header of each credential mode', () => {
+    saveCookieJars([{ name: 'low', cookies: [{ name: 'sid', value: 'low', domain: 'a.test', path: '/' }] }]);
+    const typed = [{ name: 'Host', value: 'a.test' }, { name: 'Cookie', value: 'sid=high; theme=1' }];
+
+    expect(mergeCookieHeaders('a=1; b=2', 'a=3')).toBe('b=2; a=3');
+    expect(cookieHeaderFor('browser', 'https://a.test/', typed)).toBeNull();
+    expect(cookieHeaderFor('none', 'https://a.test/', typed)).toBe('');
+    expect(cookieHeaderFor('editor', 'https://a.test/', typed)).toBe('sid=high; theme=1');
+    expect(cookieHeaderFor(jarMode('low'), 'https://a.test/', typed)).toBe('theme=1; sid=low');
+    expect(cookieHeaderFor(jarMode('low'), 'https://b.test/', typed)).toBe('sid=high; theme=1');
+    expect(() => saveCookieJars([{ name: 'a' }, { name: 'a' }])).toThrow('There are two cookie jars named "a".');
+  });
+
+  it('should keep the browser jar out of editor-only and cookie-less replays', async () => {
+    const { rules, installed } = fakeChrome(() => ({ status: 200, headers: [] }));
+    const { url, options, rawHeaders } = parseRequest('GET /me HTTP/1.1\nHost: a.test\nCookie: sid=typed', true);
+
+    await sendRequest(url, options, { rawHeaders, credentials: 'none' });
+    expect(global.fetch.mock.calls[0][1].credentials).toBe('omit');
+    expect(installed).toHaveLength(0);
+
+    await sendRequest(url, options, { rawHeaders, credentials: 'editor' });
+    expect(global.fetch.mock.calls[1][1].credentials).toBe('omit');
+    expect(installed[0].action.requestHeaders).toEqual([{ header: 'Cookie', operation: 'set', value: 'sid=typed' }]);
+    expect(installed[0].condition).toMatchObject({ regexFilter: '^https://a\\.test/me$', tabIds: [-1] });
+    expect(rules.size).toBe(0);
+
+    await sendRequest(url, options, { rawHeaders });
+    expect(global.fetch.mock.calls[2][1].credentials).toBe('include');
+  });
+
+  it('should match the cookie rule to the exact URL', () => {
+    const url = 'https://a.test/search?q=a*b|c^d';
+    const { regexFilter } = buildCookieRule(1, `${url}#results`, 'sid=1').condition;
+    expect(new RegExp(regexFilter).test(url)).toBe(true);
+    expect(new RegExp(regexFilter).test('https://a.test/search?q=aXb|c/d')).toBe(false);
+    expect(new RegExp(regexFilter).test(`${url}&page=2`)).toBe(false);
+  });
+
+  it('should fill a jar from Set-Cookie along a redirect chain', async () => {
+    saveCookieJars([{ name: 'victim', cookies: [] }]);
+    const { installed } = fakeChrome((url) => url.endsWith('/login')
+      ? { status: 302, headers: [{ name: 'Location', value: '/home' }, { name: 'Set-Cookie', value: 'sid=abc; Path=/' }] }
+      : { status: 200, headers: [{ name: 'Set-Cookie', value: 'seen=1' }] });
+    const { url, options, rawHeaders } = parseRequest('POST /login HTTP/1.1\nHost: a.test\n\nuser=v', true);
+
+    const result = await sendRequest(url, options, { rawHeaders, credentials: jarMode('victim') });
+
+    expect(result.status).toBe(200);
+    // The second hop already carries the cookie the first one set
+    expect(installed.map(rule => rule.action.requestHeaders[0].value)).toEqual(['sid=abc']);
+    expect(getCookieJar('victim').cookies.map(c => `${c.name}=${c.value}`)).toEqual(['sid=abc', 'seen=1']);
+  });
+});
@@ -0,0 +1,100 @@
+// Tests for chrome.debugger based multi-tab capture
+import { describe, it, expect } from 'vitest';
+import { DebuggerCapture, headersToArray, buildTimings, buildCapturedEntry } from '../js/network/debugger-capture.js';
+import { fakeDebugger } from './helpers/fake-debugger.js';
+
+const flush = () => new Promise(resolve => setTimeout(resolve, 0));
+
+describe('Debugger capture', () => {
+  it('should split multi-value CDP headers', () => {
+    expect(headersToArray({ 'Set-Cookie': 'a=1\nb=2', Server: 'x' })).toEqual([
+      { name: 'Set-Cookie', value: 'a=1' },
+      { name: 'Set-Cookie', value: 'b=2' },
+      { name: 'Server', value: 'x' }
+    ]);
+  });
+
+  it('should convert resource timing into HAR timings', () => {
+    const timing = {
+      requestTime: 100, dnsStart: 1, dnsEnd: 5, connectStart: 5, connectEnd: 20,
+      sslStart: 10, sslEnd: 20, sendStart: 21, sendEnd: 22, receiveHeadersEnd: 60
+    };
+    expect(buildTimings(timing, 100.1)).toEqual({
+      blocked: 1, dns: 4, connect: 15, ssl: 10, send: 1, wait: 38, receive: 40
+    });
+  });
+
+  it('should prefer raw ExtraInfo headers', () => {
+    const entry = buildCapturedEntry({
+      tabId: 7,
+      request: { method: 'GET', url: 'https://a.test/', headers: { Accept: '*/*' } },
+      extraRequestHeaders: { Accept: '*/*', Cookie: 'sid=1' },
+      response: { status: 200, statusText: 'OK', headers: {}, protocol: 'h2', mimeType: 'text/html' },
+      extraResponse: { headers: { 'Set-Cookie': 'sid=2' } },
+      wallTime: 1700000000
+    });
+    expect(entry.request.headers).toContainEqual({ name: 'Cookie', value: 'sid=1' });
+    expect(entry.responseHeaders).toEqual([{ name: 'Set-Cookie', value: 'sid=2' }]);
+    expect(entry.request.httpVersion).toBe('HTTP/2.0');
+    expect(entry.capturedAt).toBe(1700000000000);
+  });
+
+  it('should emit entries with response bodies after loadingFinished', async () => {
+    const api = fakeDebugger({
+      responses: {
+        'Network.getResponseBody': { body: '{"ok":true}', base64Encoded: false },
+        'Network.getRequestPostData': { postData: 'x=1' }
+      }
+    });
+    const entries = [];
+    const capture = new DebuggerCapture({ onEntry: e => entries.push(e) }, api);
+    await capture.attach(3);
+    expect(api.sent.map(c => c.method)).toContain('Network.enable');
+
+    api.fire(3, 'Network.requestWillBeSent', {
+      requestId: 'r1', type: 'XHR', wallTime: 1, documentURL: 'https://app.test/',
+      request: { method: 'POST', url: 'https://api.test/save', headers: { 'Content-Type': 'application/x-www-form-urlencoded' }, hasPostData: true }
+    });
+    api.fire(3, 'Network.responseReceived', {
+      requestId: 'r1', type: 'XHR', response: { status: 201, statusText: 'Created', headers: { 'Content-Type': 'application/json' } }
+    });
+    api.fire(3, 'Network.loadingFinished', { requestId: 'r1', timestamp: 2, encodedDataLength: 11 });
+    await flush();
+
+    expect(entries).toHaveLength(1);
+    expect(entries[0].responseBody).toBe('{"ok":true}');
+    expect(entries[0].responseStatus).toBe(201);
+    expect(entries[0].request.postData.text).toBe('x=1');
+    expect(entries[0].pageUrl).toBe('https://app.test/');
+    expect(entries[0].tabId).toBe(3);
+  });
+
+  it('should ignore replays, failed loads and tabs that are not attached', async () => {
+    const api = fakeDebugger();
+    const entries = [];
+    const capture = new DebuggerCapture({ onEntry: e => entries.push(e) }, api);
+    await capture.attach(1);
+
+    api.fire(1, 'Network.requestWillBeSent', {
+      requestId: 'a', request: { method: 'GET', url: 'https://a.test/', headers: { 'X-Rep-Plus-Replay': 'true' } }
+    });
+    api.fire(1, 'Network.loadingFinished', { requestId: 'a', timestamp: 1 });
+    api.fire(1, 'Network.requestWillBeSent', { requestId: 'b', request: { method: 'GET', url: 'https://a.test/b', headers: {} } });
+    api.fire(1, 'Network.loadingFailed', { requestId: 'b' });
+    api.fire(2, 'Network.requestWillBeSent', { requestId: 'c', request: { method: 'GET', url: 'https://a.test/c', headers: {} } });
+    api.fire(2, 'Network.loadingFinished', { requestId: 'c', timestamp: 1 });
+    await flush();
+
+    expect(entries).toHaveLength(0);
+  });
+
+  it('should forget tabs detached by Chrome', async () => {
+    const api = fakeDebugger();
+    const detached = [];
+    const capture = new DebuggerCapture({ onEntry: () => {}, onDetach: (tabId, reason) => detached.push([tabId, reason]) }, api);
+    await capture.attach(5);
+    api.fireDetach(5, 'canceled_by_user');
+    expect(capture.isAttached(5)).toBe(false);
+    expect(detached).toEqual([[5, 'canceled_by_user']]);
+  });
+});
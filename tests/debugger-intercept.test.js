@@ -0,0 +1,181 @@
+// Tests for request interception through the chrome.debugger Fetch domain
+import { describe, it, expect } from 'vitest';
+import { DebuggerIntercept, buildPausedItem, buildFetchPatterns } from '../js/network/debugger-intercept.js';
+import { MatchReplaceRules } from '../js/network/match-replace.js';
+import { fakeDebugger } from './helpers/fake-debugger.js';
+
+const pausedRequest = {
+  requestId: 'interception-1',
+  resourceType: 'XHR',
+  request: { method: 'POST', url: 'https://a.test/api', urlFragment: '#x', headers: { 'X-Role': 'user' }, postData: '{"a":1}' }
+};
+
+describe('Debugger intercept', () => {
+  it('should convert paused events into queue items', () => {
+    const item = buildPausedItem(3, pausedRequest);
+    expect(item).toEqual({
+      tabId: 3,
+      requestId: 'interception-1',
+      stage: 'request',
+      resourceType: 'XHR',
+      request: {
+        method: 'POST',
+        url: 'https://a.test/api#x',
+        headers: [{ name: 'X-Role', value: 'user' }],
+        postData: { text: '{"a":1}' }
+      },
+      response: null
+    });
+
+    const response = buildPausedItem(3, { ...pausedRequest, responseStatusCode: 403, responseHeaders: [] });
+    expect(response.stage).toBe('response');
+    expect(response.response.status).toBe(403);
+    expect(buildFetchPatterns({ hold: true, responses: true }).map(p => p.requestStage)).toEqual(['Request', 'Response']);
+  });
+
+  it('should continue paused requests with the edited request', async () => {
+    const api = fakeDebugger();
+    const paused = [];
+    const intercept = new DebuggerIntercept({ onPaused: (item) => paused.push(item) }, api);
+    await intercept.attach(3, { hold: true });
+    expect(api.sent[0]).toEqual({ method: 'Fetch.enable', params: { patterns: buildFetchPatterns({ hold: true }) } });
+
+    await api.fire(3, 'Fetch.requestPaused', pausedRequest);
+    await api.fire(4, 'Fetch.requestPaused', pausedRequest);
+    expect(paused).toHaveLength(1);
+
+    const headers = [{ name: 'X-Role', value: 'admin' }];
+    await intercept.continueRequest(3, 'interception-1', { headers, body: 'hi' }, { interceptResponse: true });
+    expect(api.sent[api.sent.length - 1]).toEqual({
+      method: 'Fetch.continueRequest',
+      params: { requestId: 'interception-1', headers, postData: 'aGk=', interceptResponse: true }
+    });
+    await expect(intercept.continueRequest(3, 'interception-1')).rejects.toThrow('no longer paused');
+  });
+
+  it('should read paused response bodies and drop requests', async () => {
+    const api = fakeDebugger({ responses: { 'Fetch.getResponseBody': { body: '{"role":"user"}', base64Encoded: false } } });
+    const paused = [];
+    const intercept = new DebuggerIntercept({ onPaused: (item) => paused.push(item) }, api);
+    await intercept.attach(3, { responses: true });
+
+    await api.fire(3, 'Fetch.requestPaused', { ...pausedRequest, responseStatusCode: 200, responseHeaders: [] });
+    expect(atob(paused[0].response.body)).toBe('{"role":"user"}');
+
+    await intercept.dropRequest(3, 'interception-1');
+    expect(api.sent[api.sent.length - 1]).toEqual({
+      method: 'Fetch.failRequest',
+      params: { requestId: 'interception-1', errorReason: 'BlockedByClient' }
+    });
+  });
+
+  it('should fulfill edited responses with the decoded body', async () => {
+    const api = fakeDebugger();
+    const intercept = new DebuggerIntercept({ onPaused: () => {} }, api);
+    await intercept.attach(3, { responses: true });
+    await api.fire(3, 'Fetch.requestPaused', { ...pausedRequest, responseStatusCode: 200, responseHeaders: [] });
+
+    await intercept.continueRequest(3, 'interception-1', {
+      status: 200,
+      statusText: 'OK',
+      headers: [{ name: 'Content-Type', value: 'application/json' }, { name: 'Content-Encoding', value: 'gzip' }],
+      body: 'hi'
+    });
+    expect(api.sent[api.sent.length - 1]).toEqual({
+      method: 'Fetch.fulfillRequest',
+      params: {
+        requestId: 'interception-1',
+        responseCode: 200,
+        responsePhrase: 'OK',
+        responseHeaders: [{ name: 'Content-Type', value: 'application/json' }],
+        body: 'aGk='
+      }
+    });
+  });
+
+  it('should rewrite requests without holding them', async () => {
+    const api = fakeDebugger();
+    const paused = [];
+    const intercept = new DebuggerIntercept({
+      onPaused: (item) => paused.push(item),
+      rewriteRequest: (tabId, request) => ({ ...request, headers: [{ name: 'X-Role', value: 'admin' }] })
+    }, api);
+    await intercept.attach(3, { rewriteRequests: true });
+    expect(api.sent[0].params.patterns).toEqual(buildFetchPatterns({ rewriteRequests: true }));
+
+    await api.fire(3, 'Fetch.requestPaused', pausedRequest);
+    expect(paused).toHaveLength(0);
+    expect(api.sent[api.sent.length - 1]).toEqual({
+      method: 'Fetch.continueRequest',
+      params: {
+        requestId: 'interception-1',
+        method: 'POST',
+        url: 'https://a.test/api#x',
+        headers: [{ name: 'X-Role', value: 'admin' }],
+        postData: btoa('{"a":1}')
+      }
+    });
+  });
+
+  it('should pass binary response bodies through rewrite rules untouched', async () => {
+    // A PNG signature: 0x89 and the lone 0x1a are not valid UTF-8
+    const png = btoa(String.fromCharCode(0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a, 0xff, 0x00));
+    const api = fakeDebugger({ responses: { 'Fetch.getResponseBody': { body: png, base64Encoded: true } } });
+    const rules = new MatchReplaceRules([
+      { target: 'response-header', match: '', replace: 'X-Rewritten: 1' },
+      { target: 'response-body', match: 'PNG', replace: 'GIF' }
+    ]);
+    const intercept = new DebuggerIntercept({
+      onPaused: () => {},
+      rewriteResponse: (tabId, request, response) => {
+        const result = rules.applyToResponse(response, request.url);
+        return result.hits.length ? result.response : null;
+      }
+    }, api);
+    await intercept.attach(3, { rewriteResponses: true });
+
+    await api.fire(3, 'Fetch.requestPaused', { ...pausedRequest, responseStatusCode: 200, responseHeaders: [] });
+    expect(api.sent[api.sent.length - 1]).toEqual({
+      method: 'Fetch.fulfillRequest',
+      params: {
+        requestId: 'interception-1',
+        responseCode: 200,
+        responsePhrase: undefined,
+        responseHeaders: [{ name: 'X-Rewritten', value: '1' }],
+        body: png
+      }
+    });
+  });
+
+  it('should answer mocked requests without holding them', async () => {
+    const api = fakeDebugger();
+    const paused = [];
+    const intercept = new DebuggerIntercept({
+      onPaused: (item) => paused.push(item),
+      mockRequest: (tabId, request) => request.url.includes('/api')
+        ? { status: 200, statusText: 'OK', headers: [{ name: 'Content-Length', value: '2' }], body: 'e30=' }
+        : null
+    }, api);
+    await intercept.attach(3, { hold: true, mock: true });
+
+    await api.fire(3, 'Fetch.requestPaused', pausedRequest);
+    expect(paused).toHaveLength(0);
+    expect(api.sent[api.sent.length - 1]).toEqual({
+      method: 'Fetch.fulfillRequest',
+      params: { requestId: 'interception-1', responseCode: 200, responsePhrase: 'OK', responseHeaders: [], body: 'e30=' }
+    });
+
+    await api.fire(3, 'Fetch.requestPaused', { ...pausedRequest, requestId: 'interception-2', request: { ...pausedRequest.request, url: 'https://a.test/page' } });
+    expect(paused).toHaveLength(1);
+  });
+
+  it('should report sessions ended by Chrome', async () => {
+    const api = fakeDebugger();
+    const detached = [];
+    const intercept = new DebuggerIntercept({ onPaused: () => {}, onDetach: (tabId, reason) => detached.push([tabId, reason]) }, api);
+    await intercept.attach(3);
+    api.fireDetach(3, 'canceled_by_user');
+    expect(detached).toEqual([[3, 'canceled_by_user']]);
+    expect(intercept.isAttached(3)).toBe(false);
+  });
+});
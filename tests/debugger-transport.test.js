@@ -0,0 +1,105 @@
+// Tests for the chrome.debugger send transport (raw headers)
+import { describe, it, expect } from 'vitest';
+import { DebuggerTransport } from '../js/network/debugger-transport.js';
+import { parseRequest } from '../js/network/capture.js';
+import { fakeDebugger } from './helpers/fake-debugger.js';
+
+// The helper tab's navigation plays the target's answer
+function navigatingDebugger(onNavigate) {
+  return fakeDebugger({
+    responses: { 'Fetch.getResponseBody': { body: 'aGk=', base64Encoded: true } },
+    onCommand: (api, tabId, method) => {
+      if (method === 'Page.navigate' && onNavigate) setTimeout(() => onNavigate(api, tabId), 0);
+    }
+  });
+}
+
+function fakeTabs() {
+  return {
+    removed: [],
+    create: async () => ({ id: 42 }),
+    async remove(id) { this.removed.push(id); }
+  };
+}
+
+const flush = () => new Promise(resolve => setTimeout(resolve, 0));
+
+describe('Debugger transport', () => {
+  it('should keep forbidden headers as typed, in order', () => {
+    const { rawHeaders, filteredHeaders } = parseRequest(
+      'POST /x HTTP/1.1\nHost: a.test\nOrigin: https://evil.test\nCookie: sid=1\n:authority: a.test\n\nbody',
+      true
+    );
+    expect(rawHeaders).toEqual([
+      { name: 'Host', value: 'a.test' },
+      { name: 'Origin', value: 'https://evil.test' },
+      { name: 'Cookie', value: 'sid=1' }
+    ]);
+    expect(filteredHeaders.Origin).toBeUndefined();
+  });
+
+  it('should rewrite the navigation and return the intercepted response', async () => {
+    const api = navigatingDebugger(async (api, tabId) => {
+      api.fire(tabId, 'Fetch.requestPaused', { requestId: 'r1' });
+      await flush();
+      api.fire(tabId, 'Fetch.requestPaused', {
+        requestId: 'r1',
+        responseStatusCode: 201,
+        responseStatusText: 'Created',
+        responseHeaders: [{ name: 'X-Id', value: '7' }]
+      });
+    });
+    const tabs = fakeTabs();
+    const transport = new DebuggerTransport(api, tabs);
+    const headers = [{ name: 'Host', value: 'a.test' }, { name: 'Origin', value: 'https://evil.test' }];
+
+    const result = await transport.send({ url: 'https://a.test/x', method: 'PUT', headers, body: 'hi' });
+
+    expect(result).toMatchObject({ status: 201, statusText: 'Created', headers: [{ name: 'X-Id', value: '7' }], body: 'aGk=' });
+    const continued = api.sent.find(c => c.method === 'Fetch.continueRequest').params;
+    expect(continued).toEqual({ requestId: 'r1', method: 'PUT', headers, postData: 'aGk=' });
+    expect(api.sent.map(c => c.method)).toContain('Fetch.failRequest');
+    expect(api.detached).toEqual([42]);
+    expect(tabs.removed).toEqual([42]);
+    expect(transport.isHelperTab(42)).toBe(false);
+  });
+
+  it('should send binary bodies as given', async () => {
+    const api = navigatingDebugger(async (api, tabId) => {
+      api.fire(tabId, 'Fetch.requestPaused', { requestId: 'r1' });
+      await flush();
+      api.fire(tabId, 'Fetch.requestPaused', { requestId: 'r1', responseStatusCode: 200 });
+    });
+    const transport = new DebuggerTransport(api, fakeTabs());
+
+    await transport.send({ url: 'https://a.test/x', method: 'POST', headers: [], body: '\u0008\u0096', bodyBase64: 'CJYB/w==' });
+
+    expect(api.sent.find(c => c.method === 'Fetch.continueRequest').params.postData).toBe('CJYB/w==');
+  });
+
+  it('should fail on network errors and timeouts', async () => {
+    const failing = new DebuggerTransport(navigatingDebugger((api, tabId) => {
+      api.fire(tabId, 'Fetch.requestPaused', { requestId: 'r1', responseErrorReason: 'NameNotResolved' });
+    }), fakeTabs());
+    await expect(failing.send({ url: 'https://nowhere.test/', method: 'GET', headers: [] }))
+      .rejects.toThrow('Request failed: NameNotResolved');
+
+    const tabs = fakeTabs();
+    const silent = new DebuggerTransport(navigatingDebugger(), tabs);
+    await expect(silent.send({ url: 'https://a.test/', method: 'GET', headers: [], timeout: 20 }))
+      .rejects.toThrow('No response after 0.02s.');
+    expect(tabs.removed).toEqual([42]);
+  });
+
+  it('should cancel a send by its id and close the helper tab', async () => {
+    const tabs = fakeTabs();
+    const transport = new DebuggerTransport(navigatingDebugger(), tabs);
+    const sending = transport.send({ url: 'https://a.test/', method: 'GET', headers: [], sendId: 's1' });
+    await flush();
+
+    expect(transport.cancel('other')).toBe(false);
+    expect(transport.cancel('s1')).toBe(true);
+    await expect(sending).rejects.toThrow('Request canceled.');
+    expect(tabs.removed).toEqual([42]);
+  });
+});
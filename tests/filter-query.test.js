@@ -0,0 +1,121 @@
+// Tests for the request filter query language
+import { describe, it, expect, beforeEach } from 'vitest';
+import { state } from '../js/core/state.js';
+import { parseQuery, matchesQuery, suggestQuery } from '../js/core/utils/query.js';
+import { requestMatchesFilters } from '../js/ui/request-list.js';
+import { getFilteredRequests } from '../js/ui/request-actions.js';
+import { loadSavedQueries, saveQuery, deleteSavedQuery } from '../js/ui/query-bar.js';
+import { capturedRequest } from './helpers/fixtures.js';
+
+const requests = [
+  capturedRequest('GET', 'https://www.example.com/', { mime: 'text/html', size: 40000, time: 900 }),
+  capturedRequest('POST', 'https://v1.api.example.com/login', { status: 401, body: '{"password":"hunter2"}', headers: [{ name: 'Cookie', value: 'sid=1' }] }),
+  capturedRequest('GET', 'https://v1.api.example.com/users/7', { status: 404, headers: [{ name: 'Authorization', value: 'Bearer abc' }], tags: ['idor'], finding: 'high' }),
+  capturedRequest('GET', 'https://www.google-analytics.com/collect', { status: 204, mime: 'image/gif', size: 35, time: 20 }),
+  capturedRequest('PUT', 'https://v2.api.example.com/users/7', { status: 500, size: 12000, time: 1500, body: 'name=x' })
+];
+
+function run(query) {
+  const { ast, error } = parseQuery(query);
+  expect(error).toBeNull();
+  return requests.map((request, index) => (matchesQuery(ast, request) ? index : -1)).filter(index => index !== -1);
+}
+
+describe('Filter query language', () => {
+  beforeEach(() => {
+    localStorage.clear();
+    state.requests = requests.slice();
+    state.currentSearchTerm = '';
+    state.useRegex = false;
+    state.currentFilter = 'all';
+    state.selectedMethods = new Set();
+    state.currentTagFilter = 'all';
+  });
+
+  it('should match field terms', () => {
+    expect(run('status:4xx')).toEqual([1, 2]);
+    expect(run('status:404')).toEqual([2]);
+    expect(run('status>=400')).toEqual([1, 2, 4]);
+    expect(run('status:<300')).toEqual([0, 3]);
+    expect(run('host:*.api.example.com')).toEqual([1, 2, 4]);
+    expect(run('host:example.com')).toEqual([0, 1, 2, 4]);
+    expect(run('method:post')).toEqual([1]);
+    expect(run('mime:json')).toEqual([1, 2, 4]);
+    expect(run('size>10kb')).toEqual([0, 4]);
+    expect(run('time>500ms')).toEqual([0, 4]);
+    expect(run('time>=1.5s')).toEqual([4]);
+    expect(run('has:cookie')).toEqual([1]);
+    expect(run('has:body')).toEqual([1, 4]);
+    expect(run('header:authorization')).toEqual([2]);
+    expect(run('header:"bearer abc"')).toEqual([2]);
+    expect(run('body:"password"')).toEqual([1]);
+    expect(run('path:/users/*')).toEqual([2, 4]);
+    expect(run('tag:idor')).toEqual([2]);
+    expect(run('finding>=medium')).toEqual([2]);
+    expect(run('response:ok')).toEqual([0, 1, 2, 3, 4]);
+  });
+
+  it('should combine terms with AND, OR, NOT and parentheses', () => {
+    expect(run('users status:5xx')).toEqual([4]);
+    expect(run('method:PUT OR status:401')).toEqual([1, 4]);
+    expect(run('(method:PUT OR method:POST) AND has:cookie')).toEqual([1]);
+    expect(run('-host:google-analytics.com -host:www.example.com')).toEqual([1, 2, 4]);
+    expect(run('NOT (status:2xx OR status:5xx)')).toEqual([1, 2]);
+    expect(run('api -(users OR login)')).toEqual([]);
+    // Plain words keep working like the old search, URLs included
+    expect(run('collect')).toEqual([3]);
+    expect(run('https://v2.api')).toEqual([4]);
+    expect(parseQuery('   ')).toEqual({ ast: null, error: null });
+  });
+
+  it('should report invalid queries with their position', () => {
+    expect(parseQuery('status:abc').error).toMatchObject({ message: expect.stringContaining('Invalid status'), start: 0, end: 10 });
+    expect(parseQuery('method:GET size>10zb').error).toMatchObject({ message: expect.stringContaining('Invalid size'), start: 11 });
+    expect(parseQuery('host>5').error.message).toBe('host does not support >, use host:value');
+    expect(parseQuery('colour:red').error).toMatchObject({ start: 0, end: 6 });
+    expect(parseQuery('host:').error.message).toBe('host: needs a value');
+    expect(parseQuery('(status:4xx').error.message).toBe('Missing closing parenthesis');
+    expect(parseQuery('status:4xx)').error.message).toBe('Unexpected ")"');
+    expect(parseQuery('a OR').error.message).toBe('Expected a filter after OR');
+    expect(parseQuery('OR a').error.message).toBe('Unexpected OR');
+    expect(parseQuery('body:"pass').error.message).toBe('Missing closing quote');
+  });
+
+  it('should suggest fields and values at the cursor', () => {
+    const fields = suggestQuery('method:GET st', 13, requests);
+    expect(fields).toMatchObject({ start: 11, end: 13 });
+    expect(fields.items.map(item => item.label)).toEqual(['status:']);
+
+    const hosts = suggestQuery('-host:api', 9, requests);
+    expect(hosts.start).toBe(1);
+    expect(hosts.items.map(item => item.insert)).toEqual(['host:v1.api.example.com ', 'host:v2.api.example.com ']);
+
+    const has = suggestQuery('has:', 4, requests).items.map(item => item.label);
+    expect(has).toContain('has:cookie');
+    expect(has).toContain('has:authorization');
+    expect(suggestQuery('a o', 3, requests).items.map(item => item.label)).toEqual(['OR']);
+  });
+
+  it('should filter the list and exports with the query', () => {
+    state.currentSearchTerm = 'status:4xx -has:cookie';
+    expect(requests.map(request => requestMatchesFilters(request))).toEqual([false, false, true, false, false]);
+    expect(getFilteredRequests()).toEqual([requests[2]]);
+
+    state.currentSearchTerm = 'status:4xx OR';
+    expect(requestMatchesFilters(requests[2])).toBe(false);
+
+    // Regex mode searches the raw text as before
+    state.currentSearchTerm = 'users/\\d';
+    state.useRegex = true;
+    expect(requests.map(request => requestMatchesFilters(request))).toEqual([false, false, true, false, true]);
+  });
+
+  it('should keep saved queries as presets', () => {
+    expect(loadSavedQueries()).toEqual([]);
+    saveQuery('Errors', 'status>=400');
+    saveQuery('Auth', 'has:authorization');
+    saveQuery('Errors', 'status:5xx');
+    expect(loadSavedQueries()).toEqual([{ name: 'Errors', query: 'status:5xx' }, { name: 'Auth', query: 'has:authorization' }]);
+    expect(deleteSavedQuery('Errors')).toEqual([{ name: 'Auth', query: 'has:authorization' }]);
+  });
+});
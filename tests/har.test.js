@@ -0,0 +1,130 @@
+// Tests for HAR 1.2 conversion
+import { describe, it, expect } from 'vitest';
+import { toHAR, fromHAR, isHAR, parseCookieHeader, parseSetCookie } from '../js/network/har.js';
+
+const capturedRequest = () => ({
+  id: 'req_1',
+  request: {
+    method: 'POST',
+    url: 'https://example.com/login?next=%2Fhome',
+    httpVersion: 'HTTP/2.0',
+    headers: [
+      { name: 'Content-Type', value: 'application/x-www-form-urlencoded' },
+      { name: 'Cookie', value: 'sid=abc; theme=dark' },
+      { name: 'X-Dup', value: 'one' },
+      { name: 'X-Dup', value: 'two' }
+    ],
+    postData: { text: 'user=alice&pass=s3cret' }
+  },
+  response: {
+    status: 200,
+    statusText: 'OK',
+    headers: [
+      { name: 'Content-Type', value: 'image/png' },
+      { name: 'Set-Cookie', value: 'sid=xyz; Path=/; HttpOnly; Secure' }
+    ],
+    content: { mimeType: 'image/png', size: 4 }
+  },
+  responseBody: 'iVBORw==',
+  responseEncoding: 'base64',
+  timings: { blocked: 1, dns: -1, connect: -1, send: 2, wait: 30, receive: 5, ssl: -1 },
+  capturedAt: Date.UTC(2024, 0, 1),
+  pageUrl: 'https://example.com/',
+  starred: true,
+  color: 'red',
+  name: 'Login',
+  notes: 'check rate limiting'
+});
+
+describe('HAR conversion', () => {
+  it('should export a HAR 1.2 document', () => {
+    const har = toHAR([capturedRequest()], '1.2.3');
+
+    expect(isHAR(har)).toBe(true);
+    expect(har.log.version).toBe('1.2');
+    expect(har.log.creator).toEqual({ name: 'rep+', version: '1.2.3' });
+    expect(har.log.entries).toHaveLength(1);
+  });
+
+  it('should keep duplicate headers, cookies, params and timings', () => {
+    const entry = toHAR([capturedRequest()]).log.entries[0];
+
+    expect(entry.request.headers.filter(h => h.name === 'X-Dup').map(h => h.value)).toEqual(['one', 'two']);
+    expect(entry.request.cookies).toEqual([{ name: 'sid', value: 'abc' }, { name: 'theme', value: 'dark' }]);
+    expect(entry.request.queryString).toEqual([{ name: 'next', value: '/home' }]);
+    expect(entry.request.postData.params).toEqual([
+      { name: 'user', value: 'alice' },
+      { name: 'pass', value: 's3cret' }
+    ]);
+    expect(entry.response.cookies[0]).toMatchObject({ name: 'sid', value: 'xyz', path: '/', httpOnly: true, secure: true });
+    expect(entry.timings.wait).toBe(30);
+    expect(entry.time).toBe(38);
+    expect(entry.startedDateTime).toBe('2024-01-01T00:00:00.000Z');
+  });
+
+  it('should keep base64 response bodies and rep+ extensions', () => {
+    const entry = toHAR([capturedRequest()]).log.entries[0];
+
+    expect(entry.response.content).toMatchObject({ text: 'iVBORw==', encoding: 'base64', mimeType: 'image/png' });
+    expect(entry._rep).toMatchObject({ starred: true, color: 'red', name: 'Login', notes: 'check rate limiting' });
+  });
+
+  it('should round-trip through fromHAR', () => {
+    const [restored] = fromHAR(JSON.parse(JSON.stringify(toHAR([capturedRequest()]))));
+
+    expect(restored.request.method).toBe('POST');
+    expect(restored.request.headers).toHaveLength(4);
+    expect(restored.responseBody).toBe('iVBORw==');
+    expect(restored.responseEncoding).toBe('base64');
+    expect(restored.responseStatus).toBe(200);
+    expect(restored.timings.wait).toBe(30);
+    expect(restored.starred).toBe(true);
+    expect(restored.color).toBe('red');
+    expect(restored.notes).toBe('check rate limiting');
+    expect(restored.pageUrl).toBe('https://example.com/');
+    expect(restored.capturedAt).toBe(Date.UTC(2024, 0, 1));
+  });
+
+  it('should import a third-party HAR without rep+ fields', () => {
+    const har = {
+      log: {
+        version: '1.2',
+        creator: { name: 'WebInspector', version: '537.36' },
+        pages: [{ id: 'page_1', title: 'https://shop.example.com/cart', startedDateTime: '2024-02-01T10:00:00.000Z' }],
+        entries: [{
+          pageref: 'page_1',
+          startedDateTime: '2024-02-01T10:00:01.000Z',
+          time: 12,
+          request: { method: 'GET', url: 'https://api.example.com/cart', httpVersion: 'h2', headers: [], cookies: [], queryString: [] },
+          response: { status: 204, statusText: '', headers: [], content: { size: 0, mimeType: '' } },
+          timings: { send: 1, wait: 10, receive: 1 },
+          _resourceType: 'fetch'
+        }]
+      }
+    };
+
+    const [req] = fromHAR(har);
+
+    expect(req.pageUrl).toBe('https://shop.example.com/cart');
+    expect(req.responseStatus).toBe(204);
+    expect(req._resourceType).toBe('fetch');
+    expect(req.starred).toBeUndefined();
+  });
+
+  it('should reject documents without log.entries', () => {
+    expect(() => fromHAR({ requests: [] })).toThrow('Invalid HAR');
+  });
+
+  describe('cookie parsing', () => {
+    it('should parse Cookie headers', () => {
+      expect(parseCookieHeader('a=1; b=x=y')).toEqual([{ name: 'a', value: '1' }, { name: 'b', value: 'x=y' }]);
+      expect(parseCookieHeader('')).toEqual([]);
+    });
+
+    it('should parse Set-Cookie attributes', () => {
+      const cookie = parseSetCookie('id=1; Domain=.example.com; Expires=Wed, 21 Oct 2026 07:28:00 GMT; SameSite=Lax');
+      expect(cookie).toMatchObject({ name: 'id', value: '1', domain: '.example.com', sameSite: 'Lax' });
+      expect(cookie.expires).toBe('2026-10-21T07:28:00.000Z');
+    });
+  });
+});
@@ -0,0 +1,32 @@
+// Test helper - In-memory chrome.debugger for the tests that attach to tabs
+
+/**
+ * Fake chrome.debugger API
+ * @param {Object} [options]
+ * @param {Object} [options.responses] - Command method -> result passed to the callback ({} by default)
+ * @param {Function} [options.onCommand] - (api, tabId, method, params) after each command
+ * @returns {Object} The API, plus sent ({ method, params } per command), detached (tab ids),
+ *   fire(tabId, method, params) to dispatch an event and fireDetach(tabId, reason)
+ */
+export function fakeDebugger({ responses = {}, onCommand = null } = {}) {
+  const listeners = { event: [], detach: [] };
+  const api = {
+    sent: [],
+    detached: [],
+    attach: (target, version, cb) => cb(),
+    detach: (target, cb) => {
+      api.detached.push(target.tabId);
+      cb();
+    },
+    sendCommand(target, method, params, cb) {
+      api.sent.push({ method, params });
+      if (onCommand) onCommand(api, target.tabId, method, params);
+      cb(responses[method] || {});
+    },
+    onEvent: { addListener: (fn) => listeners.event.push(fn) },
+    onDetach: { addListener: (fn) => listeners.detach.push(fn) },
+    fire: (tabId, method, params) => Promise.all(listeners.event.map(fn => fn({ tabId }, method, params))),
+    fireDetach: (tabId, reason) => listeners.detach.forEach(fn => fn({ tabId }, reason))
+  };
+  return api;
+}
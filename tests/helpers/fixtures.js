@@ -0,0 +1,57 @@
+// Test helper - Captured request entries shaped like the ones capture.js puts in state.requests
+
+let nextId = 0;
+
+/**
+ * Captured request entry
+ * @param {string} method
+ * @param {string} url
+ * @param {Object} [options]
+ * @param {Array<{name: string, value: string}>} [options.headers] - Request headers after Host
+ * @param {string} [options.body] - Request body
+ * @param {number} [options.status=200]
+ * @param {string} [options.statusText='OK']
+ * @param {string} [options.mime='application/json'] - Response content type
+ * @param {number} [options.size=100] - Response body size
+ * @param {number} [options.time=50] - Total time (ms)
+ * @param {Array<{name: string, value: string}>} [options.responseHeaders] - Content-Type of mime by default
+ * @param {string} [options.responseBody='{"ok":true}']
+ * @param {string} [options.encoding=''] - 'base64' for binary response bodies
+ * @param {...*} [options.fields] - Any other entry field (id, pageUrl, capturedAt, tags, ...)
+ * @returns {Object}
+ */
+export function capturedRequest(method, url, {
+  headers = [],
+  body,
+  status = 200,
+  statusText = 'OK',
+  mime = 'application/json',
+  size = 100,
+  time = 50,
+  responseHeaders = [{ name: 'Content-Type', value: mime }],
+  responseBody = '{"ok":true}',
+  encoding = '',
+  ...fields
+} = {}) {
+  nextId++;
+  const { host, origin } = new URL(url);
+  return {
+    id: `r${nextId}`,
+    pageUrl: `${origin}/`,
+    capturedAt: 1700000000000 + nextId,
+    request: {
+      method,
+      url,
+      headers: [{ name: 'Host', value: host }, ...headers],
+      ...(body !== undefined ? { postData: { mimeType: 'application/json', text: body } } : {})
+    },
+    response: { status, statusText, headers: responseHeaders, content: { size, mimeType: mime } },
+    time,
+    responseBody,
+    responseEncoding: encoding,
+    responseStatus: status,
+    responseStatusText: statusText,
+    responseHeaders,
+    ...fields
+  };
+}
@@ -0,0 +1,226 @@
+// Tests for third-party importers (cURL, Postman, OpenAPI, Burp XML)
+import { describe, it, expect } from 'vitest';
+import { parseCurl, parseCurlCommands, tokenizeCommand, isCurlCommand } from '../js/features/importers/curl.js';
+import { parsePostmanCollection, isPostmanCollection } from '../js/features/importers/postman.js';
+import { parseOpenAPI, isOpenAPIDocument } from '../js/features/importers/openapi.js';
+import { parseBurpXml, isBurpXml } from '../js/features/importers/burp.js';
+import { parseRawRequest, parseRawResponse } from '../js/features/importers/raw-http.js';
+
+const header = (req, name) => {
+  const h = req.request.headers.find(h => h.name.toLowerCase() === name.toLowerCase());
+  return h ? h.value : undefined;
+};
+
+describe('cURL importer', () => {
+  it('should tokenize quotes and line continuations', () => {
+    expect(tokenizeCommand(`curl 'https://a.test/x' \\\n  -H "X-A: \\"q\\"" --data-raw $'a\\nb'`))
+      .toEqual(['curl', 'https://a.test/x', '-H', 'X-A: "q"', '--data-raw', 'a\nb']);
+  });
+
+  it('should parse a Chrome "Copy as cURL" command', () => {
+    const req = parseCurl(`curl 'https://api.test/login' -H 'content-type: application/json' -b 'sid=1' --data-raw '{"u":"a"}' --compressed`);
+    expect(req.request.method).toBe('POST');
+    expect(req.request.url).toBe('https://api.test/login');
+    expect(header(req, 'content-type')).toBe('application/json');
+    expect(header(req, 'cookie')).toBe('sid=1');
+    expect(req.request.postData.text).toBe('{"u":"a"}');
+  });
+
+  it('should honour -X, -u and -G', () => {
+    const req = parseCurl('curl -X PUT -u admin:pw https://api.test/item');
+    expect(req.request.method).toBe('PUT');
+    expect(header(req, 'authorization')).toBe(`Basic ${btoa('admin:pw')}`);
+
+    const get = parseCurl('curl -G https://api.test/search -d q=1 -d page=2');
+    expect(get.request.method).toBe('GET');
+    expect(get.request.url).toBe('https://api.test/search?q=1&page=2');
+    expect(get.request.postData).toBeUndefined();
+  });
+
+  it('should default form data content type and split multiple commands', () => {
+    const reqs = parseCurlCommands('curl https://a.test/one -d x=1\ncurl https://a.test/two');
+    expect(reqs).toHaveLength(2);
+    expect(header(reqs[0], 'content-type')).toBe('application/x-www-form-urlencoded');
+    expect(reqs[1].request.method).toBe('GET');
+  });
+
+  it('should reject non-curl input', () => {
+    expect(isCurlCommand('wget https://a.test')).toBe(false);
+    expect(() => parseCurl('curl -H "A: b"')).toThrow('no URL');
+  });
+});
+
+describe('Postman importer', () => {
+  const collection = {
+    info: { name: 'Shop', schema: 'https://schema.getpostman.com/json/collection/v2.1.0/collection.json' },
+    variable: [{ key: 'base', value: 'https://shop.test' }, { key: 'token', value: 't0k' }],
+    auth: { type: 'bearer', bearer: [{ key: 'token', value: '{{token}}' }] },
+    item: [
+      {
+        name: 'Orders',
+        item: [
+          {
+            name: 'Create order',
+            request: {
+              method: 'POST',
+              header: [{ key: 'X-Trace', value: '1' }, { key: 'X-Off', value: '0', disabled: true }],
+              url: { raw: '{{base}}/orders?dry=1', host: ['{{base}}'], path: ['orders'], query: [{ key: 'dry', value: '1' }] },
+              body: { mode: 'raw', raw: '{"sku":"{{sku}}"}', options: { raw: { language: 'json' } } }
+            }
+          }
+        ]
+      },
+      {
+        name: 'Login',
+        request: {
+          method: 'POST',
+          url: '{{base}}/login',
+          body: { mode: 'urlencoded', urlencoded: [{ key: 'user', value: 'a b' }] }
+        }
+      }
+    ]
+  };
+
+  it('should detect v2.1 collections', () => {
+    expect(isPostmanCollection(collection)).toBe(true);
+    expect(isPostmanCollection({ requests: [] })).toBe(false);
+  });
+
+  it('should flatten folders and substitute variables', () => {
+    const [order, login] = parsePostmanCollection(collection);
+    expect(order.name).toBe('Orders / Create order');
+    expect(order.request.url).toBe('https://shop.test/orders?dry=1');
+    expect(header(order, 'x-trace')).toBe('1');
+    expect(header(order, 'x-off')).toBeUndefined();
+    expect(header(order, 'authorization')).toBe('Bearer t0k');
+    expect(header(order, 'content-type')).toBe('application/json');
+    // Unknown variables stay as placeholders
+    expect(order.request.postData.text).toBe('{"sku":"{{sku}}"}');
+
+    expect(login.request.url).toBe('https://shop.test/login');
+    expect(login.request.postData.text).toBe('user=a%20b');
+  });
+});
+
+describe('OpenAPI importer', () => {
+  it('should turn OpenAPI 3 paths into templated requests', () => {
+    const spec = {
+      openapi: '3.0.1',
+      info: { title: 'Pets' },
+      servers: [{ url: 'https://{env}.pets.test/v1', variables: { env: { default: 'api' } } }],
+      paths: {
+        '/pets/{petId}': {
+          parameters: [{ name: 'petId', in: 'path', required: true, schema: { type: 'integer' } }],
+          get: {
+            summary: 'Get pet',
+            parameters: [
+              { name: 'expand', in: 'query', schema: { type: 'string', default: 'owner' } },
+              { name: 'X-Api-Key', in: 'header', schema: { type: 'string' } }
+            ]
+          }
+        },
+        '/pets': {
+          post: {
+            operationId: 'createPet',
+            requestBody: { content: { 'application/json': { schema: { $ref: '#/components/schemas/Pet' } } } }
+          }
+        }
+      },
+      components: {
+        schemas: {
+          Pet: { type: 'object', properties: { name: { type: 'string', example: 'Rex' }, age: { type: 'integer' } } }
+        }
+      }
+    };
+
+    expect(isOpenAPIDocument(spec)).toBe(true);
+    const [get, post] = parseOpenAPI(spec);
+
+    expect(get.name).toBe('Get pet');
+    expect(get.request.method).toBe('GET');
+    expect(get.request.url).toBe('https://api.pets.test/v1/pets/{petId}?expand=owner');
+    expect(header(get, 'X-Api-Key')).toBe('{X-Api-Key}');
+
+    expect(post.name).toBe('createPet');
+    expect(post.request.method).toBe('POST');
+    expect(JSON.parse(post.request.postData.text)).toEqual({ name: 'Rex', age: 0 });
+    expect(header(post, 'content-type')).toBe('application/json');
+  });
+
+  it('should support Swagger 2 host, basePath and body parameters', () => {
+    const spec = {
+      swagger: '2.0',
+      host: 'legacy.test',
+      basePath: '/api',
+      schemes: ['http'],
+      paths: {
+        '/users/{id}': {
+          put: {
+            parameters: [
+              { name: 'id', in: 'path', type: 'string', default: '42' },
+              { name: 'body', in: 'body', schema: { type: 'object', properties: { admin: { type: 'boolean' } } } }
+            ]
+          }
+        }
+      }
+    };
+
+    const [put] = parseOpenAPI(spec);
+    expect(put.request.url).toBe('http://legacy.test/api/users/42');
+    expect(JSON.parse(put.request.postData.text)).toEqual({ admin: false });
+  });
+});
+
+describe('Burp XML importer', () => {
+  const rawRequest = 'POST /api/login HTTP/1.1\r\nHost: burp.test\r\nContent-Type: application/json\r\n\r\n{"u":"a"}';
+  const rawResponse = 'HTTP/1.1 401 Unauthorized\r\nContent-Type: text/plain\r\n\r\nnope';
+  const xml = `<?xml version="1.0"?>
+<!DOCTYPE items [
+<!ELEMENT items (item*)>
+]>
+<items burpVersion="2024.1">
+  <item>
+    <time>Mon Jan 01 10:00:00 UTC 2024</time>
+    <url><![CDATA[https://burp.test/api/login]]></url>
+    <host ip="127.0.0.1">burp.test</host>
+    <port>443</port>
+    <protocol>https</protocol>
+    <method><![CDATA[POST]]></method>
+    <path><![CDATA[/api/login]]></path>
+    <request base64="true"><![CDATA[${btoa(rawRequest)}]]></request>
+    <status>401</status>
+    <response base64="true"><![CDATA[${btoa(rawResponse)}]]></response>
+    <comment>check lockout</comment>
+  </item>
+</items>`;
+
+  it('should decode base64 requests and responses', () => {
+    expect(isBurpXml(xml)).toBe(true);
+    const [req] = parseBurpXml(xml);
+    expect(req.request.method).toBe('POST');
+    expect(req.request.url).toBe('https://burp.test/api/login');
+    expect(req.request.postData.text).toBe('{"u":"a"}');
+    expect(req.response.status).toBe(401);
+    expect(req.responseBody).toBe('nope');
+    expect(req.notes).toBe('check lockout');
+  });
+
+  it('should reject malformed XML', () => {
+    expect(() => parseBurpXml('<items><item></items>')).toThrow('Invalid Burp XML');
+  });
+});
+
+describe('Raw HTTP parsing', () => {
+  it('should resolve relative request targets against the Host header', () => {
+    const req = parseRawRequest('GET /a?b=1 HTTP/1.1\nHost: raw.test\n\n');
+    expect(req.request.url).toBe('https://raw.test/a?b=1');
+    expect(req.request.postData).toBeUndefined();
+  });
+
+  it('should parse a status line', () => {
+    const res = parseRawResponse('HTTP/1.1 204 No Content\r\nX-A: 1\r\n\r\n');
+    expect(res.status).toBe(204);
+    expect(res.statusText).toBe('No Content');
+    expect(res.headers).toEqual([{ name: 'X-A', value: '1' }]);
+  });
+});
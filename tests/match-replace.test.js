@@ -0,0 +1,98 @@
+// Tests for the match & replace rules
+import { describe, it, expect, beforeEach } from 'vitest';
+import {
+  MatchReplaceRules,
+  MATCH_REPLACE_KEY,
+  matchReplace,
+  loadMatchReplaceRules,
+  saveMatchReplaceRules
+} from '../js/network/match-replace.js';
+import { parseRequest, applyResponseRules } from '../js/network/capture.js';
+
+const request = (extra = {}) => ({
+  method: 'GET',
+  url: 'https://a.test/api/users?id=1',
+  headers: [{ name: 'Host', value: 'a.test' }, { name: 'X-Role', value: 'user' }],
+  body: null,
+  ...extra
+});
+
+describe('Match & replace', () => {
+  beforeEach(() => {
+    localStorage.clear();
+    matchReplace.setRules([]);
+  });
+
+  it('should rewrite header lines with literal and regex rules', () => {
+    const rules = new MatchReplaceRules([
+      { id: 'role', match: 'X-Role: user', replace: 'X-Role: admin' },
+      { id: 'swap', regex: true, match: '^(X-Role): (\\w+)$', replace: '$1: $2-$2' },
+      { id: 'literal', match: 'Host: a.test', replace: 'Host: $1' }
+    ]);
+    const { request: result, hits } = rules.applyToRequest(request());
+    expect(result.headers).toEqual([{ name: 'Host', value: '$1' }, { name: 'X-Role', value: 'admin-admin' }]);
+    expect(hits).toEqual(['role', 'swap', 'literal']);
+  });
+
+  it('should add headers for an empty match and remove emptied lines', () => {
+    const rules = new MatchReplaceRules([
+      { id: 'add', match: '', replace: 'Authorization: Bearer abc' },
+      { id: 'remove', regex: true, match: '^X-Role:.*$', replace: '' }
+    ]);
+    const { request: result } = rules.applyToRequest(request());
+    expect(result.headers.map(h => h.name)).toEqual(['Host', 'Authorization']);
+  });
+
+  it('should rewrite the request line and body', () => {
+    const rules = new MatchReplaceRules([
+      { target: 'request-line', regex: true, match: '^GET (\\S+)\\?id=\\d+', replace: 'POST $1?id=2' },
+      { target: 'request-body', match: 'user', replace: 'admin' },
+      { target: 'request-body', match: 'x', replace: 'y', enabled: false }
+    ]);
+    const { request: result } = rules.applyToRequest(request({ body: '{"role":"user","x":1}' }));
+    expect(result.method).toBe('POST');
+    expect(result.url).toBe('https://a.test/api/users?id=2');
+    expect(result.body).toBe('{"role":"admin","x":1}');
+  });
+
+  it('should rewrite responses and respect the scope', () => {
+    const rules = new MatchReplaceRules([
+      { target: 'response-header', match: 'X-Frame-Options: DENY', replace: '' },
+      { target: 'response-body', scope: 'in-scope', match: '"admin":false', replace: '"admin":true' }
+    ]);
+    const response = { status: 200, headers: [{ name: 'X-Frame-Options', value: 'DENY' }], body: '{"admin":false}' };
+    const inScope = (url) => url.startsWith('https://a.test/');
+
+    const outOfScope = rules.applyToResponse(response, 'https://b.test/', inScope).response;
+    expect(outOfScope.headers).toEqual([]);
+    expect(outOfScope.body).toBe('{"admin":false}');
+    expect(rules.applyToResponse(response, 'https://a.test/me', inScope).response.body).toBe('{"admin":true}');
+  });
+
+  it('should reject invalid regexes on save and record last hits', () => {
+    expect(() => saveMatchReplaceRules([{ name: 'Broken', regex: true, match: '(' }])).toThrow('Invalid regex in rule "Broken"');
+    expect(localStorage.getItem(MATCH_REPLACE_KEY)).toBeNull();
+
+    saveMatchReplaceRules([{ id: 'role', match: 'X-Role: user', replace: 'X-Role: admin' }]);
+    expect(loadMatchReplaceRules().map(r => r.id)).toEqual(['role']);
+    matchReplace.applyToRequest(request());
+    matchReplace.recordHit('role', 1);
+    expect(matchReplace.lastHits.get('role')).toBeGreaterThan(1);
+  });
+
+  it('should apply the rules to replays', () => {
+    saveMatchReplaceRules([
+      { match: 'Host: a.test', replace: 'Host: b.test' },
+      { match: 'X-Role: user', replace: 'X-Role: admin' },
+      { target: 'response-body', match: 'secret', replace: '[redacted]' }
+    ]);
+    const parsed = parseRequest('GET /x HTTP/1.1\nHost: a.test\nX-Role: user', true);
+    expect(parsed.url).toBe('https://b.test/x');
+    expect(parsed.filteredHeaders['X-Role']).toBe('admin');
+    expect(parseRequest('GET /x HTTP/1.1\nHost: a.test', true, { applyRules: false }).url).toBe('https://a.test/x');
+
+    const result = applyResponseRules('https://b.test/x', { status: 200, headers: new Headers(), body: 'secret', size: 6 });
+    expect(result.body).toBe('[redacted]');
+    expect(result.size).toBe(10);
+  });
+});
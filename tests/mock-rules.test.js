@@ -0,0 +1,83 @@
+// Tests for the mock (Map Local) rules
+import { describe, it, expect, beforeEach } from 'vitest';
+import {
+  MockRules,
+  MOCK_RULES_KEY,
+  buildMockResponse,
+  createMockRule,
+  mockRules,
+  loadMockRules,
+  saveMockRules
+} from '../js/network/mock-rules.js';
+
+describe('Mock rules', () => {
+  beforeEach(() => {
+    localStorage.clear();
+    mockRules.setRules([]);
+  });
+
+  it('should serve the first enabled rule matching the method and URL', () => {
+    const rules = new MockRules([
+      { id: 'off', enabled: false, url: '*' },
+      { id: 'users', method: 'get', url: 'https://api.test/users/*' },
+      { id: 'regex', regex: true, url: '/orders/\\d+$' },
+      { id: 'empty', url: '' }
+    ]);
+    expect(rules.match({ method: 'GET', url: 'https://api.test/users/1' }).id).toBe('users');
+    expect(rules.match({ method: 'POST', url: 'https://api.test/users/1' })).toBeNull();
+    expect(rules.match({ method: 'DELETE', url: 'https://shop.test/orders/42' }).id).toBe('regex');
+    expect(rules.match({ method: 'GET', url: 'https://shop.test/orders/42/items' })).toBeNull();
+    expect(rules.lastHits.has('users')).toBe(true);
+    expect(rules.hasRules()).toBe(true);
+    expect(new MockRules([{ url: '' }, { url: '*', enabled: false }]).hasRules()).toBe(false);
+  });
+
+  it('should build fulfill responses from text bodies and local files', () => {
+    const text = buildMockResponse(createMockRule(
+      { method: 'GET', url: 'https://api.test/me#top' },
+      {
+        status: 200,
+        statusText: 'OK',
+        headers: [{ name: 'Content-Type', value: 'application/json' }, { name: 'Content-Length', value: '99' }],
+        body: '{"admin":true}'
+      }
+    ));
+    expect(text).toEqual({
+      status: 200,
+      statusText: 'OK',
+      headers: [{ name: 'Content-Type', value: 'application/json' }],
+      body: btoa('{"admin":true}')
+    });
+
+    const file = buildMockResponse({ status: 200, statusText: '', headers: [], body: 'ignored', file: { name: 'a.png', type: 'image/png', base64: 'iVBO' } });
+    expect(file.body).toBe('iVBO');
+    expect(file.headers).toEqual([{ name: 'Content-Type', value: 'image/png' }]);
+  });
+
+  it('should start rules from captured requests', () => {
+    const rule = createMockRule({ method: 'POST', url: 'https://api.test/login?next=/#x' }, { status: 403, statusText: 'Forbidden', headers: [], body: 'no' });
+    expect(rule).toMatchObject({ name: 'Mock POST /login', method: 'POST', url: 'https://api.test/login?next=/', status: 403, enabled: true });
+    expect(new MockRules([rule]).match({ method: 'POST', url: 'https://api.test/login?next=/' })).not.toBeNull();
+  });
+
+  it('should serve binary captured bodies from their bytes', () => {
+    const bytes = new Uint8Array([0x89, 0x50, 0x4e, 0x47, 0xff, 0x00]);
+    const response = { status: 200, statusText: 'OK', headers: [{ name: 'Content-Type', value: 'image/png' }], body: '\x89PNG\xff\x00' };
+    const rule = createMockRule({ method: 'GET', url: 'https://cdn.test/img/logo.png' }, response, bytes);
+    expect(rule.file).toEqual({ name: 'logo.png', type: 'image/png', base64: btoa(String.fromCharCode(...bytes)) });
+    expect(buildMockResponse(rule).body).toBe(btoa(String.fromCharCode(...bytes)));
+
+    const json = createMockRule({ method: 'GET', url: 'https://api.test/me' }, { ...response, body: '{}' }, new TextEncoder().encode('{}'));
+    expect(json).toMatchObject({ body: '{}', file: null });
+  });
+
+  it('should reject invalid regexes on save and reload saved rules', () => {
+    expect(() => saveMockRules([{ name: 'Broken', regex: true, url: '(' }])).toThrow('Invalid URL regex in mock "Broken"');
+    expect(localStorage.getItem(MOCK_RULES_KEY)).toBeNull();
+
+    saveMockRules([{ id: 'a', url: 'https://a.test/*', status: 'x' }]);
+    const [rule] = loadMockRules();
+    expect(rule).toMatchObject({ id: 'a', status: 200, method: '', file: null });
+    expect(mockRules.hasRules()).toBe(true);
+  });
+});
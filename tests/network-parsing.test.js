@@ -1,7 +1,14 @@
 // Tests for network parsing (request parsing, response formatting, export/import)
 import { describe, it, expect, beforeEach, afterEach, vi } from 'vitest';
 import { parseRequest, executeRequest } from '../js/network/capture.js';
-import { formatRawResponse, getStatusClass } from '../js/network/response-parser.js';
+import {
+  formatRawResponse,
+  formatHttpVersion,
+  prettyPrintResponse,
+  getBodySize,
+  getStatusClass,
+  parseRawResponse
+} from '../js/network/response-parser.js';
 import { exportRequests, importRequests } from '../js/ui/ui-utils.js';
 import { state, clearRequests, addRequest } from '../js/core/state.js';
 
@@ -224,21 +231,52 @@ describe('Response Formatting', () => {
     expect(formatted.toLowerCase()).toContain('content-length: 100');
   });
 
-  it('should pretty-print JSON body', () => {
+  it('should keep the JSON body as received', () => {
     const result = {
       status: 200,
       statusText: 'OK',
       headers: new Headers(),
-      body: '{"name":"John","age":30,"city":"New York"}'
+      body: '{"name":"John","name":"Jane","age":30.0}'
     };
 
     const formatted = formatRawResponse(result);
 
-    expect(formatted).toContain('"name": "John"');
-    expect(formatted).toContain('"age": 30');
-    expect(formatted).toContain('"city": "New York"');
-    // Should be formatted with indentation
-    expect(formatted).toMatch(/\n\s+"name"/);
+    // Duplicate keys and number formatting survive
+    expect(formatted).toBe('HTTP/1.1 200 OK\n\n{"name":"John","name":"Jane","age":30.0}');
+  });
+
+  it('should pretty-print JSON bodies for the Pretty view only', () => {
+    const raw = formatRawResponse({ status: 200, statusText: 'OK', headers: [], body: '{"name":"John","age":30}' });
+
+    expect(prettyPrintResponse(raw)).toBe('HTTP/1.1 200 OK\n\n{\n  "name": "John",\n  "age": 30\n}');
+    expect(prettyPrintResponse('HTTP/1.1 200 OK\n\nnot json')).toBe('HTTP/1.1 200 OK\n\nnot json');
+    expect(prettyPrintResponse('')).toBe('');
+  });
+
+  it('should use the protocol version of the response', () => {
+    expect(formatRawResponse({ httpVersion: 'h2', status: 200, statusText: '', headers: [] })).toBe('HTTP/2 200\n\n');
+    expect(formatHttpVersion('http/2.0')).toBe('HTTP/2');
+    expect(formatHttpVersion('HTTP/3.0')).toBe('HTTP/3');
+    expect(formatHttpVersion('h3-29')).toBe('HTTP/3');
+    expect(formatHttpVersion('http/1.0')).toBe('HTTP/1.0');
+    expect(formatHttpVersion('')).toBe('HTTP/1.1');
+    expect(formatHttpVersion('unknown')).toBe('HTTP/1.1');
+  });
+
+  it('should measure bodies in bytes', () => {
+    expect(getBodySize('héllo')).toBe(6);
+    expect(getBodySize(btoa('\x00\x01\x02\x03'), 'base64')).toBe(4);
+    expect(getBodySize(btoa('\x00\x01'), 'base64')).toBe(2);
+    expect(getBodySize('')).toBe(0);
+  });
+
+  it('should report the bytes received by a replay', async () => {
+    const bytes = new Uint8Array([0x7b, 0x7d, 0xff, 0xfe]);
+    global.fetch = vi.fn().mockResolvedValue(new Response(bytes, { status: 200 }));
+
+    const result = await executeRequest('https://a.test/', { method: 'GET', headers: [] });
+    expect(result.size).toBe(4);
+    expect(result.body.startsWith('{}')).toBe(true);
   });
 
   it('should handle non-JSON body', () => {
@@ -352,6 +390,23 @@ describe('Response Formatting', () => {
     expect(formatted).toContain('HTTP/1.1 200 OK');
     expect(formatted).toContain('test');
   });
+
+  it('should parse an edited raw response back into its parts', () => {
+    const raw = formatRawResponse({
+      status: 200,
+      statusText: 'OK',
+      headers: [{ name: 'Content-Type', value: 'application/json' }],
+      body: '{"role":"user"}'
+    }).replace('"user"', '"admin"').replace('200 OK', '201 Created');
+
+    expect(parseRawResponse(raw)).toEqual({
+      status: 201,
+      statusText: 'Created',
+      headers: [{ name: 'Content-Type', value: 'application/json' }],
+      body: '{"role":"admin"}'
+    });
+    expect(() => parseRawResponse('200 OK\n\nbody')).toThrow('Invalid Status Line');
+  });
 });
 
 describe('Status Class', () => {
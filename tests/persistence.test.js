@@ -0,0 +1,156 @@
+// Tests for workspace persistence records and saves
+import { describe, it, expect, beforeAll, beforeEach, vi } from 'vitest';
+import {
+  toRecord,
+  fromRecord,
+  selectEvictions,
+  getWorkspaceSizeCap,
+  DEFAULT_MAX_WORKSPACE_MB
+} from '../js/features/persistence/records.js';
+import { openWorkspace, closeWorkspace, flushWorkspace, setupPersistence } from '../js/features/persistence/index.js';
+import { state, actions } from '../js/core/state.js';
+import { events, EVENT_NAMES } from '../js/core/events.js';
+import { capturedRequest } from './helpers/fixtures.js';
+
+// IndexedDB is not available in jsdom: workspaces live in maps, and every write is recorded
+const { disk, writes } = vi.hoisted(() => ({
+  disk: { requests: new Map(), editors: new Map(), meta: new Map() },
+  writes: []
+}));
+vi.mock('../js/features/persistence/db.js', () => ({
+  STORES: { REQUESTS: 'requests', EDITORS: 'editors', META: 'meta' },
+  WorkspaceDB: class {
+    static isSupported() { return true; }
+    constructor(name) { this.name = name; }
+    async open() {}
+    close() {}
+    async getAll(store) { return Array.from(disk[store].values()); }
+    async getMeta(key, fallback = null) { return disk.meta.has(key) ? disk.meta.get(key).value : fallback; }
+    async write(changes) {
+      writes.push(changes);
+      Object.entries(changes).forEach(([store, { put = [], delete: remove = [] }]) => {
+        put.forEach(value => disk[store].set(value.id ?? value.key, value));
+        remove.forEach(key => disk[store].delete(key));
+      });
+    }
+  }
+}));
+
+const putIds = (store) => writes.flatMap(changes => (changes[store]?.put || []).map(r => r.id));
+
+describe('Workspace Records', () => {
+  describe('toRecord / fromRecord', () => {
+    it('should round-trip a captured request without functions', () => {
+      const request = {
+        id: 'req_1',
+        request: { method: 'GET', url: 'https://example.com', headers: [] },
+        responseBody: '{"ok":true}',
+        capturedAt: 1000,
+        starred: true,
+        color: 'red',
+        getContent: () => {}
+      };
+
+      const record = toRecord(request, 3);
+
+      expect(record.id).toBe('req_1');
+      expect(record.order).toBe(3);
+      expect(record.starred).toBe(true);
+      expect(record.size).toBeGreaterThan(0);
+      expect(record.data.getContent).toBeUndefined();
+
+      const restored = fromRecord(record);
+      expect(restored.id).toBe('req_1');
+      expect(restored.color).toBe('red');
+      expect(restored.responseBody).toBe('{"ok":true}');
+    });
+  });
+
+  describe('selectEvictions', () => {
+    const records = [
+      { id: 'a', size: 40, starred: false, capturedAt: 1 },
+      { id: 'b', size: 40, starred: true, capturedAt: 2 },
+      { id: 'c', size: 40, starred: false, capturedAt: 3 },
+      { id: 'd', size: 40, starred: false, capturedAt: 4 }
+    ];
+
+    it('should evict nothing when under the cap', () => {
+      expect(selectEvictions(records, 1000).size).toBe(0);
+    });
+
+    it('should evict the oldest unstarred records first', () => {
+      const evicted = selectEvictions(records, 100);
+      expect(Array.from(evicted)).toEqual(['a', 'c']);
+    });
+
+    it('should never evict starred records', () => {
+      const evicted = selectEvictions(records, 0);
+      expect(evicted.has('b')).toBe(false);
+      expect(evicted.size).toBe(3);
+    });
+  });
+
+  describe('getWorkspaceSizeCap', () => {
+    beforeEach(() => {
+      localStorage.removeItem('rep_workspace_max_mb');
+    });
+
+    it('should default to the built-in cap', () => {
+      expect(getWorkspaceSizeCap()).toBe(DEFAULT_MAX_WORKSPACE_MB * 1024 * 1024);
+    });
+
+    it('should read the cap from localStorage', () => {
+      localStorage.setItem('rep_workspace_max_mb', '1');
+      expect(getWorkspaceSizeCap()).toBe(1024 * 1024);
+    });
+  });
+
+  describe('saves', () => {
+    beforeAll(async () => {
+      await setupPersistence();
+    });
+
+    beforeEach(async () => {
+      await closeWorkspace();
+      actions.request.clearAll();
+      Object.values(disk).forEach(store => store.clear());
+      writes.length = 0;
+      await openWorkspace('default');
+    });
+
+    it('should only write the requests that changed', async () => {
+      actions.request.add(capturedRequest('GET', 'https://a.test/1'));
+      actions.request.add(capturedRequest('GET', 'https://a.test/2'));
+      await flushWorkspace();
+      expect(putIds('requests')).toHaveLength(2);
+
+      writes.length = 0;
+      actions.request.toggleStar(state.requests[1], 1);
+      actions.request.select(state.requests[0], 0);
+      events.emit(EVENT_NAMES.REQUEST_FILTERED);
+      await flushWorkspace();
+      expect(putIds('requests')).toEqual([state.requests[1].id]);
+      expect(disk.requests.get(state.requests[1].id).starred).toBe(true);
+
+      writes.length = 0;
+      const [deleted] = state.requests;
+      actions.request.delete(0);
+      await flushWorkspace();
+      expect(putIds('requests')).toEqual([]);
+      expect(disk.requests.has(deleted.id)).toBe(false);
+      expect(disk.requests.size).toBe(1);
+    });
+
+    it('should drop stored duplicates when opening a workspace', async () => {
+      const request = capturedRequest('GET', 'https://a.test/same');
+      disk.requests.set('a', toRecord({ ...request, id: 'a' }, 0));
+      disk.requests.set('b', toRecord({ ...request, id: 'b' }, 1));
+      disk.editors.set('b', { id: 'b', size: 2, state: {} });
+
+      await closeWorkspace();
+      expect(await openWorkspace('default')).toBe(1);
+      expect(Array.from(disk.requests.keys())).toEqual(['a']);
+      expect(disk.editors.has('b')).toBe(false);
+    });
+  });
+});
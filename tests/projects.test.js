@@ -0,0 +1,112 @@
+// Tests for projects (project-scoped storage keys and archives)
+import { describe, it, expect, beforeEach, vi } from 'vitest';
+import { projectStorageKey, getActiveProjectId, ACTIVE_PROJECT_KEY } from '../js/core/utils/storage.js';
+import { events, EVENT_NAMES } from '../js/core/events.js';
+import { openWorkspace, readWorkspace, deleteWorkspace } from '../js/features/persistence/index.js';
+import { switchProject, archiveProject, getProjects } from '../js/features/projects/index.js';
+import {
+  buildProjectArchive,
+  parseProjectArchive,
+  collectProjectSettings,
+  applyProjectSettings,
+  removeProjectSettings
+} from '../js/features/projects/archive.js';
+
+// IndexedDB is not available in jsdom; a workspace named "proj_broken" fails to open
+vi.mock('../js/features/persistence/index.js', () => ({
+  openWorkspace: vi.fn(async (projectId) => {
+    if (projectId === 'proj_broken') throw new Error('QuotaExceededError');
+    return 0;
+  }),
+  closeWorkspace: vi.fn(async () => {}),
+  readWorkspace: vi.fn(),
+  writeWorkspace: vi.fn(),
+  deleteWorkspace: vi.fn()
+}));
+
+describe('Projects', () => {
+  beforeEach(() => {
+    localStorage.clear();
+  });
+
+  describe('projectStorageKey', () => {
+    it('should keep bare keys for the default project', () => {
+      expect(getActiveProjectId()).toBe('default');
+      expect(projectStorageKey('rep_auth_analyzer_sessions')).toBe('rep_auth_analyzer_sessions');
+    });
+
+    it('should suffix keys for other projects', () => {
+      localStorage.setItem(ACTIVE_PROJECT_KEY, 'proj_a');
+      expect(projectStorageKey('repPlusAttackSurfaceCache')).toBe('repPlusAttackSurfaceCache::proj_a');
+      expect(projectStorageKey('repPlusAttackSurfaceCache', 'proj_b')).toBe('repPlusAttackSurfaceCache::proj_b');
+    });
+  });
+
+  describe('project settings', () => {
+    it('should copy scoped settings between projects', () => {
+      localStorage.setItem('rep_auth_analyzer_sessions', '[{"id":"s1"}]');
+      const settings = collectProjectSettings('default');
+
+      applyProjectSettings('proj_b', settings);
+      expect(localStorage.getItem('rep_auth_analyzer_sessions::proj_b')).toBe('[{"id":"s1"}]');
+
+      removeProjectSettings('proj_b');
+      expect(localStorage.getItem('rep_auth_analyzer_sessions::proj_b')).toBe(null);
+      expect(localStorage.getItem('rep_auth_analyzer_sessions')).toBe('[{"id":"s1"}]');
+    });
+  });
+
+  describe('switchProject', () => {
+    it('should only switch once the new workspace is open', async () => {
+      const switched = [];
+      events.on(EVENT_NAMES.PROJECT_SWITCHED, ({ projectId }) => switched.push(projectId));
+      window.alert = () => {};
+
+      await switchProject('proj_broken');
+      expect(getActiveProjectId()).toBe('default');
+      expect(openWorkspace.mock.calls.map(([id]) => id)).toEqual(['proj_broken', 'default']);
+      expect(switched).toEqual([]);
+
+      await switchProject('proj_b');
+      expect(getActiveProjectId()).toBe('proj_b');
+      expect(switched).toEqual(['proj_b']);
+    });
+
+    it('should keep an archived project when it cannot be closed', async () => {
+      localStorage.setItem('rep_projects', JSON.stringify([{ id: 'proj_a', name: 'Acme', createdAt: 1 }]));
+      localStorage.setItem(ACTIVE_PROJECT_KEY, 'proj_a');
+      readWorkspace.mockResolvedValue({ requests: [], editors: [], meta: {} });
+      openWorkspace.mockRejectedValueOnce(new Error('QuotaExceededError'));
+      window.alert = () => {};
+      window.confirm = () => true;
+      URL.createObjectURL = () => 'blob:archive';
+      URL.revokeObjectURL = () => {};
+
+      await archiveProject('proj_a');
+      expect(getActiveProjectId()).toBe('proj_a');
+      expect(deleteWorkspace).not.toHaveBeenCalled();
+      expect(getProjects().map(p => p.id)).toEqual(['default', 'proj_a']);
+    });
+  });
+
+  describe('archives', () => {
+    it('should round-trip a project archive', () => {
+      const archive = buildProjectArchive(
+        { name: 'Acme', createdAt: 123 },
+        { requests: [{ id: 'req_1', order: 0, data: {} }], editors: [], meta: { starredPages: ['acme.com'] } },
+        { repPlusAttackSurfaceCache: '{}' }
+      );
+
+      const parsed = parseProjectArchive(JSON.parse(JSON.stringify(archive)));
+
+      expect(parsed.project.name).toBe('Acme');
+      expect(parsed.workspace.requests).toHaveLength(1);
+      expect(parsed.workspace.meta.starredPages).toEqual(['acme.com']);
+      expect(parsed.settings.repPlusAttackSurfaceCache).toBe('{}');
+    });
+
+    it('should reject files that are not project archives', () => {
+      expect(() => parseProjectArchive({ version: '1.0', requests: [] })).toThrow('Not a rep+ project archive');
+    });
+  });
+});
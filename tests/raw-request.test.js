@@ -0,0 +1,100 @@
+// Tests for the lossless raw request model
+import { describe, it, expect, beforeEach, afterEach, vi } from 'vitest';
+import {
+  parseRawRequest,
+  parseHeaderLine,
+  getHeader,
+  setHeader,
+  removeHeader,
+  headersToObject,
+  buildFetchHeaders
+} from '../js/network/raw-request.js';
+import { parseRequest, executeRequest } from '../js/network/capture.js';
+
+const RAW = `GET /api?q=1 HTTP/2
+Host: a.test
+Cookie: a=1
+X-Forwarded-For: 1.1.1.1
+x-forwarded-for: 2.2.2.2
+X-Empty:
+Cookie: b=2`;
+
+describe('Raw request model', () => {
+  it('should keep header order, duplicates, casing and empty values', () => {
+    const parsed = parseRawRequest(RAW);
+    expect(parsed).toMatchObject({ method: 'GET', target: '/api?q=1', httpVersion: 'HTTP/2', body: null });
+    expect(parsed.headers).toEqual([
+      { name: 'Host', value: 'a.test' },
+      { name: 'Cookie', value: 'a=1' },
+      { name: 'X-Forwarded-For', value: '1.1.1.1' },
+      { name: 'x-forwarded-for', value: '2.2.2.2' },
+      { name: 'X-Empty', value: '' },
+      { name: 'Cookie', value: 'b=2' }
+    ]);
+    expect(parseRawRequest('POST / HTTP/1.1\r\nHost: a\r\n\r\nx\r\n\r\ny').body).toBe('x\n\ny');
+    expect(parseHeaderLine(':authority: a.test')).toBeNull();
+    expect(() => parseRawRequest('GET')).toThrow('Invalid Request Line');
+  });
+
+  it('should read and edit header lists without reordering them', () => {
+    const { headers } = parseRawRequest(RAW);
+    expect(getHeader(headers, 'COOKIE')).toBe('a=1');
+    expect(getHeader(headers, 'missing')).toBeNull();
+
+    const swapped = setHeader(headers, 'cookie', 'c=3');
+    expect(swapped.map(h => `${h.name}: ${h.value}`)).toEqual([
+      'Host: a.test', 'Cookie: c=3', 'X-Forwarded-For: 1.1.1.1', 'x-forwarded-for: 2.2.2.2', 'X-Empty: '
+    ]);
+    expect(setHeader([], 'X-A', '1')).toEqual([{ name: 'X-A', value: '1' }]);
+    expect(removeHeader(headers, 'x-forwarded-for').map(h => h.name)).toEqual(['Host', 'Cookie', 'X-Empty', 'Cookie']);
+    expect(headersToObject(headers)).toEqual({
+      Host: 'a.test',
+      Cookie: 'a=1; b=2',
+      'X-Forwarded-For': '1.1.1.1, 2.2.2.2',
+      'X-Empty': ''
+    });
+  });
+
+  it('should list what fetch changes', () => {
+    const { headers, warnings } = buildFetchHeaders([
+      ...parseRawRequest(RAW).headers,
+      { name: 'If-None-Match', value: '"abc"' },
+      { name: 'Pragma', value: 'no-cache' },
+      { name: 'Bad Name', value: 'x' }
+    ]);
+    expect(headers.map(h => h.name)).toEqual(['X-Forwarded-For', 'x-forwarded-for', 'X-Empty', 'Cache-Control', 'Pragma', 'Expires']);
+    expect(warnings).toEqual([
+      'Cookie: not sent by fetch (the browser sets its own value)',
+      'x-forwarded-for: duplicate joined into one header by the browser',
+      'Cookie: not sent by fetch (the browser sets its own value)',
+      'If-None-Match: removed so the response isn\'t a cached 304',
+      'Bad Name: not sent (invalid header name)'
+    ]);
+  });
+});
+
+describe('Replays with the raw request model', () => {
+  beforeEach(() => {
+    global.fetch = vi.fn().mockResolvedValue(new Response('ok', { status: 200 }));
+  });
+
+  afterEach(() => {
+    vi.restoreAllMocks();
+  });
+
+  it('should hand fetch the typed headers in order', async () => {
+    const parsed = parseRequest(`${RAW}\n\nbody`, true);
+    expect(parsed.url).toBe('https://a.test/api?q=1');
+    expect(parsed.rawHeaders).toHaveLength(6);
+    expect(parsed.options.headers.slice(0, 3)).toEqual([
+      ['X-Forwarded-For', '1.1.1.1'],
+      ['x-forwarded-for', '2.2.2.2'],
+      ['X-Empty', '']
+    ]);
+    expect(parsed.warnings).toContain('Body: not sent with GET (only POST, PUT and PATCH bodies are)');
+
+    await executeRequest(parsed.url, parsed.options);
+    const sent = global.fetch.mock.calls[0][1].headers;
+    expect(sent[sent.length - 1]).toEqual(['X-Rep-Plus-Replay', 'true']);
+  });
+});
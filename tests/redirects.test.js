@@ -0,0 +1,112 @@
+// Tests for redirect modes and the redirect chain
+import { describe, it, expect, vi, afterEach } from 'vitest';
+import { followRedirects, nextRedirectRequest } from '../js/network/response-parser.js';
+import { sendRequest } from '../js/network/request-sender.js';
+import { parseRequest } from '../js/network/capture.js';
+
+const request = {
+  url: 'https://a.test/login',
+  method: 'POST',
+  headers: [
+    { name: 'Host', value: 'a.test' },
+    { name: 'Authorization', value: 'Bearer x' },
+    { name: 'Content-Type', value: 'application/json' }
+  ],
+  body: '{}'
+};
+
+// Serves a.test/login -> a.test/home -> b.test/landing -> 200
+function fakeServer() {
+  const routes = {
+    'https://a.test/login': { status: 302, statusText: 'Found', headers: [{ name: 'Location', value: '/home' }, { name: 'Set-Cookie', value: 'sid=1' }] },
+    'https://a.test/home': { status: 301, statusText: 'Moved Permanently', headers: [{ name: 'Location', value: 'https://b.test/landing' }] },
+    'https://b.test/landing': { status: 200, statusText: 'OK', headers: [], body: 'welcome' }
+  };
+  return vi.fn(async (hop) => ({ body: '', ...routes[hop.url] }));
+}
+
+describe('Redirects', () => {
+  afterEach(() => {
+    delete global.fetch;
+    delete global.chrome;
+  });
+
+  it('should build the next hop the way browsers do', () => {
+    const next = nextRedirectRequest(request, 302, 'https://b.test/x');
+    expect(next).toEqual({ url: 'https://b.test/x', method: 'GET', headers: [{ name: 'Host', value: 'b.test' }], body: undefined });
+
+    const kept = nextRedirectRequest(request, 307, 'https://a.test/y');
+    expect(kept.method).toBe('POST');
+    expect(kept.body).toBe('{}');
+    expect(kept.headers).toEqual(request.headers);
+  });
+
+  it('should follow, stop at other origins or return the 3xx itself', async () => {
+    const always = await followRedirects(fakeServer(), request, 'always');
+    expect(always.status).toBe(200);
+    expect(always.body).toBe('welcome');
+    expect(always.redirects.map(hop => [hop.request.method, hop.status, hop.location])).toEqual([
+      ['POST', 302, 'https://a.test/home'],
+      ['GET', 301, 'https://b.test/landing'],
+      ['GET', 200, null]
+    ]);
+    expect(always.redirects[0].setCookies).toEqual(['sid=1']);
+
+    const sameOrigin = await followRedirects(fakeServer(), request, 'same-origin');
+    expect(sameOrigin.status).toBe(301);
+    expect(sameOrigin.redirects).toHaveLength(2);
+
+    const never = await followRedirects(fakeServer(), request, 'never');
+    expect(never.status).toBe(302);
+    expect(never.headers).toContainEqual({ name: 'Location', value: '/home' });
+  });
+
+  it('should read opaque redirects of fetch replays through webRequest', async () => {
+    let listener = null;
+    global.chrome = {
+      webRequest: {
+        onHeadersReceived: {
+          addListener: (fn) => { listener = fn; },
+          removeListener: () => { listener = null; }
+        }
+      }
+    };
+    global.fetch = vi.fn(async (url, options) => {
+      expect(options.redirect).toBe('manual');
+      listener({
+        url,
+        method: options.method,
+        statusCode: 302,
+        statusLine: 'HTTP/1.1 302 Found',
+        responseHeaders: [{ name: 'location', value: 'https://a.test/next' }]
+      });
+      return { type: 'opaqueredirect', status: 0, headers: new Headers(), arrayBuffer: async () => new ArrayBuffer(0) };
+    });
+    const { url, options, rawHeaders } = parseRequest('GET /start HTTP/1.1\nHost: a.test\nCookie: a=1', true);
+
+    const result = await sendRequest(url, options, { rawHeaders, redirectMode: 'never' });
+
+    expect(global.fetch).toHaveBeenCalledTimes(1);
+    expect(result.status).toBe(302);
+    expect(result.statusText).toBe('Found');
+    expect(result.redirects[0].location).toBe('https://a.test/next');
+    // Hops keep the headers as typed
+    expect(result.redirects[0].request.headers).toEqual(rawHeaders);
+  });
+
+  it('should not send a request again when the redirect headers never come', async () => {
+    vi.useFakeTimers();
+    global.chrome = { webRequest: { onHeadersReceived: { addListener: () => {}, removeListener: () => {} } } };
+    global.fetch = vi.fn(async () => ({ type: 'opaqueredirect', status: 0, headers: new Headers(), arrayBuffer: async () => new ArrayBuffer(0) }));
+    const { url, options, rawHeaders } = parseRequest('POST /transfer HTTP/1.1\nHost: a.test\n\namount=100', true);
+
+    const sending = sendRequest(url, options, { rawHeaders });
+    await vi.advanceTimersByTimeAsync(1000);
+    const result = await sending;
+    vi.useRealTimers();
+
+    expect(global.fetch).toHaveBeenCalledTimes(1);
+    expect(result.status).toBe(0);
+    expect(result.statusText).toBe('Redirect (headers unavailable)');
+  });
+});
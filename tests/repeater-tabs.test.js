@@ -0,0 +1,153 @@
+// Tests for repeater tabs
+import { describe, it, expect, beforeEach } from 'vitest';
+import { elements } from '../js/ui/main-ui.js';
+import { state } from '../js/core/state.js';
+import { events, EVENT_NAMES } from '../js/core/events.js';
+import {
+  openRepeaterTab,
+  activateRepeaterTab,
+  closeRepeaterTab,
+  moveRepeaterTab,
+  renameRepeaterTab,
+  sendToNewTab,
+  getRepeaterTabs,
+  getActiveRepeaterTab,
+  tabNameFor,
+  setupRepeaterTabs,
+  serializeRepeaterTabs,
+  restoreRepeaterTabs
+} from '../js/ui/repeater-tabs.js';
+
+const GET = 'GET /a?x=1 HTTP/1.1\nHost: a.test';
+const POST = 'POST /b HTTP/1.1\nHost: a.test\n\nx=1';
+
+// What a send leaves in state and the response pane
+function receive(status, response) {
+  state.currentResponse = response;
+  state.regularRequestBaseline = state.regularRequestBaseline || response;
+  elements.resStatus.textContent = status;
+}
+
+function type(text) {
+  elements.rawRequestInput.textContent = text;
+  state.undoStack.push(text);
+}
+
+describe('Repeater tabs', () => {
+  beforeEach(() => {
+    document.body.innerHTML = `
+      <div id="repeater-tabs"></div>
+      <div id="raw-request-input"></div>
+      <input type="checkbox" id="use-https">
+      <span id="res-status"></span><span id="res-time"></span><span id="res-size"></span>`;
+    elements.rawRequestInput = document.getElementById('raw-request-input');
+    elements.useHttpsCheckbox = document.getElementById('use-https');
+    elements.resStatus = document.getElementById('res-status');
+    elements.resTime = document.getElementById('res-time');
+    elements.resSize = document.getElementById('res-size');
+    state.requests = [];
+    state.currentResponse = null;
+    restoreRepeaterTabs([]);
+  });
+
+  it('should keep the request, undo stack, response and baseline of each tab', () => {
+    events.on(EVENT_NAMES.UI_UPDATE_RESPONSE_VIEW, ({ status }) => {
+      elements.resStatus.textContent = status;
+    });
+
+    const first = openRepeaterTab(GET, true);
+    type(`${GET}\nX-Try: 1`);
+    receive('200 OK', 'HTTP/1.1 200 OK\n\none');
+
+    const second = openRepeaterTab(POST, false);
+    expect(elements.rawRequestInput.textContent).toBe(POST);
+    expect(state.currentResponse).toBeNull();
+    expect(state.regularRequestBaseline).toBeNull();
+    expect(elements.resStatus.textContent).toBe('');
+    expect(state.undoStack).toEqual([POST]);
+    receive('403 Forbidden', 'HTTP/1.1 403 Forbidden\n\ntwo');
+
+    activateRepeaterTab(first.id);
+    expect(elements.rawRequestInput.textContent).toBe(`${GET}\nX-Try: 1`);
+    expect(elements.useHttpsCheckbox.checked).toBe(true);
+    expect(state.undoStack).toEqual([GET, `${GET}\nX-Try: 1`]);
+    expect(state.currentResponse).toBe('HTTP/1.1 200 OK\n\none');
+    expect(state.regularRequestBaseline).toBe('HTTP/1.1 200 OK\n\none');
+    expect(elements.resStatus.textContent).toBe('200 OK');
+
+    activateRepeaterTab(second.id);
+    expect(state.currentResponse).toBe('HTTP/1.1 403 Forbidden\n\ntwo');
+    expect(elements.useHttpsCheckbox.checked).toBe(false);
+    expect(document.querySelector('.repeater-tab.active').textContent).toContain('POST /b');
+  });
+
+  it('should rename, reorder and close tabs', () => {
+    const a = openRepeaterTab(GET, true);
+    const b = openRepeaterTab(POST, true);
+    const c = openRepeaterTab(GET, true, { name: 'third' });
+    expect(getRepeaterTabs().map(t => t.name)).toEqual(['GET /a', 'POST /b', 'third']);
+
+    renameRepeaterTab(a.id, '  admin  ');
+    renameRepeaterTab(b.id, '   ');
+    moveRepeaterTab(c.id, 0);
+    expect(getRepeaterTabs().map(t => t.name)).toEqual(['third', 'admin', 'POST /b']);
+    expect(Array.from(document.querySelectorAll('.repeater-tab-name'), el => el.textContent))
+      .toEqual(['third', 'admin', 'POST /b']);
+
+    // Closing the tab in the editor shows its right neighbour (or the left one at the end)
+    activateRepeaterTab(a.id);
+    closeRepeaterTab(a.id);
+    expect(getActiveRepeaterTab()).toBe(b.id);
+    closeRepeaterTab(b.id);
+    expect(getActiveRepeaterTab()).toBe(c.id);
+    closeRepeaterTab(c.id);
+    expect(getActiveRepeaterTab()).toBeNull();
+    expect(document.getElementById('repeater-tabs').style.display).toBe('none');
+  });
+
+  it('should save and restore the tabs with the workspace', () => {
+    const changes = [];
+    events.on(EVENT_NAMES.REPEATER_TABS_CHANGED, () => changes.push(getRepeaterTabs().length));
+
+    openRepeaterTab(GET, true, { name: 'first' });
+    const second = openRepeaterTab(POST, false);
+    type(`${POST}&y=2`);
+    receive('200 OK', 'HTTP/1.1 200 OK\n\ntwo');
+    expect(changes.at(-1)).toBe(2);
+
+    // The tab in the editor is saved as it is now, and the saved tabs are plain JSON
+    const saved = JSON.parse(JSON.stringify(serializeRepeaterTabs()));
+    expect(saved.map(tab => tab.name)).toEqual(['first', 'POST /b']);
+    expect(saved[1].state).toMatchObject({ content: `${POST}&y=2`, response: { content: 'HTTP/1.1 200 OK\n\ntwo' } });
+
+    // Another project's tabs replace them; switching back brings them back
+    restoreRepeaterTabs([]);
+    expect(getRepeaterTabs()).toEqual([]);
+    events.emit(EVENT_NAMES.PROJECT_SWITCHED, { projectId: 'proj_b' });
+    restoreRepeaterTabs(saved);
+    expect(getRepeaterTabs().map(tab => tab.name)).toEqual(['first', 'POST /b']);
+    expect(getActiveRepeaterTab()).toBeNull();
+
+    activateRepeaterTab(second.id);
+    expect(elements.rawRequestInput.textContent).toBe(`${POST}&y=2`);
+    expect(state.currentResponse).toBe('HTTP/1.1 200 OK\n\ntwo');
+    expect(openRepeaterTab(GET, true).id).toBe(second.id + 1);
+  });
+
+  it('should send captured requests to new tabs', () => {
+    state.requests = [{
+      id: 'r1',
+      name: 'Login',
+      request: { method: 'POST', url: 'https://a.test/login', headers: [{ name: 'Host', value: 'a.test' }], postData: { text: 'u=1' } }
+    }];
+
+    setupRepeaterTabs();
+    events.emit(EVENT_NAMES.REQUEST_ACTION_SEND_TO_TAB, { index: 0 });
+    const tab = sendToNewTab(0);
+    expect(getRepeaterTabs()).toHaveLength(2);
+    expect(tab).toMatchObject({ name: 'Login', requestId: 'r1', useHttps: true });
+    expect(tab.original).toBe('POST /login HTTP/1.1\nHost: a.test\n\nu=1');
+    expect(sendToNewTab(5)).toBeNull();
+    expect(tabNameFor(`GET /${'x'.repeat(60)}?q=1 HTTP/1.1`)).toHaveLength(40);
+  });
+});
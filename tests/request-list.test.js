@@ -0,0 +1,121 @@
+// Tests for the virtualized request list
+import { describe, it, expect, beforeEach } from 'vitest';
+import { state, actions } from '../js/core/state.js';
+import { events, EVENT_NAMES } from '../js/core/events.js';
+import { computeOffsets, findRowAt } from '../js/ui/virtual-list.js';
+import { filterRequests, renderRequestItem, toggleAllGroups, requestMatchesFilters } from '../js/ui/request-list.js';
+import { capturedRequest } from './helpers/fixtures.js';
+
+// Every request belongs to the same page, whatever its host
+const captured = (path, { host = 'app.test', method = 'GET', ...fields } = {}) =>
+  capturedRequest(method, `https://${host}${path}`, { pageUrl: 'https://app.test/', ...fields });
+
+const list = () => document.getElementById('request-list');
+const renderedIndices = () => Array.from(list().querySelectorAll('.request-item'), el => parseInt(el.dataset.index, 10));
+const scrollTo = (top) => {
+  list().scrollTop = top;
+  list().dispatchEvent(new Event('scroll'));
+};
+
+describe('Virtualized request list', () => {
+  beforeEach(() => {
+    document.body.innerHTML = '<div id="request-list" class="request-list"></div>';
+    events.emit(EVENT_NAMES.STATE_REQUESTS_CLEARED);
+    state.requests = [];
+    state.selectedRequest = null;
+    state.currentSearchTerm = '';
+    state.useRegex = false;
+    state.currentFilter = 'all';
+    state.selectedMethods = new Set();
+    state.starFilterActive = false;
+    state.currentColorFilter = 'all';
+    state.currentTagFilter = 'all';
+    state.timelineFilterTimestamp = null;
+    state.timelineFilterRequestIndex = null;
+    state.manuallyCollapsed = false;
+  });
+
+  it('should find rows by offset', () => {
+    const offsets = computeOffsets([{ h: 10 }, { h: 20 }, { h: 30 }], row => row.h);
+    expect(offsets).toEqual([0, 10, 30, 60]);
+    expect(findRowAt(offsets, 0)).toBe(0);
+    expect(findRowAt(offsets, 29)).toBe(1);
+    expect(findRowAt(offsets, 30)).toBe(2);
+    expect(findRowAt(offsets, 500)).toBe(2);
+    expect(findRowAt([0], 0)).toBe(-1);
+  });
+
+  it('should render only the rows in view of 50k requests', () => {
+    for (let i = 0; i < 50000; i++) {
+      state.requests.push(captured(`/api/items/${i}`, i % 10 === 0 ? { host: 'cdn.test' } : {}));
+    }
+    filterRequests();
+    expect(list().querySelectorAll('.page-header')).toHaveLength(1);
+    expect(list().querySelector('.page-count').textContent).toBe('(50000)');
+
+    toggleAllGroups();
+    const rendered = renderedIndices();
+    expect(rendered.length).toBeGreaterThan(0);
+    expect(rendered.length).toBeLessThan(40);
+    // Newest first under the page's own path group
+    expect(rendered[0]).toBe(49999);
+
+    const spacers = list().querySelectorAll('.virtual-spacer');
+    const total = parseInt(spacers[0].style.height, 10) + parseInt(spacers[1].style.height, 10) +
+      Array.from(list().querySelectorAll('.virtual-row')).reduce((sum, el) => sum + parseInt(el.style.height, 10), 0);
+    // Page, path and domain headers plus one row per request
+    expect(total).toBe(38 + 30 + 32 + 50000 * 36);
+
+    scrollTo(36 * 20000);
+    const scrolled = renderedIndices();
+    expect(scrolled.length).toBeLessThan(40);
+    expect(scrolled.every(index => index < 30000 && index > 25000)).toBe(true);
+  });
+
+  it('should filter new captures incrementally and keep the selection and scroll position', async () => {
+    for (let i = 0; i < 200; i++) state.requests.push(captured(`/users/${i}`));
+    state.currentSearchTerm = 'users/1';
+    filterRequests();
+    // A search expands the matching groups
+    expect(renderedIndices()).toContain(199);
+    expect(renderedIndices()).not.toContain(99);
+    expect(requestMatchesFilters(state.requests[150])).toBe(true);
+    expect(requestMatchesFilters(state.requests[50])).toBe(false);
+
+    state.selectedRequest = state.requests[150];
+    scrollTo(36 * 40);
+    const selected = () => list().querySelector('.request-item.selected');
+    expect(selected().dataset.index).toBe('150');
+    const topBefore = list().scrollTop;
+
+    // New matching captures land above the selection; the rows in view stay put
+    actions.request.add(captured('/users/1000'));
+    actions.request.add(captured('/other'));
+    renderRequestItem();
+    await new Promise(resolve => setTimeout(resolve, 50));
+    expect(list().scrollTop).toBe(topBefore + 36);
+    expect(selected().dataset.index).toBe('150');
+
+    scrollTo(0);
+    expect(list().querySelector('.path-count').textContent).toBe('(202)');
+    expect(renderedIndices()[0]).toBe(200);
+    expect(renderedIndices()).not.toContain(201);
+  });
+
+  it('should show a flat, virtualized timeline view', () => {
+    state.requests.push(captured('/a', { capturedAt: 1000 }));
+    state.requests.push(captured('/b', { host: 'cdn.test', capturedAt: 3000 }));
+    state.requests.push(captured('/c', { capturedAt: 2000 }));
+    state.requests.push(captured('/d', { capturedAt: 4000 }));
+
+    actions.timeline.setFilter(3000, 1);
+    expect(list().querySelector('.timeline-view-header').textContent).toContain('(3 requests)');
+    expect(renderedIndices()).toEqual([1, 2, 0]);
+    expect(list().querySelector('.request-item .domain-badge').textContent).toBe('cdn.test');
+    expect(list().querySelector('.request-item[data-index="1"] .timeline-btn').classList.contains('active')).toBe(true);
+
+    actions.timeline.clear();
+    expect(list().querySelector('.timeline-view-header')).toBeNull();
+    expect(list().querySelectorAll('.page-header')).toHaveLength(1);
+  });
+});
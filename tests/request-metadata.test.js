@@ -0,0 +1,73 @@
+// Tests for request notes, tags and finding flags
+import { describe, it, expect, beforeEach } from 'vitest';
+import * as markedLib from '../lib/marked.min.js';
+import { state, actions } from '../js/core/state.js';
+import { events, EVENT_NAMES } from '../js/core/events.js';
+import { normalizeTags, normalizeFinding, normalizeNotes, collectTags } from '../js/core/utils/metadata.js';
+import { getFilteredRequests } from '../js/ui/request-actions.js';
+import { createMetadataBadges } from '../js/ui/request-list.js';
+import { toHAR, fromHAR } from '../js/network/har.js';
+import { renderNotes } from '../js/features/notes/index.js';
+import { capturedRequest } from './helpers/fixtures.js';
+
+describe('Request metadata', () => {
+  beforeEach(() => {
+    state.requests = [];
+    state.currentFilter = 'all';
+    state.currentSearchTerm = '';
+    state.currentTagFilter = 'all';
+  });
+
+  it('should normalize tags, severities and notes', () => {
+    expect(normalizeTags(' IDOR, needs retest,idor,, ')).toEqual(['idor', 'needs-retest']);
+    expect(normalizeTags(['Auth', null, 'auth'])).toEqual(['auth']);
+    expect(normalizeTags(undefined)).toEqual([]);
+    expect(normalizeFinding(' High ')).toBe('high');
+    expect(normalizeFinding('urgent')).toBeNull();
+    expect(normalizeNotes('   ')).toBeNull();
+    expect(normalizeNotes('# Title')).toBe('# Title');
+    expect(collectTags([{ tags: ['b', 'a'] }, { tags: ['a'] }, {}])).toEqual(['a', 'b']);
+  });
+
+  it('should set metadata and filter by tag', () => {
+    actions.request.add(capturedRequest('GET', 'https://a.test/users/1', { tags: 'IDOR' }));
+    actions.request.add(capturedRequest('GET', 'https://a.test/health'));
+    expect(state.requests[0].tags).toEqual(['idor']);
+    expect(state.requests[1]).toMatchObject({ notes: null, tags: [], finding: null });
+
+    let changed = null;
+    events.on(EVENT_NAMES.REQUEST_METADATA_CHANGED, (data) => { changed = data; });
+    actions.request.setMetadata(1, { notes: 'No auth', tags: 'recon, idor', finding: 'Medium' });
+    expect(changed.index).toBe(1);
+    expect(changed.request).toMatchObject({ notes: 'No auth', tags: ['recon', 'idor'], finding: 'medium' });
+
+    actions.filter.setTagFilter('recon');
+    expect(getFilteredRequests().map(r => r.request.url)).toEqual(['https://a.test/health']);
+    actions.filter.setTagFilter('idor');
+    expect(getFilteredRequests()).toHaveLength(2);
+
+    const badges = createMetadataBadges(state.requests[1]);
+    expect(badges.querySelector('.finding-badge.severity-medium').textContent).toBe('medium');
+    expect(Array.from(badges.querySelectorAll('.req-tag'), el => el.textContent)).toEqual(['recon', 'idor']);
+    expect(badges.querySelector('.req-note-icon').title).toBe('No auth');
+    expect(createMetadataBadges({ tags: [] })).toBeNull();
+  });
+
+  it('should keep metadata through a HAR round trip', () => {
+    actions.request.add(capturedRequest('GET', 'https://a.test/admin', { notes: 'Try **as user**', tags: ['authz'], finding: 'critical' }));
+    const [restored] = fromHAR(toHAR(state.requests));
+    expect(restored).toMatchObject({ notes: 'Try **as user**', tags: ['authz'], finding: 'critical' });
+  });
+
+  it('should render notes without raw HTML or script links', () => {
+    expect(renderNotes('<b>x</b>')).toBe('<pre>&lt;b&gt;x&lt;/b&gt;</pre>');
+
+    // The panel loads marked as a global script
+    globalThis.marked = markedLib.default || markedLib;
+    const html = renderNotes('**bold** <img src=x onerror=alert(1)> [ok](https://a.test) [bad](javascript:alert(1))');
+    expect(html).toContain('<strong>bold</strong>');
+    expect(html).toContain('&lt;img');
+    expect(html).toContain('<a href="https://a.test" target="_blank" rel="noopener noreferrer">ok</a>');
+    expect(html).not.toContain('javascript:');
+  });
+});
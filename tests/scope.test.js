@@ -0,0 +1,87 @@
+// Tests for the per-project target scope
+import { describe, it, expect, beforeEach, vi } from 'vitest';
+import {
+  matchScope,
+  normalizeScope,
+  getScope,
+  saveScope,
+  addScopeEntry,
+  isInScope,
+  shouldCaptureInScope,
+  confirmScopeSend,
+  SCOPE_KEY
+} from '../js/network/scope.js';
+import { ACTIVE_PROJECT_KEY } from '../js/core/utils/storage.js';
+import { events, EVENT_NAMES } from '../js/core/events.js';
+
+describe('Target scope', () => {
+  beforeEach(() => {
+    localStorage.clear();
+    events.emit(EVENT_NAMES.PROJECT_SWITCHED, { projectId: 'default' });
+  });
+
+  it('should treat everything as in scope when no entries are defined', () => {
+    expect(matchScope('https://anything.test/x', normalizeScope({}))).toBe(true);
+    expect(isInScope('https://anything.test/x')).toBe(true);
+  });
+
+  it('should combine include and exclude entries', () => {
+    const scope = normalizeScope({
+      include: [
+        { protocol: 'https', host: '*.shop.test' },
+        { host: 'api.partner.test', pathPrefix: '/v2/' }
+      ],
+      exclude: [{ regex: '/logout' }]
+    });
+    expect(matchScope('https://www.shop.test/cart', scope)).toBe(true);
+    expect(matchScope('http://www.shop.test/cart', scope)).toBe(false);
+    expect(matchScope('https://shop.test/cart', scope)).toBe(false);
+    expect(matchScope('https://api.partner.test/v2/orders', scope)).toBe(true);
+    expect(matchScope('https://api.partner.test/v1/orders', scope)).toBe(false);
+    expect(matchScope('https://www.shop.test/logout?next=/', scope)).toBe(false);
+    expect(matchScope('not a url', scope)).toBe(false);
+  });
+
+  it('should drop empty entries and reject invalid regexes', () => {
+    expect(normalizeScope({ include: [{ protocol: 'any', host: ' ' }] }).include).toEqual([]);
+    expect(() => saveScope({ include: [{ regex: '(' }] })).toThrow('Invalid scope regex');
+    expect(localStorage.getItem(SCOPE_KEY)).toBeNull();
+  });
+
+  it('should store the scope per project', () => {
+    addScopeEntry('include', { host: 'a.test' });
+    expect(isInScope('https://b.test/')).toBe(false);
+
+    localStorage.setItem(ACTIVE_PROJECT_KEY, 'proj_other');
+    expect(getScope().include).toEqual([]);
+    expect(isInScope('https://b.test/')).toBe(true);
+    saveScope({ include: [{ host: 'b.test' }] });
+
+    localStorage.setItem(ACTIVE_PROJECT_KEY, 'default');
+    expect(getScope().include.map(e => e.host)).toEqual(['a.test']);
+    expect(JSON.parse(localStorage.getItem(`${SCOPE_KEY}::proj_other`)).include[0].host).toBe('b.test');
+  });
+
+  it('should only filter capture when capture-in-scope-only is on', () => {
+    saveScope({ include: [{ host: 'a.test' }] });
+    expect(shouldCaptureInScope('https://b.test/')).toBe(true);
+    saveScope({ ...getScope(), captureInScopeOnly: true });
+    expect(shouldCaptureInScope('https://b.test/')).toBe(false);
+    expect(shouldCaptureInScope('https://a.test/')).toBe(true);
+  });
+
+  it('should ask before sending to out-of-scope URLs', () => {
+    const confirmSpy = vi.spyOn(window, 'confirm').mockReturnValue(false);
+    expect(confirmScopeSend(['https://b.test/'])).toBe(true);
+    expect(confirmSpy).not.toHaveBeenCalled();
+
+    saveScope({ include: [{ host: 'a.test' }] });
+    expect(confirmScopeSend(['https://a.test/x'])).toBe(true);
+    expect(confirmScopeSend(['https://a.test/x', 'https://b.test/y'])).toBe(false);
+    expect(confirmSpy.mock.calls[0][0]).toContain('https://b.test/y');
+
+    saveScope({ ...getScope(), warnOnSend: false });
+    expect(confirmScopeSend(['https://b.test/y'])).toBe(true);
+    confirmSpy.mockRestore();
+  });
+});
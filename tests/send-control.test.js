@@ -0,0 +1,80 @@
+// Tests for send timeouts, retries and cancelation
+import { describe, it, expect, vi, afterEach } from 'vitest';
+import { sendWithRetries, isTimeoutError, isCancelError } from '../js/network/send-control.js';
+import { sendRequest } from '../js/network/request-sender.js';
+import { parseRequest } from '../js/network/capture.js';
+import { ResponseComparator } from '../js/features/auth-analyzer/comparator.js';
+
+// A fetch that only settles when its signal aborts
+const hangingFetch = () => vi.fn((url, options) => new Promise((resolve, reject) => {
+  options.signal.addEventListener('abort', () => reject(options.signal.reason));
+}));
+
+describe('Send control', () => {
+  afterEach(() => {
+    delete global.fetch;
+  });
+
+  it('should retry network errors with backoff, but not other errors', async () => {
+    const send = vi.fn()
+      .mockRejectedValueOnce(new TypeError('Failed to fetch'))
+      .mockRejectedValueOnce(new TypeError('Failed to fetch'))
+      .mockResolvedValue('ok');
+    await expect(sendWithRetries(send, { retries: 2, backoff: 1 })).resolves.toBe('ok');
+    expect(send.mock.calls.map(call => call[1])).toEqual([0, 1, 2]);
+
+    const failing = vi.fn().mockRejectedValue(new TypeError('Failed to fetch'));
+    await expect(sendWithRetries(failing, { retries: 1, backoff: 1 })).rejects.toThrow('Failed to fetch');
+    expect(failing).toHaveBeenCalledTimes(2);
+
+    const broken = vi.fn().mockRejectedValue(new Error('Invalid URL'));
+    await expect(sendWithRetries(broken, { retries: 3, backoff: 1 })).rejects.toThrow('Invalid URL');
+    expect(broken).toHaveBeenCalledTimes(1);
+  });
+
+  it('should time out and cancel sends that ignore their signal', async () => {
+    const never = () => new Promise(() => {});
+
+    const timedOut = await sendWithRetries(never, { timeout: 10, retries: 2 }).catch(e => e);
+    expect(isTimeoutError(timedOut)).toBe(true);
+    expect(timedOut.message).toBe('No response after 0.01s.');
+
+    const controller = new AbortController();
+    const sending = sendWithRetries(never, { signal: controller.signal, timeout: 0 });
+    controller.abort();
+    expect(isCancelError(await sending.catch(e => e))).toBe(true);
+  });
+
+  it('should abort the fetch of a replay on timeout or cancel', async () => {
+    global.fetch = hangingFetch();
+    const { url, options } = parseRequest('GET /slow HTTP/1.1\nHost: a.test', true);
+
+    const timedOut = await sendRequest(url, options, { timeout: 10 }).catch(e => e);
+    expect(isTimeoutError(timedOut)).toBe(true);
+    expect(global.fetch.mock.calls[0][1].signal.aborted).toBe(true);
+
+    const controller = new AbortController();
+    const sending = sendRequest(url, options, { signal: controller.signal, timeout: 0 });
+    controller.abort();
+    expect(isCancelError(await sending.catch(e => e))).toBe(true);
+    expect(global.fetch.mock.calls[1][1].signal.aborted).toBe(true);
+
+    // Retries start from the typed headers (the replay marker isn't added twice)
+    global.fetch = vi.fn()
+      .mockRejectedValueOnce(new TypeError('Failed to fetch'))
+      .mockImplementation(async () => new Response('ok'));
+    const result = await sendRequest(url, options, { retries: 1 });
+    expect(result.body).toBe('ok');
+    const marker = (call) => call[1].headers.filter(([name]) => name === 'X-Rep-Plus-Replay');
+    expect(global.fetch.mock.calls.map(marker)).toEqual([[['X-Rep-Plus-Replay', 'true']], [['X-Rep-Plus-Replay', 'true']]]);
+  });
+
+  it('should record auth analyzer timeouts apart from errors', () => {
+    const comparator = new ResponseComparator();
+    const original = { status: 200, body: 'secret' };
+    expect(comparator.compare(original, { status: 0, error: true, timedOut: true })).toBe('TIMEOUT');
+    expect(comparator.compare(original, { status: 0, error: true })).toBe('ERROR');
+    expect(comparator.detectBypass(original, { status: 0, error: true, timedOut: true }, 'low'))
+      .toMatchObject({ bypass: false, result: 'TIMEOUT', message: 'Request timed out' });
+  });
+});
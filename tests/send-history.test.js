@@ -0,0 +1,97 @@
+// Tests for the send history and its timeline
+import { describe, it, expect, beforeEach } from 'vitest';
+import { elements } from '../js/ui/main-ui.js';
+import { state, actions } from '../js/core/state.js';
+import { events, EVENT_NAMES } from '../js/core/events.js';
+import { openRepeaterTab, activateRepeaterTab, restoreRepeaterTabs } from '../js/ui/repeater-tabs.js';
+import { setupSendTimeline, showSend, compareSend, renderSendDiff, sendLabel } from '../js/ui/send-timeline.js';
+
+const send = (rawText, status, body) => actions.history.recordSend({
+  rawText,
+  useHttps: true,
+  status,
+  statusText: status === 200 ? 'OK' : 'Forbidden',
+  response: `HTTP/1.1 ${status}\n\n${body}`,
+  bodyBase64: null,
+  size: body.length,
+  duration: 12
+});
+
+describe('Send history', () => {
+  beforeEach(() => {
+    document.body.innerHTML = `
+      <div id="repeater-tabs"></div>
+      <div id="send-timeline"></div>
+      <div id="raw-request-input"></div>
+      <input type="checkbox" id="use-https">
+      <span id="res-status"></span><span id="res-time"></span><span id="res-size"></span>
+      <div id="raw-response-display"></div>`;
+    elements.rawRequestInput = document.getElementById('raw-request-input');
+    elements.useHttpsCheckbox = document.getElementById('use-https');
+    elements.resStatus = document.getElementById('res-status');
+    elements.resTime = document.getElementById('res-time');
+    elements.resSize = document.getElementById('res-size');
+    elements.rawResponseDisplay = document.getElementById('raw-response-display');
+    state.sendHistory = [];
+    restoreRepeaterTabs([]);
+  });
+
+  it('should number sends and keep the last 50', () => {
+    const first = send('GET / HTTP/1.1', 200, 'a');
+    expect(first).toMatchObject({ number: 1, status: 200, size: 1, duration: 12 });
+    expect(typeof first.sentAt).toBe('number');
+
+    for (let i = 0; i < 60; i++) send('GET / HTTP/1.1', 200, 'a');
+    expect(state.sendHistory).toHaveLength(50);
+    expect(state.sendHistory[0].number).toBe(12);
+    expect(state.sendHistory[49].number).toBe(61);
+
+    expect(sendLabel({ status: 0, statusText: 'Timeout' })).toBe('Timeout');
+    expect(sendLabel({ status: 403, statusText: 'Forbidden' })).toBe('403 Forbidden');
+  });
+
+  it('should keep sends with the working copy they were made from', () => {
+    const tab = openRepeaterTab('GET /a HTTP/1.1\nHost: a.test', true);
+    send('GET /a HTTP/1.1\nHost: a.test', 200, 'one');
+
+    openRepeaterTab('GET /b HTTP/1.1\nHost: a.test', true);
+    expect(state.sendHistory).toEqual([]);
+
+    activateRepeaterTab(tab.id);
+    expect(state.sendHistory.map(record => record.response)).toEqual(['HTTP/1.1 200\n\none']);
+  });
+
+  it('should view past attempts and diff two of them', () => {
+    setupSendTimeline();
+    let shownResponse = null;
+    events.on(EVENT_NAMES.UI_UPDATE_RESPONSE_VIEW, ({ status, content }) => {
+      shownResponse = { status, content };
+    });
+
+    state.undoStack = ['GET /?id=1 HTTP/1.1'];
+    send('GET /?id=1 HTTP/1.1', 200, 'mine');
+    send('GET /?id=2 HTTP/1.1', 403, 'denied');
+    const timeline = document.getElementById('send-timeline');
+    expect(timeline.style.display).toBe('flex');
+    expect(Array.from(timeline.querySelectorAll('.send-attempt'), el => el.textContent.replace(/\s+/g, ' ').trim()))
+      .toEqual(['#1 200', '#2 403']);
+    expect(timeline.querySelector('.send-attempt.shown').dataset.number).toBe('2');
+
+    timeline.querySelector('[data-number="1"]').click();
+    expect(shownResponse).toEqual({ status: '200 OK', content: 'HTTP/1.1 200\n\nmine' });
+    expect(state.currentResponse).toBe('HTTP/1.1 200\n\nmine');
+    expect(state.undoStack[state.undoStack.length - 1]).toBe('GET /?id=1 HTTP/1.1');
+    expect(timeline.querySelector('.send-attempt.shown').dataset.number).toBe('1');
+
+    compareSend(2);
+    expect(timeline.querySelector('.send-attempt.compared').dataset.number).toBe('2');
+    expect(Array.from(elements.rawResponseDisplay.querySelectorAll('.send-diff-title'), el => el.textContent))
+      .toEqual(['#1 → #2: request', '#1 → #2: response']);
+    expect(renderSendDiff(state.sendHistory[0], state.sendHistory[1])).toContain('denied');
+
+    // A new send shows the latest attempt again
+    showSend(1);
+    send('GET /?id=3 HTTP/1.1', 200, 'again');
+    expect(timeline.querySelector('.send-attempt.shown').dataset.number).toBe('3');
+  });
+});
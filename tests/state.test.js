@@ -1,6 +1,6 @@
 // Test for state management functions
 import { describe, it, expect, beforeEach } from 'vitest';
-import { state, addRequest, clearRequests, addToHistory } from '../js/core/state/index.js';
+import { state, actions, addRequest, clearRequests, addToHistory } from '../js/core/state/index.js';
 
 describe('State Management', () => {
   beforeEach(() => {
@@ -68,6 +68,30 @@ describe('State Management', () => {
       expect(request.color).toBe(null);
     });
 
+    it('should keep starred and color when restoring', () => {
+      const request = {
+        request: { method: 'GET', url: 'https://example.com' },
+        starred: true,
+        color: 'red'
+      };
+
+      actions.request.add(request, { restore: true });
+
+      expect(request.starred).toBe(true);
+      expect(request.color).toBe('red');
+    });
+
+    it('should assign a stable id', () => {
+      const request = { request: { method: 'GET', url: 'https://example.com/a' } };
+      const restored = { id: 'req_saved', request: { method: 'GET', url: 'https://example.com/b' } };
+
+      addRequest(request);
+      addRequest(restored);
+
+      expect(request.id).toMatch(/^req_/);
+      expect(restored.id).toBe('req_saved');
+    });
+
     it('should preserve existing name', () => {
       const request = {
         request: { method: 'GET', url: 'https://example.com' },
@@ -90,6 +114,32 @@ describe('State Management', () => {
 
       expect(state.requests).toHaveLength(3);
     });
+
+    it('should skip duplicates until the original is deleted or cleared', () => {
+      const copy = () => ({ request: { method: 'GET', url: 'https://example.com/a' } });
+
+      expect(addRequest(copy())).toBe(0);
+      expect(addRequest(copy())).toBeNull();
+
+      actions.request.delete(0);
+      expect(addRequest(copy())).toBe(0);
+
+      clearRequests();
+      expect(addRequest(copy())).toBe(0);
+    });
+
+    it('should keep counting duplicates added while the check is off', () => {
+      const copy = () => ({ request: { method: 'GET', url: 'https://example.com/a' } });
+      localStorage.setItem('rep_remove_duplicates', 'false');
+      addRequest(copy());
+      addRequest(copy());
+      localStorage.removeItem('rep_remove_duplicates');
+
+      actions.request.delete(1);
+      expect(addRequest(copy())).toBeNull();
+      actions.request.delete(0);
+      expect(addRequest(copy())).toBe(0);
+    });
   });
 
   describe('clearRequests', () => {
@@ -0,0 +1,190 @@
+// Tests for WebSocket capture, frame helpers and the repeater
+import { describe, it, expect, beforeEach } from 'vitest';
+import {
+  framesFromHAR,
+  framesToHAR,
+  payloadText,
+  payloadJSON,
+  payloadBytes,
+  hexToBytes,
+  createFrame,
+  isWebSocketEntry
+} from '../js/network/websocket.js';
+import { toHAR, fromHAR } from '../js/network/har.js';
+import { DebuggerCapture } from '../js/network/debugger-capture.js';
+import { encodeOutgoing, WebSocketRepeater } from '../js/features/websocket/repeater.js';
+import { replayableHeaders, handshakeProtocols, buildHandshakeRule } from '../js/features/websocket/handshake.js';
+import { fakeDebugger } from './helpers/fake-debugger.js';
+
+class FakeWebSocket {
+  constructor(url, protocols) {
+    this.url = url;
+    this.protocols = protocols;
+    this.readyState = 0;
+    this.sent = [];
+    FakeWebSocket.last = this;
+  }
+
+  send(data) {
+    this.sent.push(data);
+  }
+
+  close() {
+    this.readyState = 3;
+  }
+
+  open() {
+    this.readyState = 1;
+    this.onopen();
+  }
+}
+
+const flush = () => new Promise(resolve => setTimeout(resolve, 0));
+
+describe('WebSocket frames', () => {
+  it('should convert Chrome HAR messages to frames and back', () => {
+    const messages = [
+      { type: 'send', time: 1700000000.5, opcode: 1, data: '{"op":"ping"}' },
+      { type: 'receive', time: 1700000001, opcode: 2, data: '3q2+7w==' }
+    ];
+    const frames = framesFromHAR(messages);
+
+    expect(frames[0]).toEqual({ direction: 'sent', timestamp: 1700000000500, opcode: 1, payload: '{"op":"ping"}', base64: false });
+    expect(frames[1].direction).toBe('received');
+    expect(frames[1].base64).toBe(true);
+    expect(framesToHAR(frames)).toEqual(messages);
+  });
+
+  it('should decode payloads as text, JSON and bytes', () => {
+    const text = createFrame({ direction: 'received', payload: '{"a":[1,2]}' });
+    expect(payloadJSON(text)).toEqual({ a: [1, 2] });
+    expect(payloadJSON(createFrame({ direction: 'received', payload: 'hello' }))).toBeUndefined();
+
+    const binary = createFrame({ direction: 'received', opcode: 2, payload: '3q2+7w==' });
+    expect(Array.from(payloadBytes(binary))).toEqual([0xde, 0xad, 0xbe, 0xef]);
+    expect(payloadText(createFrame({ direction: 'sent', opcode: 2, payload: btoa('hi') }))).toBe('hi');
+  });
+
+  it('should parse hex input and reject invalid hex', () => {
+    expect(Array.from(hexToBytes('de ad 0xBE:ef'))).toEqual([0xde, 0xad, 0xbe, 0xef]);
+    expect(() => hexToBytes('abc')).toThrow('Invalid hex payload.');
+    expect(() => hexToBytes('zz')).toThrow('Invalid hex payload.');
+  });
+
+  it('should keep frames through a HAR round-trip', () => {
+    const request = {
+      request: { method: 'GET', url: 'wss://chat.test/socket', headers: [] },
+      responseStatus: 101,
+      responseHeaders: [],
+      responseBody: '',
+      capturedAt: 1700000000000,
+      pageUrl: 'https://chat.test/',
+      webSocket: {
+        socketId: '1:abc',
+        closed: true,
+        frames: [createFrame({ direction: 'sent', payload: 'hi', timestamp: 1700000000100 })]
+      }
+    };
+    const [imported] = fromHAR(toHAR([request]));
+
+    expect(isWebSocketEntry(imported)).toBe(true);
+    expect(imported.webSocket.frames).toEqual(request.webSocket.frames);
+    expect(imported._webSocketMessages).toBeUndefined();
+  });
+});
+
+describe('WebSocket handshake replay', () => {
+  const headers = [
+    { name: 'Host', value: 'chat.test' },
+    { name: 'Upgrade', value: 'websocket' },
+    { name: 'Sec-WebSocket-Key', value: 'abc' },
+    { name: 'Sec-WebSocket-Protocol', value: 'graphql-ws, json' },
+    { name: 'Cookie', value: 'sid=1' },
+    { name: 'Authorization', value: 'Bearer t' }
+  ];
+
+  it('should keep only headers the browser lets us replay', () => {
+    expect(replayableHeaders(headers).map(h => h.name)).toEqual(['Cookie', 'Authorization']);
+    expect(handshakeProtocols(headers)).toEqual(['graphql-ws', 'json']);
+  });
+
+  it('should build a session rule scoped to the socket URL', () => {
+    const rule = buildHandshakeRule('wss://chat.test/socket#x', headers);
+    expect(rule.condition).toEqual({ urlFilter: '|wss://chat.test/socket|', resourceTypes: ['websocket'], tabIds: [-1] });
+    expect(rule.action.requestHeaders).toContainEqual({ header: 'Cookie', operation: 'set', value: 'sid=1' });
+  });
+});
+
+describe('WebSocket repeater', () => {
+  beforeEach(() => {
+    globalThis.chrome = { permissions: { contains: (perms, cb) => cb(false) } };
+  });
+
+  it('should encode text, hex and base64 frames', () => {
+    expect(encodeOutgoing('hi', 'text').data).toBe('hi');
+    const hex = encodeOutgoing('6869', 'hex');
+    expect(Array.from(hex.data)).toEqual([0x68, 0x69]);
+    expect(hex.frame).toMatchObject({ direction: 'sent', opcode: 2, payload: 'aGk=', base64: true });
+    expect(Array.from(encodeOutgoing('aGk=', 'base64').data)).toEqual([0x68, 0x69]);
+    expect(() => encodeOutgoing('%%%', 'base64')).toThrow('Invalid base64 payload.');
+  });
+
+  it('should connect, send and record received frames', async () => {
+    const frames = [];
+    const statuses = [];
+    const repeater = new WebSocketRepeater({
+      onFrame: f => frames.push(f),
+      onStatus: (status, detail) => statuses.push([status, detail])
+    }, FakeWebSocket);
+
+    expect(() => repeater.send('x')).toThrow('Socket is not open.');
+
+    await repeater.connect('wss://chat.test/socket', [{ name: 'Sec-WebSocket-Protocol', value: 'json' }]);
+    const socket = FakeWebSocket.last;
+    expect(socket.protocols).toEqual(['json']);
+    socket.open();
+    expect(statuses.at(-1)).toEqual(['open', 'handshake headers not replayed']);
+
+    repeater.send('{"op":"sub"}');
+    socket.onmessage({ data: '{"op":"ack"}' });
+    socket.onmessage({ data: new Uint8Array([1, 2]).buffer });
+
+    expect(socket.sent).toEqual(['{"op":"sub"}']);
+    expect(frames.map(f => f.direction)).toEqual(['sent', 'received', 'received']);
+    expect(frames[2]).toMatchObject({ opcode: 2, payload: 'AQI=' });
+
+    repeater.close();
+    expect(statuses.at(-1)).toEqual(['closed', undefined]);
+    expect(repeater.isOpen).toBe(false);
+  });
+});
+
+describe('WebSocket debugger capture', () => {
+  it('should emit the handshake as an entry and frames with wall-clock timestamps', async () => {
+    const api = fakeDebugger();
+    const entries = [];
+    const wsEvents = [];
+    const capture = new DebuggerCapture({ onEntry: e => entries.push(e), onWebSocket: e => wsEvents.push(e) }, api);
+    await capture.attach(4);
+
+    api.fire(4, 'Network.webSocketCreated', { requestId: 'w1', url: 'wss://chat.test/socket' });
+    api.fire(4, 'Network.webSocketWillSendHandshakeRequest', {
+      requestId: 'w1', timestamp: 10, wallTime: 1700000000, request: { headers: { Cookie: 'sid=1' } }
+    });
+    api.fire(4, 'Network.webSocketFrameSent', { requestId: 'w1', timestamp: 10.5, response: { opcode: 1, payloadData: 'early' } });
+    api.fire(4, 'Network.webSocketHandshakeResponseReceived', {
+      requestId: 'w1', response: { status: 101, statusText: 'Switching Protocols', headers: {} }
+    });
+    api.fire(4, 'Network.webSocketFrameReceived', { requestId: 'w1', timestamp: 11, response: { opcode: 1, payloadData: 'hello' } });
+    api.fire(4, 'Network.webSocketClosed', { requestId: 'w1', timestamp: 12 });
+    await flush();
+
+    expect(entries).toHaveLength(1);
+    expect(entries[0].webSocket).toEqual({ socketId: '4:w1', frames: [], closed: false });
+    expect(entries[0].request.headers).toEqual([{ name: 'Cookie', value: 'sid=1' }]);
+    expect(wsEvents).toEqual([
+      { socketId: '4:w1', frame: { direction: 'received', timestamp: 1700000001000, opcode: 1, payload: 'hello', base64: false } },
+      { socketId: '4:w1', closed: true }
+    ]);
+  });
+});
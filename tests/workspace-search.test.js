@@ -0,0 +1,118 @@
+// Tests for the workspace search
+import { describe, it, expect, beforeEach } from 'vitest';
+import { state } from '../js/core/state.js';
+import { events, EVENT_NAMES } from '../js/core/events.js';
+import { compilePattern, searchRequest, searchRequests, captureGroupTable } from '../js/features/workspace-search/engine.js';
+import { setupWorkspaceSearch } from '../js/features/workspace-search/index.js';
+import { elements } from '../js/ui/main-ui.js';
+import { initSearch } from '../js/search/index.js';
+import { capturedRequest } from './helpers/fixtures.js';
+
+const login = capturedRequest('POST', 'https://a.test/login?next=/admin', {
+  headers: [{ name: 'Cookie', value: 'sid=abc' }],
+  body: '{"user":"alice","password":"Secret1"}',
+  responseHeaders: [{ name: 'Set-Cookie', value: 'token=t1; Path=/' }],
+  responseBody: '{"token":"eyJhbGciOi","user_id":42}'
+});
+const profile = capturedRequest('GET', 'https://a.test/api/users/42', {
+  headers: [{ name: 'Authorization', value: 'Bearer eyJhbGciOi' }],
+  responseBody: '{"id":42,"email":"alice@a.test","api_key":"AKIA4242"}'
+});
+const logo = capturedRequest('GET', 'https://cdn.a.test/logo.png', { responseBody: 'dXNlcg==', encoding: 'base64' });
+
+describe('Workspace search', () => {
+  beforeEach(() => {
+    state.requests = [login, profile, logo];
+  });
+
+  it('should find literal matches in every scope with context', () => {
+    const results = searchRequests(state.requests, compilePattern('alice'));
+    expect(results.map(r => r.request)).toEqual([login, profile]);
+    expect(results[0].matches).toEqual([
+      expect.objectContaining({ scope: 'request-body', text: 'alice', before: '{"user":"', after: '","password":"Secret1"}' })
+    ]);
+    expect(results[1].matches[0]).toMatchObject({ scope: 'response-body', start: 18, end: 23, groups: [] });
+
+    // Literal mode escapes regex characters; case is ignored unless asked for
+    expect(searchRequest(login, compilePattern('?next=')).matches[0].scope).toBe('url');
+    expect(searchRequest(login, compilePattern('secret1')).matches).toHaveLength(1);
+    expect(searchRequest(login, compilePattern('secret1', { caseSensitive: true })).matches).toHaveLength(0);
+    // Binary bodies are not searched
+    expect(searchRequest(logo, compilePattern('dXNl')).matches).toHaveLength(0);
+  });
+
+  it('should limit the search to the chosen scopes', () => {
+    const pattern = compilePattern('eyJhbGciOi');
+    expect(searchRequests(state.requests, pattern).length).toBe(2);
+    expect(searchRequests(state.requests, pattern, { scopes: ['request-headers'] }).map(r => r.request)).toEqual([profile]);
+    expect(searchRequests(state.requests, compilePattern('cookie'), { scopes: ['response-headers'] })[0].matches[0]).toMatchObject({ text: 'Cookie', before: 'Set-' });
+  });
+
+  it('should collect regex capture groups and export them', () => {
+    const pattern = compilePattern('"(\\w+)":(\\d+)', { regex: true });
+    const results = searchRequests(state.requests, pattern, { scopes: ['response-body'] });
+    expect(results.map(r => r.matches.map(m => m.groups))).toEqual([[['user_id', '42']], [['id', '42']]]);
+
+    const { headers, rows } = captureGroupTable(results);
+    expect(headers).toEqual(['Method', 'URL', 'Location', 'Match', 'Group 1', 'Group 2']);
+    expect(rows[1]).toEqual({
+      'Method': 'GET',
+      'URL': 'https://a.test/api/users/42',
+      'Location': 'Response body',
+      'Match': '"id":42',
+      'Group 1': 'id',
+      'Group 2': '42'
+    });
+
+    expect(() => compilePattern('(', { regex: true })).toThrow(SyntaxError);
+    // Empty matches are skipped, and matches per request are capped
+    expect(searchRequest(profile, compilePattern('x*', { regex: true })).matches).toHaveLength(0);
+    expect(searchRequest(profile, compilePattern('a'), { maxMatches: 3 })).toMatchObject({ truncated: true, matches: { length: 3 } });
+  });
+
+  it('should jump from a result to the match in the pane', async () => {
+    document.body.innerHTML = `
+      <div id="workspace-search-modal" style="display: block">
+        <input id="workspace-search-input"><button id="workspace-search-run-btn"></button>
+        <input type="checkbox" id="workspace-search-regex"><input type="checkbox" id="workspace-search-case">
+        <input type="checkbox" class="workspace-search-scope" value="response-body" checked>
+        <p id="workspace-search-summary"></p><div id="workspace-search-results"></div>
+        <button id="workspace-search-export-btn" disabled></button>
+      </div>
+      <input id="response-search"><span id="response-search-count"></span>
+      <pre id="response-display"></pre>`;
+    elements.rawResponseDisplay = document.getElementById('response-display');
+    // jsdom does not lay out, the pane search scrolls to its matches
+    Element.prototype.scrollIntoView = () => {};
+    initSearch();
+    setupWorkspaceSearch();
+
+    const selected = [];
+    events.on(EVENT_NAMES.REQUEST_SELECTED, index => {
+      selected.push(index);
+      elements.rawResponseDisplay.textContent = `HTTP/1.1 200 OK\n\n${state.requests[index].responseBody}`;
+    });
+
+    document.getElementById('workspace-search-input').value = '42';
+    document.getElementById('workspace-search-run-btn').click();
+    await new Promise(resolve => setTimeout(resolve, 20));
+
+    expect(document.getElementById('workspace-search-summary').textContent).toMatch(/^4 matches in 2 requests/);
+    expect(document.querySelectorAll('.workspace-search-result')).toHaveLength(2);
+    expect(document.getElementById('workspace-search-export-btn').disabled).toBe(false);
+
+    // The third 42 of the profile response
+    document.querySelector('.workspace-search-match[data-result="1"][data-match="2"]').click();
+    expect(selected).toEqual([1]);
+    expect(document.getElementById('workspace-search-modal').style.display).toBe('none');
+    expect(document.getElementById('response-search').value).toBe('42');
+    expect(document.querySelector('#response-display mark.current')).not.toBeNull();
+    expect(document.getElementById('response-search-count').textContent).toBe('3/3');
+
+    // F3 moves on to the next match, wrapping around
+    document.dispatchEvent(new KeyboardEvent('keydown', { key: 'F3' }));
+    expect(selected).toEqual([1, 0]);
+    document.dispatchEvent(new KeyboardEvent('keydown', { key: 'F3', shiftKey: true }));
+    expect(selected).toEqual([1, 0, 1]);
+  });
+});